@@ -5,16 +5,33 @@
 #   ./ask-instance.sh <instance-name> "Your question"
 #   ./ask-instance.sh --list
 #   ./ask-instance.sh --discover
+#   ./ask-instance.sh --broadcast "Your question" [instance1,instance2|all] [summarizer]
+#   ./ask-instance.sh --debate "Your question" instance1,instance2 [judge] [rounds]
 #
 # Examples:
 #   ./ask-instance.sh local "What is React?"
 #   ./ask-instance.sh sdk-developer "How do I authenticate?"
 #   ./ask-instance.sh frontend-dev "Best practices for state management?"
+#   ./ask-instance.sh --broadcast "How should we version the API?" frontend-dev,backend-dev
+#   ./ask-instance.sh --debate "REST or GraphQL?" frontend-dev,backend-dev sdk-developer
+#
+# Instances with "protocol": "https" in the registry are called over HTTPS.
+# INTERCLAUDE_CA names a CA bundle to verify them with, and INTERCLAUDE_CERT
+# and INTERCLAUDE_KEY a client certificate for instances that require one.
 
 set -e
 
 REGISTRY="${INTERCLAUDE_REGISTRY:-$HOME/.claude/interclaude-registry.json}"
 
+# TLS options for curl
+CURL_TLS=()
+if [[ -n "${INTERCLAUDE_CA:-}" ]]; then
+  CURL_TLS+=(--cacert "$INTERCLAUDE_CA")
+fi
+if [[ -n "${INTERCLAUDE_CERT:-}" ]]; then
+  CURL_TLS+=(--cert "$INTERCLAUDE_CERT" --key "${INTERCLAUDE_KEY:-}")
+fi
+
 # Colors
 RED='\033[0;31m'
 GREEN='\033[0;32m'
@@ -53,9 +70,10 @@ discover_instances() {
   for name in $(jq -r '.instances | keys[]' "$REGISTRY"); do
     HOST=$(jq -r ".instances[\"$name\"].host" "$REGISTRY")
     PORT=$(jq -r ".instances[\"$name\"].port" "$REGISTRY")
+    PROTO=$(jq -r ".instances[\"$name\"].protocol // \"http\"" "$REGISTRY")
     DESC=$(jq -r ".instances[\"$name\"].description" "$REGISTRY")
 
-    HEALTH=$(curl -s --connect-timeout 2 "http://${HOST}:${PORT}/health" 2>/dev/null) || HEALTH=""
+    HEALTH=$(curl -s "${CURL_TLS[@]}" --connect-timeout 2 "${PROTO}://${HOST}:${PORT}/health" 2>/dev/null) || HEALTH=""
 
     if [[ -n "$HEALTH" ]]; then
       STATUS="${GREEN}ONLINE${NC}"
@@ -83,6 +101,7 @@ ask_instance() {
   # Get instance config
   HOST=$(jq -r ".instances[\"$INSTANCE\"].host // empty" "$REGISTRY")
   PORT=$(jq -r ".instances[\"$INSTANCE\"].port // empty" "$REGISTRY")
+  PROTO=$(jq -r ".instances[\"$INSTANCE\"].protocol // \"http\"" "$REGISTRY")
 
   if [[ -z "$HOST" || -z "$PORT" ]]; then
     echo -e "${RED}Error: Instance '$INSTANCE' not found in registry${NC}" >&2
@@ -100,7 +119,7 @@ ask_instance() {
   # Make request
   echo -e "${CYAN}Asking ${GREEN}$INSTANCE${CYAN} ($HOST:$PORT)...${NC}" >&2
 
-  RESPONSE=$(curl -s -X POST "http://${HOST}:${PORT}/ask" \
+  RESPONSE=$(curl -s "${CURL_TLS[@]}" -X POST "${PROTO}://${HOST}:${PORT}/ask" \
     -H "Content-Type: application/json" \
     -d "$PAYLOAD" \
     --connect-timeout 5 \
@@ -129,6 +148,155 @@ ask_instance() {
   fi
 }
 
+# Broadcast a question to several instances in parallel and print each answer
+broadcast_question() {
+  local QUESTION="$1"
+  local TARGETS="${2:-all}"
+  local SUMMARIZER="${3:-}"
+  local NAMES=()
+
+  if [[ "$TARGETS" == "all" ]]; then
+    # Only include instances that respond to a health check
+    for name in $(jq -r '.instances | keys[]' "$REGISTRY"); do
+      HOST=$(jq -r ".instances[\"$name\"].host" "$REGISTRY")
+      PORT=$(jq -r ".instances[\"$name\"].port" "$REGISTRY")
+      PROTO=$(jq -r ".instances[\"$name\"].protocol // \"http\"" "$REGISTRY")
+      if curl -s "${CURL_TLS[@]}" --connect-timeout 2 "${PROTO}://${HOST}:${PORT}/health" &>/dev/null; then
+        NAMES+=("$name")
+      fi
+    done
+  else
+    IFS=',' read -ra NAMES <<< "$TARGETS"
+  fi
+
+  if [[ ${#NAMES[@]} -eq 0 ]]; then
+    echo -e "${RED}Error: No instances to broadcast to${NC}" >&2
+    exit 1
+  fi
+
+  local OUT_DIR
+  OUT_DIR=$(mktemp -d)
+  trap 'rm -rf "$OUT_DIR"' EXIT
+
+  local PAYLOAD
+  PAYLOAD=$(jq -n --arg q "$QUESTION" '{question: $q}')
+
+  echo -e "${CYAN}Broadcasting to ${GREEN}${NAMES[*]}${CYAN}...${NC}" >&2
+
+  for name in "${NAMES[@]}"; do
+    HOST=$(jq -r ".instances[\"$name\"].host // empty" "$REGISTRY")
+    PORT=$(jq -r ".instances[\"$name\"].port // empty" "$REGISTRY")
+    PROTO=$(jq -r ".instances[\"$name\"].protocol // \"http\"" "$REGISTRY")
+
+    if [[ -z "$HOST" || -z "$PORT" ]]; then
+      echo '{"success": false, "error": "Instance not found in registry"}' > "$OUT_DIR/$name.json"
+      continue
+    fi
+
+    (
+      curl -s "${CURL_TLS[@]}" -X POST "${PROTO}://${HOST}:${PORT}/ask" \
+        -H "Content-Type: application/json" \
+        -d "$PAYLOAD" \
+        --connect-timeout 5 \
+        --max-time 180 \
+        -o "$OUT_DIR/$name.json" \
+        -w '%{time_total}' > "$OUT_DIR/$name.time" 2>/dev/null \
+        || echo '{"success": false, "error": "Could not connect"}' > "$OUT_DIR/$name.json"
+    ) &
+  done
+  wait
+
+  local SUCCEEDED=0
+  for name in "${NAMES[@]}"; do
+    local FILE="$OUT_DIR/$name.json"
+    local SECONDS_TAKEN
+    SECONDS_TAKEN=$(cat "$OUT_DIR/$name.time" 2>/dev/null || echo "?")
+
+    echo ""
+    if jq -e '.success == true' "$FILE" &>/dev/null; then
+      SUCCEEDED=$((SUCCEEDED + 1))
+      echo -e "${GREEN}=== $name${NC} (${SECONDS_TAKEN}s) ${GREEN}===${NC}"
+      jq -r '.answer' "$FILE"
+    else
+      echo -e "${RED}=== $name - ERROR ===${NC}"
+      jq -r '.error // "Invalid response"' "$FILE" 2>/dev/null || echo "Invalid response"
+    fi
+  done
+
+  echo ""
+  echo -e "[Answered: ${SUCCEEDED}/${#NAMES[@]}]"
+
+  if [[ -n "$SUMMARIZER" && $SUCCEEDED -gt 0 ]]; then
+    local SUMMARY_CONTEXT=""
+    for name in "${NAMES[@]}"; do
+      if jq -e '.success == true' "$OUT_DIR/$name.json" &>/dev/null; then
+        SUMMARY_CONTEXT+="## Answer from $name"$'\n\n'"$(jq -r '.answer' "$OUT_DIR/$name.json")"$'\n\n---\n\n'
+      fi
+    done
+    echo ""
+    ask_instance "$SUMMARIZER" \
+      "The question \"$QUESTION\" was sent to $SUCCEEDED specialist instances. Summarize their answers: where they agree, where they differ, and an overall recommendation." \
+      "$SUMMARY_CONTEXT"
+  fi
+}
+
+# Run a debate between instances, coordinated by the registry's default instance
+debate_question() {
+  local QUESTION="$1"
+  local PARTICIPANTS="$2"
+  local JUDGE="${3:-}"
+  local ROUNDS="${4:-1}"
+
+  local COORDINATOR
+  COORDINATOR=$(jq -r '.default // empty' "$REGISTRY")
+  if [[ -z "$COORDINATOR" ]]; then
+    echo -e "${RED}Error: Registry has no default instance to coordinate the debate${NC}" >&2
+    exit 1
+  fi
+
+  HOST=$(jq -r ".instances[\"$COORDINATOR\"].host // empty" "$REGISTRY")
+  PORT=$(jq -r ".instances[\"$COORDINATOR\"].port // empty" "$REGISTRY")
+  PROTO=$(jq -r ".instances[\"$COORDINATOR\"].protocol // \"http\"" "$REGISTRY")
+
+  local PAYLOAD
+  PAYLOAD=$(jq -n --arg q "$QUESTION" --arg p "$PARTICIPANTS" --arg j "$JUDGE" --argjson r "$ROUNDS" \
+    '{question: $q, instances: ($p | split(",")), rounds: $r} + (if $j != "" then {judge: $j} else {} end)')
+
+  echo -e "${CYAN}Debating between ${GREEN}${PARTICIPANTS//,/ }${CYAN} via $COORDINATOR ($HOST:$PORT)...${NC}" >&2
+
+  RESPONSE=$(curl -s "${CURL_TLS[@]}" -X POST "${PROTO}://${HOST}:${PORT}/debate" \
+    -H "Content-Type: application/json" \
+    -d "$PAYLOAD" \
+    --connect-timeout 5 \
+    --max-time 900) || {
+      echo -e "${RED}Error: Could not connect to $COORDINATOR${NC}" >&2
+      exit 1
+    }
+
+  if ! echo "$RESPONSE" | jq -e '.rounds' &>/dev/null; then
+    ERROR=$(echo "$RESPONSE" | jq -r '.error // "Unknown error"' 2>/dev/null || echo "Invalid response")
+    echo -e "${RED}Error: $ERROR${NC}" >&2
+    exit 1
+  fi
+
+  echo "$RESPONSE" | jq -r '.rounds[] |
+    "\n##### Round \(.round) (\(.type)) #####",
+    (.responses[] | "\n=== \(.instance) ===", (if .success then .answer else "ERROR: \(.error)" end))'
+
+  echo ""
+  echo -e "${GREEN}##### Verdict #####${NC}"
+  echo "$RESPONSE" | jq -r '.verdict // {} |
+    if .method == "judge" then
+      "Judge: \(.instance)\n\n\(.recommendation // "ERROR: \(.error)")"
+    elif .method == "vote" then
+      "Votes: \(.tally | to_entries | map("\(.key)=\(.value)") | join(", "))",
+      "Winner: \(.winner // "tie")",
+      (.dissent[] | "Dissent - \(.instance) voted \(.vote // "none"): \(.reason)")
+    else
+      "No verdict (no participant finished the debate)"
+    end'
+}
+
 # Parse arguments
 case "${1:-}" in
   --list|-l)
@@ -137,14 +305,36 @@ case "${1:-}" in
   --discover|-d)
     discover_instances
     ;;
+  --broadcast|-b)
+    if [[ -z "${2:-}" ]]; then
+      echo -e "${RED}Error: Question required${NC}" >&2
+      echo "Usage: $0 --broadcast \"Your question\" [instance1,instance2|all] [summarizer]" >&2
+      exit 1
+    fi
+    broadcast_question "$2" "${3:-all}" "${4:-}"
+    ;;
+  --debate)
+    if [[ -z "${2:-}" || -z "${3:-}" ]]; then
+      echo -e "${RED}Error: Question and participants required${NC}" >&2
+      echo "Usage: $0 --debate \"Your question\" instance1,instance2 [judge] [rounds]" >&2
+      exit 1
+    fi
+    debate_question "$2" "$3" "${4:-}" "${5:-1}"
+    ;;
   --help|-h)
     echo "Usage: $0 <instance-name> \"Your question\" [\"Optional context\"]"
     echo "       $0 --list        List registered instances"
     echo "       $0 --discover    Check which instances are online"
+    echo "       $0 --broadcast \"Your question\" [instance1,instance2|all] [summarizer]"
+    echo "                        Ask several instances in parallel (default: all online)"
+    echo "       $0 --debate \"Your question\" instance1,instance2 [judge] [rounds]"
+    echo "                        Debate between instances; a judge or a vote decides"
     echo ""
     echo "Examples:"
     echo "  $0 local \"What is React?\""
     echo "  $0 sdk-developer \"How do I authenticate?\" \"Using JWT tokens\""
+    echo "  $0 --broadcast \"How should we version the API?\" frontend-dev,backend-dev sdk-developer"
+    echo "  $0 --debate \"REST or GraphQL?\" frontend-dev,backend-dev sdk-developer 2"
     ;;
   "")
     echo -e "${RED}Error: Instance name required${NC}" >&2
@@ -2,13 +2,15 @@
 /**
  * InterClaude Client - Node.js version
  *
- * Send questions to a Claude Code instance over HTTP.
+ * Send questions to a Claude Code instance over HTTP or HTTPS.
  *
  * Usage:
- *   node ask.js -q "Your question" [-h host] [-p port] [-c context] [-s session] [--json]
+ *   node ask.js -q "Your question" [-h host] [-p port] [-c context] [-s session] [--project name] [--json] [--stream] [--https]
  */
 
 import { parseArgs } from "node:util";
+import { readEventStream } from "./sse.js";
+import { createTlsFetch } from "../server/tls.js";
 
 const options = {
   host: {
@@ -33,14 +35,37 @@ const options = {
     type: "string",
     short: "s",
   },
+  project: {
+    type: "string",
+  },
   "api-key": {
     type: "string",
     default: process.env.CLAUDE_BRIDGE_API_KEY || "",
   },
+  https: {
+    type: "boolean",
+    default: process.env.CLAUDE_BRIDGE_HTTPS === "true",
+  },
+  ca: {
+    type: "string",
+    default: process.env.INTERCLAUDE_CA || "",
+  },
+  cert: {
+    type: "string",
+    default: process.env.INTERCLAUDE_CERT || "",
+  },
+  key: {
+    type: "string",
+    default: process.env.INTERCLAUDE_KEY || "",
+  },
   json: {
     type: "boolean",
     default: false,
   },
+  stream: {
+    type: "boolean",
+    default: false,
+  },
   timeout: {
     type: "string",
     default: "120000",
@@ -74,8 +99,13 @@ Options:
   -p, --port        Target port (default: 3001 or CLAUDE_BRIDGE_PORT)
   -c, --context     Additional context for the question
   -s, --session     Session ID for conversation continuity
+  --project         Project to ask about, on instances serving several
   --api-key         API key for authentication
+  --https           Connect over HTTPS
+  --ca              CA bundle to trust besides the system CAs (PEM)
+  --cert, --key     Client certificate and key, for servers that require one (PEM)
   --json            Output raw JSON response
+  --stream          Print the answer as it is generated (POST /ask/stream)
   --timeout         Request timeout in ms (default: 120000)
   --help            Show this help message
 
@@ -83,15 +113,26 @@ Environment Variables:
   CLAUDE_BRIDGE_HOST     Default host
   CLAUDE_BRIDGE_PORT     Default port
   CLAUDE_BRIDGE_API_KEY  API key
+  CLAUDE_BRIDGE_HTTPS    Set to "true" to connect over HTTPS
+  INTERCLAUDE_CA         Default --ca
+  INTERCLAUDE_CERT       Default --cert
+  INTERCLAUDE_KEY        Default --key
 
 Examples:
   node ask.js -h 192.168.1.100 -q "What is dependency injection?"
   node ask.js -q "How do I use the auth module?" -c "Node.js SDK v2.0"
   node ask.js -q "Follow up question" -s abc123-session-id
+  node ask.js -q "Explain the build pipeline" --stream
+  node ask.js -h sdk.internal --https --ca ./ca.pem -q "How do I authenticate?"
 `);
   process.exit(0);
 }
 
+if (values.stream && values.json) {
+  console.error("Error: --stream and --json cannot be combined");
+  process.exit(1);
+}
+
 if (!values.question) {
   console.error("Error: Question is required (-q)");
   console.error("Use --help for usage information");
@@ -100,11 +141,56 @@ if (!values.question) {
 
 const MAX_RETRIES = 3;
 
+let fetchInstance;
+try {
+  fetchInstance = createTlsFetch({ ca: values.ca, cert: values.cert, key: values.key });
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+const protocol = values.https ? "https" : "http";
+
+/**
+ * Print an answer from POST /ask/stream as it arrives
+ * @param {Response} response - Streaming fetch response
+ */
+async function printStream(response) {
+  let result = null;
+  let streamError = null;
+
+  console.log(`\x1b[32mStreaming from ${values.host}:${values.port}:\x1b[0m`);
+  console.log("----------------------------------------");
+
+  await readEventStream(response, (event, data) => {
+    if (event === "text") {
+      process.stdout.write(data.text);
+    } else if (event === "tool_use") {
+      process.stderr.write(`\n\x1b[90m[tool: ${data.name}]\x1b[0m\n`);
+    } else if (event === "result") {
+      result = data;
+    } else if (event === "error") {
+      streamError = data.error;
+    }
+  });
+
+  console.log("\n----------------------------------------");
+
+  if (streamError || !result) {
+    console.error(`\x1b[31mError: ${streamError || "Stream ended without a result"}\x1b[0m`);
+    process.exit(1);
+  }
+
+  console.log(
+    `[${result.instance_name || "unknown"} | Session: ${result.session_id} | Duration: ${result.duration_ms}ms]`,
+  );
+}
+
 async function makeRequest(attempt = 1) {
   const payload = {
     question: values.question,
     ...(values.context && { context: values.context }),
     ...(values.session && { session_id: values.session }),
+    ...(values.project && { project: values.project }),
   };
 
   const headers = {
@@ -112,16 +198,28 @@ async function makeRequest(attempt = 1) {
     ...(values["api-key"] && { "X-API-Key": values["api-key"] }),
   };
 
-  const url = `http://${values.host}:${values.port}/ask`;
+  const url = `${protocol}://${values.host}:${values.port}/ask${values.stream ? "/stream" : ""}`;
+
+  // Once answer text has been printed a retry would duplicate it
+  let streamStarted = false;
 
   try {
-    const response = await fetch(url, {
+    const response = await fetchInstance(url, {
       method: "POST",
       headers,
       body: JSON.stringify(payload),
       signal: AbortSignal.timeout(parseInt(values.timeout, 10)),
     });
 
+    const isEventStream = (response.headers.get("content-type") || "").includes(
+      "text/event-stream",
+    );
+    if (values.stream && isEventStream) {
+      streamStarted = true;
+      await printStream(response);
+      return;
+    }
+
     const data = await response.json();
 
     if (values.json) {
@@ -144,7 +242,7 @@ async function makeRequest(attempt = 1) {
     const isRetryable =
       error.name === "TimeoutError" || error.code === "ECONNREFUSED" || error.code === "ECONNRESET";
 
-    if (isRetryable && attempt < MAX_RETRIES) {
+    if (isRetryable && !streamStarted && attempt < MAX_RETRIES) {
       const delay = Math.pow(2, attempt) * 1000;
       console.error(
         `\x1b[33mRequest failed, retrying in ${delay / 1000}s (attempt ${attempt}/${MAX_RETRIES})...\x1b[0m`,
@@ -153,7 +251,8 @@ async function makeRequest(attempt = 1) {
       return makeRequest(attempt + 1);
     }
 
-    console.error(`\x1b[31mError: ${error.message}\x1b[0m`);
+    // fetch() reports connection and certificate errors as its cause
+    console.error(`\x1b[31mError: ${error.cause?.message || error.message}\x1b[0m`);
     process.exit(1);
   }
 }
@@ -0,0 +1,51 @@
+/**
+ * Server-Sent Events reader for InterClaude streaming endpoints
+ *
+ * Parses a fetch() Response body from POST /ask/stream and invokes
+ * onEvent(event, data) for every complete event, with data JSON-decoded.
+ */
+
+/**
+ * Read an SSE response body until it ends
+ * @param {Response} response - fetch() response with a text/event-stream body
+ * @param {function(string, object): void} onEvent - Called with the event name and parsed data
+ * @returns {Promise<void>}
+ */
+export async function readEventStream(response, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const dispatch = (block) => {
+    let event = "message";
+    const dataLines = [];
+    for (const line of block.split("\n")) {
+      if (line.startsWith("event:")) {
+        event = line.substring(6).trim();
+      } else if (line.startsWith("data:")) {
+        dataLines.push(line.substring(5).trimStart());
+      }
+    }
+    if (dataLines.length === 0) return;
+
+    let data = dataLines.join("\n");
+    try {
+      data = JSON.parse(data);
+    } catch {
+      // Leave non-JSON payloads as strings
+    }
+    onEvent(event, data);
+  };
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let separatorIndex;
+    while ((separatorIndex = buffer.indexOf("\n\n")) !== -1) {
+      dispatch(buffer.substring(0, separatorIndex));
+      buffer = buffer.substring(separatorIndex + 2);
+    }
+  }
+
+  if (buffer.trim()) {
+    dispatch(buffer);
+  }
+}
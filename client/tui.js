@@ -5,6 +5,8 @@ import contrib from "blessed-contrib";
 import { readFileSync, existsSync } from "fs";
 import { homedir } from "os";
 import { join } from "path";
+import { readEventStream } from "./sse.js";
+import { createTlsFetch } from "../server/tls.js";
 
 // Load registry
 const REGISTRY_PATH = join(homedir(), ".claude", "interclaude-registry.json");
@@ -18,6 +20,23 @@ if (existsSync(REGISTRY_PATH)) {
   }
 }
 
+// https:// instances ("protocol": "https") are verified against INTERCLAUDE_CA
+// as well as the system CAs, with INTERCLAUDE_CERT/KEY as the client certificate
+const fetchInstance = createTlsFetch({
+  ca: process.env.INTERCLAUDE_CA,
+  cert: process.env.INTERCLAUDE_CERT,
+  key: process.env.INTERCLAUDE_KEY,
+});
+
+/**
+ * Build the base URL for a registry instance
+ * @param {object} instance - Instance definition
+ * @returns {string}
+ */
+function instanceUrl(instance) {
+  return `${instance.protocol || "http"}://${instance.host}:${instance.port}`;
+}
+
 // State
 let selectedInstance = registry.default || Object.keys(registry.instances)[0];
 let instanceStatus = {};
@@ -120,7 +139,7 @@ const messageLog = grid.set(6, 0, 4, 12, blessed.log, {
 
 // Input box (textarea for multi-line)
 const inputBox = grid.set(10, 0, 2, 10, blessed.textarea, {
-  label: " Ask a Question (Ctrl+Enter to send, Esc to cancel) ",
+  label: " Ask a Question (Ctrl+Enter to send, Ctrl+B to broadcast, Esc to cancel) ",
   border: { type: "line" },
   style: {
     border: { fg: "green" },
@@ -318,6 +337,9 @@ function updateInstanceDetails(name) {
     content += `{cyan-fg}Instance:{/cyan-fg} ${details.instance_name || "N/A"}\n`;
     content += `{cyan-fg}Claude:{/cyan-fg} ${details.claude_code_available ? "{green-fg}Available{/green-fg}" : "{red-fg}Unavailable{/red-fg}"}\n`;
     content += `{cyan-fg}Active:{/cyan-fg} ${details.active_requests}/${details.max_concurrent}\n`;
+    if (details.queue) {
+      content += `{cyan-fg}Queued:{/cyan-fg} ${details.queue.queued}/${details.queue.max_depth}\n`;
+    }
     if (details.persona) {
       content += `{cyan-fg}Persona:{/cyan-fg} ${details.persona.substring(0, 50)}...\n`;
     }
@@ -351,13 +373,13 @@ async function discoverInstances() {
 
   for (const name of instances) {
     const instance = registry.instances[name];
-    const url = `http://${instance.host}:${instance.port}/health`;
+    const url = `${instanceUrl(instance)}/health`;
 
     try {
       const controller = new AbortController();
       const timeout = setTimeout(() => controller.abort(), 5000);
 
-      const response = await fetch(url, { signal: controller.signal });
+      const response = await fetchInstance(url, { signal: controller.signal });
       clearTimeout(timeout);
 
       if (response.ok) {
@@ -383,6 +405,53 @@ async function discoverInstances() {
   instanceList.focus();
 }
 
+// Render a streamed answer into the message log as it arrives
+// Returns the final /ask-shaped result, or throws with the server's error
+async function streamAnswer(name, response) {
+  let pendingLine = "";
+  let headerShown = false;
+  let result = null;
+  let streamError = null;
+
+  const showHeader = () => {
+    if (headerShown) return;
+    headerShown = true;
+    hideLoading();
+    messageLog.log(`{green-fg}[${name}]{/green-fg} {gray-fg}streaming...{/gray-fg}`);
+  };
+
+  await readEventStream(response, (event, data) => {
+    if (event === "text") {
+      showHeader();
+      pendingLine += data.text;
+      const lines = pendingLine.split("\n");
+      pendingLine = lines.pop();
+      for (const line of lines) {
+        messageLog.log(`  ${line}`);
+      }
+      screen.render();
+    } else if (event === "tool_use") {
+      showHeader();
+      messageLog.log(`  {magenta-fg}[tool: ${data.name}]{/magenta-fg}`);
+      screen.render();
+    } else if (event === "result") {
+      result = data;
+    } else if (event === "error") {
+      streamError = data.error;
+    }
+  });
+
+  if (pendingLine) {
+    messageLog.log(`  ${pendingLine}`);
+  }
+
+  if (streamError || !result) {
+    throw new Error(streamError || "Stream ended without a result");
+  }
+
+  return result;
+}
+
 // Send question to instance
 async function askInstance(name, question) {
   const instance = registry.instances[name];
@@ -391,7 +460,7 @@ async function askInstance(name, question) {
     return;
   }
 
-  const url = `http://${instance.host}:${instance.port}/ask`;
+  const baseUrl = instanceUrl(instance);
   totalRequests++;
   updateStats();
   addActivity(1);
@@ -404,32 +473,56 @@ async function askInstance(name, question) {
   messageLog.log(`{cyan-fg}[You -> ${name}]{/cyan-fg} ${question}`);
 
   const startTime = Date.now();
+  const request = {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ question }),
+  };
 
   try {
-    const response = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ question }),
-    });
+    let response = await fetchInstance(`${baseUrl}/ask/stream`, request);
+    const isEventStream = (response.headers.get("content-type") || "").includes(
+      "text/event-stream",
+    );
 
-    const duration = Date.now() - startTime;
-    avgResponseTime = (avgResponseTime * totalResponses + duration) / (totalResponses + 1);
+    if (response.ok && isEventStream) {
+      try {
+        const data = await streamAnswer(name, response);
+        const duration = Date.now() - startTime;
+        avgResponseTime = (avgResponseTime * totalResponses + duration) / (totalResponses + 1);
+        totalResponses++;
+        updateStats();
+        messageLog.log(
+          `{gray-fg}(${data.instance_name || name}, ${duration}ms, session ${data.session_id}){/gray-fg}`,
+        );
+      } catch (e) {
+        messageLog.log(`{red-fg}[Error from ${name}]{/red-fg} ${e.message}`);
+      }
+    } else {
+      // Older servers have no streaming endpoint - fall back to a buffered /ask
+      if (response.status === 404) {
+        response = await fetchInstance(`${baseUrl}/ask`, request);
+      }
 
-    if (response.ok) {
-      const data = await response.json();
-      totalResponses++;
-      updateStats();
+      const duration = Date.now() - startTime;
+      avgResponseTime = (avgResponseTime * totalResponses + duration) / (totalResponses + 1);
 
-      messageLog.log(`{green-fg}[${data.instance_name || name}]{/green-fg} (${duration}ms)`);
+      if (response.ok) {
+        const data = await response.json();
+        totalResponses++;
+        updateStats();
 
-      // Split long responses into lines
-      const lines = data.answer.split("\n");
-      for (const line of lines) {
-        messageLog.log(`  ${line}`);
+        messageLog.log(`{green-fg}[${data.instance_name || name}]{/green-fg} (${duration}ms)`);
+
+        // Split long responses into lines
+        const lines = data.answer.split("\n");
+        for (const line of lines) {
+          messageLog.log(`  ${line}`);
+        }
+      } else {
+        const data = await response.json();
+        messageLog.log(`{red-fg}[Error from ${name}]{/red-fg} ${data.error || "Unknown error"}`);
       }
-    } else {
-      const data = await response.json();
-      messageLog.log(`{red-fg}[Error from ${name}]{/red-fg} ${data.error || "Unknown error"}`);
     }
   } catch (e) {
     messageLog.log(`{red-fg}[Error]{/red-fg} Could not reach ${name}: ${e.message}`);
@@ -440,6 +533,123 @@ async function askInstance(name, question) {
   screen.render();
 }
 
+// Broadcast a question to every online instance
+async function broadcastQuestion(question) {
+  const targets = Object.keys(registry.instances).filter(
+    (name) => instanceStatus[name] === "online",
+  );
+  if (targets.length === 0) {
+    messageLog.log("{red-fg}Error: No online instances to broadcast to{/red-fg}");
+    return;
+  }
+
+  totalRequests += targets.length;
+  updateStats();
+  addActivity(targets.length);
+
+  showLoading(`Broadcasting to ${targets.length} instances...`);
+  messageLog.log(`{cyan-fg}[You -> ${targets.join(", ")}]{/cyan-fg} ${question}`);
+
+  const results = await Promise.all(
+    targets.map(async (name) => {
+      const instance = registry.instances[name];
+      const startTime = Date.now();
+      try {
+        const response = await fetchInstance(`${instanceUrl(instance)}/ask`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ question }),
+        });
+        const data = await response.json();
+        const duration = Date.now() - startTime;
+        if (data.success) {
+          avgResponseTime = (avgResponseTime * totalResponses + duration) / (totalResponses + 1);
+          totalResponses++;
+        }
+        return { name, success: !!data.success, answer: data.answer, error: data.error, duration };
+      } catch (e) {
+        return { name, success: false, error: e.message, duration: Date.now() - startTime };
+      }
+    }),
+  );
+
+  hideLoading();
+  addActivity(0);
+  updateStats();
+
+  for (const result of results) {
+    if (result.success) {
+      messageLog.log(`{green-fg}[${result.name}]{/green-fg} answered (${result.duration}ms)`);
+    } else {
+      messageLog.log(`{red-fg}[Error from ${result.name}]{/red-fg} ${result.error}`);
+    }
+  }
+
+  showBroadcastResults(question, results);
+}
+
+// Show broadcast answers side by side in an overlay
+function showBroadcastResults(question, results) {
+  const overlay = blessed.box({
+    parent: screen,
+    top: 1,
+    left: 0,
+    width: "100%",
+    height: "100%-1",
+    border: { type: "line" },
+    style: {
+      border: { fg: "magenta" },
+      bg: "black",
+    },
+    label: ` Broadcast: ${question.substring(0, 40)}${question.length > 40 ? "..." : ""} (Left/Right to switch, Esc to close) `,
+  });
+
+  const columnWidth = Math.floor(100 / results.length);
+  const columns = results.map((result, i) =>
+    blessed.box({
+      parent: overlay,
+      top: 0,
+      left: `${i * columnWidth}%`,
+      width: i === results.length - 1 ? `${100 - i * columnWidth}%-2` : `${columnWidth}%`,
+      height: "100%-2",
+      label: ` ${result.name} (${result.success ? `${result.duration}ms` : "error"}) `,
+      content: result.success ? result.answer : `Error: ${result.error}`,
+      border: { type: "line" },
+      style: {
+        border: { fg: result.success ? "green" : "red" },
+        focus: { border: { fg: "yellow" } },
+      },
+      scrollable: true,
+      alwaysScroll: true,
+      keys: true,
+      vi: true,
+      mouse: true,
+      scrollbar: {
+        ch: " ",
+        style: { bg: "green" },
+      },
+    }),
+  );
+
+  let focusedColumn = 0;
+  for (const column of columns) {
+    column.key(["left", "right"], (ch, key) => {
+      focusedColumn =
+        (focusedColumn + (key.name === "right" ? 1 : columns.length - 1)) % columns.length;
+      columns[focusedColumn].focus();
+      screen.render();
+    });
+    column.key(["escape"], () => {
+      overlay.destroy();
+      instanceList.focus();
+      screen.render();
+    });
+  }
+
+  columns[0].focus();
+  screen.render();
+}
+
 // Help dialog
 function showHelp() {
   const helpDialog = blessed.box({
@@ -447,7 +657,7 @@ function showHelp() {
     top: "center",
     left: "center",
     width: 50,
-    height: 20,
+    height: 21,
     border: { type: "line" },
     style: {
       border: { fg: "cyan" },
@@ -472,6 +682,7 @@ function showHelp() {
 
 {cyan-fg}Input:{/cyan-fg}
   {yellow-fg}Enter{/yellow-fg}      - Send question
+  {yellow-fg}Ctrl+B{/yellow-fg}     - Broadcast to all online instances
   {yellow-fg}Escape{/yellow-fg}     - Cancel input
 
 Press any key to close...
@@ -553,6 +764,17 @@ inputBox.key(["C-enter"], () => {
   screen.render();
 });
 
+// Ctrl+B broadcasts the question to every online instance
+inputBox.key(["C-b"], () => {
+  const value = inputBox.getValue();
+  if (value && value.trim()) {
+    broadcastQuestion(value.trim());
+  }
+  inputBox.clearValue();
+  instanceList.focus();
+  screen.render();
+});
+
 inputBox.key(["escape"], () => {
   inputBox.clearValue();
   instanceList.focus();
@@ -0,0 +1,337 @@
+import { readFileSync, writeFileSync, renameSync, statSync } from "fs";
+import { resolve } from "path";
+import { createHash, randomBytes, timingSafeEqual } from "crypto";
+
+/**
+ * API Keys
+ *
+ * Named client keys, stored hashed in API_KEYS_FILE (default ./api-keys.json)
+ * so the file never holds a usable secret. Each key has:
+ *
+ *   scopes      ask, memory:read, memory:write and/or admin (admin grants all)
+ *   expires     Optional expiry time
+ *   rate_limit  Optional requests per minute (default API_KEY_RATE_LIMIT, 0 = none)
+ *
+ * The legacy API_KEY keeps working as an admin key named "default". Keys are
+ * managed through the /keys endpoints or `npm run keys`; the server picks up
+ * changes to the file made by the CLI on the next request.
+ */
+
+export const SCOPES = ["ask", "memory:read", "memory:write", "admin"];
+
+const KEYS_PATH = resolve(process.env.API_KEYS_FILE || "./api-keys.json");
+const LEGACY_KEY = process.env.API_KEY || "";
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT || "0", 10);
+const SECRET_PREFIX = "ick_";
+const RATE_WINDOW_MS = 60 * 1000;
+const HASH_BYTES = 32;
+
+// Keys as last read from disk, re-read when the file changes
+let cache = { mtimeMs: null, keys: [] };
+
+// Per key: current rate limit window, and when it was last used (not persisted)
+const windows = new Map();
+const lastUsed = new Map();
+
+/**
+ * Hash a key secret for storage and lookup
+ * @param {string} secret - Key secret
+ * @returns {Buffer} SHA-256 digest
+ */
+function hashSecret(secret) {
+  return createHash("sha256").update(secret).digest();
+}
+
+/**
+ * Load the stored keys, from the cache unless the file changed
+ * @returns {object[]} Stored keys
+ */
+function loadKeys() {
+  let mtimeMs;
+  try {
+    mtimeMs = statSync(KEYS_PATH).mtimeMs;
+  } catch (err) {
+    cache = { mtimeMs: null, keys: [] };
+    return cache.keys;
+  }
+
+  if (mtimeMs !== cache.mtimeMs) {
+    try {
+      const parsed = JSON.parse(readFileSync(KEYS_PATH, "utf8"));
+      const keys = Array.isArray(parsed.keys) ? parsed.keys : [];
+      cache = { mtimeMs, keys: keys.filter(isValidStoredKey) };
+    } catch (err) {
+      // Keep the last good keys rather than locking everyone out over a bad edit
+      console.error(`[Auth] Failed to load ${KEYS_PATH}:`, err.message);
+    }
+  }
+  return cache.keys;
+}
+
+/**
+ * Check that a stored key has a SHA-256 hash to compare against, logging it if not
+ * @param {object} key - Stored key
+ * @returns {boolean}
+ */
+function isValidStoredKey(key) {
+  const valid = typeof key?.hash === "string" && Buffer.from(key.hash, "hex").length === HASH_BYTES;
+  if (!valid) {
+    console.error(`[Auth] Ignoring key "${key?.name}" in ${KEYS_PATH}: its hash is not SHA-256`);
+  }
+  return valid;
+}
+
+/**
+ * Write the keys file atomically, readable only by its owner
+ * @param {object[]} keys - Stored keys
+ */
+function saveKeys(keys) {
+  const tempPath = `${KEYS_PATH}.${process.pid}.tmp`;
+  writeFileSync(tempPath, JSON.stringify({ keys }, null, 2), { encoding: "utf8", mode: 0o600 });
+  renameSync(tempPath, KEYS_PATH);
+  cache = { mtimeMs: statSync(KEYS_PATH).mtimeMs, keys };
+}
+
+/**
+ * Describe a stored key without its hash
+ * @param {object} key - Stored key
+ * @returns {object}
+ */
+function describeKey(key) {
+  return {
+    id: key.id,
+    name: key.name,
+    prefix: key.prefix,
+    scopes: key.scopes,
+    created: key.created,
+    rotated: key.rotated || null,
+    expires: key.expires || null,
+    rate_limit: key.rate_limit || null,
+    last_used: lastUsed.get(key.id) || null,
+  };
+}
+
+/**
+ * Get the path of the keys file
+ * @returns {string}
+ */
+export function getKeysPath() {
+  return KEYS_PATH;
+}
+
+/**
+ * Whether any key is configured; without one, requests are not authenticated
+ * @returns {boolean}
+ */
+export function isAuthConfigured() {
+  return !!LEGACY_KEY || loadKeys().length > 0;
+}
+
+/**
+ * Look up the key a request presented
+ * @param {string} secret - Value of the X-API-Key header
+ * @returns {{key: object|null, error: string|null}} The key ({ id, name, scopes, rateLimit }), or why it was refused
+ */
+export function verifyKey(secret) {
+  const hash = hashSecret(secret);
+
+  if (LEGACY_KEY && timingSafeEqual(hash, hashSecret(LEGACY_KEY))) {
+    return {
+      key: { id: "default", name: "default", scopes: ["admin"], rateLimit: DEFAULT_RATE_LIMIT },
+      error: null,
+    };
+  }
+
+  // Compare against every key, so the time taken does not depend on which matched
+  let found = null;
+  for (const key of loadKeys()) {
+    if (timingSafeEqual(hash, Buffer.from(key.hash, "hex")) && !found) {
+      found = key;
+    }
+  }
+
+  if (!found) {
+    return { key: null, error: "Invalid API key" };
+  }
+  if (found.expires && new Date(found.expires) <= new Date()) {
+    return { key: null, error: `API key "${found.name}" has expired` };
+  }
+
+  lastUsed.set(found.id, new Date().toISOString());
+  return {
+    key: {
+      id: found.id,
+      name: found.name,
+      scopes: found.scopes,
+      rateLimit: found.rate_limit || DEFAULT_RATE_LIMIT,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Check whether a key grants a scope
+ * @param {object} key - Key from verifyKey
+ * @param {string} scope - Scope
+ * @returns {boolean}
+ */
+export function hasScope(key, scope) {
+  return key.scopes.includes("admin") || key.scopes.includes(scope);
+}
+
+/**
+ * Count a request against a key's rate limit
+ * @param {object} key - Key from verifyKey
+ * @returns {{allowed: boolean, retryAfter: number}} retryAfter in seconds when not allowed
+ */
+export function consumeRateLimit(key) {
+  if (!key.rateLimit) {
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  const now = Date.now();
+  let window = windows.get(key.id);
+  if (!window || now - window.start >= RATE_WINDOW_MS) {
+    window = { start: now, count: 0 };
+    windows.set(key.id, window);
+  }
+
+  if (window.count >= key.rateLimit) {
+    return { allowed: false, retryAfter: Math.ceil((window.start + RATE_WINDOW_MS - now) / 1000) };
+  }
+  window.count++;
+  return { allowed: true, retryAfter: 0 };
+}
+
+/**
+ * Parse an expiry given as a number of days ("30", "30d") or a date
+ * @param {string|number} value - Expiry
+ * @returns {string|null} ISO time, or null for none
+ */
+export function parseExpiry(value) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const days = String(value).match(/^(\d+(?:\.\d+)?)d?$/);
+  const expires = days
+    ? new Date(Date.now() + parseFloat(days[1]) * 24 * 60 * 60 * 1000)
+    : new Date(value);
+  if (isNaN(expires.getTime())) {
+    throw new Error(`Invalid expiry "${value}". Use a number of days (e.g. 30d) or a date.`);
+  }
+  if (expires <= new Date()) {
+    throw new Error("Expiry must be in the future");
+  }
+  return expires.toISOString();
+}
+
+/**
+ * Find a stored key by ID or name
+ * @param {object[]} keys - Stored keys
+ * @param {string} idOrName - Key ID or name
+ * @returns {number} Index, or -1
+ */
+function findKeyIndex(keys, idOrName) {
+  return keys.findIndex((key) => key.id === idOrName || key.name === idOrName);
+}
+
+/**
+ * Generate a new secret and the fields stored for it
+ * @returns {{secret: string, hash: string, prefix: string}}
+ */
+function generateSecret() {
+  const secret = SECRET_PREFIX + randomBytes(24).toString("base64url");
+  return {
+    secret,
+    hash: hashSecret(secret).toString("hex"),
+    prefix: secret.slice(0, SECRET_PREFIX.length + 4),
+  };
+}
+
+/**
+ * List the stored keys
+ * @returns {object[]} Keys without their hashes
+ */
+export function listKeys() {
+  return loadKeys().map(describeKey);
+}
+
+/**
+ * Create a key
+ * @param {object} options - { name, scopes, expires (days or date), rateLimit (requests per minute) }
+ * @returns {{key: object, secret: string}} The key, and its secret (shown only this once)
+ */
+export function createKey(options = {}) {
+  const { name, scopes, expires, rateLimit } = options;
+  if (typeof name !== "string" || !/^[\w.@-]{1,64}$/.test(name)) {
+    throw new Error('Invalid key name. Use up to 64 letters, digits, ".", "_", "@" and "-".');
+  }
+  if (name === "default") {
+    throw new Error('The name "default" is reserved for API_KEY');
+  }
+  if (
+    !Array.isArray(scopes) ||
+    scopes.length === 0 ||
+    scopes.some((scope) => !SCOPES.includes(scope))
+  ) {
+    throw new Error(`Invalid scopes. Use one or more of: ${SCOPES.join(", ")}`);
+  }
+  if (
+    rateLimit !== undefined &&
+    rateLimit !== null &&
+    !(Number.isInteger(rateLimit) && rateLimit > 0)
+  ) {
+    throw new Error("Invalid rate limit. Must be a positive number of requests per minute.");
+  }
+
+  const keys = loadKeys();
+  if (findKeyIndex(keys, name) !== -1) {
+    throw new Error(`A key named "${name}" already exists`);
+  }
+
+  const { secret, hash, prefix } = generateSecret();
+  const key = {
+    id: `key_${randomBytes(6).toString("hex")}`,
+    name,
+    hash,
+    prefix,
+    scopes: [...new Set(scopes)],
+    created: new Date().toISOString(),
+    expires: parseExpiry(expires),
+    rate_limit: rateLimit || null,
+  };
+  saveKeys([...keys, key]);
+  return { key: describeKey(key), secret };
+}
+
+/**
+ * Replace a key's secret, keeping its name, scopes, expiry and rate limit
+ * @param {string} idOrName - Key ID or name
+ * @returns {{key: object, secret: string}|null} The key and its new secret, or null if not found
+ */
+export function rotateKey(idOrName) {
+  const keys = loadKeys();
+  const index = findKeyIndex(keys, idOrName);
+  if (index === -1) return null;
+
+  const { secret, hash, prefix } = generateSecret();
+  const key = { ...keys[index], hash, prefix, rotated: new Date().toISOString() };
+  saveKeys(keys.map((k, i) => (i === index ? key : k)));
+  return { key: describeKey(key), secret };
+}
+
+/**
+ * Revoke (delete) a key
+ * @param {string} idOrName - Key ID or name
+ * @returns {object|null} The revoked key, or null if not found
+ */
+export function revokeKey(idOrName) {
+  const keys = loadKeys();
+  const index = findKeyIndex(keys, idOrName);
+  if (index === -1) return null;
+
+  const revoked = keys[index];
+  saveKeys(keys.filter((_, i) => i !== index));
+  windows.delete(revoked.id);
+  lastUsed.delete(revoked.id);
+  return describeKey(revoked);
+}
@@ -0,0 +1,115 @@
+import { loadRegistry, getOnlineInstances, askRegistryInstance } from "./registry.js";
+
+/**
+ * Broadcast
+ *
+ * Sends one question to several registry instances in parallel, collects every
+ * answer (or error) and optionally asks a designated instance to synthesize
+ * a summary of the answers.
+ */
+
+/**
+ * Resolve the list of target instance names
+ * @param {string[]|string|undefined} instances - Names, or "all"/undefined for every online instance
+ * @returns {Promise<string[]>}
+ */
+export async function resolveBroadcastTargets(instances) {
+  if (!instances || instances === "all") {
+    return getOnlineInstances();
+  }
+  return [...new Set(instances)];
+}
+
+/**
+ * Build the prompt used to summarize broadcast answers
+ * @param {string} question - The original question
+ * @param {object[]} results - Successful per-instance results
+ * @returns {{question: string, context: string}}
+ */
+function buildSummaryRequest(question, results) {
+  const sections = results
+    .map((r) => `## Answer from ${r.instance}\n\n${r.answer}`)
+    .join("\n\n---\n\n");
+
+  return {
+    question:
+      `The question "${question}" was sent to ${results.length} specialist instances. ` +
+      "Summarize their answers: where they agree, where they differ, and an overall recommendation.",
+    context: sections,
+  };
+}
+
+/**
+ * Send a question to several registry instances and aggregate the answers
+ * @param {string} question - The question to broadcast
+ * @param {object} options - Broadcast options
+ * @param {string[]|string} options.instances - Target names, or "all" for every online instance
+ * @param {string} options.context - Optional context sent to every instance
+ * @param {string} options.summarizeWith - Optional instance that writes a combined summary
+ * @param {number} options.timeout - Per-instance timeout in ms
+ * @param {AbortSignal} options.signal - Cancels every outstanding request when aborted
+ * @returns {Promise<object>} Per-instance results and optional summary
+ */
+export async function broadcastQuestion(question, options = {}) {
+  const startTime = Date.now();
+  const targets = await resolveBroadcastTargets(options.instances);
+
+  const body = {
+    question,
+    ...(options.context && { context: options.context }),
+  };
+
+  const results = await Promise.all(
+    targets.map((name) =>
+      askRegistryInstance(name, body, { timeout: options.timeout, signal: options.signal }),
+    ),
+  );
+
+  let summary = null;
+  const answered = results.filter((r) => r.success);
+
+  if (options.summarizeWith && answered.length > 0 && !options.signal?.aborted) {
+    const summaryResult = await askRegistryInstance(
+      options.summarizeWith,
+      { ...buildSummaryRequest(question, answered), use_memory: false, save_to_memory: false },
+      { timeout: options.timeout, signal: options.signal },
+    );
+    summary = {
+      instance: options.summarizeWith,
+      success: summaryResult.success,
+      answer: summaryResult.answer || null,
+      duration_ms: summaryResult.duration_ms ?? null,
+      round_trip_ms: summaryResult.round_trip_ms,
+      ...(summaryResult.error && { error: summaryResult.error }),
+    };
+  }
+
+  return {
+    question,
+    instances: targets,
+    results: results.map((r) => ({
+      instance: r.instance,
+      success: r.success,
+      answer: r.answer || null,
+      instance_name: r.instance_name || null,
+      session_id: r.session_id || null,
+      duration_ms: r.duration_ms ?? null,
+      round_trip_ms: r.round_trip_ms,
+      ...(r.error && { error: r.error }),
+    })),
+    succeeded: answered.length,
+    failed: results.length - answered.length,
+    summary,
+    duration_ms: Date.now() - startTime,
+  };
+}
+
+/**
+ * Check that every named instance exists in the registry
+ * @param {string[]} names - Instance names
+ * @returns {string[]} Names that are not in the registry
+ */
+export function findUnknownInstances(names) {
+  const { instances } = loadRegistry();
+  return names.filter((name) => !Object.hasOwn(instances, name));
+}
@@ -1,26 +1,22 @@
 import { spawn } from "child_process";
 import { v4 as uuidv4 } from "uuid";
+import { getInstanceToolPolicy } from "./tool-policy.js";
 
 const TIMEOUT_MS = parseInt(process.env.CLAUDE_CODE_TIMEOUT || "60000", 10);
 const CLAUDE_PATH = process.env.CLAUDE_CODE_PATH || "claude";
-const ALLOWED_TOOLS = process.env.CLAUDE_CODE_ALLOWED_TOOLS || "";
 const SYSTEM_PROMPT = process.env.CLAUDE_SYSTEM_PROMPT || "";
 const INSTANCE_NAME = process.env.INSTANCE_NAME || "unnamed-instance";
 const CLAUDE_MODEL = process.env.CLAUDE_MODEL || "";
 const WORKING_DIR = process.env.CLAUDE_WORKING_DIR || "/tmp";
 
 /**
- * Invoke Claude Code in headless mode with the given question
+ * Build the prompt sent to Claude Code from the persona, context and question
  *
  * @param {string} question - The question to ask Claude
  * @param {string} context - Optional context to prepend
- * @param {string} sessionId - Optional session ID for conversation continuity
- * @returns {Promise<{response: string, sessionId: string, duration: number, instanceName: string}>}
+ * @returns {string}
  */
-export async function invokeClaudeCode(question, context, sessionId) {
-  const startTime = Date.now();
-
-  // Build the prompt with optional system prompt and context
+function buildPrompt(question, context) {
   let prompt = "";
 
   if (SYSTEM_PROMPT) {
@@ -32,47 +28,129 @@ export async function invokeClaudeCode(question, context, sessionId) {
   }
 
   prompt += question;
+  return prompt;
+}
 
-  // Build command arguments
+/**
+ * Build the CLI arguments for a headless Claude Code run
+ *
+ * @param {string} prompt - The full prompt
+ * @param {string} sessionId - Optional session ID to resume
+ * @param {string} outputFormat - "json" or "stream-json"
+ * @param {object} toolPolicy - Tool policy (default: the instance's, see tool-policy.js)
+ * @returns {string[]}
+ */
+function buildArgs(prompt, sessionId, outputFormat, toolPolicy = getInstanceToolPolicy()) {
   const args = [];
 
   if (sessionId) {
     args.push("--resume", sessionId);
   }
 
-  args.push("--print", prompt, "--output-format", "json", "--dangerously-skip-permissions");
+  args.push("--print", prompt, "--output-format", outputFormat);
+
+  if (toolPolicy.permissionMode === "bypassPermissions") {
+    args.push("--dangerously-skip-permissions");
+  } else {
+    args.push("--permission-mode", toolPolicy.permissionMode);
+  }
+
+  // stream-json requires --verbose in print mode; partial messages give us token deltas
+  if (outputFormat === "stream-json") {
+    args.push("--verbose", "--include-partial-messages");
+  }
 
   if (CLAUDE_MODEL) {
     args.push("--model", CLAUDE_MODEL);
   }
 
-  if (ALLOWED_TOOLS) {
-    args.push("--allowedTools", ALLOWED_TOOLS);
+  if (toolPolicy.allowedTools) {
+    args.push("--allowedTools", toolPolicy.allowedTools.join(","));
+  }
+
+  if (toolPolicy.disallowedTools.length > 0) {
+    args.push("--disallowedTools", toolPolicy.disallowedTools.join(","));
   }
 
+  return args;
+}
+
+/**
+ * Spawn the Claude Code CLI with stdin closed
+ *
+ * @param {string[]} args - CLI arguments
+ * @param {string} workingDir - Directory to run in (default CLAUDE_WORKING_DIR)
+ * @returns {import("child_process").ChildProcess}
+ */
+function spawnClaude(args, workingDir = WORKING_DIR) {
+  const child = spawn(CLAUDE_PATH, args, {
+    stdio: ["pipe", "pipe", "pipe"],
+    env: { ...process.env },
+    cwd: workingDir,
+  });
+
+  // Close stdin immediately to signal we're not sending input
+  child.stdin.end();
+
+  return child;
+}
+
+/**
+ * Terminate a Claude Code child process, escalating to SIGKILL if needed
+ *
+ * @param {import("child_process").ChildProcess} child
+ */
+function killClaude(child) {
+  child.kill("SIGTERM");
+  setTimeout(() => {
+    if (!child.killed) {
+      child.kill("SIGKILL");
+    }
+  }, 5000);
+}
+
+/**
+ * Invoke Claude Code in headless mode with the given question
+ *
+ * @param {string} question - The question to ask Claude
+ * @param {string} context - Optional context to prepend
+ * @param {string} sessionId - Optional session ID for conversation continuity
+ * @param {object} options - Invocation options
+ * @param {AbortSignal} options.signal - Optional signal that terminates the run when aborted
+ * @param {string} options.workingDir - Project directory to run in (default CLAUDE_WORKING_DIR)
+ * @param {object} options.toolPolicy - Tools and permission mode (default: the instance's policy)
+ * @returns {Promise<{response: string, sessionId: string, duration: number, instanceName: string}>}
+ */
+export async function invokeClaudeCode(question, context, sessionId, options = {}) {
+  const { signal, workingDir, toolPolicy } = options;
+  const startTime = Date.now();
+  const args = buildArgs(buildPrompt(question, context), sessionId, "json", toolPolicy);
+
   return new Promise((resolve, reject) => {
     let stdout = "";
     let stderr = "";
 
-    const child = spawn(CLAUDE_PATH, args, {
-      stdio: ["pipe", "pipe", "pipe"],
-      env: { ...process.env },
-      cwd: WORKING_DIR,
-    });
-
-    // Close stdin immediately to signal we're not sending input
-    child.stdin.end();
+    const child = spawnClaude(args, workingDir);
 
     const timeoutId = setTimeout(() => {
-      child.kill("SIGTERM");
-      setTimeout(() => {
-        if (!child.killed) {
-          child.kill("SIGKILL");
-        }
-      }, 5000);
+      killClaude(child);
       reject(new Error(`Claude Code timed out after ${TIMEOUT_MS}ms`));
     }, TIMEOUT_MS);
 
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      killClaude(child);
+      reject(new Error("Claude Code request was cancelled"));
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+
     child.stdout.on("data", (data) => {
       stdout += data.toString();
     });
@@ -83,6 +161,7 @@ export async function invokeClaudeCode(question, context, sessionId) {
 
     child.on("close", (code) => {
       clearTimeout(timeoutId);
+      signal?.removeEventListener("abort", onAbort);
       const duration = Date.now() - startTime;
 
       if (code !== 0) {
@@ -113,6 +192,156 @@ export async function invokeClaudeCode(question, context, sessionId) {
 
     child.on("error", (err) => {
       clearTimeout(timeoutId);
+      signal?.removeEventListener("abort", onAbort);
+      reject(new Error(`Failed to spawn Claude Code: ${err.message}`));
+    });
+  });
+}
+
+/**
+ * Invoke Claude Code with stream-json output, reporting progress as it arrives
+ *
+ * Events passed to onEvent:
+ * - { type: "text", text } - a chunk of answer text
+ * - { type: "tool_use", name, input } - Claude invoked a tool
+ *
+ * @param {string} question - The question to ask Claude
+ * @param {string} context - Optional context to prepend
+ * @param {string} sessionId - Optional session ID for conversation continuity
+ * @param {object} options - Streaming options
+ * @param {function} options.onEvent - Called for each partial event
+ * @param {AbortSignal} options.signal - Optional signal that terminates the run when aborted
+ * @param {string} options.workingDir - Project directory to run in (default CLAUDE_WORKING_DIR)
+ * @param {object} options.toolPolicy - Tools and permission mode (default: the instance's policy)
+ * @returns {Promise<{response: string, sessionId: string, duration: number, instanceName: string}>}
+ */
+export async function invokeClaudeCodeStream(question, context, sessionId, options = {}) {
+  const { onEvent = () => {}, signal, workingDir, toolPolicy } = options;
+  const startTime = Date.now();
+  const args = buildArgs(buildPrompt(question, context), sessionId, "stream-json", toolPolicy);
+
+  return new Promise((resolve, reject) => {
+    let buffer = "";
+    let stderr = "";
+    let streamedText = "";
+    let sawPartialText = false;
+    let resolvedSessionId = sessionId;
+    let finalResult = null;
+
+    const child = spawnClaude(args, workingDir);
+
+    const timeoutId = setTimeout(() => {
+      killClaude(child);
+      reject(new Error(`Claude Code timed out after ${TIMEOUT_MS}ms`));
+    }, TIMEOUT_MS);
+
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      killClaude(child);
+      reject(new Error("Claude Code request was cancelled"));
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+
+    const emitText = (text) => {
+      if (!text) return;
+      streamedText += text;
+      onEvent({ type: "text", text });
+    };
+
+    const handleMessage = (message) => {
+      if (message.session_id) {
+        resolvedSessionId = message.session_id;
+      }
+
+      switch (message.type) {
+        case "stream_event": {
+          const event = message.event || {};
+          if (event.type === "content_block_delta" && event.delta?.type === "text_delta") {
+            sawPartialText = true;
+            emitText(event.delta.text);
+          }
+          break;
+        }
+        case "assistant": {
+          for (const block of message.message?.content || []) {
+            if (block.type === "tool_use") {
+              onEvent({ type: "tool_use", name: block.name, input: block.input });
+            } else if (block.type === "text" && !sawPartialText) {
+              // CLI without partial message support - forward whole text blocks
+              emitText(block.text);
+            }
+          }
+          break;
+        }
+        case "result":
+          finalResult = message;
+          break;
+      }
+    };
+
+    child.stdout.on("data", (data) => {
+      buffer += data.toString();
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf("\n")) !== -1) {
+        const line = buffer.substring(0, newlineIndex).trim();
+        buffer = buffer.substring(newlineIndex + 1);
+        if (!line) continue;
+        try {
+          handleMessage(JSON.parse(line));
+        } catch (parseError) {
+          // Non-JSON line - treat as plain answer text
+          emitText(line + "\n");
+        }
+      }
+    });
+
+    child.stderr.on("data", (data) => {
+      stderr += data.toString();
+    });
+
+    child.on("close", (code) => {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener("abort", onAbort);
+      const duration = Date.now() - startTime;
+
+      if (buffer.trim()) {
+        try {
+          handleMessage(JSON.parse(buffer.trim()));
+        } catch (parseError) {
+          emitText(buffer);
+        }
+      }
+
+      if (code !== 0) {
+        return reject(
+          new Error(`Claude Code exited with code ${code}: ${stderr || "Unknown error"}`),
+        );
+      }
+
+      if (finalResult?.is_error) {
+        return reject(
+          new Error(`Claude Code reported an error: ${finalResult.result || "Unknown error"}`),
+        );
+      }
+
+      resolve({
+        response: finalResult?.result || streamedText.trim(),
+        sessionId: resolvedSessionId || uuidv4(),
+        duration,
+        instanceName: INSTANCE_NAME,
+      });
+    });
+
+    child.on("error", (err) => {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener("abort", onAbort);
       reject(new Error(`Failed to spawn Claude Code: ${err.message}`));
     });
   });
@@ -0,0 +1,263 @@
+import { askRegistryInstance } from "./registry.js";
+
+/**
+ * Consensus / Debate
+ *
+ * Several registry instances answer a question independently, then see each
+ * other's answers for one or more critique rounds. Each participant keeps its
+ * own session_id across rounds, so it remembers what it said before. The
+ * debate ends with a judge instance's consolidated recommendation or, without
+ * a judge, a vote among the participants. Dissent is reported either way.
+ */
+
+/**
+ * Summarize a participant's /ask result for the debate transcript
+ * @param {object} result - askRegistryInstance result
+ * @returns {object}
+ */
+function toResponse(result) {
+  return {
+    instance: result.instance,
+    success: result.success,
+    answer: result.answer || null,
+    session_id: result.session_id || null,
+    duration_ms: result.duration_ms ?? null,
+    round_trip_ms: result.round_trip_ms,
+    ...(result.error && { error: result.error }),
+  };
+}
+
+/**
+ * Format answers as context, one section per instance
+ * @param {object[]} answers - [{instance, answer}]
+ * @returns {string}
+ */
+function formatAnswers(answers) {
+  return answers.map((a) => `## Answer from ${a.instance}\n\n${a.answer}`).join("\n\n---\n\n");
+}
+
+/**
+ * Ask every active participant in parallel, continuing its own session
+ * @param {object[]} participants - [{instance, session_id, answer, active}]
+ * @param {function(object): object} buildBody - Builds the /ask body for a participant
+ * @param {object} options - { timeout, signal }
+ * @returns {Promise<object[]>} Responses for this round
+ */
+async function runRound(participants, buildBody, options) {
+  const active = participants.filter((p) => p.active);
+
+  const results = await Promise.all(
+    active.map((p) =>
+      askRegistryInstance(
+        p.instance,
+        { ...buildBody(p), ...(p.session_id && { session_id: p.session_id }) },
+        { timeout: options.timeout, signal: options.signal },
+      ),
+    ),
+  );
+
+  return results.map((result, i) => {
+    const participant = active[i];
+    if (result.success) {
+      participant.session_id = result.session_id || participant.session_id;
+      participant.answer = result.answer;
+    } else {
+      // A participant that fails a round drops out of the rest of the debate
+      participant.active = false;
+    }
+    return toResponse(result);
+  });
+}
+
+/**
+ * Extract a vote from a participant's answer
+ *
+ * Without a JSON vote, a plain-text answer counts only if it names exactly
+ * one candidate as a whole word; otherwise the participant abstains.
+ * @param {string} text - Vote answer
+ * @param {string[]} candidates - Names that can be voted for
+ * @returns {{vote: string|null, reason: string}}
+ */
+export function parseVote(text, candidates) {
+  const json = text.match(/\{[\s\S]*\}/);
+  if (json) {
+    try {
+      const parsed = JSON.parse(json[0]);
+      if (candidates.includes(parsed.vote)) {
+        return { vote: parsed.vote, reason: parsed.reason || "" };
+      }
+    } catch {
+      // Fall through to a plain-text match
+    }
+  }
+
+  const named = candidates.filter((name) => {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return new RegExp(`(?<![\\w-])${escaped}(?![\\w-])`).test(text);
+  });
+  return { vote: named.length === 1 ? named[0] : null, reason: text.trim() };
+}
+
+/**
+ * Ask the judge for a consolidated recommendation
+ * @param {string} question - The debated question
+ * @param {string} judge - Judge instance name
+ * @param {object[]} finalists - Participants still active
+ * @param {object} options - { timeout, signal }
+ * @returns {Promise<object>}
+ */
+async function judgeDebate(question, judge, finalists, options) {
+  const result = await askRegistryInstance(
+    judge,
+    {
+      question:
+        `Several specialists debated this question: "${question}". ` +
+        "Give a consolidated recommendation based on their final positions. " +
+        'End with a "Dissent" section listing which participants disagree with the recommendation and why.',
+      context: formatAnswers(finalists),
+      use_memory: false,
+      save_to_memory: false,
+    },
+    { timeout: options.timeout, signal: options.signal },
+  );
+
+  return {
+    method: "judge",
+    ...toResponse(result),
+    recommendation: result.answer || null,
+  };
+}
+
+/**
+ * Have the participants vote for the strongest final answer
+ * @param {object[]} finalists - Participants still active
+ * @param {object} options - { timeout, signal }
+ * @returns {Promise<object>}
+ */
+async function voteOnDebate(finalists, options) {
+  const candidates = finalists.map((p) => p.instance);
+  const context = formatAnswers(finalists);
+
+  const results = await Promise.all(
+    finalists.map((p) =>
+      askRegistryInstance(
+        p.instance,
+        {
+          question:
+            `Vote for the strongest final answer among: ${candidates.join(", ")}. ` +
+            'Reply with JSON only: {"vote": "instance name", "reason": "why"}',
+          context,
+          session_id: p.session_id,
+          use_memory: false,
+          save_to_memory: false,
+        },
+        { timeout: options.timeout, signal: options.signal },
+      ),
+    ),
+  );
+
+  const votes = results.map((r) => ({
+    instance: r.instance,
+    ...(r.success ? parseVote(r.answer, candidates) : { vote: null, reason: r.error }),
+  }));
+
+  const tally = Object.fromEntries(candidates.map((name) => [name, 0]));
+  for (const { vote } of votes) {
+    if (vote) tally[vote]++;
+  }
+
+  const top = Math.max(0, ...Object.values(tally));
+  const leaders = candidates.filter((name) => tally[name] === top && top > 0);
+  // A tie has no single winner; the tied leaders are visible in the tally
+  const winner = leaders.length === 1 ? leaders[0] : null;
+
+  return {
+    method: "vote",
+    votes,
+    tally,
+    winner,
+    recommendation: winner ? finalists.find((p) => p.instance === winner).answer : null,
+    dissent: votes.filter((v) => v.vote !== winner),
+  };
+}
+
+/**
+ * Run a debate between registry instances
+ * @param {string} question - The question to debate
+ * @param {object} options - Debate options
+ * @param {string[]} options.instances - Participant instance names
+ * @param {number} options.rounds - Number of critique rounds after the initial answers
+ * @param {string} options.judge - Optional judge instance; participants vote when omitted
+ * @param {string} options.context - Optional context for the initial answers
+ * @param {number} options.timeout - Per-request timeout in ms
+ * @param {AbortSignal} options.signal - Cancels outstanding requests
+ * @returns {Promise<object>} Full debate transcript and verdict
+ */
+export async function runDebate(question, options = {}) {
+  const startTime = Date.now();
+  const participants = options.instances.map((instance) => ({
+    instance,
+    session_id: null,
+    answer: null,
+    active: true,
+  }));
+  const rounds = [];
+
+  // Round 0: independent answers
+  rounds.push({
+    round: 0,
+    type: "answer",
+    responses: await runRound(
+      participants,
+      () => ({ question, ...(options.context && { context: options.context }) }),
+      options,
+    ),
+  });
+
+  // Critique rounds: each participant sees the others' latest answers
+  for (let round = 1; round <= options.rounds; round++) {
+    if (participants.filter((p) => p.active).length < 2) break;
+
+    const snapshot = participants
+      .filter((p) => p.active)
+      .map((p) => ({ instance: p.instance, answer: p.answer }));
+
+    rounds.push({
+      round,
+      type: "critique",
+      responses: await runRound(
+        participants,
+        (p) => ({
+          question:
+            `Other participants answered the same question: "${question}". ` +
+            "Critique their answers, then give your revised answer. Say explicitly if you still disagree.",
+          context: formatAnswers(snapshot.filter((a) => a.instance !== p.instance)),
+          use_memory: false,
+          save_to_memory: false,
+        }),
+        options,
+      ),
+    });
+  }
+
+  const finalists = participants.filter((p) => p.active);
+  let verdict = null;
+  if (finalists.length > 0) {
+    verdict = options.judge
+      ? await judgeDebate(question, options.judge, finalists, options)
+      : await voteOnDebate(finalists, options);
+  }
+
+  return {
+    question,
+    participants: participants.map((p) => ({
+      instance: p.instance,
+      session_id: p.session_id,
+      active: p.active,
+      final_answer: p.answer,
+    })),
+    rounds,
+    verdict,
+    duration_ms: Date.now() - startTime,
+  };
+}
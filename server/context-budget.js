@@ -0,0 +1,221 @@
+/**
+ * Context Budget Manager
+ *
+ * Fits the context sent with a question - caller context, matched package
+ * CLAUDE.md files, memory and the root CLAUDE.md - into one token budget.
+ * Sources are allocated tokens by priority: every source present first gets
+ * a minimum share (or all it needs, if less), then the rest of the budget
+ * goes to sources in priority order. A source over its allocation is
+ * condensed to an outline of its markdown sections and, if still too large,
+ * truncated at a paragraph boundary.
+ */
+
+export const CONTEXT_SOURCES = ["caller", "packages", "memory", "root"];
+
+const TRUNCATION_MARKER = "\n\n[... truncated to fit the context budget]";
+const CONDENSED_MARKER = "\n\n[... condensed to section outlines to fit the context budget]";
+
+// Word, number, single symbol, or whitespace run; a single leading space joins the next piece
+const TOKEN_PIECE = / ?[\p{L}\p{M}]+| ?\p{N}+| ?[^\s\p{L}\p{M}\p{N}]|\s+/gu;
+
+/**
+ * Estimate the number of tokens in a text
+ *
+ * Approximates a BPE tokenizer piece by piece instead of dividing the length
+ * by four, which undercounts code, numbers and non-English text: common
+ * words are one token, long words one per six letters, numbers one per
+ * three digits, symbols one each and non-Latin letters one each. It errs on
+ * the high side.
+ *
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+
+  let tokens = 0;
+  for (const [piece] of text.matchAll(TOKEN_PIECE)) {
+    const word = piece.trimStart();
+    if (!word) {
+      // Whitespace: newlines and indentation
+      tokens += Math.ceil(piece.length / 8);
+    } else if (/^[A-Za-z]+$/.test(word)) {
+      tokens += 1 + Math.floor((word.length - 1) / 6);
+    } else if (/^\p{N}+$/u.test(word)) {
+      tokens += Math.ceil(word.length / 3);
+    } else {
+      // Symbols, and letters outside ASCII
+      tokens += word.length;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Split markdown into blocks separated by blank lines, keeping fenced code blocks whole
+ * @param {string} text - Markdown text
+ * @returns {string[]}
+ */
+function splitBlocks(text) {
+  const blocks = [];
+  let current = [];
+  let inFence = false;
+
+  for (const line of text.split("\n")) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    }
+    if (!inFence && line.trim() === "") {
+      if (current.length > 0) blocks.push(current.join("\n"));
+      current = [];
+    } else {
+      current.push(line);
+    }
+  }
+  if (current.length > 0) blocks.push(current.join("\n"));
+  return blocks;
+}
+
+/**
+ * Condense markdown to an outline: every heading with the first paragraph under it
+ * @param {string} text - Markdown text
+ * @returns {string|null} Outline, or null if the text has no headings
+ */
+function outlineMarkdown(text) {
+  const blocks = splitBlocks(text);
+  if (!blocks.some((block) => /^#{1,6} /.test(block))) {
+    return null;
+  }
+
+  const kept = [];
+  let keepNext = true;
+  for (const block of blocks) {
+    if (/^#{1,6} /.test(block)) {
+      kept.push(block);
+      keepNext = true;
+    } else if (keepNext && !/^\s*(```|~~~)/.test(block)) {
+      kept.push(block);
+      keepNext = false;
+    }
+  }
+  return kept.join("\n\n");
+}
+
+/**
+ * Cut text to a token limit, at a paragraph boundary where possible
+ * @param {string} text - Text to cut
+ * @param {number} maxTokens - Token limit, including the truncation marker
+ * @returns {string} Truncated text, or "" if not even a line fits
+ */
+function truncateToTokens(text, maxTokens) {
+  const limit = maxTokens - estimateTokens(TRUNCATION_MARKER);
+  if (limit <= 0) return "";
+
+  const kept = [];
+  let used = 0;
+  for (const block of splitBlocks(text)) {
+    const tokens = estimateTokens(block) + 1;
+    if (used + tokens > limit) {
+      // Fill what is left with the block's leading lines
+      for (const line of block.split("\n")) {
+        const lineTokens = estimateTokens(line) + 1;
+        if (used + lineTokens > limit) break;
+        kept.push(line);
+        used += lineTokens;
+      }
+      break;
+    }
+    kept.push(block + "\n");
+    used += tokens;
+  }
+
+  const truncated = kept.join("\n").trimEnd();
+  return truncated ? truncated + TRUNCATION_MARKER : "";
+}
+
+/**
+ * Fit one source into its allocation
+ * @param {string} text - Source text
+ * @param {number} allocated - Tokens allocated to the source
+ * @returns {{text: string, action: string}} action: full, condensed, truncated or dropped
+ */
+function fitSource(text, allocated) {
+  if (estimateTokens(text) <= allocated) {
+    return { text, action: "full" };
+  }
+
+  const outline = outlineMarkdown(text);
+  if (outline && estimateTokens(outline + CONDENSED_MARKER) <= allocated) {
+    return { text: outline + CONDENSED_MARKER, action: "condensed" };
+  }
+
+  const truncated = truncateToTokens(outline || text, allocated);
+  return truncated ? { text: truncated, action: "truncated" } : { text: "", action: "dropped" };
+}
+
+/**
+ * Split a token budget across sources by priority
+ * @param {object[]} sources - [{ source, tokens }] in priority order
+ * @param {number} maxTokens - Total budget
+ * @param {number} minShare - Fraction of the budget each source is guaranteed (up to its need)
+ * @returns {number[]} Tokens allocated to each source
+ */
+function allocate(sources, maxTokens, minShare) {
+  let remaining = maxTokens;
+  const allocations = sources.map(({ tokens }) => {
+    const share = Math.min(tokens, Math.floor(maxTokens * minShare), remaining);
+    remaining -= share;
+    return share;
+  });
+
+  sources.forEach(({ tokens }, i) => {
+    const extra = Math.min(tokens - allocations[i], remaining);
+    allocations[i] += extra;
+    remaining -= extra;
+  });
+  return allocations;
+}
+
+/**
+ * Fit context sources into a token budget
+ * @param {object} texts - Source texts keyed by source name (caller, packages, memory, root)
+ * @param {object} options - { maxTokens (0 = unlimited), priority (source names, highest first), minShare }
+ * @returns {{texts: object, usage: object}} Fitted texts by source, and the usage report
+ */
+export function applyContextBudget(texts, options = {}) {
+  const maxTokens = options.maxTokens || 0;
+  const priority = [
+    ...(options.priority || []).filter((name) => CONTEXT_SOURCES.includes(name)),
+    ...CONTEXT_SOURCES.filter((name) => !options.priority?.includes(name)),
+  ];
+
+  const sources = priority
+    .filter((name) => texts[name])
+    .map((name) => ({ source: name, tokens: estimateTokens(texts[name]) }));
+  const allocations =
+    maxTokens > 0
+      ? allocate(sources, maxTokens, options.minShare ?? 0.1)
+      : sources.map(({ tokens }) => tokens);
+
+  const fitted = {};
+  const report = sources.map(({ source, tokens }, i) => {
+    const { text, action } = fitSource(texts[source], allocations[i]);
+    fitted[source] = text;
+    return {
+      source,
+      tokens: estimateTokens(text),
+      original_tokens: tokens,
+      allocated_tokens: allocations[i],
+      action,
+    };
+  });
+
+  return {
+    texts: fitted,
+    usage: {
+      max_tokens: maxTokens || null,
+      used_tokens: report.reduce((sum, entry) => sum + entry.tokens, 0),
+      sources: report,
+    },
+  };
+}
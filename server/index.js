@@ -4,7 +4,23 @@ import "./config.js";
 import express from "express";
 import { createLogger, format, transports } from "winston";
 import { authenticate } from "./middleware/auth.js";
-import { invokeClaudeCode, checkClaudeAvailability, getInstanceInfo } from "./claude-handler.js";
+import { cors, loadCorsPolicy } from "./middleware/cors.js";
+import { loadInstanceIdentity, getInstancePublicKey } from "./instance-identity.js";
+import {
+  isAuthConfigured,
+  hasScope,
+  getKeysPath,
+  listKeys,
+  createKey,
+  rotateKey,
+  revokeKey,
+} from "./api-keys.js";
+import {
+  invokeClaudeCode,
+  invokeClaudeCodeStream,
+  checkClaudeAvailability,
+  getInstanceInfo,
+} from "./claude-handler.js";
 import {
   initializeMemory,
   isMemoryEnabled,
@@ -14,13 +30,56 @@ import {
   search as searchMemory,
   getRecent as getRecentMemory,
   getConversation,
+  getBranches,
+  deleteConversation as deleteMemoryConversation,
+  updateConversation as updateMemoryConversation,
+  updateExchange as updateMemoryExchange,
+  exportMemory,
+  importMemory,
+  compactMemory,
 } from "./memory/index.js";
+import {
+  isSharedServeEnabled,
+  isValidNamespace,
+  findNamespaceContext,
+  recordToNamespace,
+} from "./memory/shared.js";
 import {
   buildPackageContext,
   discoverPackages,
-  getPackageContextSummary,
+  getPackageCatalogInfo,
+  initPackageCatalog,
+  MAX_DEPENDENCY_DEPTH,
+  refreshPackageCatalog,
+  resolvePackages,
+  scorePackages,
 } from "./package-context.js";
+import {
+  enqueueJob,
+  runQueued,
+  getJob,
+  cancelJob,
+  describeJob,
+  getQueueMetrics,
+  validateJobTimeout,
+} from "./job-queue.js";
+import { validateRemoteTimeout } from "./registry.js";
+import { broadcastQuestion, resolveBroadcastTargets, findUnknownInstances } from "./broadcast.js";
+import { loadPipelines, getPipeline, validatePipeline, runPipeline } from "./pipelines.js";
+import { loadProjects, listProjects, getProject, projectInvocation } from "./projects.js";
+import {
+  loadToolPolicies,
+  validateToolRequest,
+  resolveToolPolicy,
+  describeToolPolicy,
+} from "./tool-policy.js";
+import { orchestrateTask, getOrchestration, listOrchestrations } from "./orchestrator.js";
+import { runDebate } from "./consensus.js";
+import { formatTranscript, replayConversation } from "./replay.js";
+import { applyContextBudget } from "./context-budget.js";
+import { loadServerTlsOptions } from "./tls.js";
 import { readFileSync } from "fs";
+import { createServer } from "https";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import { networkInterfaces } from "os";
@@ -39,16 +98,43 @@ try {
 
 const PORT = parseInt(process.env.PORT || "3001", 10);
 const HOST = process.env.HOST || "0.0.0.0";
-const MAX_CONCURRENT = parseInt(process.env.MAX_CONCURRENT_REQUESTS || "2", 10);
+
+// Require an API key (any scope) for /health; public by default for load balancers
+const HEALTH_REQUIRES_KEY = process.env.HEALTH_REQUIRES_KEY === "true";
+
+// HTTPS: served when TLS_CERT and TLS_KEY are set
+const TLS_CLIENT_AUTH = process.env.TLS_CLIENT_AUTH || "none"; // none, optional or required
+
+// Upper bound on critique rounds in a single debate
+const DEBATE_MAX_ROUNDS = parseInt(process.env.DEBATE_MAX_ROUNDS || "3", 10);
 
 // Memory configuration
 const MEMORY_ENABLED = process.env.MEMORY_ENABLED === "true";
 const MEMORY_STORAGE_PATH = process.env.MEMORY_STORAGE_PATH || "./memory";
 const MEMORY_MAX_CONTEXT_ITEMS = parseInt(process.env.MEMORY_MAX_CONTEXT_ITEMS || "3", 10);
 const MEMORY_MAX_CONTEXT_TOKENS = parseInt(process.env.MEMORY_MAX_CONTEXT_TOKENS || "2000", 10);
+const MEMORY_IMPORT_MAX_SIZE = process.env.MEMORY_IMPORT_MAX_SIZE || "50mb";
+// Signed imports are read before the signature is checked, so they get a smaller limit
+const MEMORY_IMPORT_SIGNED_MAX_SIZE = process.env.MEMORY_IMPORT_SIGNED_MAX_SIZE || "1mb";
+
+// Shared memory namespaces (opt-in)
+const parseList = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+const MEMORY_SHARED_READ = parseList(process.env.MEMORY_SHARED_READ);
+const MEMORY_SHARED_WRITE = parseList(process.env.MEMORY_SHARED_WRITE);
 
 // Package context configuration
 const PACKAGE_CONTEXT_ENABLED = process.env.PACKAGE_CONTEXT_ENABLED !== "false"; // Enabled by default
+const PACKAGE_WATCH = process.env.PACKAGE_WATCH !== "false"; // Watch the working directory for package changes
+const PACKAGE_REFRESH_INTERVAL = parseInt(process.env.PACKAGE_REFRESH_INTERVAL || "300", 10); // Seconds, when not watching
+
+// Context budget: total tokens for package, memory and caller context (0 = unlimited)
+const CONTEXT_MAX_TOKENS = parseInt(process.env.CONTEXT_MAX_TOKENS || "32000", 10);
+const CONTEXT_PRIORITY = parseList(process.env.CONTEXT_PRIORITY || "caller,packages,memory,root");
+const CONTEXT_MIN_SHARE = parseFloat(process.env.CONTEXT_MIN_SHARE || "0.1");
 
 // Working directory
 const WORKING_DIR = process.env.CLAUDE_WORKING_DIR || "/tmp";
@@ -89,38 +175,16 @@ const logger = createLogger({
   ],
 });
 
-// Concurrency control
-let activeRequests = 0;
-
-async function executeWithConcurrencyLimit(fn) {
-  if (activeRequests >= MAX_CONCURRENT) {
-    throw new Error("Server at capacity. Please retry later.");
-  }
-
-  activeRequests++;
-  try {
-    return await fn();
-  } finally {
-    activeRequests--;
-  }
-}
-
 // Express app setup
 const app = express();
-app.use(express.json());
+// Keep the raw body, which signatures from other instances cover
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ verify: keepRawBody }));
 
-// CORS middleware - allow cross-origin requests from Web UI
-app.use((req, res, next) => {
-  res.header("Access-Control-Allow-Origin", "*");
-  res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.header("Access-Control-Allow-Headers", "Content-Type, X-API-Key");
-
-  // Handle preflight requests
-  if (req.method === "OPTIONS") {
-    return res.sendStatus(200);
-  }
-  next();
-});
+// CORS middleware - only allowed web pages (by default the local Web UI) may call
+app.use(cors);
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -133,20 +197,26 @@ app.use((req, res, next) => {
       status: res.statusCode,
       duration: `${duration}ms`,
       ip: req.ip,
+      key: req.apiKey?.name,
+      tools: req.toolPolicy && describeToolPolicy(req.toolPolicy),
     });
   });
   next();
 });
 
 // Health check endpoint
-app.get("/health", async (req, res) => {
+app.get("/health", HEALTH_REQUIRES_KEY ? authenticate() : [], async (req, res) => {
   const claudeAvailable = await checkClaudeAvailability();
   const instanceInfo = getInstanceInfo();
   const memoryStats = await getMemoryStats();
 
-  // Get package info
-  const packages = PACKAGE_CONTEXT_ENABLED ? discoverPackages() : [];
+  // Get package info for the default project
+  const defaultProject = getProject();
+  const packages = defaultProject?.packageContext
+    ? discoverPackages(defaultProject.workingDir)
+    : [];
   const packagesWithDocs = packages.filter((p) => p.hasClaudeMd).length;
+  const queue = getQueueMetrics();
 
   res.json({
     status: "healthy",
@@ -154,18 +224,315 @@ app.get("/health", async (req, res) => {
     claude_code_available: claudeAvailable,
     instance_name: instanceInfo.instanceName,
     persona: instanceInfo.persona,
-    active_requests: activeRequests,
-    max_concurrent: MAX_CONCURRENT,
+    tls: { enabled: req.secure, client_auth: req.secure ? TLS_CLIENT_AUTH : "none" },
+    // For peers' registries, when this instance signs its requests
+    public_key: getInstancePublicKey(),
+    active_requests: queue.running,
+    max_concurrent: queue.max_concurrent,
+    queue,
     memory_enabled: isMemoryEnabled(),
     memory_stats: memoryStats,
     package_context_enabled: PACKAGE_CONTEXT_ENABLED,
     packages_discovered: packages.length,
     packages_with_docs: packagesWithDocs,
+    ...(defaultProject?.packageContext && {
+      package_catalog: getPackageCatalogInfo(defaultProject.workingDir),
+    }),
+    projects: listProjects().map(describeProject),
   });
 });
 
+/**
+ * Describe a project for /health and /packages, without its working directory
+ * @param {object} project - Project
+ * @returns {object}
+ */
+function describeProject(project) {
+  return {
+    name: project.name,
+    description: project.description || null,
+    default: project.isDefault,
+    package_context: project.packageContext,
+    packages_discovered: project.packageContext ? discoverPackages(project.workingDir).length : 0,
+  };
+}
+
+/**
+ * Validate the question field of an /ask-style request body
+ * @param {*} question - Value of req.body.question
+ * @param {string} field - Field name used in the error message
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateQuestion(question, field = "question") {
+  if (!question || typeof question !== "string" || question.trim() === "") {
+    return `Missing or invalid "${field}" field. Must be a non-empty string.`;
+  }
+  return null;
+}
+
+/**
+ * Validate the "project" field of a request
+ * @param {*} project - Value of req.body.project
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateProject(project) {
+  if (project === undefined) return null;
+  if (typeof project !== "string" || !getProject(project)) {
+    return `Unknown project: ${project}. Available: ${listProjects()
+      .map((p) => p.name)
+      .join(", ")}`;
+  }
+  return null;
+}
+
+/**
+ * Validate the "packages" field of an ask request against the project's packages
+ * @param {*} packages - Value of req.body.packages
+ * @param {string} project - Value of req.body.project (already validated)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePackages(packages, project) {
+  if (packages === undefined) return null;
+  if (!Array.isArray(packages) || packages.some((name) => typeof name !== "string" || !name)) {
+    return 'Invalid "packages" field. Must be an array of package names or paths.';
+  }
+  const { workingDir, packageContext } = getProject(project);
+  if (!packageContext) {
+    return "Package context is not enabled";
+  }
+  const { unknown } = resolvePackages(packages, discoverPackages(workingDir));
+  return unknown.length > 0 ? `Unknown packages: ${unknown.join(", ")}` : null;
+}
+
+/**
+ * Validate the "package_depth" field of an ask request
+ * @param {*} depth - Value of req.body.package_depth
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePackageDepth(depth) {
+  if (depth === undefined) return null;
+  if (!Number.isInteger(depth) || depth < 0 || depth > MAX_DEPENDENCY_DEPTH) {
+    return `Invalid "package_depth" field. Must be an integer from 0 to ${MAX_DEPENDENCY_DEPTH}.`;
+  }
+  return null;
+}
+
+/**
+ * Check whether a request may see a job or orchestration; other keys' items
+ * are only visible with the admin scope
+ * @param {object} req - Express request
+ * @param {string|null} keyId - ID of the key that created the item
+ * @returns {boolean}
+ */
+function canAccessOwned(req, keyId) {
+  return !req.apiKey || !keyId || req.apiKey.id === keyId || hasScope(req.apiKey, "admin");
+}
+
+/**
+ * Resolve the tool policy a request runs with, refusing it with 403 if it
+ * asks for tools or a permission mode its caller may not use
+ * @param {object} req - Express request (tool fields already validated)
+ * @param {object} res - Express response
+ * @param {string} project - Project name (default project if omitted)
+ * @returns {object|null} Policy, or null if the request was refused
+ */
+function requestToolPolicy(req, res, project) {
+  const { policy, error } = resolveToolPolicy({
+    caller: req.apiKey,
+    project: getProject(project),
+    request: req.body || {},
+  });
+  if (!policy) {
+    res.status(403).json({
+      success: false,
+      error,
+      timestamp: new Date().toISOString(),
+    });
+    return null;
+  }
+  req.toolPolicy = policy;
+  return policy;
+}
+
+/**
+ * Combine package context, memory context and caller-provided context for a question
+ * @param {string} question - The question being asked
+ * @param {string} context - Context supplied by the caller
+ * @param {object} options - { useMemory, usePackageContext, packages (explicitly named packages), packageDepth (dependency levels to include), project (project name, default project if omitted) }
+ * @returns {Promise<{fullContext: string, memoryContext: object|null, memorySources: string[], detectedPackages: string[], packageMatches: object[], relatedPackages: object[], contextBudget: object, project: object}>}
+ */
+async function buildAskContext(
+  question,
+  context,
+  { useMemory, usePackageContext, packages, packageDepth, project: projectName },
+) {
+  const project = getProject(projectName);
+
+  // Get package context if enabled for the project
+  let packageContext = null;
+  let detectedPackages = [];
+  if (project.packageContext && usePackageContext) {
+    packageContext = await buildPackageContext(question, {
+      packages,
+      depth: packageDepth,
+      workingDir: project.workingDir,
+    });
+    detectedPackages = packageContext.packages;
+    if (detectedPackages.length > 0) {
+      logger.info("Package context detected", {
+        packages: packageContext.matches.map((m) => `${m.path} (${m.confidence})`),
+        related: packageContext.related.map((r) => `${r.path} (${r.relation} of ${r.via})`),
+        totalPackages: packageContext.totalPackages,
+      });
+    }
+  }
+
+  // Get relevant context from memory if enabled
+  let memoryContext = null;
+  let memorySources = [];
+  if (isMemoryEnabled() && useMemory) {
+    memoryContext = await getRelevantContext(question, {
+      maxItems: MEMORY_MAX_CONTEXT_ITEMS,
+      maxTokens: MEMORY_MAX_CONTEXT_TOKENS,
+    });
+    if (memoryContext.contextUsed) {
+      memorySources = memoryContext.sources || [];
+      logger.info("Memory context retrieved", {
+        sources: memorySources.length,
+        summary: memoryContext.summary,
+      });
+    }
+  }
+
+  // Fit every source into the context budget
+  const budget = applyContextBudget(
+    {
+      root: packageContext?.rootContext,
+      packages: packageContext?.packagesContext,
+      memory: memoryContext?.contextUsed ? memoryContext.context : "",
+      caller: context,
+    },
+    { maxTokens: CONTEXT_MAX_TOKENS, priority: CONTEXT_PRIORITY, minShare: CONTEXT_MIN_SHARE },
+  );
+  const trimmed = budget.usage.sources.filter((s) => s.action !== "full");
+  if (trimmed.length > 0) {
+    logger.info("Context trimmed to fit the budget", {
+      maxTokens: CONTEXT_MAX_TOKENS,
+      sources: trimmed.map((s) => `${s.source}: ${s.original_tokens} -> ${s.tokens} (${s.action})`),
+    });
+  }
+
+  // Combine all context: package context + memory context + provided context
+  const { root, memory, caller } = budget.texts;
+  const packageText = [root, budget.texts.packages].filter(Boolean).join("\n\n---\n\n");
+  const fullContext = [packageText, memory, caller].filter(Boolean).join("\n\n");
+
+  return {
+    fullContext: fullContext.trim(),
+    memoryContext,
+    memorySources,
+    detectedPackages,
+    packageMatches: packageContext?.matches || [],
+    relatedPackages: packageContext?.related || [],
+    contextBudget: budget.usage,
+    project,
+  };
+}
+
+/**
+ * Record an answered question to memory (if enabled) and log the outcome
+ * @param {string} question - The question asked
+ * @param {object} result - Result from invokeClaudeCode
+ * @param {object} prepared - Result from buildAskContext
+ * @param {boolean} saveToMemory - Whether the caller allowed recording
+ * @returns {Promise<boolean>} Whether the exchange was recorded
+ */
+async function recordAnswer(question, result, prepared, saveToMemory) {
+  let memoryRecorded = false;
+  if (isMemoryEnabled() && saveToMemory) {
+    const recordResult = await recordConversation(question, result.response, result.sessionId, {
+      duration: result.duration,
+    });
+    memoryRecorded = recordResult.recorded;
+    if (memoryRecorded) {
+      logger.info("Conversation recorded to memory", {
+        conversationId: recordResult.conversationId,
+        keywords: recordResult.keywords?.slice(0, 5),
+      });
+    }
+  }
+
+  logger.info("Question answered successfully", {
+    duration: result.duration,
+    sessionId: result.sessionId,
+    memoryUsed: prepared.memoryContext?.contextUsed || false,
+    memoryRecorded,
+    packagesUsed: prepared.detectedPackages.length,
+    answer: result.response.substring(0, 500) + (result.response.length > 500 ? "..." : ""),
+  });
+
+  return memoryRecorded;
+}
+
+/**
+ * Build the /ask response body for a successful answer
+ * @param {object} result - Result from invokeClaudeCode
+ * @param {object} prepared - Result from buildAskContext
+ * @param {object} toolPolicy - Tool policy the answer ran with
+ * @returns {object}
+ */
+function buildAskResponse(result, prepared, toolPolicy) {
+  return {
+    success: true,
+    answer: result.response,
+    session_id: result.sessionId,
+    instance_name: result.instanceName,
+    timestamp: new Date().toISOString(),
+    duration_ms: result.duration,
+    memory_context_used: prepared.memoryContext?.contextUsed || false,
+    memory_sources: prepared.memorySources,
+    package_context_used: prepared.detectedPackages.length > 0,
+    packages_detected: prepared.detectedPackages,
+    package_matches: prepared.packageMatches,
+    related_packages: prepared.relatedPackages,
+    context_budget: prepared.contextBudget,
+    project: prepared.project.name,
+    tool_policy: describeToolPolicy(toolPolicy),
+  };
+}
+
+/**
+ * Create a signal that aborts if the client disconnects before the response is sent,
+ * so queued or running Claude work is not wasted on a caller that has gone away
+ * @param {object} res - Express response
+ * @returns {AbortSignal}
+ */
+function abortOnClose(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
+/**
+ * Map an /ask processing error to an HTTP status code
+ * @param {Error} error
+ * @returns {number}
+ */
+function getErrorStatusCode(error) {
+  if (error.message.includes("timed out")) {
+    return 504;
+  } else if (error.message.includes("capacity")) {
+    return 503;
+  }
+  return 500;
+}
+
 // Ask endpoint
-app.post("/ask", authenticate, async (req, res) => {
+app.post("/ask", authenticate("ask"), async (req, res) => {
   const {
     question,
     context,
@@ -173,124 +540,67 @@ app.post("/ask", authenticate, async (req, res) => {
     use_memory = true,
     save_to_memory = true,
     use_package_context = true,
+    packages,
+    package_depth,
+    project,
   } = req.body;
 
   // Validation
-  if (!question || typeof question !== "string" || question.trim() === "") {
+  const validationError =
+    validateQuestion(question) ||
+    validateProject(project) ||
+    validatePackages(packages, project) ||
+    validatePackageDepth(package_depth) ||
+    validateToolRequest(req.body);
+  if (validationError) {
     return res.status(400).json({
       success: false,
-      error: 'Missing or invalid "question" field. Must be a non-empty string.',
+      error: validationError,
       timestamp: new Date().toISOString(),
     });
   }
 
+  const toolPolicy = requestToolPolicy(req, res, project);
+  if (!toolPolicy) return;
+
   logger.info("Processing question", {
     question: question.substring(0, 500) + (question.length > 500 ? "..." : ""),
     hasContext: !!context,
     hasSession: !!session_id,
+    project,
     useMemory: use_memory,
     usePackageContext: use_package_context,
   });
 
   try {
-    // Get package context if enabled
-    let packageContext = null;
-    let detectedPackages = [];
-    if (PACKAGE_CONTEXT_ENABLED && use_package_context) {
-      packageContext = buildPackageContext(question);
-      detectedPackages = packageContext.packages;
-      if (detectedPackages.length > 0) {
-        logger.info("Package context detected", {
-          packages: detectedPackages,
-          totalPackages: packageContext.totalPackages,
-        });
-      }
-    }
-
-    // Get relevant context from memory if enabled
-    let memoryContext = null;
-    let memorySources = [];
-    if (isMemoryEnabled() && use_memory) {
-      memoryContext = await getRelevantContext(question, {
-        maxItems: MEMORY_MAX_CONTEXT_ITEMS,
-        maxTokens: MEMORY_MAX_CONTEXT_TOKENS,
-      });
-      if (memoryContext.contextUsed) {
-        memorySources = memoryContext.sources || [];
-        logger.info("Memory context retrieved", {
-          sources: memorySources.length,
-          summary: memoryContext.summary,
-        });
-      }
-    }
-
-    // Combine all context: package context + memory context + provided context
-    let fullContext = "";
-    if (packageContext?.context) {
-      fullContext += packageContext.context + "\n\n";
-    }
-    if (memoryContext?.contextUsed && memoryContext.context) {
-      fullContext += memoryContext.context + "\n\n";
-    }
-    if (context) {
-      fullContext += context;
-    }
-    fullContext = fullContext.trim();
+    const prepared = await buildAskContext(question, context, {
+      useMemory: use_memory,
+      usePackageContext: use_package_context,
+      packages,
+      packageDepth: package_depth,
+      project,
+    });
 
-    const result = await executeWithConcurrencyLimit(() =>
-      invokeClaudeCode(question, fullContext || undefined, session_id),
+    const result = await runQueued(
+      (signal) =>
+        invokeClaudeCode(question, prepared.fullContext || undefined, session_id, {
+          signal,
+          ...projectInvocation(prepared.project),
+          toolPolicy,
+        }),
+      { signal: abortOnClose(res), metadata: { source: "ask" } },
     );
 
-    // Record conversation to memory if enabled
-    let memoryRecorded = false;
-    if (isMemoryEnabled() && save_to_memory) {
-      const recordResult = await recordConversation(question, result.response, result.sessionId, {
-        duration: result.duration,
-      });
-      memoryRecorded = recordResult.recorded;
-      if (memoryRecorded) {
-        logger.info("Conversation recorded to memory", {
-          conversationId: recordResult.conversationId,
-          keywords: recordResult.keywords?.slice(0, 5),
-        });
-      }
-    }
-
-    logger.info("Question answered successfully", {
-      duration: result.duration,
-      sessionId: result.sessionId,
-      memoryUsed: memoryContext?.contextUsed || false,
-      memoryRecorded,
-      packagesUsed: detectedPackages.length,
-      answer: result.response.substring(0, 500) + (result.response.length > 500 ? "..." : ""),
-    });
+    await recordAnswer(question, result, prepared, save_to_memory);
 
-    res.json({
-      success: true,
-      answer: result.response,
-      session_id: result.sessionId,
-      instance_name: result.instanceName,
-      timestamp: new Date().toISOString(),
-      duration_ms: result.duration,
-      memory_context_used: memoryContext?.contextUsed || false,
-      memory_sources: memorySources,
-      package_context_used: detectedPackages.length > 0,
-      packages_detected: detectedPackages,
-    });
+    res.json(buildAskResponse(result, prepared, toolPolicy));
   } catch (error) {
     logger.error("Error processing question", {
       error: error.message,
       questionLength: question.length,
     });
 
-    let statusCode = 500;
-    if (error.message.includes("timed out")) {
-      statusCode = 504;
-    } else if (error.message.includes("capacity")) {
-      statusCode = 503;
-    }
-
-    res.status(statusCode).json({
+    res.status(getErrorStatusCode(error)).json({
       success: false,
       error: error.message,
       timestamp: new Date().toISOString(),
@@ -298,129 +608,1404 @@ app.post("/ask", authenticate, async (req, res) => {
   }
 });
 
-// Packages endpoint - list discovered packages
-app.get("/packages", authenticate, async (req, res) => {
-  if (!PACKAGE_CONTEXT_ENABLED) {
-    return res.status(404).json({
+// Streaming ask endpoint - same contract as /ask, answered as Server-Sent Events
+app.post("/ask/stream", authenticate("ask"), async (req, res) => {
+  const {
+    question,
+    context,
+    session_id,
+    use_memory = true,
+    save_to_memory = true,
+    use_package_context = true,
+    packages,
+    package_depth,
+    project,
+  } = req.body;
+
+  const validationError =
+    validateQuestion(question) ||
+    validateProject(project) ||
+    validatePackages(packages, project) ||
+    validatePackageDepth(package_depth) ||
+    validateToolRequest(req.body);
+  if (validationError) {
+    return res.status(400).json({
       success: false,
-      error: "Package context is not enabled",
+      error: validationError,
       timestamp: new Date().toISOString(),
     });
   }
 
-  const packages = discoverPackages();
-  res.json({
-    success: true,
-    packages: packages.map((p) => ({
-      name: p.name,
-      path: p.path,
-      has_documentation: p.hasClaudeMd,
-    })),
-    total: packages.length,
-    with_documentation: packages.filter((p) => p.hasClaudeMd).length,
-    timestamp: new Date().toISOString(),
+  const toolPolicy = requestToolPolicy(req, res, project);
+  if (!toolPolicy) return;
+
+  logger.info("Processing streaming question", {
+    question: question.substring(0, 500) + (question.length > 500 ? "..." : ""),
+    hasContext: !!context,
+    hasSession: !!session_id,
+    project,
+    useMemory: use_memory,
+    usePackageContext: use_package_context,
   });
-});
 
-// Memory stats endpoint
-app.get("/memory/stats", authenticate, async (req, res) => {
-  if (!isMemoryEnabled()) {
-    return res.status(404).json({
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+
+  const sendEvent = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  try {
+    const prepared = await buildAskContext(question, context, {
+      useMemory: use_memory,
+      usePackageContext: use_package_context,
+      packages,
+      packageDepth: package_depth,
+      project,
+    });
+
+    const result = await runQueued(
+      (signal) =>
+        invokeClaudeCodeStream(question, prepared.fullContext || undefined, session_id, {
+          signal,
+          ...projectInvocation(prepared.project),
+          toolPolicy,
+          onEvent: (event) => {
+            if (event.type === "text") {
+              sendEvent("text", { text: event.text });
+            } else if (event.type === "tool_use") {
+              sendEvent("tool_use", { name: event.name, input: event.input });
+            }
+          },
+        }),
+      { signal: abortOnClose(res), metadata: { source: "ask/stream" } },
+    );
+
+    await recordAnswer(question, result, prepared, save_to_memory);
+
+    sendEvent("result", buildAskResponse(result, prepared, toolPolicy));
+  } catch (error) {
+    logger.error("Error processing streaming question", {
+      error: error.message,
+      questionLength: question.length,
+    });
+
+    sendEvent("error", {
       success: false,
-      error: "Memory system is not enabled",
+      error: error.message,
+      status: getErrorStatusCode(error),
       timestamp: new Date().toISOString(),
     });
   }
 
-  const stats = await getMemoryStats();
-  res.json({
-    success: true,
-    ...stats,
-    timestamp: new Date().toISOString(),
-  });
+  res.end();
 });
 
-// Memory search endpoint
-app.get("/memory/search", authenticate, async (req, res) => {
-  if (!isMemoryEnabled()) {
-    return res.status(404).json({
+// Submit a question as a background job - returns immediately with a job ID
+app.post("/jobs", authenticate("ask"), async (req, res) => {
+  const {
+    question,
+    context,
+    session_id,
+    use_memory = true,
+    save_to_memory = true,
+    use_package_context = true,
+    packages,
+    package_depth,
+    project,
+    timeout_ms,
+  } = req.body;
+
+  const validationError =
+    validateQuestion(question) ||
+    validateProject(project) ||
+    validatePackages(packages, project) ||
+    validatePackageDepth(package_depth) ||
+    validateToolRequest(req.body) ||
+    validateJobTimeout(timeout_ms);
+  if (validationError) {
+    return res.status(400).json({
       success: false,
-      error: "Memory system is not enabled",
+      error: validationError,
       timestamp: new Date().toISOString(),
     });
   }
 
-  const query = req.query.q;
-  const limit = parseInt(req.query.limit || "10", 10);
+  const toolPolicy = requestToolPolicy(req, res, project);
+  if (!toolPolicy) return;
 
-  if (!query) {
-    return res.status(400).json({
+  try {
+    const job = enqueueJob(
+      async (signal) => {
+        const prepared = await buildAskContext(question, context, {
+          useMemory: use_memory,
+          usePackageContext: use_package_context,
+          packages,
+          packageDepth: package_depth,
+          project,
+        });
+        const result = await invokeClaudeCode(
+          question,
+          prepared.fullContext || undefined,
+          session_id,
+          { signal, ...projectInvocation(prepared.project), toolPolicy },
+        );
+        await recordAnswer(question, result, prepared, save_to_memory);
+        return buildAskResponse(result, prepared, toolPolicy);
+      },
+      {
+        timeoutMs: timeout_ms,
+        keyId: req.apiKey?.id,
+        metadata: { source: "jobs" },
+      },
+    );
+
+    logger.info("Job queued", {
+      jobId: job.id,
+      question: question.substring(0, 500) + (question.length > 500 ? "..." : ""),
+      status: job.status,
+    });
+
+    res.status(202).json({
+      success: true,
+      job: describeJob(job),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(getErrorStatusCode(error)).json({
       success: false,
-      error: "Missing query parameter 'q'",
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// Get job status and, once finished, its /ask-shaped result
+app.get("/jobs/:id", authenticate("ask"), async (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job || !canAccessOwned(req, job.keyId)) {
+    return res.status(404).json({
+      success: false,
+      error: "Job not found",
       timestamp: new Date().toISOString(),
     });
   }
 
-  const results = await searchMemory(query, limit);
   res.json({
     success: true,
-    query,
-    results,
-    count: results.length,
+    job: describeJob(job),
     timestamp: new Date().toISOString(),
   });
 });
 
-// Memory recent endpoint
-app.get("/memory/recent", authenticate, async (req, res) => {
-  if (!isMemoryEnabled()) {
+// Cancel a queued or running job
+app.delete("/jobs/:id", authenticate("ask"), async (req, res) => {
+  const existing = getJob(req.params.id);
+
+  if (!existing || !canAccessOwned(req, existing.keyId)) {
     return res.status(404).json({
       success: false,
-      error: "Memory system is not enabled",
+      error: "Job not found",
       timestamp: new Date().toISOString(),
     });
   }
 
-  const limit = parseInt(req.query.limit || "10", 10);
-  const recent = await getRecentMemory(limit);
+  if (existing.status !== "queued" && existing.status !== "running") {
+    return res.status(409).json({
+      success: false,
+      error: `Job already ${existing.status}`,
+      job: describeJob(existing),
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const job = cancelJob(req.params.id);
+  logger.info("Job cancelled", { jobId: job.id });
 
   res.json({
     success: true,
-    conversations: recent,
-    count: recent.length,
+    job: describeJob(job),
     timestamp: new Date().toISOString(),
   });
 });
 
-// Get specific conversation
-app.get("/memory/conversation/:id", authenticate, async (req, res) => {
-  if (!isMemoryEnabled()) {
-    return res.status(404).json({
+// Broadcast a question to several registry instances and aggregate the answers
+app.post("/broadcast", authenticate("ask"), async (req, res) => {
+  const { question, context, instances = "all", summarize_with, timeout_ms } = req.body;
+
+  const validationError = validateQuestion(question) || validateRemoteTimeout(timeout_ms);
+  if (validationError) {
+    return res.status(400).json({
       success: false,
-      error: "Memory system is not enabled",
+      error: validationError,
       timestamp: new Date().toISOString(),
     });
   }
 
-  const conversation = await getConversation(req.params.id);
+  if (
+    instances !== "all" &&
+    (!Array.isArray(instances) || instances.some((name) => typeof name !== "string"))
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid "instances" field. Must be "all" or an array of registry instance names.',
+      timestamp: new Date().toISOString(),
+    });
+  }
 
-  if (!conversation) {
-    return res.status(404).json({
+  const unknown = findUnknownInstances([
+    ...(Array.isArray(instances) ? instances : []),
+    ...(summarize_with ? [summarize_with] : []),
+  ]);
+  if (unknown.length > 0) {
+    return res.status(400).json({
       success: false,
-      error: "Conversation not found",
+      error: `Unknown instances: ${unknown.join(", ")}`,
       timestamp: new Date().toISOString(),
     });
   }
 
+  const targets = await resolveBroadcastTargets(instances);
+  if (targets.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: "No instances to broadcast to",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  logger.info("Broadcasting question", {
+    question: question.substring(0, 500) + (question.length > 500 ? "..." : ""),
+    instances: targets,
+    summarizeWith: summarize_with,
+  });
+
+  const result = await broadcastQuestion(question, {
+    instances: targets,
+    context,
+    summarizeWith: summarize_with,
+    timeout: timeout_ms,
+    signal: abortOnClose(res),
+  });
+
+  logger.info("Broadcast complete", {
+    succeeded: result.succeeded,
+    failed: result.failed,
+    duration: result.duration_ms,
+  });
+
   res.json({
-    success: true,
-    conversation,
+    success: result.succeeded > 0,
+    ...result,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Debate a question between several instances, then judge or vote on the outcome
+app.post("/debate", authenticate("ask"), async (req, res) => {
+  const { question, context, instances, rounds = 1, judge, timeout_ms } = req.body;
+
+  const validationError = validateQuestion(question) || validateRemoteTimeout(timeout_ms);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  if (
+    !Array.isArray(instances) ||
+    instances.some((name) => typeof name !== "string") ||
+    new Set(instances).size < 2
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid "instances" field. Must be an array of at least two registry instance names.',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  if (!Number.isInteger(rounds) || rounds < 0 || rounds > DEBATE_MAX_ROUNDS) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid "rounds" field. Must be an integer from 0 to ${DEBATE_MAX_ROUNDS}.`,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const unknown = findUnknownInstances([...instances, ...(judge ? [judge] : [])]);
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown instances: ${unknown.join(", ")}`,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  logger.info("Starting debate", {
+    question: question.substring(0, 500) + (question.length > 500 ? "..." : ""),
+    instances,
+    rounds,
+    judge,
+  });
+
+  const result = await runDebate(question, {
+    instances: [...new Set(instances)],
+    rounds,
+    judge,
+    context,
+    timeout: timeout_ms,
+    signal: abortOnClose(res),
+  });
+
+  logger.info("Debate complete", {
+    method: result.verdict?.method,
+    winner: result.verdict?.winner,
+    duration: result.duration_ms,
+  });
+
+  res.json({
+    success: result.verdict !== null && result.verdict.recommendation !== null,
+    ...result,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// List pipelines declared in the pipelines config file
+app.get("/pipelines", authenticate("ask"), (req, res) => {
+  const pipelines = Object.entries(loadPipelines()).map(([name, pipeline]) => ({
+    name,
+    description: pipeline.description || null,
+    stages: (pipeline.stages || []).map((stage, i) => ({
+      name: stage.name || `stage-${i + 1}`,
+      instance: stage.instance,
+      prompt: stage.prompt || "{{input}}",
+    })),
+  }));
+
+  res.json({
+    success: true,
+    pipelines,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Run a pipeline: each stage's answer becomes the context for the next stage
+app.post("/pipelines/:name/run", authenticate("ask"), async (req, res) => {
+  const { input, context, timeout_ms } = req.body;
+
+  const pipeline = getPipeline(req.params.name);
+  if (!pipeline) {
+    return res.status(404).json({
+      success: false,
+      error: `Pipeline '${req.params.name}' not found`,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const validationError = validateQuestion(input, "input") || validateRemoteTimeout(timeout_ms);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const problems = validatePipeline(pipeline);
+  if (problems.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid pipeline '${pipeline.name}': ${problems.join("; ")}`,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  logger.info("Running pipeline", {
+    pipeline: pipeline.name,
+    stages: pipeline.stages.map((stage) => stage.instance),
+  });
+
+  const result = await runPipeline(pipeline, input, {
+    context,
+    timeout: timeout_ms,
+    signal: abortOnClose(res),
+    onStage: (stage) =>
+      logger.info("Pipeline stage finished", {
+        pipeline: pipeline.name,
+        stage: stage.name,
+        instance: stage.instance,
+        status: stage.status,
+        duration: stage.round_trip_ms,
+      }),
+  });
+
+  logger.info("Pipeline complete", {
+    pipeline: pipeline.name,
+    success: result.success,
+    duration: result.duration_ms,
+  });
+
+  res.json({
+    ...result,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Orchestrate a task: plan subtasks, delegate them to specialists, integrate the results
+app.post("/orchestrate", authenticate("ask"), async (req, res) => {
+  const { task, context, timeout_ms } = req.body;
+
+  const validationError =
+    validateQuestion(task, "task") ||
+    validateToolRequest(req.body) ||
+    validateRemoteTimeout(timeout_ms);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const toolPolicy = requestToolPolicy(req, res);
+  if (!toolPolicy) return;
+
+  logger.info("Orchestrating task", {
+    task: task.substring(0, 500) + (task.length > 500 ? "..." : ""),
+  });
+
+  try {
+    const orchestration = await orchestrateTask(task, {
+      context,
+      timeout: timeout_ms,
+      signal: abortOnClose(res),
+      toolPolicy,
+      keyId: req.apiKey?.id,
+    });
+
+    logger.info("Orchestration complete", {
+      id: orchestration.id,
+      subtasks: orchestration.subtasks.map((s) => `${s.id}:${s.target}`),
+      duration: orchestration.duration_ms,
+    });
+
+    res.json({
+      success: true,
+      ...orchestration,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error orchestrating task", { error: error.message });
+
+    res.status(getErrorStatusCode(error)).json({
+      success: false,
+      error: error.message,
+      ...(error.orchestration && { orchestration: error.orchestration }),
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// List recent orchestrations from the audit log
+app.get("/orchestrations", authenticate("ask"), async (req, res) => {
+  const limit = parseInt(req.query.limit || "10", 10);
+  const orchestrations = await listOrchestrations(limit, (record) =>
+    canAccessOwned(req, record.key_id),
+  );
+
+  res.json({
+    success: true,
+    orchestrations,
+    count: orchestrations.length,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Get a full orchestration record
+app.get("/orchestrations/:id", authenticate("ask"), async (req, res) => {
+  const orchestration = await getOrchestration(req.params.id);
+
+  if (!orchestration || !canAccessOwned(req, orchestration.key_id)) {
+    return res.status(404).json({
+      success: false,
+      error: "Orchestration not found",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  res.json({
+    success: true,
+    orchestration,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+/**
+ * Resolve the ?project= of a packages request, sending an error if it has no package context
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {object|null} Project, or null if an error was sent
+ */
+function resolvePackagesProject(req, res) {
+  const validationError = validateProject(req.query.project);
+  if (validationError) {
+    res.status(400).json({
+      success: false,
+      error: validationError,
+      timestamp: new Date().toISOString(),
+    });
+    return null;
+  }
+
+  const project = getProject(req.query.project);
+  if (!project.packageContext) {
+    res.status(404).json({
+      success: false,
+      error: "Package context is not enabled",
+      timestamp: new Date().toISOString(),
+    });
+    return null;
+  }
+  return project;
+}
+
+// Packages endpoint - list a project's discovered packages (?project=, default project if omitted)
+app.get("/packages", authenticate("ask"), async (req, res) => {
+  const project = resolvePackagesProject(req, res);
+  if (!project) return;
+
+  const packages = discoverPackages(project.workingDir);
+  res.json({
+    success: true,
+    project: project.name,
+    packages: packages.map((p) => ({
+      name: p.name,
+      path: p.path,
+      type: p.type,
+      description: p.description || null,
+      keywords: p.keywords,
+      has_documentation: p.hasClaudeMd,
+      dependencies: p.dependencies,
+      dependents: p.dependents,
+    })),
+    total: packages.length,
+    with_documentation: packages.filter((p) => p.hasClaudeMd).length,
+    // Preview detection for a question: GET /packages?q=...
+    ...(typeof req.query.q === "string" && { matches: scorePackages(req.query.q, packages) }),
+    catalog: getPackageCatalogInfo(project.workingDir),
+    projects: listProjects().map(describeProject),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Rebuild the package catalogue now, e.g. after a checkout when watching is off
+app.post("/packages/refresh", authenticate("admin"), async (req, res) => {
+  const project = resolvePackagesProject(req, res);
+  if (!project) return;
+
+  try {
+    const catalog = await refreshPackageCatalog(project.workingDir);
+    res.json({
+      success: true,
+      project: project.name,
+      catalog,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Package refresh failed", { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// Memory stats endpoint
+app.get("/memory/stats", authenticate("memory:read"), async (req, res) => {
+  if (!isMemoryEnabled()) {
+    return res.status(404).json({
+      success: false,
+      error: "Memory system is not enabled",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const stats = await getMemoryStats();
+  res.json({
+    success: true,
+    ...stats,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Memory search endpoint
+app.get("/memory/search", authenticate("memory:read"), async (req, res) => {
+  if (!isMemoryEnabled()) {
+    return res.status(404).json({
+      success: false,
+      error: "Memory system is not enabled",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const query = req.query.q;
+  const limit = parseInt(req.query.limit || "10", 10);
+
+  if (!query) {
+    return res.status(400).json({
+      success: false,
+      error: "Missing query parameter 'q'",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const results = await searchMemory(query, limit);
+  res.json({
+    success: true,
+    query,
+    results,
+    count: results.length,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Memory recent endpoint
+app.get("/memory/recent", authenticate("memory:read"), async (req, res) => {
+  if (!isMemoryEnabled()) {
+    return res.status(404).json({
+      success: false,
+      error: "Memory system is not enabled",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const limit = parseInt(req.query.limit || "10", 10);
+  const recent = await getRecentMemory(limit);
+
+  res.json({
+    success: true,
+    conversations: recent,
+    count: recent.length,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Get specific conversation
+app.get("/memory/conversation/:id", authenticate("memory:read"), async (req, res) => {
+  if (!isMemoryEnabled()) {
+    return res.status(404).json({
+      success: false,
+      error: "Memory system is not enabled",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const conversation = await getConversation(req.params.id);
+
+  if (!conversation) {
+    return res.status(404).json({
+      success: false,
+      error: "Conversation not found",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  res.json({
+    success: true,
+    conversation,
+    branches: await getBranches(conversation.id),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+const PIN_STATES = ["always", "never"];
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * Reject memory edits when memory is disabled
+ * @param {object} res - Express response
+ * @returns {boolean} true if a response was sent
+ */
+function rejectMemoryDisabled(res) {
+  if (!isMemoryEnabled()) {
+    res.status(404).json({
+      success: false,
+      error: "Memory system is not enabled",
+      timestamp: new Date().toISOString(),
+    });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Validate a list of keywords or topics
+ * @param {*} value - Value from the request body
+ * @param {string} field - Field name for the error message
+ * @returns {string|null} Error message or null if valid
+ */
+function validateTagList(value, field) {
+  if (value === undefined) return null;
+  if (
+    !Array.isArray(value) ||
+    !value.every((tag) => typeof tag === "string" && TAG_PATTERN.test(tag))
+  ) {
+    return `"${field}" must be an array of lowercase words (letters, digits, dashes and underscores)`;
+  }
+  return null;
+}
+
+/**
+ * Parse the exchange index of a memory exchange route
+ * @param {string} value - Route parameter
+ * @returns {number|null} 0-based index, or null if invalid
+ */
+function parseExchangeIndex(value) {
+  return /^\d+$/.test(value) ? parseInt(value, 10) : null;
+}
+
+// Memory: delete a conversation
+app.delete("/memory/conversation/:id", authenticate("memory:write"), async (req, res) => {
+  if (rejectMemoryDisabled(res)) return;
+
+  if (!(await deleteMemoryConversation(req.params.id))) {
+    return res.status(404).json({
+      success: false,
+      error: "Conversation not found",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  logger.info("Memory conversation deleted", { conversationId: req.params.id });
+  res.json({
+    success: true,
+    deleted: req.params.id,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Memory: pin/unpin a conversation or replace its keywords and topics
+app.patch("/memory/conversation/:id", authenticate("memory:write"), async (req, res) => {
+  if (rejectMemoryDisabled(res)) return;
+
+  const { pinned, keywords, topics } = req.body || {};
+  const validationError =
+    (pinned !== undefined && pinned !== null && !PIN_STATES.includes(pinned)
+      ? `"pinned" must be one of: ${PIN_STATES.join(", ")}, or null to unpin`
+      : null) ||
+    validateTagList(keywords, "keywords") ||
+    validateTagList(topics, "topics");
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError,
+      timestamp: new Date().toISOString(),
+    });
+  }
+  if (pinned === undefined && !keywords && !topics) {
+    return res.status(400).json({
+      success: false,
+      error: 'Nothing to change. Provide "pinned", "keywords" and/or "topics".',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const conversation = await updateMemoryConversation(req.params.id, {
+    pinned,
+    keywords: keywords && [...new Set(keywords)],
+    topics: topics && [...new Set(topics)],
+  });
+  if (!conversation) {
+    return res.status(404).json({
+      success: false,
+      error: "Conversation not found",
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  logger.info("Memory conversation updated", {
+    conversationId: req.params.id,
+    changed: Object.keys(req.body).filter((key) => ["pinned", "keywords", "topics"].includes(key)),
+  });
+  res.json({
+    success: true,
+    conversation,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Memory: amend a single exchange
+app.patch(
+  "/memory/conversation/:id/exchanges/:index",
+  authenticate("memory:write"),
+  async (req, res) => {
+    if (rejectMemoryDisabled(res)) return;
+
+    const { question, answer } = req.body || {};
+    const exchangeIndex = parseExchangeIndex(req.params.index);
+    const validationError =
+      (exchangeIndex === null ? "Exchange index must be a non-negative integer" : null) ||
+      (question === undefined && answer === undefined
+        ? 'Provide "question" and/or "answer" to amend'
+        : null) ||
+      (question !== undefined ? validateQuestion(question) : null) ||
+      (answer !== undefined ? validateQuestion(answer, "answer") : null);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const result = await updateMemoryExchange(req.params.id, exchangeIndex, {
+      ...(question !== undefined && { question }),
+      ...(answer !== undefined && { answer }),
+    });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: "Conversation or exchange not found",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    logger.info("Memory exchange amended", { conversationId: req.params.id, exchangeIndex });
+    res.json({
+      success: true,
+      conversation: result.conversation,
+      timestamp: new Date().toISOString(),
+    });
+  },
+);
+
+// Memory: delete a single exchange (deleting the last one deletes the conversation)
+app.delete(
+  "/memory/conversation/:id/exchanges/:index",
+  authenticate("memory:write"),
+  async (req, res) => {
+    if (rejectMemoryDisabled(res)) return;
+
+    const exchangeIndex = parseExchangeIndex(req.params.index);
+    if (exchangeIndex === null) {
+      return res.status(400).json({
+        success: false,
+        error: "Exchange index must be a non-negative integer",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const result = await updateMemoryExchange(req.params.id, exchangeIndex, null);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: "Conversation or exchange not found",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    logger.info("Memory exchange deleted", {
+      conversationId: req.params.id,
+      exchangeIndex,
+      conversationDeleted: result.deleted,
+    });
+    res.json({
+      success: true,
+      conversation: result.conversation,
+      conversation_deleted: result.deleted,
+      timestamp: new Date().toISOString(),
+    });
+  },
+);
+
+// Memory: fork a new conversation from an exchange, replaying the exchanges up to it into a fresh session
+app.post(
+  "/memory/conversation/:id/branch",
+  authenticate("ask", "memory:write"),
+  async (req, res) => {
+    if (rejectMemoryDisabled(res)) return;
+
+    const {
+      question,
+      context,
+      from_exchange,
+      use_package_context = true,
+      packages,
+      package_depth,
+      project,
+    } = req.body || {};
+    const validationError =
+      validateQuestion(question) ||
+      validateProject(project) ||
+      validatePackages(packages, project) ||
+      validatePackageDepth(package_depth) ||
+      validateToolRequest(req.body) ||
+      (from_exchange !== undefined && !(Number.isInteger(from_exchange) && from_exchange >= 0)
+        ? 'Invalid "from_exchange" field. Must be a non-negative integer.'
+        : null);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const parent = await getConversation(req.params.id);
+    const exchangeIndex = from_exchange ?? (parent ? parent.exchanges.length - 1 : 0);
+    if (!parent || exchangeIndex >= parent.exchanges.length) {
+      return res.status(404).json({
+        success: false,
+        error: "Conversation or exchange not found",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const toolPolicy = requestToolPolicy(req, res, project);
+    if (!toolPolicy) return;
+
+    logger.info("Branching conversation", {
+      conversationId: parent.id,
+      fromExchange: exchangeIndex,
+      question: question.substring(0, 500) + (question.length > 500 ? "..." : ""),
+    });
+
+    try {
+      // Memory retrieval is skipped: it could pull in the parent's exchanges past the branch point
+      const transcript = formatTranscript(parent.exchanges.slice(0, exchangeIndex + 1));
+      const prepared = await buildAskContext(
+        question,
+        context ? `${transcript}\n\n${context}` : transcript,
+        {
+          useMemory: false,
+          usePackageContext: use_package_context,
+          packages,
+          packageDepth: package_depth,
+          project,
+        },
+      );
+
+      const result = await runQueued(
+        (signal) =>
+          invokeClaudeCode(question, prepared.fullContext, null, {
+            signal,
+            ...projectInvocation(prepared.project),
+            toolPolicy,
+          }),
+        { signal: abortOnClose(res), metadata: { source: "memory/branch" } },
+      );
+
+      const branchOf = { id: parent.id, exchange: exchangeIndex };
+      const recorded = await recordConversation(question, result.response, result.sessionId, {
+        duration: result.duration,
+        branchOf,
+      });
+
+      logger.info("Conversation branched", {
+        conversationId: recorded.conversationId,
+        branchOf,
+        duration: result.duration,
+      });
+      res.json({
+        ...buildAskResponse(result, prepared, toolPolicy),
+        conversation_id: recorded.conversationId || null,
+        branch_of: branchOf,
+      });
+    } catch (error) {
+      logger.error("Error branching conversation", { error: error.message });
+      res.status(getErrorStatusCode(error)).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  },
+);
+
+// Memory: replay a whole conversation on this or another instance to compare answers
+app.post(
+  "/memory/conversation/:id/replay",
+  authenticate("ask", "memory:read"),
+  async (req, res) => {
+    if (rejectMemoryDisabled(res)) return;
+
+    const { instance, timeout_ms } = req.body || {};
+    const validationError =
+      instance !== undefined && (typeof instance !== "string" || !instance)
+        ? 'Invalid "instance" field. Must be a registry instance name.'
+        : validateToolRequest(req.body || {}) || validateRemoteTimeout(timeout_ms);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const unknown =
+      instance && instance !== getInstanceInfo().instanceName
+        ? findUnknownInstances([instance])
+        : [];
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown instances: ${unknown.join(", ")}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const conversation = await getConversation(req.params.id);
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: "Conversation not found",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // Applies when the conversation is replayed here; other instances apply their own
+    const toolPolicy = requestToolPolicy(req, res);
+    if (!toolPolicy) return;
+
+    logger.info("Replaying conversation", {
+      conversationId: conversation.id,
+      exchanges: conversation.exchanges.length,
+      instance: instance || "local",
+    });
+
+    const result = await replayConversation(conversation, {
+      instance,
+      timeout: timeout_ms,
+      signal: abortOnClose(res),
+      toolPolicy,
+    });
+
+    logger.info("Replay complete", {
+      conversationId: conversation.id,
+      instance: result.instance,
+      completed: result.completed,
+      duration: result.duration_ms,
+    });
+    res.json({
+      success: result.completed,
+      ...result,
+      timestamp: new Date().toISOString(),
+    });
+  },
+);
+
+// Memory: export this instance's memory as a JSONL bundle
+app.get("/memory/export", authenticate("memory:read"), async (req, res) => {
+  if (rejectMemoryDisabled(res)) return;
+
+  try {
+    const { bundle, count } = await exportMemory({
+      from: req.query.from,
+      to: req.query.to,
+      topic: req.query.topic,
+      keyword: req.query.keyword,
+    });
+    const date = new Date().toISOString().split("T")[0];
+
+    logger.info("Memory exported", { conversations: count });
+    res.attachment(`${getInstanceInfo().instanceName}-memory-${date}.jsonl`);
+    res.type("application/x-ndjson");
+    res.send(bundle);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+/**
+ * Parse a memory bundle request body, keeping the raw body for signatures
+ * @param {string} limit - Largest body accepted
+ * @returns {Function} Express middleware
+ */
+function parseBundleBody(limit) {
+  return express.text({
+    type: ["application/x-ndjson", "application/jsonl", "text/plain"],
+    limit,
+    verify: keepRawBody,
+  });
+}
+
+const parseSignedBundle = parseBundleBody(MEMORY_IMPORT_SIGNED_MAX_SIZE);
+
+// Memory: merge a JSONL bundle into this instance's memory
+app.post(
+  "/memory/import",
+  // A signed import's body is read first, as its signature covers it; other
+  // bodies only once the caller is authenticated (the parser skips a parsed body)
+  (req, res, next) =>
+    req.headers["x-instance-signature"] ? parseSignedBundle(req, res, next) : next(),
+  authenticate("memory:write"),
+  parseBundleBody(MEMORY_IMPORT_MAX_SIZE),
+  async (req, res) => {
+    if (rejectMemoryDisabled(res)) return;
+
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "Send the bundle as the request body with Content-Type: application/x-ndjson",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    try {
+      const result = await importMemory(req.body, { conflict: req.query.conflict });
+
+      logger.info("Memory imported", result);
+      res.json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  },
+);
+
+// Memory: run retention and compaction now
+app.post("/memory/compact", authenticate("memory:write"), async (req, res) => {
+  if (rejectMemoryDisabled(res)) return;
+
+  try {
+    const report = await compactMemory();
+
+    logger.info("Memory compacted", {
+      digested: report.digested.length,
+      deleted: report.deleted,
+      diskBefore: report.disk.before,
+      diskAfter: report.disk.after,
+    });
+    res.json({
+      success: true,
+      ...report,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Memory compaction failed", { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+/**
+ * Reject shared-namespace requests unless this instance serves shared memory
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {boolean} true if a response was sent
+ */
+function rejectSharedRequest(req, res) {
+  if (!isMemoryEnabled() || !isSharedServeEnabled()) {
+    res.status(404).json({
+      success: false,
+      error: "Shared memory is not served by this instance",
+      timestamp: new Date().toISOString(),
+    });
+    return true;
+  }
+  if (!isValidNamespace(req.params.namespace)) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid namespace. Use letters, digits, dashes and underscores.",
+      timestamp: new Date().toISOString(),
+    });
+    return true;
+  }
+  return false;
+}
+
+// Shared memory: relevant conversations from a namespace (used by other instances)
+app.get("/memory/shared/:namespace/context", authenticate("memory:read"), async (req, res) => {
+  if (rejectSharedRequest(req, res)) return;
+
+  const query = req.query.q;
+  if (!query) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing query parameter "q"',
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const limit = parseInt(req.query.limit || "3", 10);
+  const matches = await findNamespaceContext(req.params.namespace, query, limit);
+
+  res.json({
+    success: true,
+    namespace: req.params.namespace,
+    matches,
+    count: matches.length,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Shared memory: publish an exchange to a namespace (used by other instances)
+app.post(
+  "/memory/shared/:namespace/conversations",
+  authenticate("memory:write"),
+  async (req, res) => {
+    if (rejectSharedRequest(req, res)) return;
+
+    const { question, answer, session_id, instance } = req.body;
+    if (!question || !answer || !instance) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing "question", "answer" or "instance" field',
+        timestamp: new Date().toISOString(),
+      });
+    }
+    // The recorded instance is trusted only from a signed request or client
+    // certificate, and only under that instance's own name
+    if (req.apiKey && req.apiKey.instance !== instance) {
+      return res.status(403).json({
+        success: false,
+        error: req.apiKey.instance
+          ? `Instance '${req.apiKey.instance}' cannot record as '${instance}'`
+          : "Shared memory writes must be signed by the recording instance or use its TLS client certificate",
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    try {
+      const conversationId = await recordToNamespace(req.params.namespace, {
+        question,
+        answer,
+        sessionId: session_id,
+        instance,
+      });
+
+      logger.info("Shared memory recorded", {
+        namespace: req.params.namespace,
+        conversationId,
+        origin: instance,
+      });
+
+      res.json({
+        success: true,
+        namespace: req.params.namespace,
+        conversation_id: conversationId,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      logger.error("Error recording shared memory", { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  },
+);
+
+// API key management (admin scope)
+app.get("/keys", authenticate("admin"), (req, res) => {
+  res.json({
+    success: true,
+    keys: listKeys(),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Create a key; its secret is only ever returned here
+app.post("/keys", authenticate("admin"), (req, res) => {
+  const { name, scopes, expires_in_days, expires_at, rate_limit } = req.body || {};
+
+  try {
+    const { key, secret } = createKey({
+      name,
+      scopes,
+      expires: expires_at ?? expires_in_days,
+      rateLimit: rate_limit,
+    });
+    logger.info("API key created", { key: key.name, scopes: key.scopes, by: req.apiKey?.name });
+    res.status(201).json({
+      success: true,
+      key,
+      secret,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// Replace a key's secret; the old one stops working immediately
+app.post("/keys/:id/rotate", authenticate("admin"), (req, res) => {
+  const rotated = rotateKey(req.params.id);
+  if (!rotated) {
+    return res.status(404).json({
+      success: false,
+      error: `API key not found: ${req.params.id}`,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  logger.info("API key rotated", { key: rotated.key.name, by: req.apiKey?.name });
+  res.json({
+    success: true,
+    key: rotated.key,
+    secret: rotated.secret,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+app.delete("/keys/:id", authenticate("admin"), (req, res) => {
+  const revoked = revokeKey(req.params.id);
+  if (!revoked) {
+    return res.status(404).json({
+      success: false,
+      error: `API key not found: ${req.params.id}`,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  logger.info("API key revoked", { key: revoked.name, by: req.apiKey?.name });
+  res.json({
+    success: true,
+    key: revoked,
     timestamp: new Date().toISOString(),
   });
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Client errors from body parsing (malformed JSON, payload too large) keep their status
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      success: false,
+      error: err.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
   logger.error("Unhandled error", { error: err.message, stack: err.stack });
   res.status(500).json({
     success: false,
@@ -486,6 +2071,8 @@ ${cyan}${bold}╔═════════════════════
 // Start server
 async function startServer() {
   const instanceInfo = getInstanceInfo();
+  // Before anything that may run Claude Code, such as memory digests
+  const toolPolicies = loadToolPolicies();
 
   // Initialize memory system if enabled
   if (MEMORY_ENABLED) {
@@ -493,10 +2080,63 @@ async function startServer() {
       enabled: true,
       maxContextItems: MEMORY_MAX_CONTEXT_ITEMS,
       maxContextTokens: MEMORY_MAX_CONTEXT_TOKENS,
+      backend: process.env.MEMORY_BACKEND || "jsonl",
+      markdownExport: process.env.MEMORY_MARKDOWN_EXPORT !== "false",
+      similarity: {
+        provider: process.env.MEMORY_SIMILARITY || "bm25",
+        weight: parseFloat(process.env.MEMORY_SIMILARITY_WEIGHT || "1"),
+        embeddingUrl: process.env.MEMORY_EMBEDDING_URL,
+        embeddingModel: process.env.MEMORY_EMBEDDING_MODEL,
+        embeddingMinSimilarity: parseFloat(process.env.MEMORY_EMBEDDING_MIN_SIMILARITY || "0.5"),
+      },
+      shared: {
+        path: process.env.MEMORY_SHARED_PATH,
+        read: MEMORY_SHARED_READ,
+        write: MEMORY_SHARED_WRITE,
+        host: process.env.MEMORY_SHARED_HOST,
+        serve: process.env.MEMORY_SHARED_SERVE === "true",
+      },
+      retention: {
+        maxAgeDays: parseFloat(process.env.MEMORY_RETENTION_MAX_AGE_DAYS || "0"),
+        maxConversations: parseInt(process.env.MEMORY_RETENTION_MAX_CONVERSATIONS || "0", 10),
+        maxSize: process.env.MEMORY_RETENTION_MAX_SIZE,
+        digestAfterDays: parseFloat(process.env.MEMORY_DIGEST_AFTER_DAYS || "0"),
+        digestMinExchanges: parseInt(process.env.MEMORY_DIGEST_MIN_EXCHANGES || "4", 10),
+        digestMaxPerRun: parseInt(process.env.MEMORY_DIGEST_MAX_PER_RUN || "10", 10),
+      },
+      compactionIntervalMinutes: parseFloat(process.env.MEMORY_COMPACTION_INTERVAL_MINUTES || "60"),
+      // Digests are written by the local Claude, queued like any other request
+      summarize: (prompt) =>
+        runQueued((signal) => invokeClaudeCode(prompt, null, null, { signal }), {
+          metadata: { source: "memory/digest" },
+        }).then((result) => result.response),
+    });
+  }
+
+  const corsPolicy = loadCorsPolicy();
+  const publicKey = loadInstanceIdentity();
+  const tlsOptions = loadServerTlsOptions({
+    cert: process.env.TLS_CERT,
+    key: process.env.TLS_KEY,
+    clientCa: process.env.TLS_CLIENT_CA || process.env.TLS_CA,
+    clientAuth: TLS_CLIENT_AUTH,
+  });
+  const scheme = tlsOptions ? "https" : "http";
+
+  const projects = loadProjects({
+    workingDir: WORKING_DIR,
+    packageContext: PACKAGE_CONTEXT_ENABLED,
+  });
+  if (PACKAGE_CONTEXT_ENABLED) {
+    await initPackageCatalog({
+      directories: projects.filter((p) => p.packageContext).map((p) => p.workingDir),
+      watch: PACKAGE_WATCH,
+      refreshInterval: PACKAGE_REFRESH_INTERVAL,
+      detectors: parseList(process.env.PACKAGE_DETECTORS),
     });
   }
 
-  app.listen(PORT, HOST, () => {
+  (tlsOptions ? createServer(tlsOptions, app) : app).listen(PORT, HOST, () => {
     const localIPs = getLocalIPs();
 
     // Print prominent startup banner
@@ -507,29 +2147,76 @@ async function startServer() {
       port: PORT,
       instanceName: instanceInfo.instanceName,
       hasPersona: !!instanceInfo.persona,
-      maxConcurrent: MAX_CONCURRENT,
+      maxConcurrent: getQueueMetrics().max_concurrent,
+      maxQueueDepth: getQueueMetrics().max_depth,
       memoryEnabled: MEMORY_ENABLED,
+      authentication: isAuthConfigured() ? "api keys" : "disabled",
+      tls: !!tlsOptions,
+      tlsClientAuth: tlsOptions ? TLS_CLIENT_AUTH : undefined,
     });
 
-    logger.info(`Local: http://localhost:${PORT}`);
+    logger.info(
+      `CORS: ${corsPolicy.origins.length > 0 ? corsPolicy.origins.join(", ") : "no cross-origin pages"}` +
+        (corsPolicy.credentials ? " (with credentials)" : "") +
+        (corsPolicy.routes.length > 0 ? `; route overrides: ${corsPolicy.routes.join(", ")}` : ""),
+    );
+
+    logger.info(
+      `Tool policy: permission mode ${toolPolicies.permissionMode}` +
+        (toolPolicies.keys.length > 0 ? `; keys: ${toolPolicies.keys.join(", ")}` : "") +
+        (toolPolicies.instances.length > 0
+          ? `; instances: ${toolPolicies.instances.join(", ")}`
+          : ""),
+    );
+
+    logger.info(`Local: ${scheme}://localhost:${PORT}`);
+    if (!tlsOptions && !["localhost", "127.0.0.1", "::1"].includes(HOST)) {
+      logger.warn(
+        `Serving plain HTTP on ${HOST}: questions and answers cross the network unencrypted. Set TLS_CERT and TLS_KEY to serve HTTPS.`,
+      );
+    }
+
+    if (publicKey) {
+      logger.info(`Signing requests to other instances. Public key: ${publicKey}`);
+    }
 
     if (localIPs.length > 0) {
       logger.info(`Network interfaces:`);
       for (const ip of localIPs) {
-        logger.info(`  ${ip.interface}: http://${ip.address}:${PORT}`);
+        logger.info(`  ${ip.interface}: ${scheme}://${ip.address}:${PORT}`);
       }
     }
 
-    logger.info(`Working directory: ${WORKING_DIR}`);
-    logger.info(`Health: GET /health | Ask: POST /ask`);
+    for (const project of listProjects()) {
+      logger.info(
+        `Project ${project.name}${project.isDefault ? " (default)" : ""}: ${project.workingDir}`,
+      );
+    }
+    logger.info(`Health: GET /health | Ask: POST /ask | Stream: POST /ask/stream`);
+    logger.info(`Jobs: POST /jobs | GET /jobs/:id | DELETE /jobs/:id`);
+    logger.info(
+      `Broadcast: POST /broadcast | Pipelines: GET /pipelines | POST /pipelines/:name/run`,
+    );
+    logger.info(`Debate: POST /debate`);
+    logger.info(
+      `Keys: GET|POST /keys | POST /keys/:id/rotate | DELETE /keys/:id (${getKeysPath()})`,
+    );
+    logger.info(`Orchestrate: POST /orchestrate | GET /orchestrations | GET /orchestrations/:id`);
     if (MEMORY_ENABLED) {
       logger.info(`Memory: GET /memory/stats | /memory/search?q= | /memory/recent`);
+      logger.info(`Memory edits: PATCH|DELETE /memory/conversation/:id[/exchanges/:index]`);
+      logger.info(`Memory replay: POST /memory/conversation/:id/branch | /replay`);
+      logger.info(`Memory bundles: GET /memory/export | POST /memory/import`);
+      logger.info(`Memory compaction: POST /memory/compact`);
     }
-    if (PACKAGE_CONTEXT_ENABLED) {
-      const pkgs = discoverPackages();
+    if (getProject().packageContext) {
+      const pkgs = discoverPackages(getProject().workingDir);
+      const catalog = getPackageCatalogInfo(getProject().workingDir);
       logger.info(
-        `Package Context: ${pkgs.length} packages discovered, ${pkgs.filter((p) => p.hasClaudeMd).length} with CLAUDE.md`,
+        `Package Context: ${pkgs.length} packages discovered in ${catalog.duration_ms}ms, ${pkgs.filter((p) => p.hasClaudeMd).length} with CLAUDE.md` +
+          (catalog.watching ? " (watching for changes)" : ""),
       );
+      logger.info(`Packages: GET /packages | POST /packages/refresh`);
     }
   });
 }
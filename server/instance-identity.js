@@ -0,0 +1,233 @@
+import { readFileSync, writeFileSync, existsSync } from "fs";
+import { resolve } from "path";
+import {
+  createHash,
+  createPrivateKey,
+  createPublicKey,
+  generateKeyPairSync,
+  randomBytes,
+  sign,
+  verify,
+} from "crypto";
+
+/**
+ * Instance Identity
+ *
+ * Instances authenticate to each other with Ed25519 keypairs instead of a
+ * shared API key. With INSTANCE_SIGN_REQUESTS=true an instance signs every
+ * request it sends to a registry instance; the signature covers its name,
+ * the receiving instance's name, the method, path, timestamp, a nonce and a
+ * hash of the body:
+ *
+ *   X-Instance-Name       Signing instance (its INSTANCE_NAME)
+ *   X-Instance-Target     Receiving instance (its registry name)
+ *   X-Instance-Timestamp  Unix time in seconds
+ *   X-Instance-Nonce      Random, never reused
+ *   X-Instance-Signature  Base64 Ed25519 signature
+ *
+ * A receiving instance trusts the peers in its registry that carry a
+ * "publicKey", and rejects signatures meant for another instance, older than
+ * INSTANCE_SIGNATURE_MAX_AGE seconds, or whose nonce it has already seen.
+ * The private key lives in INSTANCE_KEY_PATH and is created on first start.
+ */
+
+const SIGN_REQUESTS = process.env.INSTANCE_SIGN_REQUESTS === "true";
+const KEY_PATH = resolve(process.env.INSTANCE_KEY_PATH || "./instance-key.pem");
+const INSTANCE_NAME = process.env.INSTANCE_NAME || "unnamed-instance";
+const MAX_AGE_SECONDS = parseInt(process.env.INSTANCE_SIGNATURE_MAX_AGE || "300", 10);
+
+export const SIGNATURE_HEADERS = [
+  "X-Instance-Name",
+  "X-Instance-Target",
+  "X-Instance-Timestamp",
+  "X-Instance-Nonce",
+  "X-Instance-Signature",
+];
+
+let privateKey = null;
+let publicKey = null;
+
+// Nonces seen within the signature age window: "instance:nonce" -> expiry (ms)
+const seenNonces = new Map();
+
+/**
+ * Load this instance's keypair, creating it on first use
+ *
+ * Does nothing unless INSTANCE_SIGN_REQUESTS is enabled.
+ *
+ * @returns {string|null} Public key to put in peers' registries, or null when not signing
+ */
+export function loadInstanceIdentity() {
+  if (!SIGN_REQUESTS) return null;
+
+  if (!existsSync(KEY_PATH)) {
+    const { privateKey: created } = generateKeyPairSync("ed25519");
+    writeFileSync(KEY_PATH, created.export({ type: "pkcs8", format: "pem" }), { mode: 0o600 });
+  }
+
+  try {
+    privateKey = createPrivateKey(readFileSync(KEY_PATH, "utf8"));
+  } catch (err) {
+    throw new Error(`Failed to load instance key ${KEY_PATH}: ${err.message}`);
+  }
+  if (privateKey.asymmetricKeyType !== "ed25519") {
+    throw new Error(`Instance key ${KEY_PATH} is not an Ed25519 key`);
+  }
+  publicKey = createPublicKey(privateKey)
+    .export({ type: "spki", format: "der" })
+    .toString("base64");
+  return publicKey;
+}
+
+/**
+ * Get this instance's public key
+ * @returns {string|null} Base64 SPKI public key, or null when not signing
+ */
+export function getInstancePublicKey() {
+  return publicKey;
+}
+
+/**
+ * Whether outbound requests are signed
+ * @returns {boolean}
+ */
+export function isSigningEnabled() {
+  return !!privateKey;
+}
+
+/**
+ * Build the string a signature covers
+ * @param {object} parts - { instance, target, method, path, timestamp, nonce, body }
+ * @returns {string}
+ */
+function canonicalRequest({ instance, target, method, path, timestamp, nonce, body }) {
+  const bodyHash = createHash("sha256")
+    .update(body || "")
+    .digest("hex");
+  return [instance, target, method.toUpperCase(), path, timestamp, nonce, bodyHash].join("\n");
+}
+
+/**
+ * Sign an outbound request
+ * @param {string} target - Registry name of the receiving instance
+ * @param {string} method - HTTP method
+ * @param {string} path - Path including any query string
+ * @param {string|Buffer} [body] - Request body exactly as sent
+ * @returns {object} Signature headers, or {} when not signing
+ */
+export function signRequest(target, method, path, body) {
+  if (!privateKey) return {};
+
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = randomBytes(16).toString("hex");
+  const signature = sign(
+    null,
+    Buffer.from(
+      canonicalRequest({ instance: INSTANCE_NAME, target, method, path, timestamp, nonce, body }),
+    ),
+    privateKey,
+  );
+
+  return {
+    "X-Instance-Name": INSTANCE_NAME,
+    "X-Instance-Target": target,
+    "X-Instance-Timestamp": timestamp,
+    "X-Instance-Nonce": nonce,
+    "X-Instance-Signature": signature.toString("base64"),
+  };
+}
+
+/**
+ * Parse a registry public key, given as base64 SPKI or PEM
+ * @param {string} key - Public key
+ * @returns {KeyObject}
+ */
+function parsePublicKey(key) {
+  return key.includes("BEGIN")
+    ? createPublicKey(key)
+    : createPublicKey({ key: Buffer.from(key, "base64"), format: "der", type: "spki" });
+}
+
+/**
+ * Remember a nonce, pruning those too old to be replayed anyway
+ * @param {string} id - "instance:nonce"
+ * @returns {boolean} False if the nonce was already seen
+ */
+function recordNonce(id) {
+  const now = Date.now();
+  for (const [seen, expires] of seenNonces) {
+    if (expires <= now) seenNonces.delete(seen);
+  }
+  if (seenNonces.has(id)) return false;
+
+  // Kept for twice the age window, covering clock skew in both directions
+  seenNonces.set(id, now + 2 * MAX_AGE_SECONDS * 1000);
+  return true;
+}
+
+/**
+ * Verify a signed inbound request
+ * @param {object} req - Express request (req.rawBody holds the body as received)
+ * @param {Function} getPeerKey - Returns a trusted peer's public key by instance name, or null
+ * @returns {{instance: string|null, error: string|null}} The verified instance, or why it was refused
+ */
+export function verifySignedRequest(req, getPeerKey) {
+  const instance = req.headers["x-instance-name"];
+  const target = req.headers["x-instance-target"];
+  const timestamp = req.headers["x-instance-timestamp"];
+  const nonce = req.headers["x-instance-nonce"];
+  const signature = req.headers["x-instance-signature"];
+
+  if (!instance || !target || !timestamp || !nonce || !signature) {
+    return {
+      instance: null,
+      error: `Signed requests need the ${SIGNATURE_HEADERS.join(", ")} headers`,
+    };
+  }
+
+  // Each instance tracks its own nonces, so a request must not be accepted by another
+  if (target !== INSTANCE_NAME) {
+    return { instance: null, error: `Request was signed for instance '${target}'` };
+  }
+
+  const peerKey = getPeerKey(instance);
+  if (!peerKey) {
+    return { instance: null, error: `Instance '${instance}' is not a trusted peer` };
+  }
+
+  const age = Math.floor(Date.now() / 1000) - parseInt(timestamp, 10);
+  if (!/^\d+$/.test(timestamp) || Math.abs(age) > MAX_AGE_SECONDS) {
+    return { instance: null, error: "Request signature has expired" };
+  }
+
+  let valid;
+  try {
+    valid = verify(
+      null,
+      Buffer.from(
+        canonicalRequest({
+          instance,
+          target,
+          method: req.method,
+          path: req.originalUrl,
+          timestamp,
+          nonce,
+          body: req.rawBody,
+        }),
+      ),
+      parsePublicKey(peerKey),
+      Buffer.from(signature, "base64"),
+    );
+  } catch (err) {
+    return { instance: null, error: `Invalid public key for instance '${instance}'` };
+  }
+  if (!valid) {
+    return { instance: null, error: "Invalid request signature" };
+  }
+
+  // Checked last, so a forged request cannot burn a genuine nonce
+  if (!recordNonce(`${instance}:${nonce}`)) {
+    return { instance: null, error: "Request has already been received (replayed nonce)" };
+  }
+  return { instance, error: null };
+}
@@ -0,0 +1,304 @@
+import { v4 as uuidv4 } from "uuid";
+
+/**
+ * Job Queue
+ *
+ * Runs Claude Code work with at most MAX_CONCURRENT_REQUESTS jobs in flight.
+ * Work beyond that waits in a FIFO queue (up to JOB_QUEUE_MAX_DEPTH) instead of
+ * being rejected. Used both for synchronous /ask calls and for /jobs, which
+ * callers poll for the result.
+ */
+
+const MAX_CONCURRENT = parseInt(process.env.MAX_CONCURRENT_REQUESTS || "2", 10);
+const MAX_QUEUE_DEPTH = parseInt(process.env.JOB_QUEUE_MAX_DEPTH || "50", 10);
+const DEFAULT_JOB_TIMEOUT = parseInt(
+  process.env.JOB_TIMEOUT || process.env.CLAUDE_CODE_TIMEOUT || "60000",
+  10,
+);
+// A job cannot outlive the CLI call it wraps, which stops at CLAUDE_CODE_TIMEOUT
+const MAX_JOB_TIMEOUT = parseInt(process.env.CLAUDE_CODE_TIMEOUT || "60000", 10);
+const JOB_RETENTION_MS = parseInt(process.env.JOB_RETENTION_MS || "3600000", 10);
+
+const jobs = new Map();
+const pending = [];
+let running = 0;
+
+const metrics = {
+  submitted: 0,
+  completed: 0,
+  failed: 0,
+  cancelled: 0,
+  timedOut: 0,
+  rejected: 0,
+  totalWaitMs: 0,
+  totalRunMs: 0,
+  started: 0,
+  finishedRuns: 0,
+};
+
+/**
+ * Add a job to the queue
+ * @param {function(AbortSignal): Promise<*>} task - Work to run; should stop when the signal aborts
+ * @param {object} options - Job options
+ * @param {number} options.timeoutMs - Maximum run time once started (defaults to JOB_TIMEOUT)
+ * @param {boolean} options.retain - Keep the finished job for polling (default true)
+ * @param {object} options.metadata - Extra info reported with the job
+ * @param {string} options.keyId - ID of the API key that submitted the job, if any
+ * @param {AbortSignal} options.signal - Drops the job if aborted before it starts
+ * @returns {object} The job record
+ */
+export function enqueueJob(task, options = {}) {
+  if (pending.length >= MAX_QUEUE_DEPTH) {
+    metrics.rejected++;
+    throw new Error(
+      `Server at capacity: job queue is full (${pending.length} queued). Please retry later.`,
+    );
+  }
+
+  let settle;
+  const completion = new Promise((resolve) => {
+    settle = resolve;
+  });
+
+  const job = {
+    id: uuidv4(),
+    status: "queued",
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    timeoutMs: options.timeoutMs || DEFAULT_JOB_TIMEOUT,
+    retain: options.retain !== false,
+    metadata: options.metadata || {},
+    keyId: options.keyId || null,
+    result: null,
+    error: null,
+    task,
+    signal: options.signal || null,
+    controller: new AbortController(),
+    completion,
+    settle,
+  };
+
+  jobs.set(job.id, job);
+  pending.push(job);
+  metrics.submitted++;
+
+  processQueue();
+  return job;
+}
+
+/**
+ * Run a task through the queue and wait for its result
+ * @param {function(AbortSignal): Promise<*>} task - Work to run
+ * @param {object} options - Same as enqueueJob, plus:
+ * @param {AbortSignal} options.signal - Cancels the job when aborted (e.g. caller disconnected)
+ * @returns {Promise<*>} The task's result
+ */
+export async function runQueued(task, options = {}) {
+  if (options.signal?.aborted) {
+    throw new Error("Job was cancelled");
+  }
+
+  const job = enqueueJob(task, { retain: false, ...options });
+
+  const onAbort = () => cancelJob(job.id);
+  options.signal?.addEventListener("abort", onAbort, { once: true });
+
+  try {
+    await job.completion;
+  } finally {
+    options.signal?.removeEventListener("abort", onAbort);
+  }
+
+  if (job.status === "done") {
+    return job.result;
+  }
+  throw job.error || new Error("Job was cancelled");
+}
+
+/**
+ * Start queued jobs while there are free slots
+ */
+function processQueue() {
+  while (running < MAX_CONCURRENT && pending.length > 0) {
+    const job = pending.shift();
+    if (job.signal?.aborted) {
+      finishJob(job, "cancelled", null, new Error("Job was cancelled"));
+      continue;
+    }
+    runJob(job);
+  }
+}
+
+/**
+ * Run a single job, enforcing its timeout
+ * @param {object} job - Job record
+ */
+async function runJob(job) {
+  running++;
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  metrics.started++;
+  metrics.totalWaitMs += Date.parse(job.startedAt) - Date.parse(job.createdAt);
+
+  let timedOut = false;
+  const timeoutId = setTimeout(() => {
+    timedOut = true;
+    job.controller.abort();
+  }, job.timeoutMs);
+
+  // Resolve as soon as the job is aborted, even if the task ignores its signal
+  const aborted = new Promise((_, reject) => {
+    job.controller.signal.addEventListener("abort", () => reject(new Error("aborted")), {
+      once: true,
+    });
+  });
+  aborted.catch(() => {});
+
+  try {
+    const result = await Promise.race([job.task(job.controller.signal), aborted]);
+    finishJob(job, "done", result, null);
+  } catch (error) {
+    if (job.status === "cancelled") {
+      finishJob(job, "cancelled", null, new Error("Job was cancelled"));
+    } else if (timedOut) {
+      finishJob(job, "failed", null, new Error(`Job timed out after ${job.timeoutMs}ms`));
+    } else {
+      finishJob(job, "failed", null, error);
+    }
+  } finally {
+    clearTimeout(timeoutId);
+    running--;
+    processQueue();
+  }
+
+  if (timedOut) {
+    metrics.timedOut++;
+  }
+}
+
+/**
+ * Record a job's outcome and release anyone waiting on it
+ * @param {object} job - Job record
+ * @param {string} status - done, failed or cancelled
+ * @param {*} result - Task result
+ * @param {Error|null} error - Failure reason
+ */
+function finishJob(job, status, result, error) {
+  job.status = status;
+  job.result = result;
+  job.error = error;
+  job.finishedAt = new Date().toISOString();
+  job.task = null;
+
+  if (job.startedAt) {
+    metrics.totalRunMs += Date.parse(job.finishedAt) - Date.parse(job.startedAt);
+    metrics.finishedRuns++;
+  }
+  if (status === "done") metrics.completed++;
+  else if (status === "failed") metrics.failed++;
+  else if (status === "cancelled") metrics.cancelled++;
+
+  job.settle(job);
+
+  if (!job.retain) {
+    jobs.delete(job.id);
+  } else {
+    setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref();
+  }
+}
+
+/**
+ * Validate a requested job timeout
+ * @param {*} timeoutMs - Requested timeout (undefined means the default)
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateJobTimeout(timeoutMs) {
+  if (timeoutMs === undefined) return null;
+  if (!Number.isInteger(timeoutMs) || timeoutMs <= 0 || timeoutMs > MAX_JOB_TIMEOUT) {
+    return `Invalid "timeout_ms" field. Must be a positive integer no greater than ${MAX_JOB_TIMEOUT} (CLAUDE_CODE_TIMEOUT).`;
+  }
+  return null;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} jobId - Job ID
+ * @returns {object|null} Job record
+ */
+export function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+/**
+ * Get a job's 1-based position in the queue
+ * @param {object} job - Job record
+ * @returns {number|null} Position, or null if the job is not waiting
+ */
+export function getQueuePosition(job) {
+  const index = pending.indexOf(job);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Cancel a queued or running job
+ * @param {string} jobId - Job ID
+ * @returns {object|null} The job, or null if it does not exist
+ */
+export function cancelJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) return null;
+
+  if (job.status === "queued") {
+    pending.splice(pending.indexOf(job), 1);
+    finishJob(job, "cancelled", null, new Error("Job was cancelled"));
+  } else if (job.status === "running") {
+    job.status = "cancelled";
+    job.controller.abort();
+  }
+
+  return job;
+}
+
+/**
+ * Serialize a job for API responses
+ * @param {object} job - Job record
+ * @returns {object}
+ */
+export function describeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    position: getQueuePosition(job),
+    created_at: job.createdAt,
+    started_at: job.startedAt,
+    finished_at: job.finishedAt,
+    timeout_ms: job.timeoutMs,
+    ...job.metadata,
+    ...(job.result && { result: job.result }),
+    ...(job.error && { error: job.error.message }),
+  };
+}
+
+/**
+ * Get queue metrics for /health
+ * @returns {object}
+ */
+export function getQueueMetrics() {
+  return {
+    running,
+    queued: pending.length,
+    max_concurrent: MAX_CONCURRENT,
+    max_depth: MAX_QUEUE_DEPTH,
+    default_timeout_ms: DEFAULT_JOB_TIMEOUT,
+    max_timeout_ms: MAX_JOB_TIMEOUT,
+    submitted: metrics.submitted,
+    completed: metrics.completed,
+    failed: metrics.failed,
+    cancelled: metrics.cancelled,
+    timed_out: metrics.timedOut,
+    rejected: metrics.rejected,
+    avg_wait_ms: metrics.started ? Math.round(metrics.totalWaitMs / metrics.started) : 0,
+    avg_run_ms: metrics.finishedRuns ? Math.round(metrics.totalRunMs / metrics.finishedRuns) : 0,
+  };
+}
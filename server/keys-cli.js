@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * Manage API keys without a running server
+ *
+ * Usage:
+ *   npm run keys -- create <name> --scopes ask,memory:read [--expires 30d|DATE] [--rate-limit N]
+ *   npm run keys -- list
+ *   npm run keys -- rotate <name|id>
+ *   npm run keys -- revoke <name|id>
+ *
+ * Options:
+ *   --env FILE   Load settings (API_KEYS_FILE) from another .env file
+ *
+ * A running server picks up the changes on its next request. Secrets are
+ * printed once, when a key is created or rotated, and cannot be recovered.
+ */
+
+import "./config.js";
+import { getKeysPath, listKeys, createKey, rotateKey, revokeKey } from "./api-keys.js";
+
+const VALUE_FLAGS = ["--env", "-e", "--scopes", "--expires", "--rate-limit"];
+
+/**
+ * Split command line arguments into positionals and flag values
+ * @param {string[]} args - Arguments after the script name
+ * @returns {{positionals: string[], flags: object}}
+ */
+function parseArgs(args) {
+  const positionals = [];
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    if (VALUE_FLAGS.includes(args[i])) {
+      flags[args[i].replace(/^-+/, "")] = args[++i];
+    } else {
+      positionals.push(args[i]);
+    }
+  }
+  return { positionals, flags };
+}
+
+/**
+ * Print a key, and its secret when there is one
+ * @param {object} key - Key (see listKeys)
+ * @param {string} [secret] - Secret
+ */
+function printKey(key, secret) {
+  console.log(`${key.name} (${key.id})`);
+  console.log(`  scopes:     ${key.scopes.join(", ")}`);
+  console.log(`  expires:    ${key.expires || "never"}`);
+  console.log(`  rate limit: ${key.rate_limit ? `${key.rate_limit}/min` : "default"}`);
+  if (secret) {
+    console.log(`  secret:     ${secret}`);
+    console.log("\nStore the secret now; it is not shown again.");
+  }
+}
+
+function main() {
+  const { positionals, flags } = parseArgs(process.argv.slice(2));
+  const [command, target] = positionals;
+
+  if (command === "list") {
+    const keys = listKeys();
+    if (keys.length === 0) {
+      console.log(`No API keys in ${getKeysPath()}`);
+      return;
+    }
+    for (const key of keys) {
+      console.log(
+        `${key.name.padEnd(20)} ${key.id}  ${key.prefix}…  ${key.scopes.join(",")}` +
+          (key.expires ? `  expires ${key.expires}` : "") +
+          (key.rate_limit ? `  ${key.rate_limit}/min` : ""),
+      );
+    }
+    return;
+  }
+
+  if (!["create", "rotate", "revoke"].includes(command) || !target) {
+    console.error("Usage: keys-cli.js create|list|rotate|revoke [name|id] [options]");
+    process.exit(1);
+  }
+
+  if (command === "create") {
+    const { key, secret } = createKey({
+      name: target,
+      scopes: (flags.scopes || "ask").split(",").map((scope) => scope.trim()),
+      expires: flags.expires,
+      rateLimit: flags["rate-limit"] ? Number(flags["rate-limit"]) : undefined,
+    });
+    printKey(key, secret);
+    return;
+  }
+
+  if (command === "rotate") {
+    const rotated = rotateKey(target);
+    if (!rotated) throw new Error(`API key not found: ${target}`);
+    printKey(rotated.key, rotated.secret);
+    return;
+  }
+
+  const revoked = revokeKey(target);
+  if (!revoked) throw new Error(`API key not found: ${target}`);
+  console.log(`Revoked ${revoked.name} (${revoked.id})`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error("API key command failed:", error.message);
+  process.exit(1);
+}
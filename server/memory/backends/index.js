@@ -0,0 +1,72 @@
+/**
+ * Storage backends for conversation memory
+ *
+ * Every backend stores one memory partition (an instance's memory or a shared
+ * namespace) and implements:
+ *
+ *   init()                                  Prepare storage
+ *   loadIndex()                             { instance, lastUpdated, totalConversations, topics, keywords, recent, catalog }
+ *   loadConversation(id)                    Conversation or null
+ *   findConversationBySessionId(sessionId)  Conversation or null
+ *   recordExchange(exchange)                { conversation, index }
+ *   updateConversation(id, update)          Store update(conversation) unless it returns its input; null if not found
+ *   saveConversations(conversations)        Store complete conversations as they are
+ *   deleteConversations(ids)                IDs that existed and were deleted
+ *   pruneOrphans()                          Drop dangling references and stale files; counts removed
+ *   getStats()                              Counts plus the backend type
+ *
+ * and exposes its `type` and `directory`.
+ *
+ * "jsonl" (default) is an append-only log safe for concurrent writers;
+ * "markdown" is the original index.md format.
+ */
+
+import { join } from "path";
+import { createJsonlStore } from "./jsonl.js";
+import { createMarkdownStore } from "./markdown.js";
+
+export const STORAGE_BACKENDS = ["jsonl", "markdown"];
+
+let storageOptions = {
+  backend: "jsonl",
+  markdownExport: true,
+};
+
+// One store per partition, so its in-memory state is shared by every caller
+const stores = new Map();
+
+/**
+ * Configure which backend new stores use
+ * @param {object} options - { backend, markdownExport }
+ */
+export function configureStorage(options = {}) {
+  const backend = options.backend || "jsonl";
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(
+      `Unknown memory backend '${backend}'. Expected one of: ${STORAGE_BACKENDS.join(", ")}`,
+    );
+  }
+  storageOptions = { backend, markdownExport: options.markdownExport !== false };
+  stores.clear();
+}
+
+/**
+ * Open the store for a memory partition
+ * @param {string} basePath - Base storage path
+ * @param {string} name - Partition name (instance or shared namespace)
+ * @param {string} backend - Backend type (defaults to the configured one)
+ * @returns {object} Storage backend
+ */
+export function openStore(basePath, name, backend = storageOptions.backend) {
+  const key = `${backend}:${join(basePath, name)}`;
+
+  if (!stores.has(key)) {
+    stores.set(
+      key,
+      backend === "markdown"
+        ? createMarkdownStore(basePath, name)
+        : createJsonlStore(basePath, name, { markdownExport: storageOptions.markdownExport }),
+    );
+  }
+  return stores.get(key);
+}
@@ -0,0 +1,483 @@
+/**
+ * JSONL storage backend
+ *
+ * Each memory partition (an instance or a shared namespace) is an append-only
+ * log of JSON records, one per line, replayed into in-memory maps for fast
+ * lookups. Every write happens under a lock file, so several processes can
+ * write to the same partition, and each write is a single appended line.
+ * A torn last line from a crashed writer is ignored on replay.
+ *
+ * Edits append a new version of the conversation and deletions append a
+ * delete record. The log is compacted (rewritten with only the latest version
+ * of each live conversation) once superseded records outnumber the live ones,
+ * and straight after an edit or deletion so removed text does not linger.
+ */
+
+import { promises as fs } from "fs";
+import { join } from "path";
+import {
+  createConversation,
+  appendToConversation,
+  saveConversation,
+  updateCatalog,
+  resolveConversationPath,
+} from "../storage.js";
+
+const LOG_FILE = "memory.jsonl";
+const LOCK_FILE = "memory.lock";
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 10000;
+const LOCK_RETRY_MS = 20;
+const COMPACT_MIN_RECORDS = 200;
+const RECENT_LIMIT = 50;
+
+/**
+ * Build the index entry summary for a conversation
+ * @param {object} conversation - Conversation data
+ * @returns {string}
+ */
+function summarize(conversation) {
+  const question = conversation.exchanges[0]?.question;
+  return question ? question.substring(0, 50) + "..." : "No summary";
+}
+
+/**
+ * Open a JSONL-backed memory partition
+ * @param {string} basePath - Base storage path
+ * @param {string} name - Partition name (instance or shared namespace)
+ * @param {object} options - { markdownExport }
+ * @returns {object} Storage backend
+ */
+export function createJsonlStore(basePath, name, options = {}) {
+  const directory = join(basePath, name);
+  const logPath = join(directory, LOG_FILE);
+  const lockPath = join(directory, LOCK_FILE);
+
+  let state = emptyState();
+  let indexCache = null;
+  // Reads and resets of the state run one at a time so records are applied exactly once
+  let pending = Promise.resolve();
+
+  /**
+   * Relative path of a conversation's markdown export (dated by when it started)
+   * @param {object} conversation - Conversation data
+   * @returns {string|null} Path, or null when exports are off
+   */
+  function exportPath(conversation) {
+    if (!options.markdownExport) return null;
+    const path = join(
+      "conversations",
+      conversation.created.split("T")[0],
+      `conv-${conversation.id}.md`,
+    );
+    // Throws if the conversation's data would place it outside the partition
+    resolveConversationPath(basePath, name, path);
+    return path;
+  }
+
+  function emptyState() {
+    return {
+      inode: null,
+      offset: 0,
+      records: 0,
+      partialTail: false,
+      lastUpdated: null,
+      conversations: new Map(),
+      sessions: new Map(),
+    };
+  }
+
+  /**
+   * Apply one log record to the in-memory state
+   * @param {object} record - Parsed log record
+   */
+  function apply(record) {
+    if (record.type === "conversation" && record.data?.id) {
+      state.conversations.set(record.data.id, record.data);
+      if (record.data.sessionId) {
+        state.sessions.set(record.data.sessionId, record.data.id);
+      }
+      state.lastUpdated = record.data.updated;
+    } else if (record.type === "delete" && record.id) {
+      state.conversations.delete(record.id);
+      for (const [sessionId, id] of state.sessions) {
+        if (id === record.id) {
+          state.sessions.delete(sessionId);
+        }
+      }
+    }
+    state.records++;
+    indexCache = null;
+  }
+
+  /**
+   * Run a state update after any in-flight ones
+   * @param {function(): Promise<void>} fn - State update
+   * @returns {Promise<void>}
+   */
+  function serialize(fn) {
+    pending = pending.then(fn, fn);
+    return pending;
+  }
+
+  /**
+   * Read any records appended since the last refresh, by this or another process
+   * @returns {Promise<void>}
+   */
+  function refresh() {
+    return serialize(readNewRecords);
+  }
+
+  async function readNewRecords() {
+    let stat;
+    try {
+      stat = await fs.stat(logPath);
+    } catch {
+      state = emptyState();
+      indexCache = null;
+      return;
+    }
+
+    // The log was compacted (replaced) by another writer - replay it from the start
+    if (stat.ino !== state.inode || stat.size < state.offset) {
+      state = emptyState();
+      state.inode = stat.ino;
+      indexCache = null;
+    }
+
+    if (stat.size === state.offset) return;
+
+    const handle = await fs.open(logPath, "r");
+    try {
+      const buffer = Buffer.alloc(stat.size - state.offset);
+      await handle.read(buffer, 0, buffer.length, state.offset);
+
+      // Only consume complete lines; a trailing partial line is a write in progress or torn
+      const end = buffer.lastIndexOf(0x0a);
+      state.partialTail = end !== buffer.length - 1;
+      if (end === -1) return;
+
+      for (const line of buffer.subarray(0, end).toString("utf8").split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          apply(JSON.parse(line));
+        } catch {
+          // Torn or corrupt line - skip it
+        }
+      }
+      state.offset += end + 1;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Run a function while holding the partition's lock file
+   * @param {function(): Promise<*>} fn - Work to do under the lock
+   * @returns {Promise<*>}
+   */
+  async function withLock(fn) {
+    await fs.mkdir(directory, { recursive: true });
+    const started = Date.now();
+    let lock = null;
+
+    while (!lock) {
+      try {
+        lock = await fs.open(lockPath, "wx");
+      } catch (err) {
+        if (err.code !== "EEXIST") throw err;
+
+        // Break locks left behind by a crashed writer
+        const stat = await fs.stat(lockPath).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+          await fs.unlink(lockPath).catch(() => {});
+          continue;
+        }
+        if (Date.now() - started > LOCK_TIMEOUT_MS) {
+          throw new Error(`Could not acquire memory lock ${lockPath}`);
+        }
+        await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+    }
+
+    // Keep the lock fresh while holding it, so a slow compaction is not taken for a crash
+    const heartbeat = setInterval(() => {
+      const now = new Date();
+      fs.utimes(lockPath, now, now).catch(() => {});
+    }, LOCK_STALE_MS / 4);
+
+    try {
+      return await fn();
+    } finally {
+      clearInterval(heartbeat);
+      await lock.close();
+      await fs.unlink(lockPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Append records to the log (caller must hold the lock)
+   * @param {object[]} records - Records to append
+   */
+  async function append(records) {
+    // Start on a fresh line if a previous writer left a torn line behind
+    const prefix = state.partialTail ? "\n" : "";
+    const lines = records.map((record) => JSON.stringify(record)).join("\n");
+    await fs.appendFile(logPath, prefix + lines + "\n", "utf8");
+    await refresh();
+  }
+
+  /**
+   * Rewrite the log with only live conversations (caller must hold the lock)
+   */
+  async function compact() {
+    const tempPath = `${logPath}.tmp`;
+    const lines = [...state.conversations.values()].map((data) =>
+      JSON.stringify({ type: "conversation", data }),
+    );
+    await fs.writeFile(tempPath, lines.length ? lines.join("\n") + "\n" : "", "utf8");
+    await fs.rename(tempPath, logPath);
+
+    await serialize(async () => {
+      state = emptyState();
+      indexCache = null;
+      await readNewRecords();
+    });
+  }
+
+  /**
+   * Write the markdown export of conversations, if enabled
+   * @param {object[]} conversations - Conversations just written to the log
+   */
+  async function exportMarkdown(conversations) {
+    if (!options.markdownExport) return;
+    for (const conversation of conversations) {
+      await saveConversation(basePath, name, conversation, exportPath(conversation));
+    }
+  }
+
+  /**
+   * Compact when superseded records outnumber live conversations
+   */
+  async function maybeCompact() {
+    if (state.records >= COMPACT_MIN_RECORDS && state.records > 2 * state.conversations.size) {
+      await compact();
+    }
+  }
+
+  /**
+   * Build the index structure shared by all backends from the in-memory state
+   * @returns {object}
+   */
+  function buildIndex() {
+    if (indexCache) return indexCache;
+
+    const topics = {};
+    const keywords = {};
+    const conversations = [...state.conversations.values()].sort((a, b) =>
+      b.updated.localeCompare(a.updated),
+    );
+
+    let catalog = { conversations: {}, sessions: {} };
+    for (const conversation of [...conversations].reverse()) {
+      catalog = updateCatalog(catalog, conversation, exportPath(conversation));
+    }
+
+    for (const conversation of conversations) {
+      const summary = summarize(conversation);
+      for (const topic of conversation.topics || []) {
+        (topics[topic] ||= []).push({
+          id: conversation.id,
+          path: exportPath(conversation),
+          summary,
+        });
+      }
+      for (const keyword of conversation.keywords || []) {
+        (keywords[keyword] ||= []).push(conversation.id);
+      }
+    }
+
+    indexCache = {
+      instance: name,
+      lastUpdated: state.lastUpdated,
+      totalConversations: state.conversations.size,
+      topics,
+      keywords,
+      recent: conversations.slice(0, RECENT_LIMIT).map((conversation) => ({
+        date: conversation.created.split("T")[0],
+        id: conversation.id,
+        summary: summarize(conversation),
+        keywords: conversation.keywords || [],
+        path: exportPath(conversation),
+      })),
+      catalog,
+    };
+    return indexCache;
+  }
+
+  return {
+    type: "jsonl",
+    directory,
+
+    async init() {
+      await fs.mkdir(directory, { recursive: true });
+      await refresh();
+    },
+
+    async loadIndex() {
+      await refresh();
+      return buildIndex();
+    },
+
+    async loadConversation(conversationId) {
+      await refresh();
+      return state.conversations.get(conversationId) || null;
+    },
+
+    async findConversationBySessionId(sessionId) {
+      await refresh();
+      const id = state.sessions.get(sessionId);
+      return id ? state.conversations.get(id) : null;
+    },
+
+    async recordExchange(exchange) {
+      const { question, answer, sessionId, keywords, topics, instance, branchOf } = exchange;
+
+      const conversation = await withLock(async () => {
+        await refresh();
+
+        const existingId = sessionId && state.sessions.get(sessionId);
+        const existing = existingId ? state.conversations.get(existingId) : null;
+        const updated = existing
+          ? appendToConversation(existing, question, answer, keywords, topics)
+          : createConversation(sessionId, question, answer, keywords, topics, instance, branchOf);
+
+        await append([{ type: "conversation", data: updated }]);
+        await maybeCompact();
+        return updated;
+      });
+
+      if (options.markdownExport) {
+        await saveConversation(basePath, name, conversation, exportPath(conversation));
+      }
+
+      return { conversation, index: buildIndex() };
+    },
+
+    async updateConversation(conversationId, update) {
+      const conversation = await withLock(async () => {
+        await refresh();
+        const existing = state.conversations.get(conversationId);
+        if (!existing) return null;
+
+        const updated = update(existing);
+        if (updated === existing) return existing;
+
+        await append([{ type: "conversation", data: updated }]);
+        await compact();
+        return updated;
+      });
+
+      if (conversation && options.markdownExport) {
+        await saveConversation(basePath, name, conversation, exportPath(conversation));
+      }
+      return conversation;
+    },
+
+    async saveConversations(conversations) {
+      // Refuse the whole batch before writing if any export would leave the partition
+      conversations.forEach(exportPath);
+
+      await withLock(async () => {
+        await refresh();
+        if (conversations.length > 0) {
+          await append(conversations.map((data) => ({ type: "conversation", data })));
+        }
+        await maybeCompact();
+      });
+
+      await exportMarkdown(conversations);
+    },
+
+    async deleteConversations(conversationIds) {
+      const deleted = await withLock(async () => {
+        await refresh();
+        const existing = conversationIds.map((id) => state.conversations.get(id)).filter(Boolean);
+        if (existing.length === 0) return [];
+
+        await append(existing.map(({ id }) => ({ type: "delete", id })));
+        await compact();
+        return existing;
+      });
+
+      if (options.markdownExport) {
+        for (const conversation of deleted) {
+          await fs.unlink(join(basePath, name, exportPath(conversation))).catch(() => {});
+        }
+      }
+      return deleted.map(({ id }) => id);
+    },
+
+    /**
+     * Compact the log if it holds superseded records; the index is derived
+     * from it, so it has no orphaned references
+     * @returns {Promise<{conversations: number, references: number, files: number, records: number}>}
+     */
+    async pruneOrphans() {
+      const records = await withLock(async () => {
+        await refresh();
+        const before = state.records;
+        if (before > state.conversations.size) {
+          await compact();
+        }
+        return before - state.records;
+      });
+      return { conversations: 0, references: 0, files: 0, records };
+    },
+
+    /**
+     * Import conversations, keeping whichever copy was updated last
+     * @param {object[]} conversations - Conversation data
+     * @returns {Promise<number>} Number of conversations written
+     */
+    async importConversations(conversations) {
+      conversations.forEach(exportPath);
+
+      const written = await withLock(async () => {
+        await refresh();
+        const newer = conversations.filter((conversation) => {
+          const existing = state.conversations.get(conversation.id);
+          return !existing || (conversation.updated || "") > (existing.updated || "");
+        });
+        if (newer.length > 0) {
+          await append(newer.map((data) => ({ type: "conversation", data })));
+        }
+        await maybeCompact();
+        return newer;
+      });
+
+      await exportMarkdown(written);
+      return written.length;
+    },
+
+    async compact() {
+      await withLock(async () => {
+        await refresh();
+        await compact();
+      });
+    },
+
+    async getStats() {
+      await refresh();
+      const index = buildIndex();
+      return {
+        totalConversations: index.totalConversations,
+        totalTopics: Object.keys(index.topics).length,
+        totalKeywords: Object.keys(index.keywords).length,
+        lastUpdated: index.lastUpdated,
+        backend: "jsonl",
+        logRecords: state.records,
+      };
+    },
+  };
+}
@@ -0,0 +1,126 @@
+/**
+ * Markdown storage backend
+ *
+ * The original storage format: one markdown file per conversation plus an
+ * index.md holding topics, keywords and the 50 most recent conversations.
+ * Human readable, but the whole index is rewritten on every exchange and it
+ * is not safe for several concurrent writers.
+ */
+
+import { join } from "path";
+import {
+  ensureDirectoryStructure,
+  loadIndex,
+  loadConversation,
+  findConversationBySessionId,
+  recordExchange,
+  replaceConversation,
+  saveConversations,
+  deleteConversations,
+  pruneOrphans,
+  getStats,
+} from "../storage.js";
+
+const INDEX_CACHE_TTL = 30000; // 30 seconds
+
+/**
+ * Open a markdown-backed memory partition
+ * @param {string} basePath - Base storage path
+ * @param {string} name - Partition name (instance or shared namespace)
+ * @returns {object} Storage backend
+ */
+export function createMarkdownStore(basePath, name) {
+  // In-memory cache of the index
+  let indexCache = null;
+  let indexCacheTime = 0;
+
+  async function getCachedIndex() {
+    const now = Date.now();
+    if (!indexCache || now - indexCacheTime > INDEX_CACHE_TTL) {
+      indexCache = await loadIndex(basePath, name);
+      indexCacheTime = now;
+    }
+    return indexCache;
+  }
+
+  return {
+    type: "markdown",
+    directory: join(basePath, name),
+
+    async init() {
+      await ensureDirectoryStructure(basePath, name);
+      indexCache = await loadIndex(basePath, name);
+      indexCacheTime = Date.now();
+    },
+
+    loadIndex: getCachedIndex,
+
+    loadConversation(conversationId) {
+      return loadConversation(basePath, name, conversationId);
+    },
+
+    findConversationBySessionId(sessionId) {
+      return findConversationBySessionId(basePath, name, sessionId);
+    },
+
+    async recordExchange(exchange) {
+      const result = await recordExchange(basePath, name, exchange, await getCachedIndex());
+      indexCache = result.index;
+      indexCacheTime = Date.now();
+      return result;
+    },
+
+    async updateConversation(conversationId, update) {
+      const existing = await loadConversation(basePath, name, conversationId);
+      if (!existing) return null;
+
+      const conversation = update(existing);
+      if (conversation === existing) return existing;
+      indexCache = await replaceConversation(
+        basePath,
+        name,
+        conversation,
+        await loadIndex(basePath, name),
+      );
+      indexCacheTime = Date.now();
+      return conversation;
+    },
+
+    async saveConversations(conversations) {
+      indexCache = await saveConversations(
+        basePath,
+        name,
+        conversations,
+        await loadIndex(basePath, name),
+      );
+      indexCacheTime = Date.now();
+    },
+
+    async deleteConversations(conversationIds) {
+      const { index, deleted } = await deleteConversations(
+        basePath,
+        name,
+        conversationIds,
+        await loadIndex(basePath, name),
+      );
+      indexCache = index;
+      indexCacheTime = Date.now();
+      return deleted;
+    },
+
+    async pruneOrphans() {
+      const { index, removed } = await pruneOrphans(
+        basePath,
+        name,
+        await loadIndex(basePath, name),
+      );
+      indexCache = index;
+      indexCacheTime = Date.now();
+      return removed;
+    },
+
+    async getStats() {
+      return { ...(await getStats(basePath, name)), backend: "markdown" };
+    },
+  };
+}
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Export or import an instance's memory as a JSONL bundle, without a running server
+ *
+ * Usage:
+ *   npm run memory:export -- <file> [--from DATE] [--to DATE] [--topic a,b] [--keyword x,y]
+ *   npm run memory:import -- <file> [--conflict newer|skip|overwrite|duplicate]
+ *
+ * Common options:
+ *   --instance NAME   Instance whose memory to use (default: INSTANCE_NAME)
+ *   --path DIR        Storage path (default: MEMORY_STORAGE_PATH or ./memory)
+ *   --env FILE        Load settings from another .env file
+ *
+ * The storage backend comes from MEMORY_BACKEND. Stop the instance before
+ * importing with the markdown backend, which does not support concurrent writers.
+ */
+
+import "../config.js";
+import { promises as fs } from "fs";
+import { resolve } from "path";
+import { configureStorage, openStore } from "./backends/index.js";
+import { parseBundleFilters, exportBundle, parseBundle, importBundle } from "./bundle.js";
+
+const VALUE_FLAGS = [
+  "--instance",
+  "--path",
+  "--env",
+  "-e",
+  "--from",
+  "--to",
+  "--topic",
+  "--keyword",
+  "--conflict",
+];
+
+/**
+ * Split command line arguments into positionals and flag values
+ * @param {string[]} args - Arguments after the script name
+ * @returns {{positionals: string[], flags: object}}
+ */
+function parseArgs(args) {
+  const positionals = [];
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    if (VALUE_FLAGS.includes(args[i])) {
+      flags[args[i].replace(/^-+/, "")] = args[++i];
+    } else {
+      positionals.push(args[i]);
+    }
+  }
+  return { positionals, flags };
+}
+
+async function main() {
+  const { positionals, flags } = parseArgs(process.argv.slice(2));
+  const [command, file] = positionals;
+
+  if (!["export", "import"].includes(command) || !file) {
+    console.error("Usage: bundle-cli.js export|import <file> [options]");
+    process.exit(1);
+  }
+
+  const instanceName = flags.instance || process.env.INSTANCE_NAME || "unnamed-instance";
+  const basePath = resolve(flags.path || process.env.MEMORY_STORAGE_PATH || "./memory");
+
+  configureStorage({
+    backend: process.env.MEMORY_BACKEND || "jsonl",
+    markdownExport: process.env.MEMORY_MARKDOWN_EXPORT !== "false",
+  });
+  const store = openStore(basePath, instanceName);
+  await store.init();
+
+  if (command === "export") {
+    const { bundle, count } = await exportBundle(store, instanceName, parseBundleFilters(flags));
+    await fs.writeFile(file, bundle, "utf8");
+    console.log(`Exported ${count} conversation(s) from ${instanceName} to ${file}`);
+    return;
+  }
+
+  const result = await importBundle(store, parseBundle(await fs.readFile(file, "utf8")), {
+    conflict: flags.conflict,
+  });
+  console.log(
+    `Imported into ${instanceName}: ${result.imported} new, ${result.replaced} replaced, ` +
+      `${result.skipped} skipped, ${result.renamed} renamed, ${result.sessions_dropped} session(s) dropped` +
+      (result.invalid ? `, ${result.invalid} invalid` : ""),
+  );
+}
+
+main().catch((error) => {
+  console.error("Memory bundle failed:", error.message);
+  process.exit(1);
+});
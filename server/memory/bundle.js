@@ -0,0 +1,297 @@
+/**
+ * Memory bundles
+ *
+ * A bundle is a portable JSONL file holding an instance's memory: a header
+ * line, then one conversation per line. It does not depend on the storage
+ * backend - the index is rebuilt from the conversations on import.
+ *
+ *   {"type":"interclaude-memory-bundle","version":1,"instance":"...","exported":"...","filters":{...},"count":2}
+ *   {"type":"conversation","data":{"id":"...","sessionId":"...","exchanges":[...],...}}
+ */
+
+import { v4 as uuidv4 } from "uuid";
+
+export const BUNDLE_TYPE = "interclaude-memory-bundle";
+export const BUNDLE_VERSION = 1;
+
+// Keywords and topics must be plain tokens to fit the markdown index
+const TAG_PATTERN = /^[\w-]+$/;
+
+/**
+ * How an imported conversation that already exists locally (same ID or same
+ * session ID) is handled:
+ *   newer      keep whichever copy was updated last (default)
+ *   skip       keep the local copy
+ *   overwrite  replace the local copy
+ *   duplicate  import it as a separate conversation with a new ID
+ */
+export const CONFLICT_STRATEGIES = ["newer", "skip", "overwrite", "duplicate"];
+
+/**
+ * Parse a date filter bound; a bare date covers the whole day
+ * @param {string} value - ISO date or timestamp
+ * @param {boolean} endOfDay - Use the end of a bare date rather than its start
+ * @returns {Date|null}
+ */
+function parseDateBound(value, endOfDay) {
+  if (!value) return null;
+  const bare = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(bare && endOfDay ? `${value}T23:59:59.999Z` : value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${value}". Use YYYY-MM-DD or an ISO timestamp.`);
+  }
+  return date;
+}
+
+/**
+ * Build export filters from raw options (query parameters or CLI flags)
+ * @param {object} options - { from, to, topic, keyword } - topic and keyword are comma-separated
+ * @returns {object} Normalized filters
+ */
+export function parseBundleFilters(options = {}) {
+  const list = (value) =>
+    (value || "")
+      .split(",")
+      .map((item) => item.trim().toLowerCase())
+      .filter(Boolean);
+
+  return {
+    from: parseDateBound(options.from, false),
+    to: parseDateBound(options.to, true),
+    topics: list(options.topic),
+    keywords: list(options.keyword),
+  };
+}
+
+/**
+ * Check a conversation against export filters
+ *
+ * The date range matches conversations with activity inside it (started
+ * before its end and last updated after its start). Topics and keywords
+ * match if the conversation has any of them.
+ *
+ * @param {object} conversation - Conversation data
+ * @param {object} filters - Filters from parseBundleFilters
+ * @returns {boolean}
+ */
+function matchesFilters(conversation, filters) {
+  if (filters.from && new Date(conversation.updated) < filters.from) return false;
+  if (filters.to && new Date(conversation.created) > filters.to) return false;
+  if (filters.topics.length && !filters.topics.some((t) => conversation.topics?.includes(t))) {
+    return false;
+  }
+  if (
+    filters.keywords.length &&
+    !filters.keywords.some((k) => conversation.keywords?.includes(k))
+  ) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Export a memory partition as a bundle
+ * @param {object} store - Storage backend
+ * @param {string} instanceName - Instance the memory belongs to
+ * @param {object} filters - Filters from parseBundleFilters
+ * @returns {Promise<{bundle: string, count: number}>} JSONL bundle text
+ */
+export async function exportBundle(store, instanceName, filters) {
+  const index = await store.loadIndex();
+
+  const conversations = [];
+  for (const id of Object.keys(index.catalog.conversations)) {
+    const conversation = await store.loadConversation(id);
+    if (conversation && matchesFilters(conversation, filters)) {
+      conversations.push(conversation);
+    }
+  }
+  conversations.sort((a, b) => (a.created || "").localeCompare(b.created || ""));
+
+  const header = {
+    type: BUNDLE_TYPE,
+    version: BUNDLE_VERSION,
+    instance: instanceName,
+    exported: new Date().toISOString(),
+    filters: {
+      from: filters.from?.toISOString() || null,
+      to: filters.to?.toISOString() || null,
+      topics: filters.topics,
+      keywords: filters.keywords,
+    },
+    count: conversations.length,
+  };
+
+  const lines = [header, ...conversations.map((data) => ({ type: "conversation", data }))];
+  return {
+    bundle: lines.map((line) => JSON.stringify(line)).join("\n") + "\n",
+    count: conversations.length,
+  };
+}
+
+/**
+ * Check that a value is an ISO 8601 timestamp; conversation files are named by its date
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isTimestamp(value) {
+  return (
+    typeof value === "string" && /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(Date.parse(value))
+  );
+}
+
+/**
+ * Check that a bundle record holds a usable conversation
+ * @param {object} conversation - Conversation data
+ * @returns {boolean}
+ */
+function isValidConversation(conversation) {
+  return (
+    typeof conversation?.id === "string" &&
+    /^[\w-]+$/.test(conversation.id) &&
+    isTimestamp(conversation.created) &&
+    isTimestamp(conversation.updated) &&
+    Array.isArray(conversation.exchanges) &&
+    conversation.exchanges.length > 0 &&
+    conversation.exchanges.every(
+      (e) => typeof e?.question === "string" && typeof e?.answer === "string",
+    )
+  );
+}
+
+/**
+ * Parse bundle text
+ * @param {string} text - JSONL bundle
+ * @returns {{header: object, conversations: object[], invalid: number}}
+ */
+export function parseBundle(text) {
+  const lines = (text || "").split("\n").filter((line) => line.trim());
+
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch {
+    header = null;
+  }
+  if (header?.type !== BUNDLE_TYPE) {
+    throw new Error("Invalid memory bundle: missing bundle header");
+  }
+  if (header.version > BUNDLE_VERSION) {
+    throw new Error(`Unsupported memory bundle version ${header.version}`);
+  }
+
+  const conversations = [];
+  let invalid = 0;
+  for (const line of lines.slice(1)) {
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      record = null;
+    }
+    if (record?.type === "conversation" && isValidConversation(record.data)) {
+      conversations.push(record.data);
+    } else {
+      invalid++;
+    }
+  }
+
+  return { header, conversations, invalid };
+}
+
+/**
+ * Merge a parsed bundle into a memory partition
+ *
+ * An incoming conversation is the same as a local one if it has the same ID
+ * (and no conflicting session ID) or the same session ID; those are resolved
+ * with the conflict strategy. An ID that is taken by an unrelated local
+ * conversation gets a new ID, and a session ID that is already taken is
+ * dropped, so session continuation keeps resolving to the local conversation.
+ *
+ * @param {object} store - Storage backend
+ * @param {object} bundle - Result of parseBundle
+ * @param {object} options - { conflict }
+ * @returns {Promise<object>} Counts: { total, imported, replaced, skipped, renamed, sessions_dropped, invalid }
+ */
+export async function importBundle(store, bundle, options = {}) {
+  const conflict = options.conflict || "newer";
+  if (!CONFLICT_STRATEGIES.includes(conflict)) {
+    throw new Error(
+      `Unknown conflict strategy '${conflict}'. Expected one of: ${CONFLICT_STRATEGIES.join(", ")}`,
+    );
+  }
+
+  const index = await store.loadIndex();
+  // What is known about each conversation ID, including earlier bundle entries
+  const known = new Map(
+    Object.values(index.catalog.conversations).map((entry) => [
+      entry.id,
+      { sessionId: entry.sessionId, updated: entry.updated },
+    ]),
+  );
+  const sessions = new Map(Object.entries(index.catalog.sessions));
+
+  const result = {
+    total: bundle.conversations.length + bundle.invalid,
+    imported: 0,
+    replaced: 0,
+    skipped: 0,
+    renamed: 0,
+    sessions_dropped: 0,
+    invalid: bundle.invalid,
+  };
+  const writes = new Map();
+
+  for (const incoming of bundle.conversations) {
+    const tags = (list) => (Array.isArray(list) ? list : []).filter((tag) => TAG_PATTERN.test(tag));
+    const conversation = {
+      ...incoming,
+      instance: incoming.instance || bundle.header.instance,
+      keywords: tags(incoming.keywords),
+      topics: tags(incoming.topics),
+    };
+
+    const byId = known.get(conversation.id);
+    const sameId =
+      byId &&
+      (!byId.sessionId || !conversation.sessionId || byId.sessionId === conversation.sessionId);
+    const localId = sameId ? conversation.id : sessions.get(conversation.sessionId);
+
+    if (localId && conflict !== "duplicate") {
+      const local = known.get(localId);
+      if (
+        conflict === "skip" ||
+        (conflict === "newer" && conversation.updated <= (local.updated || ""))
+      ) {
+        result.skipped++;
+        continue;
+      }
+      conversation.id = localId;
+      result.replaced++;
+    } else {
+      if (known.has(conversation.id)) {
+        do {
+          conversation.id = uuidv4().substring(0, 8);
+        } while (known.has(conversation.id));
+        result.renamed++;
+      }
+      if (conversation.sessionId && sessions.has(conversation.sessionId)) {
+        delete conversation.sessionId;
+        result.sessions_dropped++;
+      }
+      result.imported++;
+    }
+
+    known.set(conversation.id, {
+      sessionId: conversation.sessionId,
+      updated: conversation.updated,
+    });
+    if (conversation.sessionId) {
+      sessions.set(conversation.sessionId, conversation.id);
+    }
+    writes.set(conversation.id, conversation);
+  }
+
+  await store.saveConversations([...writes.values()]);
+  return result;
+}
@@ -3,19 +3,9 @@
  * Coordinates storage, indexing, and retrieval
  */
 
-import { resolve, isAbsolute } from "path";
-import {
-  ensureDirectoryStructure,
-  loadIndex,
-  saveIndex,
-  loadConversation,
-  saveConversation,
-  createConversation,
-  appendToConversation,
-  updateIndex,
-  findConversationBySessionId,
-  getStats,
-} from "./storage.js";
+import { resolve, isAbsolute, join } from "path";
+import { existsSync } from "fs";
+import { configureStorage, openStore } from "./backends/index.js";
 
 import { extractKeywordsFromExchange, extractTopicsFromExchange } from "./indexer.js";
 
@@ -25,8 +15,28 @@ import {
   shouldRetrieveContext,
   createContextSummary,
   searchConversations,
+  getPinnedConversations,
 } from "./retriever.js";
 
+import { parseBundleFilters, exportBundle, parseBundle, importBundle } from "./bundle.js";
+
+import { configureSimilarity, getSimilarityConfig, scoreSimilarity } from "./similarity.js";
+
+import {
+  configureRetention,
+  getRetentionConfig,
+  getDiskUsage,
+  loadLastCompaction,
+  runCompaction,
+} from "./retention.js";
+
+import {
+  configureSharedMemory,
+  getSharedConfig,
+  getSharedMatches,
+  publishToShared,
+} from "./shared.js";
+
 // Configuration
 let config = {
   enabled: false,
@@ -36,16 +46,26 @@ let config = {
   maxContextTokens: 2000,
 };
 
-// In-memory cache of the index
-let indexCache = null;
-let indexCacheTime = 0;
-const INDEX_CACHE_TTL = 30000; // 30 seconds
+// Storage for this instance's own memory partition
+let store = null;
+
+// Background compaction
+const COMPACTION_STARTUP_DELAY = 60 * 1000;
+let compactionTimer = null;
+let compactionRun = null;
 
 /**
  * Initialize the memory system
  * @param {string} instanceName - Name of this instance
  * @param {string} storagePath - Base path for storage
  * @param {object} options - Additional options
+ * @param {string} options.backend - Storage backend: "jsonl" (default) or "markdown"
+ * @param {boolean} options.markdownExport - Also write human-readable markdown conversation files
+ * @param {object} options.similarity - Similarity scoring: { provider, weight, embeddingUrl, embeddingModel, embeddingMinSimilarity }
+ * @param {object} options.shared - Shared namespaces: { path, read, write, host, serve }
+ * @param {object} options.retention - Retention limits and digests, see configureRetention()
+ * @param {number} options.compactionIntervalMinutes - How often compaction runs in the background (0 = never)
+ * @param {function(string): Promise<string>} options.summarize - Runs a prompt on the local Claude, for digests
  */
 export async function initializeMemory(instanceName, storagePath, options = {}) {
   config.instanceName = instanceName || "unnamed-instance";
@@ -65,16 +85,39 @@ export async function initializeMemory(instanceName, storagePath, options = {})
   }
 
   try {
-    // Ensure directory structure exists
-    await ensureDirectoryStructure(config.basePath, config.instanceName);
+    configureStorage({ backend: options.backend, markdownExport: options.markdownExport });
+    configureSimilarity(options.similarity);
+    configureRetention(options.retention);
+    config.summarize = options.summarize;
+
+    // Ensure storage exists and pre-load the index
+    store = openStore(config.basePath, config.instanceName);
+    await store.init();
+    const index = await store.loadIndex();
+
+    if (
+      store.type === "jsonl" &&
+      index.totalConversations === 0 &&
+      existsSync(join(config.basePath, config.instanceName, "index.md"))
+    ) {
+      console.warn(
+        "[Memory] Found markdown memory but no JSONL log - run `npm run memory:migrate` to import it",
+      );
+    }
 
-    // Pre-load index into cache
-    indexCache = await loadIndex(config.basePath, config.instanceName);
-    indexCacheTime = Date.now();
+    // Shared namespaces default to a directory next to the per-instance ones
+    configureSharedMemory({
+      ...options.shared,
+      path: options.shared?.path || join(config.basePath, "_shared"),
+    });
 
     console.log(`[Memory] Initialized for instance: ${config.instanceName}`);
     console.log(`[Memory] Storage path: ${config.basePath}`);
-    console.log(`[Memory] Total conversations: ${indexCache.totalConversations}`);
+    console.log(`[Memory] Backend: ${store.type}`);
+    console.log(`[Memory] Similarity: ${getSimilarityConfig().provider}`);
+    console.log(`[Memory] Total conversations: ${index.totalConversations}`);
+
+    scheduleCompaction(options.compactionIntervalMinutes);
   } catch (error) {
     console.error("[Memory] Failed to initialize:", error.message);
     config.enabled = false;
@@ -99,10 +142,15 @@ export async function getMemoryStats() {
   }
 
   try {
-    const stats = await getStats(config.basePath, config.instanceName);
+    const stats = await store.getStats();
     return {
       enabled: true,
       ...stats,
+      diskUsage: await getDiskUsage(store.directory),
+      similarity: getSimilarityConfig(),
+      shared: getSharedConfig(),
+      retention: getRetentionConfig(),
+      lastCompaction: await loadLastCompaction(store),
     };
   } catch (error) {
     return {
@@ -112,35 +160,12 @@ export async function getMemoryStats() {
   }
 }
 
-/**
- * Get the current index (with caching)
- * @returns {object} The index data
- */
-async function getCachedIndex() {
-  const now = Date.now();
-
-  if (!indexCache || now - indexCacheTime > INDEX_CACHE_TTL) {
-    indexCache = await loadIndex(config.basePath, config.instanceName);
-    indexCacheTime = now;
-  }
-
-  return indexCache;
-}
-
-/**
- * Invalidate the index cache
- */
-function invalidateIndexCache() {
-  indexCache = null;
-  indexCacheTime = 0;
-}
-
 /**
  * Record a conversation exchange
  * @param {string} question - The question asked
  * @param {string} answer - The answer received
  * @param {string} sessionId - Session ID for continuity
- * @param {object} metadata - Additional metadata
+ * @param {object} metadata - Additional metadata; branchOf ({ id, exchange }) marks a new conversation as a branch
  * @returns {object} Result with conversation ID and memory sources
  */
 export async function recordConversation(question, answer, sessionId, metadata = {}) {
@@ -153,36 +178,23 @@ export async function recordConversation(question, answer, sessionId, metadata =
     const keywords = extractKeywordsFromExchange(question, answer);
     const topics = extractTopicsFromExchange(question, answer);
 
-    // Check if we have an existing conversation for this session
-    let conversation = null;
-    if (sessionId) {
-      conversation = await findConversationBySessionId(
-        config.basePath,
-        config.instanceName,
-        sessionId,
-      );
-    }
-
-    let relativePath;
-
-    if (conversation) {
-      // Append to existing conversation
-      conversation = appendToConversation(conversation, question, answer, keywords, topics);
-      relativePath = await saveConversation(config.basePath, config.instanceName, conversation);
-    } else {
-      // Create new conversation
-      conversation = createConversation(sessionId, question, answer, keywords, topics);
-      relativePath = await saveConversation(config.basePath, config.instanceName, conversation);
-    }
-
-    // Update the index
-    const index = await getCachedIndex();
-    const updatedIndex = updateIndex(index, conversation, relativePath);
-    await saveIndex(config.basePath, config.instanceName, updatedIndex);
+    const { conversation } = await store.recordExchange({
+      question,
+      answer,
+      sessionId,
+      keywords,
+      topics,
+      instance: config.instanceName,
+      branchOf: metadata.branchOf,
+    });
 
-    // Update cache
-    indexCache = updatedIndex;
-    indexCacheTime = Date.now();
+    // Publish to the shared namespaces this instance writes
+    const shared = await publishToShared({
+      question,
+      answer,
+      sessionId,
+      instance: config.instanceName,
+    });
 
     return {
       recorded: true,
@@ -190,6 +202,7 @@ export async function recordConversation(question, answer, sessionId, metadata =
       isNewConversation: !sessionId || conversation.exchanges.length === 1,
       keywords,
       topics,
+      shared,
     };
   } catch (error) {
     console.error("[Memory] Failed to record conversation:", error.message);
@@ -214,22 +227,41 @@ export async function getRelevantContext(question, options = {}) {
   }
 
   try {
-    const index = await getCachedIndex();
+    const index = await store.loadIndex();
+    const maxItems = options.maxItems || config.maxContextItems;
+
+    // Conversations pinned "always" are injected on top of the best matches
+    const pinned = getPinnedConversations(index);
+    const isPinned = (match) => pinned.some((p) => p.id === match.id);
 
-    // Find relevant conversations
-    const matches = findRelevantConversations(question, index, {
-      maxResults: options.maxItems || config.maxContextItems,
+    // Find relevant conversations in this instance's memory and the shared namespaces it reads
+    const ownMatches = findRelevantConversations(question, index, {
+      maxResults: maxItems + pinned.length,
       minScore: options.minScore || 0.1,
-    });
+      similarity: await scoreSimilarity(store, index, question),
+    }).filter((match) => !isPinned(match));
+    // Skip shared copies of this instance's own answers - they are already in ownMatches
+    const sharedMatches = (await getSharedMatches(question, maxItems)).filter(
+      (m) => m.origin !== config.instanceName,
+    );
+
+    const matches = [
+      ...pinned,
+      ...[...ownMatches, ...sharedMatches].sort((a, b) => b.score - a.score).slice(0, maxItems),
+    ];
 
     if (matches.length === 0) {
       return { contextUsed: false, reason: "No relevant conversations found" };
     }
 
-    // Load full conversation data for matches
+    // Load full conversation data for matches (shared matches already carry it)
     const conversationsWithData = [];
     for (const match of matches) {
-      const conversation = await loadConversation(config.basePath, config.instanceName, match.id);
+      if (match.namespace) {
+        conversationsWithData.push(match);
+        continue;
+      }
+      const conversation = await store.loadConversation(match.id);
       if (conversation) {
         conversationsWithData.push({
           ...match,
@@ -251,7 +283,7 @@ export async function getRelevantContext(question, options = {}) {
       contextUsed: true,
       context: contextText,
       summary,
-      sources: matches.map((m) => m.id),
+      sources: matches.map((m) => (m.namespace ? `${m.namespace}:${m.id}` : m.id)),
       matchCount: matches.length,
     };
   } catch (error) {
@@ -272,8 +304,8 @@ export async function search(query, limit = 10) {
   }
 
   try {
-    const index = await getCachedIndex();
-    return searchConversations(query, index, limit);
+    const index = await store.loadIndex();
+    return searchConversations(query, index, limit, await scoreSimilarity(store, index, query));
   } catch (error) {
     console.error("[Memory] Search failed:", error.message);
     return [];
@@ -291,7 +323,7 @@ export async function getRecent(limit = 10) {
   }
 
   try {
-    const index = await getCachedIndex();
+    const index = await store.loadIndex();
     return index.recent.slice(0, limit);
   } catch (error) {
     console.error("[Memory] Failed to get recent:", error.message);
@@ -310,13 +342,194 @@ export async function getConversation(conversationId) {
   }
 
   try {
-    return await loadConversation(config.basePath, config.instanceName, conversationId);
+    return await store.loadConversation(conversationId);
   } catch (error) {
     console.error("[Memory] Failed to get conversation:", error.message);
     return null;
   }
 }
 
+/**
+ * List the conversations branched from a conversation
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<object[]>} [{ id, exchange, date, summary }], oldest first
+ */
+export async function getBranches(conversationId) {
+  if (!config.enabled) {
+    return [];
+  }
+
+  const index = await store.loadIndex();
+  return Object.values(index.catalog.conversations)
+    .filter((entry) => entry.branchOf?.id === conversationId)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map((entry) => ({
+      id: entry.id,
+      exchange: entry.branchOf.exchange,
+      date: entry.date,
+      summary: entry.summary,
+    }));
+}
+
+/**
+ * Recompute a conversation's keywords and topics from its exchanges
+ * @param {object} conversation - Conversation data
+ * @returns {object} Conversation with fresh keywords and topics
+ */
+function retagConversation(conversation) {
+  const keywords = new Set();
+  let topics = [];
+  for (const exchange of conversation.exchanges) {
+    extractKeywordsFromExchange(exchange.question, exchange.answer).forEach((k) => keywords.add(k));
+    topics = extractTopicsFromExchange(exchange.question, exchange.answer, topics);
+  }
+  return { ...conversation, keywords: [...keywords], topics };
+}
+
+/**
+ * Delete a conversation
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<boolean>} Whether the conversation existed
+ */
+export async function deleteConversation(conversationId) {
+  if (!config.enabled) {
+    return false;
+  }
+  return (await store.deleteConversations([conversationId])).length > 0;
+}
+
+/**
+ * Change a conversation's pin state and/or its keywords and topics
+ * @param {string} conversationId - Conversation ID
+ * @param {object} changes - { pinned: "always" | "never" | null, keywords, topics }
+ * @returns {Promise<object|null>} Updated conversation, or null if not found
+ */
+export async function updateConversation(conversationId, changes) {
+  if (!config.enabled) {
+    return null;
+  }
+
+  return store.updateConversation(conversationId, (conversation) => {
+    const updated = { ...conversation, updated: new Date().toISOString() };
+    if (changes.pinned !== undefined) {
+      if (changes.pinned) {
+        updated.pinned = changes.pinned;
+      } else {
+        delete updated.pinned;
+      }
+    }
+    if (changes.keywords) updated.keywords = changes.keywords;
+    if (changes.topics) updated.topics = changes.topics;
+    return updated;
+  });
+}
+
+/**
+ * Amend or delete a single exchange of a conversation
+ *
+ * Keywords and topics are re-extracted from the remaining exchanges, so text
+ * that was removed stops matching. Deleting the last exchange deletes the
+ * conversation.
+ *
+ * @param {string} conversationId - Conversation ID
+ * @param {number} exchangeIndex - Index of the exchange (0-based)
+ * @param {object|null} changes - { question, answer } to amend, or null to delete
+ * @returns {Promise<{conversation: object|null, deleted: boolean}|null>} Result, or null if not found
+ */
+export async function updateExchange(conversationId, exchangeIndex, changes) {
+  if (!config.enabled) {
+    return null;
+  }
+
+  const existing = await store.loadConversation(conversationId);
+  if (!existing || !existing.exchanges[exchangeIndex]) {
+    return null;
+  }
+
+  if (!changes && existing.exchanges.length === 1) {
+    await store.deleteConversations([conversationId]);
+    return { conversation: null, deleted: true };
+  }
+
+  const conversation = await store.updateConversation(conversationId, (current) => {
+    const exchanges = changes
+      ? current.exchanges.map((exchange, i) =>
+          i === exchangeIndex ? { ...exchange, ...changes } : exchange,
+        )
+      : current.exchanges.filter((_, i) => i !== exchangeIndex);
+    return retagConversation({ ...current, exchanges, updated: new Date().toISOString() });
+  });
+
+  return conversation ? { conversation, deleted: false } : null;
+}
+
+/**
+ * Export this instance's memory as a bundle
+ * @param {object} options - { from, to, topic, keyword } (topic and keyword comma-separated)
+ * @returns {Promise<{bundle: string, count: number}>} JSONL bundle text
+ */
+export async function exportMemory(options = {}) {
+  return exportBundle(store, config.instanceName, parseBundleFilters(options));
+}
+
+/**
+ * Merge a memory bundle into this instance's memory
+ * @param {string} text - JSONL bundle
+ * @param {object} options - { conflict }
+ * @returns {Promise<object>} Import counts
+ */
+export async function importMemory(text, options = {}) {
+  return importBundle(store, parseBundle(text), options);
+}
+
+/**
+ * Run retention and compaction on this instance's memory now
+ *
+ * A run that is already in progress is joined rather than started twice.
+ *
+ * @returns {Promise<object|null>} Compaction report (null when memory is disabled)
+ */
+export async function compactMemory() {
+  if (!config.enabled) {
+    return null;
+  }
+
+  if (!compactionRun) {
+    compactionRun = runCompaction(store, { summarize: config.summarize }).finally(() => {
+      compactionRun = null;
+    });
+  }
+  return compactionRun;
+}
+
+/**
+ * Run compaction in the background, shortly after startup and then on an interval
+ * @param {number} intervalMinutes - Minutes between runs (0 = never)
+ */
+function scheduleCompaction(intervalMinutes = 60) {
+  clearInterval(compactionTimer);
+  if (!(intervalMinutes > 0)) {
+    return;
+  }
+
+  const run = () =>
+    compactMemory()
+      .then((report) => {
+        const pruned = Object.values(report.pruned).flat().length;
+        if (report.digested.length || pruned) {
+          console.log(
+            `[Memory] Compaction digested ${report.digested.length} and pruned ${pruned} conversation(s)`,
+          );
+        }
+      })
+      .catch((error) => console.error("[Memory] Compaction failed:", error.message));
+
+  // Timers are unref'd so they never keep the process alive on their own
+  setTimeout(run, COMPACTION_STARTUP_DELAY).unref();
+  compactionTimer = setInterval(run, intervalMinutes * 60 * 1000);
+  compactionTimer.unref();
+}
+
 /**
  * Export the current configuration (for debugging)
  * @returns {object} Current configuration
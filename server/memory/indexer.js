@@ -349,6 +349,15 @@ export function extractKeywords(text, maxKeywords = 10) {
   return sorted;
 }
 
+/**
+ * Extract every non-stop-word term from text, in order, keeping repeats
+ * @param {string} text - Text to extract terms from
+ * @returns {string[]} Array of terms
+ */
+export function extractTerms(text) {
+  return tokenize(text).filter((token) => !STOP_WORDS.has(token));
+}
+
 /**
  * Extract keywords from a question-answer pair
  * @param {string} question - The question
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * Import markdown memory (index.md + conversation files) into the JSONL backend
+ *
+ * Usage:
+ *   npm run memory:migrate
+ *   node server/memory/migrate.js [storage-path] [--compact]
+ *
+ * Every instance directory under the storage path is migrated, along with the
+ * shared namespaces under _shared/. Conversation files are read directly, so
+ * conversations that have dropped out of index.md's recent list are imported
+ * too. Existing markdown files are left in place. Running it again only
+ * imports conversations that are new or were updated since.
+ */
+
+import "../config.js";
+import { promises as fs } from "fs";
+import { join, resolve } from "path";
+import { parseConversationMarkdown, listConversationFiles } from "./storage.js";
+import { openStore } from "./backends/index.js";
+
+const SHARED_DIRECTORY = "_shared";
+
+/**
+ * List the memory partitions (instances and shared namespaces) under a path
+ * @param {string} basePath - Storage path
+ * @returns {Promise<{basePath: string, name: string}[]>}
+ */
+async function findPartitions(basePath) {
+  const partitions = [];
+  const entries = await fs.readdir(basePath, { withFileTypes: true });
+
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+
+    if (entry.name === SHARED_DIRECTORY) {
+      const sharedPath = join(basePath, SHARED_DIRECTORY);
+      for (const namespace of await fs.readdir(sharedPath, { withFileTypes: true })) {
+        if (namespace.isDirectory()) {
+          partitions.push({ basePath: sharedPath, name: namespace.name });
+        }
+      }
+    } else {
+      partitions.push({ basePath, name: entry.name });
+    }
+  }
+  return partitions;
+}
+
+/**
+ * Migrate one partition
+ * @param {{basePath: string, name: string}} partition - Partition location
+ * @param {boolean} compact - Compact the log afterwards
+ * @returns {Promise<{found: number, imported: number, skipped: number}>}
+ */
+async function migratePartition(partition, compact) {
+  const files = await listConversationFiles(
+    join(partition.basePath, partition.name, "conversations"),
+  );
+
+  const conversations = [];
+  let skipped = 0;
+  for (const file of files) {
+    const conversation = parseConversationMarkdown(await fs.readFile(file, "utf8"));
+    if (conversation.id && conversation.exchanges.length > 0) {
+      // Frontmatter parses an empty list as [""]
+      conversation.keywords = conversation.keywords.filter(Boolean);
+      conversation.topics = conversation.topics.filter(Boolean);
+      conversations.push(conversation);
+    } else {
+      console.warn(`  Skipping unreadable conversation: ${file}`);
+      skipped++;
+    }
+  }
+
+  const store = openStore(partition.basePath, partition.name, "jsonl");
+  const imported = await store.importConversations(conversations);
+  if (compact) {
+    await store.compact();
+  }
+
+  return { found: files.length, imported, skipped };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const compact = args.includes("--compact");
+  const pathArg = args.find(
+    (arg, i) => !arg.startsWith("-") && !["--env", "-e"].includes(args[i - 1]),
+  );
+  const basePath = resolve(pathArg || process.env.MEMORY_STORAGE_PATH || "./memory");
+
+  console.log(`Migrating memory in ${basePath}`);
+
+  let partitions;
+  try {
+    partitions = await findPartitions(basePath);
+  } catch (error) {
+    console.error(`Cannot read ${basePath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  let total = 0;
+  for (const partition of partitions) {
+    const label =
+      partition.basePath === basePath ? partition.name : `${SHARED_DIRECTORY}/${partition.name}`;
+    const result = await migratePartition(partition, compact);
+    total += result.imported;
+    console.log(
+      `  ${label}: ${result.found} conversation file(s), ${result.imported} imported` +
+        (result.skipped ? `, ${result.skipped} skipped` : ""),
+    );
+  }
+
+  console.log(`Done. Imported ${total} conversation(s) from ${partitions.length} partition(s).`);
+}
+
+main().catch((error) => {
+  console.error("Migration failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,281 @@
+/**
+ * Retention and compaction for conversation memory
+ *
+ * A compaction run, in order:
+ *   1. Digest: conversations idle for `digestAfterDays` with at least
+ *      `digestMinExchanges` exchanges are condensed into a single digest
+ *      exchange, written by the local Claude instance
+ *   2. Prune by age, then by count, then by disk size (oldest activity first)
+ *   3. Prune orphaned index references and stale files
+ *
+ * Conversations pinned "always" are never digested or pruned. The report of
+ * the last run is kept in compaction.json in the partition directory.
+ */
+
+import { promises as fs } from "fs";
+import { join } from "path";
+
+const REPORT_FILE = "compaction.json";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+const DIGEST_PROMPT = `Condense the conversation below into a digest for future reference.
+Keep every fact, decision, command, code identifier and conclusion. Drop greetings, repetition and dead ends.
+Reply with the digest only.`;
+
+// Configuration (0 disables a limit)
+let settings = {
+  maxAgeDays: 0,
+  maxConversations: 0,
+  maxSizeBytes: 0,
+  digestAfterDays: 0,
+  digestMinExchanges: 4,
+  digestMaxPerRun: 10,
+};
+
+/**
+ * Parse a size such as "500kb", "100mb" or "1gb" into bytes
+ * @param {string|number} value - Size
+ * @returns {number} Bytes (0 if empty)
+ */
+export function parseSize(value) {
+  if (!value) return 0;
+  const match = String(value)
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+  if (!match) {
+    throw new Error(`Invalid size "${value}". Use a number of bytes or e.g. 500kb, 100mb, 1gb.`);
+  }
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[match[2] || "b"]);
+}
+
+/**
+ * Configure retention limits and digests
+ * @param {object} options - { maxAgeDays, maxConversations, maxSize, digestAfterDays, digestMinExchanges, digestMaxPerRun }
+ */
+export function configureRetention(options = {}) {
+  const count = (value, fallback) => (Number.isFinite(value) && value >= 0 ? value : fallback);
+
+  settings = {
+    maxAgeDays: count(options.maxAgeDays, 0),
+    maxConversations: count(options.maxConversations, 0),
+    maxSizeBytes: parseSize(options.maxSize),
+    digestAfterDays: count(options.digestAfterDays, 0),
+    digestMinExchanges: Math.max(2, count(options.digestMinExchanges, 4)),
+    digestMaxPerRun: count(options.digestMaxPerRun, 10),
+  };
+}
+
+/**
+ * Get the retention configuration
+ * @returns {object}
+ */
+export function getRetentionConfig() {
+  return { ...settings };
+}
+
+/**
+ * Total size of the files under a directory
+ * @param {string} directory - Directory
+ * @returns {Promise<number>} Bytes
+ */
+export async function getDiskUsage(directory) {
+  let entries;
+  try {
+    entries = await fs.readdir(directory, { withFileTypes: true });
+  } catch {
+    return 0;
+  }
+
+  let total = 0;
+  for (const entry of entries) {
+    const path = join(directory, entry.name);
+    if (entry.isDirectory()) {
+      total += await getDiskUsage(path);
+    } else {
+      total += (await fs.stat(path).catch(() => ({ size: 0 }))).size;
+    }
+  }
+  return total;
+}
+
+/**
+ * Load the report of the last compaction of a partition
+ * @param {object} store - Storage backend
+ * @returns {Promise<object|null>}
+ */
+export async function loadLastCompaction(store) {
+  try {
+    return JSON.parse(await fs.readFile(join(store.directory, REPORT_FILE), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Condense a conversation into a single digest exchange
+ * @param {object} conversation - Conversation data
+ * @param {function(string): Promise<string>} summarize - Runs a prompt on the local Claude
+ * @returns {Promise<object>} Digested conversation
+ */
+async function digestConversation(conversation, summarize) {
+  const { exchanges } = conversation;
+  const transcript = exchanges
+    .map((e, i) => `## Exchange ${i + 1} (${e.timestamp})\nQ: ${e.question}\nA: ${e.answer}`)
+    .join("\n\n");
+
+  const summary = (await summarize(`${DIGEST_PROMPT}\n\n${transcript}`)).trim();
+  if (!summary) {
+    throw new Error("Empty digest");
+  }
+
+  return {
+    ...conversation,
+    exchanges: [
+      {
+        timestamp: exchanges[exchanges.length - 1].timestamp,
+        question: `Digest of ${exchanges.length} exchanges, starting with: ${exchanges[0].question}`,
+        answer: summary,
+      },
+    ],
+    // Counting earlier digests, so re-digesting keeps the original total
+    digestOf: exchanges.length - 1 + (conversation.digestOf || 1),
+    digested: new Date().toISOString(),
+  };
+}
+
+/**
+ * Pick the conversations that retention limits remove
+ * @param {object} store - Storage backend
+ * @param {object[]} candidates - Unpinned catalogue entries, oldest activity first
+ * @param {number} total - Number of conversations in the partition
+ * @returns {Promise<{age: string[], count: string[], size: string[]}>}
+ */
+async function selectPruned(store, candidates, total) {
+  const pruned = { age: [], count: [], size: [] };
+  let remaining = candidates;
+
+  if (settings.maxAgeDays > 0) {
+    const cutoff = new Date(Date.now() - settings.maxAgeDays * DAY_MS).toISOString();
+    pruned.age = remaining.filter((e) => (e.updated || "") < cutoff).map((e) => e.id);
+    remaining = remaining.slice(pruned.age.length);
+  }
+
+  const kept = total - pruned.age.length;
+  if (settings.maxConversations > 0 && kept > settings.maxConversations) {
+    pruned.count = remaining.slice(0, kept - settings.maxConversations).map((e) => e.id);
+    remaining = remaining.slice(pruned.count.length);
+  }
+
+  if (settings.maxSizeBytes > 0) {
+    // Estimated from each conversation's stored size; the report shows the measured result
+    let excess = (await getDiskUsage(store.directory)) - settings.maxSizeBytes;
+    for (const id of [...pruned.age, ...pruned.count]) {
+      excess -= await estimateSize(store, id);
+    }
+    for (const entry of remaining) {
+      if (excess <= 0) break;
+      excess -= await estimateSize(store, entry.id);
+      pruned.size.push(entry.id);
+    }
+  }
+
+  return pruned;
+}
+
+/**
+ * Estimate the disk space a conversation takes up
+ * @param {object} store - Storage backend
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<number>} Bytes
+ */
+async function estimateSize(store, conversationId) {
+  const conversation = await store.loadConversation(conversationId);
+  if (!conversation) return 0;
+  // Log record or index entries, plus a markdown file of about the same size
+  return Buffer.byteLength(JSON.stringify(conversation)) * (store.type === "jsonl" ? 2 : 1);
+}
+
+/**
+ * Run retention and compaction on a memory partition
+ * @param {object} store - Storage backend
+ * @param {object} options - { summarize(prompt) => Promise<string> } - digests are skipped without it
+ * @returns {Promise<object>} Report of what was digested and removed
+ */
+export async function runCompaction(store, options = {}) {
+  const started = Date.now();
+  const diskBefore = await getDiskUsage(store.directory);
+  const index = await store.loadIndex();
+  const entries = Object.values(index.catalog.conversations);
+
+  // 1. Digest idle multi-exchange conversations
+  const digested = [];
+  const digestSkipped = [];
+  const digestErrors = [];
+  if (settings.digestAfterDays > 0 && options.summarize) {
+    const cutoff = new Date(Date.now() - settings.digestAfterDays * DAY_MS).toISOString();
+    const due = entries
+      .filter(
+        (e) =>
+          e.pinned !== "always" &&
+          (e.updated || "") < cutoff &&
+          e.exchangeCount >= settings.digestMinExchanges,
+      )
+      .slice(0, settings.digestMaxPerRun);
+
+    for (const entry of due) {
+      try {
+        const conversation = await store.loadConversation(entry.id);
+        if (!conversation) continue;
+        const digest = await digestConversation(conversation, options.summarize);
+        // Skip it if the conversation changed or was deleted while it was being summarized
+        let applied = false;
+        await store.updateConversation(entry.id, (current) => {
+          if (
+            current.updated !== conversation.updated ||
+            current.exchanges.length !== conversation.exchanges.length
+          ) {
+            return current;
+          }
+          applied = true;
+          return digest;
+        });
+        if (applied) {
+          digested.push({ id: entry.id, exchanges: conversation.exchanges.length });
+        } else {
+          digestSkipped.push({ id: entry.id, reason: "changed while it was being summarized" });
+        }
+      } catch (error) {
+        console.error(`[Memory] Failed to digest conversation ${entry.id}:`, error.message);
+        digestErrors.push({ id: entry.id, error: error.message });
+      }
+    }
+  }
+
+  // 2. Apply retention limits
+  const candidates = entries
+    .filter((e) => e.pinned !== "always")
+    .sort((a, b) => (a.updated || "").localeCompare(b.updated || ""));
+  const pruned = await selectPruned(store, candidates, entries.length);
+  const toDelete = [...pruned.age, ...pruned.count, ...pruned.size];
+  const deleted = toDelete.length > 0 ? await store.deleteConversations(toDelete) : [];
+
+  // 3. Drop orphaned references and stale files
+  const orphans = await store.pruneOrphans();
+
+  const report = {
+    started: new Date(started).toISOString(),
+    duration_ms: Date.now() - started,
+    digested,
+    digest_skipped: digestSkipped,
+    digest_errors: digestErrors,
+    pruned,
+    deleted: deleted.length,
+    orphans,
+    disk: { before: diskBefore, after: await getDiskUsage(store.directory) },
+  };
+
+  await fs.writeFile(join(store.directory, REPORT_FILE), JSON.stringify(report, null, 2), "utf8");
+  return report;
+}
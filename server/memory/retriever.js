@@ -9,16 +9,25 @@ import {
   findKeywordMatches,
   calculateKeywordSimilarity,
 } from "./indexer.js";
+import { estimateTokens } from "../context-budget.js";
 
 /**
  * Find relevant conversations for a question
+ *
+ * The score adds up four signals, each reported in `scores`:
+ *   keyword     Share of the question's keywords in the conversation's keywords
+ *   topic       0.3 when a topic of the question matches
+ *   similarity  Full-text similarity (options.similarity) times its weight
+ *   recency     Up to recencyBoost for relevant recent conversations
+ *
  * @param {string} question - The incoming question
  * @param {object} index - The conversation index
  * @param {object} options - Retrieval options
+ * @param {object} options.similarity - { scores, weight } from scoreSimilarity (optional)
  * @returns {object[]} Array of matched conversations with scores
  */
 export function findRelevantConversations(question, index, options = {}) {
-  const { maxResults = 3, minScore = 0.1, recencyBoost = 0.1 } = options;
+  const { maxResults = 3, minScore = 0.1, recencyBoost = 0.1, similarity = null } = options;
 
   // Extract keywords and topics from the question
   const queryKeywords = extractKeywords(question);
@@ -27,33 +36,41 @@ export function findRelevantConversations(question, index, options = {}) {
   // Find keyword matches
   const keywordMatches = findKeywordMatches(queryKeywords, index.keywords);
 
-  // Score each conversation
-  const scores = {};
+  // Score breakdown for each conversation
+  const breakdowns = {};
   const conversationInfo = {};
+  const breakdownFor = (id) =>
+    (breakdowns[id] ||= { keyword: 0, topic: 0, similarity: 0, recency: 0 });
 
   // Score from keyword matches
   for (const [id, matchCount] of Object.entries(keywordMatches)) {
-    scores[id] = matchCount / queryKeywords.length; // Normalize by query keyword count
+    breakdownFor(id).keyword = matchCount / queryKeywords.length; // Normalize by query keyword count
   }
 
   // Add topic matching bonus
   for (const [topic, entries] of Object.entries(index.topics)) {
     if (queryTopics.includes(topic)) {
       for (const entry of entries) {
-        scores[entry.id] = (scores[entry.id] || 0) + 0.3; // Topic match bonus
+        breakdownFor(entry.id).topic += 0.3; // Topic match bonus
         conversationInfo[entry.id] = entry;
       }
     }
   }
 
+  // Add full-text similarity
+  if (similarity) {
+    for (const [id, score] of Object.entries(similarity.scores)) {
+      breakdownFor(id).similarity = score * similarity.weight;
+    }
+  }
+
   // Add recency boost from recent list
   const recentIds = index.recent.map((r) => r.id);
   for (let i = 0; i < recentIds.length; i++) {
     const id = recentIds[i];
-    if (scores[id]) {
+    if (breakdowns[id]) {
       // More recent = higher boost, decaying by position
-      const boost = recencyBoost * (1 - i / recentIds.length);
-      scores[id] += boost;
+      breakdowns[id].recency = recencyBoost * (1 - i / recentIds.length);
     }
 
     // Store conversation info from recent list
@@ -63,19 +80,33 @@ export function findRelevantConversations(question, index, options = {}) {
   }
 
   // Sort by score and filter
-  const ranked = Object.entries(scores)
+  const ranked = Object.entries(breakdowns)
+    .filter(([id]) => index.catalog?.conversations[id]?.pinned !== "never")
+    .map(([id, scores]) => [id, scores.keyword + scores.topic + scores.similarity + scores.recency])
     .filter(([_, score]) => score >= minScore)
     .sort((a, b) => b[1] - a[1])
     .slice(0, maxResults)
     .map(([id, score]) => ({
       id,
       score,
-      ...conversationInfo[id],
+      ...(conversationInfo[id] || index.catalog?.conversations[id]),
+      scores: breakdowns[id],
     }));
 
   return ranked;
 }
 
+/**
+ * Get the conversations pinned to always be injected as context
+ * @param {object} index - The conversation index
+ * @returns {object[]} Catalogue entries of pinned conversations
+ */
+export function getPinnedConversations(index) {
+  return Object.values(index.catalog?.conversations || {}).filter(
+    (entry) => entry.pinned === "always",
+  );
+}
+
 /**
  * Rank conversation matches by relevance
  * @param {object[]} matches - Matches from findRelevantConversations
@@ -125,16 +156,25 @@ export function formatContextForInjection(matches, maxTokens = 2000) {
   for (const match of matches) {
     if (!match.exchanges || match.exchanges.length === 0) continue;
 
+    // Say where context from a shared namespace came from
+    if (match.namespace) {
+      const source = `[From ${match.origin || "unknown instance"} via shared namespace "${match.namespace}"]\n`;
+      lines.push(source);
+      estimatedTokens += estimateTokens(source);
+    }
+
     // Format each exchange
     for (const exchange of match.exchanges) {
       const exchangeText = `Q: ${exchange.question}\nA: ${exchange.answer}\n\n`;
-      const exchangeTokens = Math.ceil(exchangeText.length / 4); // Rough token estimate
+      const exchangeTokens = estimateTokens(exchangeText);
 
       if (estimatedTokens + exchangeTokens > maxTokens) {
         // Truncate if we're running out of space
         const remainingTokens = maxTokens - estimatedTokens;
         if (remainingTokens > 50) {
-          const truncatedLength = remainingTokens * 4;
+          const truncatedLength = Math.floor(
+            (exchangeText.length * remainingTokens) / exchangeTokens,
+          );
           lines.push(exchangeText.substring(0, truncatedLength) + "...\n");
         }
         break;
@@ -215,13 +255,14 @@ export function createContextSummary(matches) {
 }
 
 /**
- * Search conversations by keyword
+ * Search conversations by keyword and similarity
  * @param {string} query - Search query
  * @param {object} index - The conversation index
  * @param {number} limit - Maximum results
+ * @param {object} similarity - { scores, weight } from scoreSimilarity (optional)
  * @returns {object[]} Matching conversations
  */
-export function searchConversations(query, index, limit = 10) {
+export function searchConversations(query, index, limit = 10, similarity = null) {
   const queryKeywords = extractKeywords(query);
 
   if (queryKeywords.length === 0) {
@@ -232,6 +273,7 @@ export function searchConversations(query, index, limit = 10) {
   const matches = findRelevantConversations(query, index, {
     maxResults: limit,
     minScore: 0.05, // Lower threshold for search
+    similarity,
   });
 
   return matches;
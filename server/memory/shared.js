@@ -0,0 +1,201 @@
+/**
+ * Shared memory namespaces
+ *
+ * Opt-in namespaces that several instances read from and publish to, alongside
+ * each instance's own memory. Namespaces live either in a directory on this
+ * host (shared by every instance pointing at it) or on a designated
+ * memory-host instance reached over HTTP. Each conversation records the
+ * instance that produced it, so retrieved context can name its source.
+ */
+
+import { resolve, isAbsolute } from "path";
+import { openStore } from "./backends/index.js";
+import { extractKeywordsFromExchange, extractTopicsFromExchange } from "./indexer.js";
+import { findRelevantConversations } from "./retriever.js";
+import { scoreSimilarity } from "./similarity.js";
+import { requestRegistryInstance } from "../registry.js";
+
+const NAMESPACE_PATTERN = /^[\w-]+$/;
+const MEMORY_HOST_TIMEOUT = 10000;
+
+// Configuration
+let shared = {
+  path: null,
+  read: [],
+  write: [],
+  host: null,
+  serve: false,
+};
+
+/**
+ * Check that a namespace name is safe to use as a directory name
+ * @param {string} namespace - Namespace name
+ * @returns {boolean}
+ */
+export function isValidNamespace(namespace) {
+  return typeof namespace === "string" && NAMESPACE_PATTERN.test(namespace);
+}
+
+/**
+ * Configure shared namespaces
+ * @param {object} options - { path, read, write, host, serve }
+ */
+export function configureSharedMemory(options = {}) {
+  const filterNamespaces = (names = []) =>
+    names.filter((name) => {
+      if (!isValidNamespace(name)) {
+        console.error(`[Memory] Ignoring invalid shared namespace: ${name}`);
+        return false;
+      }
+      return true;
+    });
+
+  shared = {
+    path: isAbsolute(options.path) ? options.path : resolve(process.cwd(), options.path),
+    read: filterNamespaces(options.read),
+    write: filterNamespaces(options.write),
+    host: options.host || null,
+    serve: options.serve === true,
+  };
+
+  if (shared.read.length > 0 || shared.write.length > 0) {
+    const location = shared.host ? `memory host ${shared.host}` : shared.path;
+    console.log(
+      `[Memory] Shared namespaces (${location}) - read: ${shared.read.join(", ") || "none"}, write: ${shared.write.join(", ") || "none"}`,
+    );
+  }
+}
+
+/**
+ * Get the shared namespace configuration
+ * @returns {object}
+ */
+export function getSharedConfig() {
+  return { read: shared.read, write: shared.write, host: shared.host, serve: shared.serve };
+}
+
+/**
+ * Check whether this instance serves its shared namespaces to other instances
+ * @returns {boolean}
+ */
+export function isSharedServeEnabled() {
+  return shared.serve && shared.path !== null;
+}
+
+/**
+ * Find relevant conversations in a namespace stored on this host
+ * @param {string} namespace - Namespace name
+ * @param {string} question - The question to find context for
+ * @param {number} maxItems - Maximum matches
+ * @returns {Promise<object[]>} Matches with exchanges and provenance
+ */
+export async function findNamespaceContext(namespace, question, maxItems) {
+  const store = openStore(shared.path, namespace);
+  const index = await store.loadIndex();
+  const matches = findRelevantConversations(question, index, {
+    maxResults: maxItems,
+    minScore: 0.1,
+    similarity: await scoreSimilarity(store, index, question),
+  });
+
+  const results = [];
+  for (const match of matches) {
+    const conversation = await store.loadConversation(match.id);
+    if (conversation) {
+      results.push({
+        ...match,
+        namespace,
+        origin: conversation.instance || null,
+        exchanges: conversation.exchanges,
+        topics: conversation.topics,
+      });
+    }
+  }
+  return results;
+}
+
+/**
+ * Record an exchange in a namespace stored on this host
+ * @param {string} namespace - Namespace name
+ * @param {object} exchange - { question, answer, sessionId, instance }
+ * @returns {Promise<string>} Conversation ID
+ */
+export async function recordToNamespace(namespace, exchange) {
+  const { conversation } = await openStore(shared.path, namespace).recordExchange({
+    ...exchange,
+    keywords: extractKeywordsFromExchange(exchange.question, exchange.answer),
+    topics: extractTopicsFromExchange(exchange.question, exchange.answer),
+  });
+  return conversation.id;
+}
+
+/**
+ * Find relevant conversations across every namespace this instance reads
+ * @param {string} question - The question to find context for
+ * @param {number} maxItems - Maximum matches per namespace
+ * @returns {Promise<object[]>} Matches with namespace and origin instance
+ */
+export async function getSharedMatches(question, maxItems) {
+  const results = await Promise.all(
+    shared.read.map(async (namespace) => {
+      try {
+        if (!shared.host) {
+          return await findNamespaceContext(namespace, question, maxItems);
+        }
+        const query = new URLSearchParams({ q: question, limit: String(maxItems) });
+        const data = await requestRegistryInstance(
+          shared.host,
+          `/memory/shared/${namespace}/context?${query}`,
+          { timeout: MEMORY_HOST_TIMEOUT },
+        );
+        return data.matches || [];
+      } catch (error) {
+        console.error(`[Memory] Failed to read shared namespace ${namespace}:`, error.message);
+        return [];
+      }
+    }),
+  );
+  return results.flat();
+}
+
+/**
+ * Publish an exchange to every namespace this instance writes
+ * @param {object} exchange - { question, answer, sessionId, instance }
+ * @returns {Promise<object[]>} Per-namespace outcome
+ */
+export async function publishToShared(exchange) {
+  return Promise.all(
+    shared.write.map(async (namespace) => {
+      try {
+        if (!shared.host) {
+          return {
+            namespace,
+            recorded: true,
+            conversationId: await recordToNamespace(namespace, exchange),
+          };
+        }
+        const data = await requestRegistryInstance(
+          shared.host,
+          `/memory/shared/${namespace}/conversations`,
+          {
+            method: "POST",
+            body: {
+              question: exchange.question,
+              answer: exchange.answer,
+              session_id: exchange.sessionId,
+              instance: exchange.instance,
+            },
+            timeout: MEMORY_HOST_TIMEOUT,
+          },
+        );
+        return { namespace, recorded: true, conversationId: data.conversation_id };
+      } catch (error) {
+        console.error(
+          `[Memory] Failed to publish to shared namespace ${namespace}:`,
+          error.message,
+        );
+        return { namespace, recorded: false, error: error.message };
+      }
+    }),
+  );
+}
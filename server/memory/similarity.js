@@ -0,0 +1,400 @@
+/**
+ * Similarity layer for conversation memory
+ *
+ * Scores stored conversations against a question by their full text, as a
+ * signal next to the retriever's keyword, topic and recency scores. Providers:
+ *
+ *   bm25       (default) BM25 over all exchanges of each conversation, built in
+ *   embedding  Cosine similarity of vectors from a local embedding server
+ *              (e.g. Ollama), so related wording like "login" and
+ *              "authentication" still match
+ *   none       Keyword, topic and recency scoring only
+ *
+ * Each provider keeps a per-partition document cache that is synced with the
+ * partition's catalogue, so only new or updated conversations are re-indexed.
+ * Embedding more than a few conversations (all of them, on the first question
+ * after a restart) happens in the background; questions are scored with BM25
+ * until the vectors are ready, and whenever the embedding server fails.
+ */
+
+import { extractTerms } from "./indexer.js";
+
+export const SIMILARITY_PROVIDERS = ["bm25", "embedding", "none"];
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const EMBEDDING_TIMEOUT = 30000;
+const EMBEDDING_MAX_CHARS = 4000;
+// Outdated conversations embedded while a question waits; more are embedded in the background
+const EMBEDDING_INLINE_MAX = 5;
+
+// Configuration
+let settings = {
+  provider: "bm25",
+  weight: 1,
+  embeddingUrl: "http://localhost:11434/api/embeddings",
+  embeddingModel: "nomic-embed-text",
+  embeddingMinSimilarity: 0.5,
+};
+
+// Document caches per memory partition (keyed by store, then by provider)
+const caches = new WeakMap();
+
+/**
+ * Configure the similarity provider
+ * @param {object} options - { provider, weight, embeddingUrl, embeddingModel, embeddingMinSimilarity }
+ */
+export function configureSimilarity(options = {}) {
+  const provider = options.provider || "bm25";
+  if (!SIMILARITY_PROVIDERS.includes(provider)) {
+    throw new Error(
+      `Unknown memory similarity provider '${provider}'. Expected one of: ${SIMILARITY_PROVIDERS.join(", ")}`,
+    );
+  }
+
+  settings = {
+    provider,
+    weight: Number.isFinite(options.weight) ? options.weight : 1,
+    embeddingUrl: options.embeddingUrl || settings.embeddingUrl,
+    embeddingModel: options.embeddingModel || settings.embeddingModel,
+    embeddingMinSimilarity: Number.isFinite(options.embeddingMinSimilarity)
+      ? options.embeddingMinSimilarity
+      : 0.5,
+  };
+}
+
+/**
+ * Get the similarity configuration
+ * @returns {object}
+ */
+export function getSimilarityConfig() {
+  const { provider, weight, embeddingModel } = settings;
+  return provider === "embedding" ? { provider, weight, embeddingModel } : { provider, weight };
+}
+
+/**
+ * Text of a conversation as indexed by the similarity providers
+ * @param {object} conversation - Conversation data
+ * @returns {string}
+ */
+function conversationText(conversation) {
+  return conversation.exchanges.map((e) => `${e.question}\n${e.answer}`).join("\n\n");
+}
+
+/**
+ * Get a provider's document cache for a partition, creating it on first use
+ * @param {object} store - Storage backend
+ * @param {string} key - Provider key
+ * @returns {object}
+ */
+function getCache(store, key) {
+  let partition = caches.get(store);
+  if (!partition) {
+    partition = new Map();
+    caches.set(store, partition);
+  }
+
+  let cache = partition.get(key);
+  if (!cache) {
+    cache = {
+      documents: new Map(),
+      // BM25 corpus statistics
+      documentFrequency: new Map(),
+      totalLength: 0,
+      // Syncs run one at a time so documents are counted exactly once
+      pending: Promise.resolve(),
+      // Embedding only: whether a sync has completed, and whether one runs in the background
+      synced: false,
+      syncing: false,
+    };
+    partition.set(key, cache);
+  }
+  return cache;
+}
+
+/**
+ * Whether a cached document is missing or older than its catalogue entry
+ * @param {object} document - Cached document, if any
+ * @param {object} entry - Catalogue entry
+ * @returns {boolean}
+ */
+function isOutdated(document, entry) {
+  // Digests keep the activity date, so the exchange count is compared too
+  return (
+    !document ||
+    document.updated !== entry.updated ||
+    document.exchangeCount !== entry.exchangeCount
+  );
+}
+
+/**
+ * Count the documents a sync would add, update or remove
+ * @param {object} cache - Document cache
+ * @param {object} index - Partition index (with catalogue)
+ * @returns {number}
+ */
+function countOutdated(cache, index) {
+  const catalog = index.catalog?.conversations || {};
+  let count = [...cache.documents.keys()].filter((id) => !catalog[id]).length;
+  for (const [id, entry] of Object.entries(catalog)) {
+    if (isOutdated(cache.documents.get(id), entry)) count++;
+  }
+  return count;
+}
+
+/**
+ * Bring a document cache in line with the partition's catalogue
+ * @param {object} cache - Document cache
+ * @param {object} store - Storage backend
+ * @param {object} index - Partition index (with catalogue)
+ * @param {object} handlers - { add(cache, id, conversation), remove(cache, id) }
+ * @returns {Promise<void>}
+ */
+function syncDocuments(cache, store, index, handlers) {
+  const run = async () => {
+    const catalog = index.catalog?.conversations || {};
+
+    for (const id of [...cache.documents.keys()]) {
+      if (!catalog[id]) {
+        handlers.remove(cache, id);
+      }
+    }
+
+    for (const [id, entry] of Object.entries(catalog)) {
+      const document = cache.documents.get(id);
+      if (!isOutdated(document, entry)) continue;
+
+      const conversation = await store.loadConversation(id);
+      if (!conversation) continue;
+      if (document) {
+        handlers.remove(cache, id);
+      }
+      await handlers.add(cache, id, conversation);
+    }
+  };
+
+  cache.pending = cache.pending.then(run, run);
+  return cache.pending;
+}
+
+const bm25 = {
+  add(cache, id, conversation) {
+    const terms = extractTerms(conversationText(conversation));
+    const termFrequency = new Map();
+    for (const term of terms) {
+      termFrequency.set(term, (termFrequency.get(term) || 0) + 1);
+    }
+    for (const term of termFrequency.keys()) {
+      cache.documentFrequency.set(term, (cache.documentFrequency.get(term) || 0) + 1);
+    }
+    cache.documents.set(id, {
+      updated: conversation.updated,
+      exchangeCount: conversation.exchanges.length,
+      termFrequency,
+      length: terms.length,
+    });
+    cache.totalLength += terms.length;
+  },
+
+  remove(cache, id) {
+    const document = cache.documents.get(id);
+    for (const term of document.termFrequency.keys()) {
+      const count = cache.documentFrequency.get(term) - 1;
+      if (count > 0) {
+        cache.documentFrequency.set(term, count);
+      } else {
+        cache.documentFrequency.delete(term);
+      }
+    }
+    cache.totalLength -= document.length;
+    cache.documents.delete(id);
+  },
+
+  /**
+   * Score every document against the question
+   *
+   * Scores are divided by the best score any document could reach for this
+   * question (every term matched at saturation), so they fall in 0-1 and
+   * are comparable with the keyword score.
+   */
+  score(cache, question) {
+    const queryTerms = [...new Set(extractTerms(question))];
+    const documentCount = cache.documents.size;
+    if (queryTerms.length === 0 || documentCount === 0) return {};
+
+    const averageLength = cache.totalLength / documentCount || 1;
+    const idf = new Map(
+      queryTerms.map((term) => {
+        const frequency = cache.documentFrequency.get(term) || 0;
+        return [term, Math.log(1 + (documentCount - frequency + 0.5) / (frequency + 0.5))];
+      }),
+    );
+    const maxScore = [...idf.values()].reduce((sum, value) => sum + value * (BM25_K1 + 1), 0);
+
+    const scores = {};
+    for (const [id, document] of cache.documents) {
+      let score = 0;
+      for (const term of queryTerms) {
+        const tf = document.termFrequency.get(term);
+        if (!tf) continue;
+        const norm = BM25_K1 * (1 - BM25_B + (BM25_B * document.length) / averageLength);
+        score += (idf.get(term) * tf * (BM25_K1 + 1)) / (tf + norm);
+      }
+      if (score > 0) {
+        scores[id] = score / maxScore;
+      }
+    }
+    return scores;
+  },
+};
+
+/**
+ * Get an embedding vector from the configured embedding server
+ *
+ * Accepts Ollama (/api/embeddings, /api/embed) and OpenAI-compatible
+ * (/v1/embeddings) response shapes.
+ *
+ * @param {string} text - Text to embed
+ * @returns {Promise<number[]>}
+ */
+async function embed(text) {
+  const input = text.substring(0, EMBEDDING_MAX_CHARS);
+  const response = await fetch(settings.embeddingUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ model: settings.embeddingModel, prompt: input, input }),
+    signal: AbortSignal.timeout(EMBEDDING_TIMEOUT),
+  });
+  if (!response.ok) {
+    throw new Error(`Embedding server returned HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  const vector = data.embedding || data.embeddings?.[0] || data.data?.[0]?.embedding;
+  if (!Array.isArray(vector)) {
+    throw new Error("Embedding server response has no embedding");
+  }
+  return vector;
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number}
+ */
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+const embedding = {
+  async add(cache, id, conversation) {
+    cache.documents.set(id, {
+      updated: conversation.updated,
+      exchangeCount: conversation.exchanges.length,
+      vector: await embed(conversationText(conversation)),
+    });
+  },
+
+  remove(cache, id) {
+    cache.documents.delete(id);
+  },
+
+  /**
+   * Score every document against the question
+   *
+   * Cosine similarities below MEMORY_EMBEDDING_MIN_SIMILARITY count as
+   * unrelated; the rest are rescaled to 0-1.
+   */
+  async score(cache, question) {
+    if (cache.documents.size === 0) return {};
+
+    const queryVector = await embed(question);
+    const floor = settings.embeddingMinSimilarity;
+    const scores = {};
+    for (const [id, document] of cache.documents) {
+      const similarity = cosine(queryVector, document.vector);
+      if (similarity > floor) {
+        scores[id] = (similarity - floor) / (1 - floor);
+      }
+    }
+    return scores;
+  },
+};
+
+/**
+ * Score with embeddings, if the partition's vectors are ready
+ *
+ * Starts a background sync when too many conversations lack an up-to-date
+ * vector to embed them while the question waits.
+ *
+ * @param {object} store - Storage backend of the partition
+ * @param {object} index - Partition index (with catalogue)
+ * @param {string} question - The question
+ * @returns {Promise<object|null>} Similarity per conversation ID, or null to fall back to BM25
+ */
+async function scoreEmbeddings(store, index, question) {
+  // Vectors from one embedding model are not comparable with another's
+  const cache = getCache(store, `embedding:${settings.embeddingUrl}:${settings.embeddingModel}`);
+
+  const outdated = countOutdated(cache, index);
+  if (outdated > 0 && (cache.syncing || !cache.synced || outdated > EMBEDDING_INLINE_MAX)) {
+    if (!cache.syncing) {
+      cache.syncing = true;
+      syncDocuments(cache, store, index, embedding)
+        .then(() => {
+          cache.synced = true;
+        })
+        .catch((error) => {
+          console.error("[Memory] Embedding conversations failed:", error.message);
+        })
+        .finally(() => {
+          cache.syncing = false;
+        });
+    }
+    return null;
+  }
+
+  try {
+    await syncDocuments(cache, store, index, embedding);
+    cache.synced = true;
+    return await embedding.score(cache, question);
+  } catch (error) {
+    console.error("[Memory] Embedding similarity unavailable, using bm25:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Score a partition's conversations against a question
+ * @param {object} store - Storage backend of the partition
+ * @param {object} index - Partition index (with catalogue)
+ * @param {string} question - The question
+ * @returns {Promise<{scores: object, weight: number}|null>} Similarity per conversation ID (0-1), or null when disabled or unavailable
+ */
+export async function scoreSimilarity(store, index, question) {
+  if (settings.provider === "none") return null;
+
+  if (settings.provider === "embedding") {
+    const scores = await scoreEmbeddings(store, index, question);
+    if (scores) return { scores, weight: settings.weight };
+  }
+
+  try {
+    const cache = getCache(store, "bm25");
+    await syncDocuments(cache, store, index, bm25);
+    return { scores: bm25.score(cache, question), weight: settings.weight };
+  } catch (error) {
+    // Fall back to keyword scoring rather than failing retrieval
+    console.error("[Memory] bm25 similarity unavailable:", error.message);
+    return null;
+  }
+}
@@ -1,5 +1,5 @@
 import { promises as fs } from "fs";
-import { join, dirname } from "path";
+import { join, dirname, relative, basename, resolve, sep } from "path";
 import { v4 as uuidv4 } from "uuid";
 
 /**
@@ -41,9 +41,18 @@ function createEmptyIndex(instanceName) {
     topics: {},
     keywords: {},
     recent: [],
+    catalog: createEmptyCatalog(),
   };
 }
 
+/**
+ * Create an empty conversation catalogue
+ * @returns {{conversations: object, sessions: object}}
+ */
+function createEmptyCatalog() {
+  return { conversations: {}, sessions: {} };
+}
+
 /**
  * Get today's date directory path
  */
@@ -115,11 +124,28 @@ function generateFrontmatter(metadata) {
  * @returns {string}
  */
 export function generateConversationMarkdown(conversationData) {
-  const { id, sessionId, created, updated, keywords, topics, exchanges } = conversationData;
+  const {
+    id,
+    sessionId,
+    instance,
+    created,
+    updated,
+    keywords,
+    topics,
+    pinned,
+    branchOf,
+    digestOf,
+    digested,
+    exchanges,
+  } = conversationData;
 
   const metadata = {
     id,
-    session_id: sessionId,
+    ...(sessionId && { session_id: sessionId }),
+    ...(instance && { instance }),
+    ...(pinned && { pinned }),
+    ...(branchOf && { branch_of: branchOf.id, branch_exchange: branchOf.exchange }),
+    ...(digested && { digest_of: digestOf, digested }),
     created,
     updated,
     keywords: keywords || [],
@@ -168,6 +194,15 @@ export function parseConversationMarkdown(content) {
   return {
     id: metadata.id,
     sessionId: metadata.session_id,
+    instance: metadata.instance,
+    ...(metadata.pinned && { pinned: metadata.pinned }),
+    ...(metadata.branch_of && {
+      branchOf: { id: metadata.branch_of, exchange: parseInt(metadata.branch_exchange, 10) },
+    }),
+    ...(metadata.digested && {
+      digestOf: parseInt(metadata.digest_of, 10),
+      digested: metadata.digested,
+    }),
     created: metadata.created,
     updated: metadata.updated,
     keywords: metadata.keywords || [],
@@ -186,20 +221,38 @@ export function parseConversationMarkdown(content) {
 export async function loadConversation(basePath, instanceName, conversationId) {
   const index = await loadIndex(basePath, instanceName);
 
-  // Find conversation path in index
-  for (const item of index.recent) {
-    if (item.id === conversationId) {
-      const fullPath = join(basePath, instanceName, item.path);
-      try {
-        const content = await fs.readFile(fullPath, "utf8");
-        return parseConversationMarkdown(content);
-      } catch {
-        return null;
-      }
-    }
+  // Find conversation path in the catalogue
+  const entry = index.catalog.conversations[conversationId];
+  if (!entry) {
+    return null;
   }
 
-  return null;
+  try {
+    const content = await fs.readFile(join(basePath, instanceName, entry.path), "utf8");
+    return parseConversationMarkdown(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve a conversation file's path, refusing paths outside the partition
+ *
+ * File names are built from conversation data, which may come from an
+ * imported bundle.
+ *
+ * @param {string} basePath - Base storage path
+ * @param {string} instanceName - Partition name (instance or shared namespace)
+ * @param {string} relativePath - Path relative to the partition
+ * @returns {string} Full path
+ */
+export function resolveConversationPath(basePath, instanceName, relativePath) {
+  const partition = resolve(basePath, instanceName);
+  const fullPath = resolve(partition, relativePath);
+  if (!fullPath.startsWith(partition + sep)) {
+    throw new Error(`Conversation path ${relativePath} is outside the memory partition`);
+  }
+  return fullPath;
 }
 
 /**
@@ -207,17 +260,15 @@ export async function loadConversation(basePath, instanceName, conversationId) {
  * @param {string} basePath - Base storage path
  * @param {string} instanceName - Instance name
  * @param {object} conversationData - Conversation data
+ * @param {string} existingPath - Relative path the conversation was saved to before (optional)
  * @returns {string} Relative path to the saved file
  */
-export async function saveConversation(basePath, instanceName, conversationData) {
-  const dateDir = getDateDirectory();
-  const conversationsPath = join(basePath, instanceName, "conversations", dateDir);
-
-  await fs.mkdir(conversationsPath, { recursive: true });
+export async function saveConversation(basePath, instanceName, conversationData, existingPath) {
+  const relativePath =
+    existingPath || join("conversations", getDateDirectory(), `conv-${conversationData.id}.md`);
+  const fullPath = resolveConversationPath(basePath, instanceName, relativePath);
 
-  const filename = `conv-${conversationData.id}.md`;
-  const relativePath = join("conversations", dateDir, filename);
-  const fullPath = join(basePath, instanceName, relativePath);
+  await fs.mkdir(dirname(fullPath), { recursive: true });
 
   const content = generateConversationMarkdown(conversationData);
 
@@ -236,13 +287,25 @@ export async function saveConversation(basePath, instanceName, conversationData)
  * @param {string} answer - Initial answer
  * @param {string[]} keywords - Extracted keywords
  * @param {string[]} topics - Extracted topics
+ * @param {string} instance - Instance that produced the answer (provenance)
+ * @param {object} branchOf - Lineage of a branched conversation: { id, exchange }
  * @returns {object} New conversation data
  */
-export function createConversation(sessionId, question, answer, keywords = [], topics = []) {
+export function createConversation(
+  sessionId,
+  question,
+  answer,
+  keywords = [],
+  topics = [],
+  instance,
+  branchOf,
+) {
   const now = new Date().toISOString();
   return {
     id: uuidv4().substring(0, 8),
     sessionId,
+    instance,
+    ...(branchOf && { branchOf }),
     created: now,
     updated: now,
     keywords,
@@ -295,6 +358,248 @@ export function appendToConversation(
   };
 }
 
+/**
+ * Record a question/answer exchange in a memory partition
+ *
+ * Appends to the conversation with the same session ID if there is one,
+ * otherwise starts a new conversation, then updates the partition's index.
+ *
+ * @param {string} basePath - Base storage path
+ * @param {string} instanceName - Partition name (instance or shared namespace)
+ * @param {object} exchange - { question, answer, sessionId, keywords, topics, instance, branchOf }
+ * @param {object} index - Current index of the partition
+ * @returns {Promise<{conversation: object, index: object}>} Saved conversation and updated index
+ */
+export async function recordExchange(basePath, instanceName, exchange, index) {
+  const { question, answer, sessionId, keywords, topics, instance, branchOf } = exchange;
+
+  let conversation = null;
+  if (sessionId) {
+    conversation = await findConversationBySessionId(basePath, instanceName, sessionId);
+  }
+
+  if (conversation) {
+    conversation = appendToConversation(conversation, question, answer, keywords, topics);
+  } else {
+    conversation = createConversation(
+      sessionId,
+      question,
+      answer,
+      keywords,
+      topics,
+      instance,
+      branchOf,
+    );
+  }
+
+  // Keep updating the same file rather than starting a new one each day
+  const relativePath = await saveConversation(
+    basePath,
+    instanceName,
+    conversation,
+    index.catalog.conversations[conversation.id]?.path,
+  );
+
+  const updatedIndex = updateIndex(index, conversation, relativePath);
+  await saveIndex(basePath, instanceName, updatedIndex);
+
+  return { conversation, index: updatedIndex };
+}
+
+/**
+ * Replace a stored conversation with an edited version
+ *
+ * Rewrites the conversation's file and re-indexes it, keeping its place in
+ * the recent list.
+ *
+ * @param {string} basePath - Base storage path
+ * @param {string} instanceName - Partition name (instance or shared namespace)
+ * @param {object} conversation - Edited conversation data
+ * @param {object} index - Current index of the partition
+ * @returns {Promise<object>} Updated index
+ */
+export async function replaceConversation(basePath, instanceName, conversation, index) {
+  const position = index.recent.findIndex((r) => r.id === conversation.id);
+  const relativePath = await saveConversation(
+    basePath,
+    instanceName,
+    conversation,
+    index.catalog.conversations[conversation.id]?.path,
+  );
+
+  const updatedIndex = updateIndex(
+    removeFromIndex(index, conversation.id),
+    conversation,
+    relativePath,
+  );
+
+  // updateIndex moves the conversation to the top of the recent list - put it back
+  const [entry] = updatedIndex.recent.splice(0, 1);
+  if (position >= 0) {
+    updatedIndex.recent.splice(position, 0, entry);
+  }
+
+  await saveIndex(basePath, instanceName, updatedIndex);
+  return updatedIndex;
+}
+
+/**
+ * Store complete conversations as they are (e.g. from an import)
+ *
+ * New conversations are filed under the date they started. The recent list
+ * is rebuilt from the catalogue, since imported conversations keep their
+ * own dates.
+ *
+ * @param {string} basePath - Base storage path
+ * @param {string} instanceName - Partition name (instance or shared namespace)
+ * @param {object[]} conversations - Conversation data
+ * @param {object} index - Current index of the partition
+ * @returns {Promise<object>} Updated index
+ */
+export async function saveConversations(basePath, instanceName, conversations, index) {
+  let updatedIndex = index;
+
+  // Refuse the whole batch before writing if any path would leave the partition
+  const planned = new Map();
+  const paths = conversations.map((conversation) => {
+    const path =
+      planned.get(conversation.id) ||
+      index.catalog.conversations[conversation.id]?.path ||
+      join("conversations", conversation.created.split("T")[0], `conv-${conversation.id}.md`);
+    resolveConversationPath(basePath, instanceName, path);
+    planned.set(conversation.id, path);
+    return path;
+  });
+
+  for (const [i, conversation] of conversations.entries()) {
+    const relativePath = await saveConversation(basePath, instanceName, conversation, paths[i]);
+    updatedIndex = updateIndex(
+      removeFromIndex(updatedIndex, conversation.id),
+      conversation,
+      relativePath,
+    );
+  }
+
+  updatedIndex.recent = Object.values(updatedIndex.catalog.conversations)
+    .sort((a, b) => (b.updated || "").localeCompare(a.updated || ""))
+    .slice(0, 50)
+    .map(({ date, id, summary, keywords, path }) => ({ date, id, summary, keywords, path }));
+
+  await saveIndex(basePath, instanceName, updatedIndex);
+  return updatedIndex;
+}
+
+/**
+ * Delete stored conversations
+ * @param {string} basePath - Base storage path
+ * @param {string} instanceName - Partition name (instance or shared namespace)
+ * @param {string[]} conversationIds - Conversation IDs
+ * @param {object} index - Current index of the partition
+ * @returns {Promise<{index: object, deleted: string[]}>} Updated index and the IDs that existed
+ */
+export async function deleteConversations(basePath, instanceName, conversationIds, index) {
+  const deleted = conversationIds.filter((id) => index.catalog.conversations[id]);
+  if (deleted.length === 0) {
+    return { index, deleted };
+  }
+
+  for (const id of deleted) {
+    const { path } = index.catalog.conversations[id];
+    if (path) {
+      await fs.unlink(resolveConversationPath(basePath, instanceName, path)).catch(() => {});
+    }
+  }
+
+  const updatedIndex = removeFromIndex(index, deleted);
+  await saveIndex(basePath, instanceName, updatedIndex);
+  return { index: updatedIndex, deleted };
+}
+
+/**
+ * Remove index references and files that no longer belong to a conversation
+ *
+ * Drops catalogue entries whose file is gone, topic/keyword/recent entries
+ * pointing at conversations that are not in the catalogue, stale copies of
+ * catalogued conversations stored under another date, and empty date
+ * directories. Files of conversations the catalogue does not know are left alone.
+ *
+ * @param {string} basePath - Base storage path
+ * @param {string} instanceName - Partition name (instance or shared namespace)
+ * @param {object} index - Current index of the partition
+ * @returns {Promise<{index: object, removed: {conversations: number, references: number, files: number}}>}
+ */
+export async function pruneOrphans(basePath, instanceName, index) {
+  const instancePath = join(basePath, instanceName);
+  const conversationsPath = join(instancePath, "conversations");
+
+  const missing = [];
+  for (const entry of Object.values(index.catalog.conversations)) {
+    try {
+      await fs.access(join(instancePath, entry.path));
+    } catch {
+      missing.push(entry.id);
+    }
+  }
+  const withoutMissing = missing.length > 0 ? removeFromIndex(index, missing) : index;
+  const live = withoutMissing.catalog.conversations;
+
+  let references = 0;
+  const keep = (isLive) => {
+    if (!isLive) references++;
+    return isLive;
+  };
+  const topics = {};
+  for (const [topic, entries] of Object.entries(withoutMissing.topics)) {
+    const remaining = entries.filter((e) => keep(Boolean(live[e.id])));
+    if (remaining.length > 0) topics[topic] = remaining;
+  }
+  const keywords = {};
+  for (const [keyword, convIds] of Object.entries(withoutMissing.keywords)) {
+    const remaining = convIds.filter((id) => keep(Boolean(live[id])));
+    if (remaining.length > 0) keywords[keyword] = remaining;
+  }
+  const recent = withoutMissing.recent.filter((r) => keep(Boolean(live[r.id])));
+  const updatedIndex = { ...withoutMissing, topics, keywords, recent };
+
+  let files = 0;
+  for (const file of await listConversationFiles(conversationsPath)) {
+    const id = basename(file).slice("conv-".length, -".md".length);
+    if (live[id] && live[id].path !== relative(instancePath, file)) {
+      await fs.unlink(file).catch(() => {});
+      files++;
+    }
+  }
+  await removeEmptyDirectories(conversationsPath);
+
+  if (missing.length > 0 || references > 0) {
+    await saveIndex(basePath, instanceName, updatedIndex);
+  }
+  return {
+    index: updatedIndex,
+    removed: { conversations: missing.length, references, files },
+  };
+}
+
+/**
+ * Remove empty subdirectories (e.g. date directories whose files were deleted)
+ * @param {string} directory - Directory to clean up
+ */
+async function removeEmptyDirectories(directory) {
+  let entries;
+  try {
+    entries = await fs.readdir(directory, { withFileTypes: true });
+  } catch {
+    return;
+  }
+  for (const entry of entries) {
+    if (entry.isDirectory()) {
+      const path = join(directory, entry.name);
+      await removeEmptyDirectories(path);
+      await fs.rmdir(path).catch(() => {}); // Fails if not empty
+    }
+  }
+}
+
 /**
  * Load the index file
  * @param {string} basePath - Base storage path
@@ -304,12 +609,141 @@ export function appendToConversation(
 export async function loadIndex(basePath, instanceName) {
   const indexPath = join(basePath, instanceName, "index.md");
 
+  let index;
   try {
     const content = await fs.readFile(indexPath, "utf8");
-    return parseIndexMarkdown(content);
+    index = parseIndexMarkdown(content);
   } catch {
     return createEmptyIndex(instanceName);
   }
+
+  index.catalog = await loadCatalog(basePath, instanceName);
+  index.totalConversations = Object.keys(index.catalog.conversations).length;
+  return index;
+}
+
+/**
+ * Recursively list conversation markdown files
+ * @param {string} directory - Directory to scan
+ * @returns {Promise<string[]>} File paths
+ */
+export async function listConversationFiles(directory) {
+  let entries;
+  try {
+    entries = await fs.readdir(directory, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const path = join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await listConversationFiles(path)));
+    } else if (entry.name.startsWith("conv-") && entry.name.endsWith(".md")) {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+/**
+ * Load the conversation catalogue, rebuilding it from the conversation files
+ * if it is missing (memory written before the catalogue existed)
+ * @param {string} basePath - Base storage path
+ * @param {string} instanceName - Instance name
+ * @returns {Promise<{conversations: object, sessions: object}>} Catalogue
+ */
+async function loadCatalog(basePath, instanceName) {
+  const catalogPath = join(basePath, instanceName, "catalog.json");
+
+  try {
+    return JSON.parse(await fs.readFile(catalogPath, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`[Memory] Rebuilding unreadable catalogue ${catalogPath}:`, error.message);
+    }
+  }
+
+  const instancePath = join(basePath, instanceName);
+  const conversations = [];
+  for (const file of await listConversationFiles(join(instancePath, "conversations"))) {
+    try {
+      const conversation = parseConversationMarkdown(await fs.readFile(file, "utf8"));
+      if (conversation.id) {
+        conversations.push({ conversation, path: relative(instancePath, file) });
+      }
+    } catch {
+      // Unreadable file - leave it out of the catalogue
+    }
+  }
+
+  // Older memory may hold several files for one conversation - keep the latest
+  conversations.sort((a, b) =>
+    (a.conversation.updated || "").localeCompare(b.conversation.updated || ""),
+  );
+  const catalog = conversations.reduce(
+    (result, { conversation, path }) => updateCatalog(result, conversation, path),
+    createEmptyCatalog(),
+  );
+
+  await saveCatalog(basePath, instanceName, catalog);
+  return catalog;
+}
+
+/**
+ * Save the conversation catalogue
+ * @param {string} basePath - Base storage path
+ * @param {string} instanceName - Instance name
+ * @param {object} catalog - Catalogue
+ */
+async function saveCatalog(basePath, instanceName, catalog) {
+  const catalogPath = join(basePath, instanceName, "catalog.json");
+
+  await fs.mkdir(dirname(catalogPath), { recursive: true });
+
+  // Atomic write
+  const tempPath = catalogPath + ".tmp";
+  await fs.writeFile(tempPath, JSON.stringify(catalog, null, 2), "utf8");
+  await fs.rename(tempPath, catalogPath);
+}
+
+/**
+ * Add or update a conversation in a catalogue
+ * @param {object} catalog - Current catalogue
+ * @param {object} conversationData - Conversation data
+ * @param {string} relativePath - Relative path to conversation file (null if not stored as a file)
+ * @returns {object} Updated catalogue
+ */
+export function updateCatalog(catalog, conversationData, relativePath) {
+  const { id, sessionId, instance, created, updated, keywords, pinned, branchOf, exchanges } =
+    conversationData;
+
+  const conversations = {
+    ...catalog.conversations,
+    [id]: {
+      id,
+      sessionId,
+      instance,
+      date: (created || "").split("T")[0],
+      updated,
+      summary: exchanges[0]?.question
+        ? exchanges[0].question.substring(0, 50) + "..."
+        : "No summary",
+      keywords: keywords || [],
+      exchangeCount: exchanges.length,
+      ...(pinned && { pinned }),
+      ...(branchOf && { branchOf }),
+      path: relativePath,
+    },
+  };
+
+  const sessions = { ...catalog.sessions };
+  if (sessionId) {
+    sessions[sessionId] = id;
+  }
+
+  return { conversations, sessions };
 }
 
 /**
@@ -340,7 +774,7 @@ function parseIndexMarkdown(content) {
   const keywords = {};
   const keywordsMatch = body.match(/## By Keyword\n\n\|[\s\S]*?\n\n/);
   if (keywordsMatch) {
-    const rows = keywordsMatch[0].split("\n").slice(3); // Skip header rows
+    const rows = keywordsMatch[0].split("\n").slice(4); // Skip the heading, table header and separator
     for (const row of rows) {
       const cells = row
         .split("|")
@@ -435,6 +869,10 @@ export async function saveIndex(basePath, instanceName, indexData) {
   const tempPath = indexPath + ".tmp";
   await fs.writeFile(tempPath, content, "utf8");
   await fs.rename(tempPath, indexPath);
+
+  if (indexData.catalog) {
+    await saveCatalog(basePath, instanceName, indexData.catalog);
+  }
 }
 
 /**
@@ -448,7 +886,8 @@ export function updateIndex(indexData, conversationData, relativePath) {
   const { id, keywords, topics, exchanges, created } = conversationData;
 
   // Get first question as summary
-  const summary = exchanges[0]?.question?.substring(0, 50) + "..." || "No summary";
+  const question = exchanges[0]?.question;
+  const summary = question ? question.substring(0, 50) + "..." : "No summary";
   const date = created.split("T")[0];
 
   // Update topics
@@ -484,21 +923,69 @@ export function updateIndex(indexData, conversationData, relativePath) {
     path: relativePath,
   });
 
-  // Keep only last 50 recent conversations
+  // Keep only last 50 recent conversations; older ones stay in the catalogue
   if (newRecent.length > 50) {
     newRecent.length = 50;
   }
 
-  // Count unique conversations
-  const uniqueIds = new Set(newRecent.map((r) => r.id));
+  const catalog = updateCatalog(
+    indexData.catalog || createEmptyCatalog(),
+    conversationData,
+    relativePath,
+  );
 
   return {
     ...indexData,
     lastUpdated: new Date().toISOString(),
-    totalConversations: uniqueIds.size,
+    totalConversations: Object.keys(catalog.conversations).length,
     topics: newTopics,
     keywords: newKeywords,
     recent: newRecent,
+    catalog,
+  };
+}
+
+/**
+ * Remove conversations from every section of the index
+ * @param {object} indexData - Current index data
+ * @param {string|string[]} conversationIds - Conversation ID(s)
+ * @returns {object} Updated index data
+ */
+export function removeFromIndex(indexData, conversationIds) {
+  const removed = new Set([].concat(conversationIds));
+
+  const topics = {};
+  for (const [topic, entries] of Object.entries(indexData.topics)) {
+    const remaining = entries.filter((e) => !removed.has(e.id));
+    if (remaining.length > 0) {
+      topics[topic] = remaining;
+    }
+  }
+
+  const keywords = {};
+  for (const [keyword, convIds] of Object.entries(indexData.keywords)) {
+    const remaining = convIds.filter((id) => !removed.has(id));
+    if (remaining.length > 0) {
+      keywords[keyword] = remaining;
+    }
+  }
+
+  const catalog = indexData.catalog || createEmptyCatalog();
+  const conversations = Object.fromEntries(
+    Object.entries(catalog.conversations).filter(([id]) => !removed.has(id)),
+  );
+  const sessions = Object.fromEntries(
+    Object.entries(catalog.sessions).filter(([_, id]) => !removed.has(id)),
+  );
+
+  return {
+    ...indexData,
+    lastUpdated: new Date().toISOString(),
+    totalConversations: Object.keys(conversations).length,
+    topics,
+    keywords,
+    recent: indexData.recent.filter((r) => !removed.has(r.id)),
+    catalog: { conversations, sessions },
   };
 }
 
@@ -512,14 +999,13 @@ export function updateIndex(indexData, conversationData, relativePath) {
 export async function findConversationBySessionId(basePath, instanceName, sessionId) {
   const index = await loadIndex(basePath, instanceName);
 
-  for (const item of index.recent) {
-    const conversation = await loadConversation(basePath, instanceName, item.id);
-    if (conversation && conversation.sessionId === sessionId) {
-      return conversation;
-    }
+  const conversationId = index.catalog.sessions[sessionId];
+  if (!conversationId) {
+    return null;
   }
 
-  return null;
+  const conversation = await loadConversation(basePath, instanceName, conversationId);
+  return conversation && conversation.sessionId === sessionId ? conversation : null;
 }
 
 /**
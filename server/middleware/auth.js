@@ -1,33 +1,123 @@
+import { isAuthConfigured, verifyKey, hasScope, consumeRateLimit } from "../api-keys.js";
+import { verifySignedRequest } from "../instance-identity.js";
+import { getClientCertificateName } from "../tls.js";
+import { getRegistryInstance } from "../registry.js";
+
+// Scopes granted to trusted peer instances that sign their requests
+const PEER_SCOPES = (process.env.INSTANCE_PEER_SCOPES || "ask,memory:read,memory:write")
+  .split(",")
+  .map((scope) => scope.trim())
+  .filter(Boolean);
+
+/**
+ * Send an authentication error response
+ * @param {object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} error - Error message
+ */
+function reject(res, status, error) {
+  res.status(status).json({
+    success: false,
+    error,
+    timestamp: new Date().toISOString(),
+  });
+}
+
 /**
  * API Key Authentication Middleware
  *
- * If API_KEY is configured in environment, validates X-API-Key header.
- * If API_KEY is not set, allows all requests (development mode).
+ * Validates the X-API-Key header against the named keys in API_KEYS_FILE and
+ * the legacy API_KEY (see api-keys.js), requiring every scope given. The key
+ * is set on req.apiKey and its name returned in the X-API-Key-Name header.
+ * If no key is configured, allows all requests (development mode).
+ *
+ * A request signed by another instance (see instance-identity.js) is always
+ * verified instead, and authenticates as "instance:<name>" with the scopes
+ * in INSTANCE_PEER_SCOPES. So does a connection with a verified TLS client
+ * certificate whose common name is a registry instance.
+ *
+ * @param {...string} scopes - Required scopes (ask, memory:read, memory:write, admin)
+ * @returns {Function} Express middleware
  */
-export function authenticate(req, res, next) {
-  const expectedKey = process.env.API_KEY;
+export function authenticate(...scopes) {
+  return (req, res, next) => {
+    if (req.headers["x-instance-signature"]) {
+      const { instance, error } = verifySignedRequest(
+        req,
+        (name) => getRegistryInstance(name)?.publicKey || null,
+      );
+      if (!instance) {
+        return reject(res, 401, error);
+      }
+      return authorize(req, res, next, peerKey(instance), scopes);
+    }
 
-  // No API key configured - allow all requests (dev mode)
-  if (!expectedKey) {
-    return next();
-  }
+    const certificateName = getClientCertificateName(req);
+    if (certificateName && getRegistryInstance(certificateName)) {
+      return authorize(req, res, next, peerKey(certificateName), scopes);
+    }
+
+    // No API key configured - allow all requests (dev mode)
+    if (!isAuthConfigured()) {
+      req.apiKey = null;
+      return next();
+    }
+
+    const apiKey = req.headers["x-api-key"];
 
-  const apiKey = req.headers["x-api-key"];
+    if (!apiKey) {
+      return reject(res, 401, "Missing API key. Provide X-API-Key header.");
+    }
+
+    const { key, error } = verifyKey(apiKey);
+    if (!key) {
+      return reject(res, 401, error);
+    }
+
+    authorize(req, res, next, key, scopes);
+  };
+}
+
+/**
+ * Describe an authenticated peer instance as a key
+ * @param {string} instance - Instance name
+ * @returns {object}
+ */
+function peerKey(instance) {
+  return {
+    id: `instance:${instance}`,
+    name: `instance:${instance}`,
+    instance,
+    scopes: PEER_SCOPES,
+    rateLimit: 0,
+  };
+}
+
+/**
+ * Admit an authenticated caller if it has the scopes and is within its rate limit
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Function} next - Next middleware
+ * @param {object} key - Caller ({ id, name, scopes, rateLimit })
+ * @param {string[]} scopes - Required scopes
+ */
+function authorize(req, res, next, key, scopes) {
+  req.apiKey = key;
+  res.setHeader("X-API-Key-Name", key.name);
 
-  if (!apiKey) {
-    return res.status(401).json({
-      success: false,
-      error: "Missing API key. Provide X-API-Key header.",
-      timestamp: new Date().toISOString(),
-    });
+  const missing = scopes.filter((scope) => !hasScope(key, scope));
+  if (missing.length > 0) {
+    return reject(res, 403, `API key "${key.name}" lacks scope: ${missing.join(", ")}`);
   }
 
-  if (apiKey !== expectedKey) {
-    return res.status(401).json({
-      success: false,
-      error: "Invalid API key",
-      timestamp: new Date().toISOString(),
-    });
+  const { allowed, retryAfter } = consumeRateLimit(key);
+  if (!allowed) {
+    res.setHeader("Retry-After", String(retryAfter));
+    return reject(
+      res,
+      429,
+      `Rate limit exceeded for API key "${key.name}" (${key.rateLimit} requests per minute)`,
+    );
   }
 
   next();
@@ -0,0 +1,235 @@
+import { readFileSync, existsSync } from "fs";
+
+/**
+ * CORS Middleware
+ *
+ * Decides which web pages may call this instance from a browser. By default
+ * only the local web UI (http://localhost:3000 and http://127.0.0.1:3000)
+ * may; CORS_ORIGINS replaces that list ("none" allows no page, "*" any
+ * page, which is only safe on an instance nobody browses from).
+ *
+ * Requests from a page whose origin is not allowed are refused with 403
+ * rather than merely left without CORS headers, since a browser still sends
+ * a "simple" cross-origin POST before checking the response. Requests
+ * without an Origin header (curl, the clients, other instances) are not
+ * affected. An Origin matching the request's Host header gets no exemption:
+ * the instance serves no pages, and under DNS rebinding a hostile page's
+ * origin matches the Host it sends.
+ *
+ * CORS_CONFIG names a JSON file for finer control, with the same settings
+ * as the environment plus per-route overrides, matched by path prefix:
+ *
+ *   {
+ *     "origins": ["https://dashboard.internal"],
+ *     "credentials": false,
+ *     "routes": {
+ *       "/memory": { "methods": ["GET"] },
+ *       "/keys": { "origins": [] }
+ *     }
+ *   }
+ */
+
+const DEFAULT_ORIGINS = ["http://localhost:3000", "http://127.0.0.1:3000"];
+const DEFAULT_METHODS = ["GET", "POST", "PATCH", "DELETE"];
+const DEFAULT_HEADERS = ["Content-Type", "X-API-Key"];
+const EXPOSED_HEADERS = ["X-API-Key-Name", "Retry-After"];
+
+const parseList = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Loaded at startup by loadCorsPolicy
+let policy = null;
+
+/**
+ * Compile an origin pattern; "*" matches any page, and a "*" within a
+ * pattern matches a single label of the host name ("https://*.example.com"
+ * allows https://app.example.com but not https://a.b.example.com)
+ * @param {string} origin - Origin or pattern
+ * @returns {Function} Test for an Origin header value
+ */
+function compileOrigin(origin) {
+  if (origin === "*") return () => true;
+  if (!origin.includes("*")) return (value) => value === origin;
+
+  const pattern = origin
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join("[^./:]+");
+  const regex = new RegExp(`^${pattern}$`);
+  return (value) => regex.test(value);
+}
+
+/**
+ * Validate and normalize one set of CORS settings
+ * @param {object} settings - { origins, methods, headers, credentials, max_age }
+ * @param {object} defaults - Settings to fall back on
+ * @param {string} where - Where the settings came from, for error messages
+ * @returns {object}
+ */
+function normalizeRule(settings, defaults, where) {
+  for (const field of ["origins", "methods", "headers"]) {
+    if (
+      settings[field] !== undefined &&
+      (!Array.isArray(settings[field]) || settings[field].some((item) => typeof item !== "string"))
+    ) {
+      throw new Error(`CORS ${where}: "${field}" must be an array of strings`);
+    }
+  }
+
+  const origins = settings.origins ?? defaults.origins;
+  const credentials = settings.credentials ?? defaults.credentials;
+  if (credentials && origins.includes("*")) {
+    throw new Error(`CORS ${where}: "*" origins cannot be combined with credentials`);
+  }
+
+  return {
+    origins,
+    matchers: origins.map(compileOrigin),
+    wildcard: origins.includes("*"),
+    methods: (settings.methods ?? defaults.methods).map((method) => method.toUpperCase()),
+    headers: settings.headers ?? defaults.headers,
+    credentials: !!credentials,
+    maxAge: settings.max_age ?? defaults.maxAge,
+  };
+}
+
+/**
+ * Load the CORS policy from the environment and CORS_CONFIG
+ *
+ * Throws on an invalid configuration, so a misconfigured instance fails at
+ * startup rather than falling back to a looser policy.
+ *
+ * @param {object} env - Environment (default: process.env)
+ * @returns {{origins: string[], routes: string[], credentials: boolean}} Summary for logging
+ */
+export function loadCorsPolicy(env = process.env) {
+  let config = {};
+  if (env.CORS_CONFIG) {
+    if (!existsSync(env.CORS_CONFIG)) {
+      throw new Error(`CORS config file not found: ${env.CORS_CONFIG}`);
+    }
+    try {
+      config = JSON.parse(readFileSync(env.CORS_CONFIG, "utf8"));
+    } catch (err) {
+      throw new Error(`Failed to parse CORS config ${env.CORS_CONFIG}: ${err.message}`);
+    }
+  }
+
+  const defaults = normalizeRule(
+    config,
+    {
+      origins: !env.CORS_ORIGINS
+        ? DEFAULT_ORIGINS
+        : env.CORS_ORIGINS === "none"
+          ? []
+          : parseList(env.CORS_ORIGINS),
+      methods: env.CORS_METHODS ? parseList(env.CORS_METHODS) : DEFAULT_METHODS,
+      headers: env.CORS_HEADERS ? parseList(env.CORS_HEADERS) : DEFAULT_HEADERS,
+      credentials: env.CORS_CREDENTIALS === "true",
+      maxAge: parseInt(env.CORS_MAX_AGE || "600", 10),
+    },
+    "settings",
+  );
+
+  const routes = Object.entries(config.routes || {})
+    .map(([prefix, settings]) => {
+      if (!prefix.startsWith("/")) {
+        throw new Error(`CORS route "${prefix}" must start with "/"`);
+      }
+      return {
+        prefix: prefix.replace(/\/+$/, "") || "/",
+        ...normalizeRule(settings, defaults, `route "${prefix}"`),
+      };
+    })
+    // Longest prefix first, so the most specific route wins
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+
+  policy = { defaults, routes };
+  return {
+    origins: defaults.origins,
+    routes: routes.map((route) => route.prefix),
+    credentials: defaults.credentials,
+  };
+}
+
+/**
+ * Find the CORS rule for a path
+ * @param {string} path - Request path
+ * @returns {object}
+ */
+function ruleFor(path) {
+  const route = policy.routes.find(
+    ({ prefix }) => prefix === "/" || path === prefix || path.startsWith(`${prefix}/`),
+  );
+  return route || policy.defaults;
+}
+
+/**
+ * Send a CORS refusal
+ * @param {object} res - Express response
+ * @param {string} error - Error message
+ */
+function refuse(res, error) {
+  res.status(403).json({
+    success: false,
+    error,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * Apply the CORS policy to a request, answering preflight requests
+ *
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export function cors(req, res, next) {
+  res.vary("Origin");
+  const origin = req.headers.origin;
+
+  // Not a browser
+  if (!origin) {
+    return next();
+  }
+
+  const rule = ruleFor(req.path);
+  if (!rule.matchers.some((matches) => matches(origin))) {
+    return refuse(res, `Origin ${origin} is not allowed by this instance's CORS policy`);
+  }
+
+  // Any page may call, but without credentials there is no need to name it
+  res.header("Access-Control-Allow-Origin", rule.wildcard ? "*" : origin);
+  if (rule.credentials) {
+    res.header("Access-Control-Allow-Credentials", "true");
+  }
+
+  if (req.method === "OPTIONS") {
+    const method = (req.headers["access-control-request-method"] || "").toUpperCase();
+    if (!rule.methods.includes(method)) {
+      return refuse(res, `Method ${method || "(none)"} is not allowed for ${req.path} by CORS`);
+    }
+
+    const allowed = rule.headers.map((header) => header.toLowerCase());
+    const denied = parseList(req.headers["access-control-request-headers"]).filter(
+      (header) => !allowed.includes(header.toLowerCase()),
+    );
+    if (denied.length > 0) {
+      return refuse(res, `Header ${denied.join(", ")} is not allowed for ${req.path} by CORS`);
+    }
+
+    res.header("Access-Control-Allow-Methods", rule.methods.join(", "));
+    res.header("Access-Control-Allow-Headers", rule.headers.join(", "));
+    res.header("Access-Control-Max-Age", String(rule.maxAge));
+    return res.sendStatus(204);
+  }
+
+  if (!rule.methods.includes(req.method) && req.method !== "HEAD") {
+    return refuse(res, `Method ${req.method} is not allowed for ${req.path} by CORS`);
+  }
+  res.header("Access-Control-Expose-Headers", EXPOSED_HEADERS.join(", "));
+  next();
+}
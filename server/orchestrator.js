@@ -0,0 +1,352 @@
+import { promises as fs } from "fs";
+import { isAbsolute, join, resolve } from "path";
+import { v4 as uuidv4 } from "uuid";
+import { invokeClaudeCode, getInstanceInfo } from "./claude-handler.js";
+import { runQueued } from "./job-queue.js";
+import { describeToolPolicy } from "./tool-policy.js";
+import { loadRegistry, checkInstanceHealth, askRegistryInstance } from "./registry.js";
+
+/**
+ * Orchestrator
+ *
+ * Breaks a high-level task into subtasks using the local Claude, delegates
+ * each subtask to the registry instance whose persona fits best, then asks
+ * the local Claude to integrate the sub-answers into a final answer.
+ *
+ * Every run (plan, delegation decisions, sub-answers and final answer) is
+ * written to ORCHESTRATION_LOG_PATH as JSON so delegations can be audited.
+ */
+
+const LOG_PATH = process.env.ORCHESTRATION_LOG_PATH || "./orchestrations";
+const MAX_SUBTASKS = parseInt(process.env.ORCHESTRATOR_MAX_SUBTASKS || "6", 10);
+
+// Delegation target meaning "answer on this instance"
+const LOCAL_TARGET = "local";
+
+/**
+ * Resolve the directory orchestration logs are written to
+ * @returns {string}
+ */
+function getLogDirectory() {
+  return isAbsolute(LOG_PATH) ? LOG_PATH : resolve(process.cwd(), LOG_PATH);
+}
+
+/**
+ * Collect the online registry instances and their personas
+ * @returns {Promise<{name: string, persona: string}[]>}
+ */
+async function getSpecialists() {
+  const { instances } = loadRegistry();
+  // LOCAL_TARGET always means this instance, so a registry entry of that name is never delegated to
+  const names = Object.keys(instances).filter((name) => name !== LOCAL_TARGET);
+  const checks = await Promise.all(
+    names.map((name) => checkInstanceHealth({ name, ...instances[name] })),
+  );
+
+  return names
+    .map((name, i) => ({
+      name,
+      online: checks[i].online,
+      persona: instances[name].description || checks[i].health?.persona || "",
+    }))
+    .filter((specialist) => specialist.online)
+    .map(({ name, persona }) => ({ name, persona }));
+}
+
+/**
+ * Build the prompt asking Claude for a delegation plan
+ * @param {string} task - The high-level task
+ * @param {object[]} specialists - Online instances and their personas
+ * @returns {string}
+ */
+function buildPlanningPrompt(task, specialists) {
+  const roster = specialists.map((s) => `- ${s.name}: ${s.persona || "(no description)"}`);
+  roster.push(`- ${LOCAL_TARGET}: this instance (${getInstanceInfo().instanceName})`);
+
+  return [
+    "You are coordinating a team of specialist Claude instances.",
+    `Break the task below into at most ${MAX_SUBTASKS} independent subtasks and assign each one to the instance whose persona fits it best.`,
+    "",
+    "Available instances:",
+    ...roster,
+    "",
+    "Reply with JSON only, in this exact shape:",
+    '{"subtasks": [{"task": "what to do", "instance": "instance name", "reason": "why this instance"}]}',
+    "",
+    `Task: ${task}`,
+  ].join("\n");
+}
+
+/**
+ * Extract the JSON plan from Claude's response
+ * @param {string} text - Raw planning answer
+ * @returns {object[]} Subtasks
+ */
+export function parsePlan(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced
+    ? fenced[1]
+    : text.substring(text.indexOf("{"), text.lastIndexOf("}") + 1);
+
+  let plan;
+  try {
+    plan = JSON.parse(candidate);
+  } catch {
+    throw new Error("Orchestrator could not parse a plan from Claude's response");
+  }
+
+  const subtasks = Array.isArray(plan) ? plan : plan.subtasks;
+  if (!Array.isArray(subtasks) || subtasks.length === 0) {
+    throw new Error("Orchestrator plan contains no subtasks");
+  }
+
+  return subtasks
+    .filter((subtask) => subtask && typeof subtask.task === "string" && subtask.task.trim())
+    .slice(0, MAX_SUBTASKS)
+    .map((subtask, i) => ({
+      id: i + 1,
+      task: subtask.task,
+      instance: typeof subtask.instance === "string" ? subtask.instance : LOCAL_TARGET,
+      reason: subtask.reason || "",
+    }));
+}
+
+/**
+ * Decide where a planned subtask is sent
+ * @param {object} subtask - Planned subtask
+ * @param {string[]} online - Names of online registry instances
+ * @returns {{target: string, fallback: string|null}}
+ */
+function decideTarget(subtask, online) {
+  if (subtask.instance === LOCAL_TARGET || online.includes(subtask.instance)) {
+    return { target: subtask.instance, fallback: null };
+  }
+  return {
+    target: LOCAL_TARGET,
+    fallback: `Instance '${subtask.instance}' is not an online registry instance`,
+  };
+}
+
+/**
+ * Run a question on the local Claude through the job queue
+ * @param {string} question - Question
+ * @param {string} context - Optional context
+ * @param {object} options - { signal (cancels the run), toolPolicy }
+ * @param {string} source - Job metadata source
+ * @returns {Promise<object>} invokeClaudeCode result
+ */
+function askLocal(question, context, options, source) {
+  return runQueued(
+    (jobSignal) =>
+      invokeClaudeCode(question, context, null, {
+        signal: jobSignal,
+        toolPolicy: options.toolPolicy,
+      }),
+    {
+      signal: options.signal,
+      metadata: { source },
+    },
+  );
+}
+
+/**
+ * Send one subtask to its target and record the outcome
+ * @param {object} subtask - Subtask with its delegation decision
+ * @param {string} context - Caller-provided context
+ * @param {object} options - { timeout, signal, toolPolicy }
+ * @returns {Promise<object>}
+ */
+async function runSubtask(subtask, context, options) {
+  const startTime = Date.now();
+
+  if (subtask.target === LOCAL_TARGET) {
+    try {
+      const result = await askLocal(subtask.task, context, options, "orchestrate/subtask");
+      return {
+        ...subtask,
+        success: true,
+        answer: result.response,
+        session_id: result.sessionId,
+        duration_ms: result.duration,
+        round_trip_ms: Date.now() - startTime,
+      };
+    } catch (error) {
+      return {
+        ...subtask,
+        success: false,
+        answer: null,
+        error: error.message,
+        round_trip_ms: Date.now() - startTime,
+      };
+    }
+  }
+
+  const result = await askRegistryInstance(
+    subtask.target,
+    { question: subtask.task, ...(context && { context }) },
+    { timeout: options.timeout, signal: options.signal },
+  );
+  return {
+    ...subtask,
+    success: result.success,
+    answer: result.answer || null,
+    session_id: result.session_id || null,
+    duration_ms: result.duration_ms ?? null,
+    round_trip_ms: result.round_trip_ms,
+    ...(result.error && { error: result.error }),
+  };
+}
+
+/**
+ * Build the prompt asking Claude to integrate the sub-answers
+ * @param {string} task - The high-level task
+ * @param {object[]} subtasks - Finished subtasks
+ * @returns {{question: string, context: string}}
+ */
+function buildIntegrationRequest(task, subtasks) {
+  const sections = subtasks.map((s) => {
+    const outcome = s.success ? s.answer : `(failed: ${s.error})`;
+    return `## Subtask ${s.id} (${s.target}): ${s.task}\n\n${outcome}`;
+  });
+
+  return {
+    question:
+      `Using the specialist results below, produce the final answer to this task: ${task}\n` +
+      "Resolve any conflicts between the results and point out gaps left by failed subtasks.",
+    context: sections.join("\n\n---\n\n"),
+  };
+}
+
+/**
+ * Write an orchestration record to the audit log
+ * @param {object} record - Orchestration record
+ */
+async function saveOrchestration(record) {
+  const directory = getLogDirectory();
+  await fs.mkdir(directory, { recursive: true });
+  await fs.writeFile(join(directory, `${record.id}.json`), JSON.stringify(record, null, 2), "utf8");
+}
+
+/**
+ * Plan, delegate and integrate a high-level task
+ *
+ * The record is persisted whether the run succeeds or fails. On failure the
+ * thrown error carries the record as `error.orchestration`.
+ *
+ * @param {string} task - The high-level task
+ * @param {object} options - { context, timeout, signal, toolPolicy (for the local Claude), keyId (of the caller) }
+ * @returns {Promise<object>} Orchestration record
+ */
+export async function orchestrateTask(task, options = {}) {
+  const startTime = Date.now();
+  const record = {
+    id: uuidv4(),
+    task,
+    status: "running",
+    created_at: new Date().toISOString(),
+    key_id: options.keyId || null,
+    tool_policy: options.toolPolicy ? describeToolPolicy(options.toolPolicy) : null,
+    specialists: [],
+    planning: null,
+    subtasks: [],
+    integration: null,
+    final_answer: null,
+    duration_ms: null,
+  };
+
+  try {
+    // 1. Plan
+    record.specialists = await getSpecialists();
+    const planning = await askLocal(
+      buildPlanningPrompt(task, record.specialists),
+      options.context,
+      options,
+      "orchestrate/plan",
+    );
+    const plan = parsePlan(planning.response);
+    record.planning = {
+      session_id: planning.sessionId,
+      duration_ms: planning.duration,
+      raw: planning.response,
+    };
+
+    // 2. Delegate
+    const online = record.specialists.map((s) => s.name);
+    const delegated = plan.map((subtask) => ({ ...subtask, ...decideTarget(subtask, online) }));
+    record.subtasks = await Promise.all(
+      delegated.map((subtask) => runSubtask(subtask, options.context, options)),
+    );
+
+    // 3. Integrate
+    const integrationRequest = buildIntegrationRequest(task, record.subtasks);
+    const integration = await askLocal(
+      integrationRequest.question,
+      integrationRequest.context,
+      options,
+      "orchestrate/integrate",
+    );
+    record.integration = {
+      session_id: integration.sessionId,
+      duration_ms: integration.duration,
+    };
+    record.final_answer = integration.response;
+    record.status = "done";
+  } catch (error) {
+    record.status = "failed";
+    record.error = error.message;
+    error.orchestration = record;
+    throw error;
+  } finally {
+    record.duration_ms = Date.now() - startTime;
+    await saveOrchestration(record).catch((err) =>
+      console.error("[Orchestrator] Failed to save orchestration:", err.message),
+    );
+  }
+
+  return record;
+}
+
+/**
+ * Load a persisted orchestration record
+ * @param {string} id - Orchestration ID
+ * @returns {Promise<object|null>}
+ */
+export async function getOrchestration(id) {
+  if (!/^[0-9a-f-]+$/i.test(id)) return null;
+
+  try {
+    return JSON.parse(await fs.readFile(join(getLogDirectory(), `${id}.json`), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List the most recent orchestrations
+ * @param {number} limit - Maximum number of records
+ * @param {function(object): boolean} filter - Records to include (default all)
+ * @returns {Promise<object[]>} Summaries, newest first
+ */
+export async function listOrchestrations(limit = 10, filter = () => true) {
+  let files;
+  try {
+    files = (await fs.readdir(getLogDirectory())).filter((file) => file.endsWith(".json"));
+  } catch {
+    return [];
+  }
+
+  const records = await Promise.all(files.map((file) => getOrchestration(file.slice(0, -5))));
+
+  return records
+    .filter((record) => record && filter(record))
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .slice(0, limit)
+    .map((record) => ({
+      id: record.id,
+      task: record.task,
+      status: record.status,
+      created_at: record.created_at,
+      subtasks: record.subtasks.map((s) => ({ id: s.id, target: s.target, success: s.success })),
+      duration_ms: record.duration_ms,
+    }));
+}
@@ -1,194 +1,866 @@
-import { readFileSync, existsSync, readdirSync, statSync } from "fs";
-import { join, basename, dirname } from "path";
+import { promises as fs, watch } from "fs";
+import { join, basename, relative } from "path";
+import {
+  configurePackageDetectors,
+  detectPackage,
+  getManifestFiles,
+  loadDetectorWorkspaceGlobs,
+} from "./package-detectors.js";
 
 /**
  * Package Context Loader
  *
  * Automatically detects relevant packages from a question and loads
  * their CLAUDE.md files to provide contextual information to Claude.
+ *
+ * Packages are kept in an in-memory catalogue per working directory (the
+ * default one, and each project's), built once at startup and refreshed when
+ * the filesystem changes (or on an interval where watching is off or
+ * unavailable), so requests never walk the tree themselves.
+ * CLAUDE.md files are read once and cached until they change. Packages of
+ * any ecosystem are recognised by their manifest (see package-detectors.js).
  */
 
 const WORKING_DIR = process.env.CLAUDE_WORKING_DIR || "/tmp";
 
+// Minimum confidence (0-1) for a package to count as mentioned in a question
+const MATCH_THRESHOLD = parseFloat(process.env.PACKAGE_MATCH_THRESHOLD || "0.5");
+
+// Package roots scanned when the repository root declares no workspaces
+const DEFAULT_PACKAGE_ROOTS = ["packages", "apps", "libs", "services", "modules"];
+
+// Deepest directory level "**" in a workspace glob descends to
+const MAX_GLOB_DEPTH = 8;
+
+// How many levels of dependencies and dependents of matched packages to include
+export const MAX_DEPENDENCY_DEPTH = 3;
+const DEPENDENCY_DEPTH = Math.min(
+  parseInt(process.env.PACKAGE_DEPENDENCY_DEPTH || "0", 10) || 0,
+  MAX_DEPENDENCY_DEPTH,
+);
+
+// Include related packages' CLAUDE.md in full, or only a summary of it
+const DEPENDENCY_DOCS = process.env.PACKAGE_DEPENDENCY_DOCS === "full" ? "full" : "summary";
+
+// Build output, virtual environments and vendored code are never scanned
+const IGNORED_DIRECTORIES = ["node_modules", "target", "vendor", "venv", "__pycache__"];
+
+// Wait for a burst of filesystem events to settle before rebuilding
+const REFRESH_DEBOUNCE = 500;
+
+// Catalogues by working directory
+const catalogs = new Map();
+let watchEnabled = false;
+let refreshTimer = null;
+let pollInterval = 0; // seconds between rebuilds when not watching
+
 /**
- * Load the root CLAUDE.md file from the working directory
- * @returns {string|null} Contents of root CLAUDE.md or null
+ * Check whether a path exists
+ * @param {string} path - Path to check
+ * @returns {Promise<boolean>}
  */
-export function loadRootClaudeMd() {
-  const claudeMdPath = join(WORKING_DIR, "CLAUDE.md");
-  if (existsSync(claudeMdPath)) {
-    try {
-      return readFileSync(claudeMdPath, "utf8");
-    } catch (err) {
-      return null;
-    }
+async function exists(path) {
+  try {
+    await fs.access(path);
+    return true;
+  } catch (err) {
+    return false;
   }
-  return null;
 }
 
 /**
- * Discover all packages in the working directory
- * Looks for common monorepo structures: packages/, apps/, libs/, services/
- * @returns {Array<{name: string, path: string, hasClaudeMd: boolean}>}
+ * List the subdirectories worth scanning (no dot directories or IGNORED_DIRECTORIES)
+ * @param {string} dirPath - Directory to list
+ * @returns {Promise<string[]>} Subdirectory names
  */
-export function discoverPackages() {
-  const packages = [];
-  const monorepoRoots = ["packages", "apps", "libs", "services", "modules"];
+async function listSubdirectories(dirPath) {
+  try {
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+    return entries
+      .filter(
+        (e) => e.isDirectory() && !e.name.startsWith(".") && !IGNORED_DIRECTORIES.includes(e.name),
+      )
+      .map((e) => e.name);
+  } catch (err) {
+    return [];
+  }
+}
 
-  for (const root of monorepoRoots) {
-    const rootPath = join(WORKING_DIR, root);
-    if (existsSync(rootPath) && statSync(rootPath).isDirectory()) {
-      scanPackageDirectory(rootPath, packages, root);
+/**
+ * Read the workspace globs declared at the repository root: package.json
+ * workspaces, pnpm-workspace.yaml, Cargo.toml workspace members and go.work
+ * @param {string} workingDir - Repository root
+ * @returns {Promise<string[]>} Globs, "!" prefixed ones excluding matches
+ */
+export async function loadWorkspaceGlobs(workingDir = WORKING_DIR) {
+  const globs = await loadDetectorWorkspaceGlobs(workingDir);
+  return globs.map((glob) => glob.replace(/^(!?)\.\//, "$1").replace(/\/+$/, ""));
+}
+
+/**
+ * Convert a workspace glob to a regular expression over relative paths
+ * @param {string} glob - Glob such as "packages/*" or "apps/**"
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  let pattern = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      // "**/" matches any number of directories, a trailing "**" anything below
+      const slash = glob[i + 2] === "/";
+      pattern += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (char === "*") {
+      pattern += "[^/]*";
+    } else if (char === "?") {
+      pattern += "[^/]";
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
     }
   }
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Describe a package directory
+ * @param {string} fullPath - Absolute path of the package
+ * @param {string} relativePath - Path relative to the working directory
+ * @returns {Promise<object|null>} Package, or null if no detector recognises the directory
+ */
+async function readPackage(fullPath, relativePath) {
+  const files = new Set(await fs.readdir(fullPath).catch(() => []));
+  const manifest = await detectPackage(fullPath, files);
+  if (!manifest) return null;
+
+  return {
+    name: manifest.name,
+    directory: basename(fullPath),
+    path: relativePath,
+    fullPath,
+    type: manifest.type,
+    description: manifest.description,
+    keywords: manifest.keywords,
+    hasClaudeMd: files.has("CLAUDE.md"),
+    // Package names for now; linkDependencies() resolves the workspace ones to paths
+    dependencies: manifest.dependencies,
+    dependents: [],
+  };
+}
 
+/**
+ * Build the workspace dependency graph
+ *
+ * Keeps only dependencies on other packages in the workspace, as paths, and
+ * fills in each package's dependents.
+ *
+ * @param {Array<object>} packages - Packages with dependencies as package names
+ * @returns {Array<object>} The same packages, linked
+ */
+function linkDependencies(packages) {
+  // Compared the way Python compares project names: case-insensitive, "-", "_" and "." alike
+  const key = (name) => name.toLowerCase().replace(/[-_.]+/g, "-");
+  const byName = new Map();
+  for (const pkg of packages) {
+    byName.set(key(pkg.name), [...(byName.get(key(pkg.name)) || []), pkg]);
+  }
+
+  for (const pkg of packages) {
+    pkg.dependencies = [...new Set(pkg.dependencies)]
+      .map((name) => {
+        // A name shared across ecosystems resolves to the package's own ecosystem
+        const candidates = byName.get(key(name)) || [];
+        return candidates.find((dep) => dep.type === pkg.type) || candidates[0];
+      })
+      .filter((dep) => dep && dep !== pkg)
+      .map((dep) => dep.path);
+    pkg.dependencies = [...new Set(pkg.dependencies)];
+  }
+  for (const pkg of packages) {
+    for (const path of pkg.dependencies) {
+      packages.find((p) => p.path === path).dependents.push(pkg.path);
+    }
+  }
   return packages;
 }
 
+/**
+ * Find the package directories matching workspace globs
+ * @param {string} workingDir - Repository root
+ * @param {string[]} globs - Workspace globs
+ * @param {Set<string>} scanned - Collects the directories holding packages, to watch
+ * @returns {Promise<Array<object>>} Packages
+ */
+async function findWorkspacePackages(workingDir, globs, scanned) {
+  const include = globs.filter((g) => !g.startsWith("!"));
+  const exclude = globs.filter((g) => g.startsWith("!")).map((g) => globToRegExp(g.slice(1)));
+  const found = new Map();
+
+  for (const glob of include) {
+    const regex = globToRegExp(glob);
+    const segments = glob.split("/");
+    // Walk from the glob's literal prefix, only as deep as it can match
+    const firstWildcard = segments.findIndex((segment) => /[*?]/.test(segment));
+    const base = firstWildcard === -1 ? segments : segments.slice(0, firstWildcard);
+    const depth = glob.includes("**") ? MAX_GLOB_DEPTH : segments.length - base.length;
+
+    const visit = async (relativePath, remaining, insidePackage) => {
+      const fullPath = join(workingDir, relativePath);
+      let pkg = null;
+      if (regex.test(relativePath) && !exclude.some((re) => re.test(relativePath))) {
+        pkg = await readPackage(fullPath, relativePath);
+        if (pkg) found.set(relativePath, pkg);
+      }
+      if (!insidePackage) scanned.add(fullPath);
+      if (remaining <= 0) return;
+
+      for (const name of await listSubdirectories(fullPath)) {
+        await visit(`${relativePath}/${name}`, remaining - 1, insidePackage || pkg !== null);
+      }
+    };
+
+    if (base.length > 0) {
+      await visit(base.join("/"), depth, false);
+    }
+  }
+
+  return [...found.values()];
+}
+
 /**
  * Recursively scan a directory for packages
  * @param {string} dirPath - Directory to scan
  * @param {Array} packages - Array to populate with packages
  * @param {string} prefix - Prefix for package paths
+ * @param {Set<string>} scanned - Collects the directories scanned, to watch
  */
-function scanPackageDirectory(dirPath, packages, prefix) {
+async function scanPackageDirectory(dirPath, packages, prefix, scanned) {
+  scanned.add(dirPath);
+
+  for (const name of await listSubdirectories(dirPath)) {
+    const fullPath = join(dirPath, name);
+
+    // Check if this is a package (has a manifest) or a grouping folder
+    const pkg = await readPackage(fullPath, `${prefix}/${name}`);
+    if (pkg) {
+      packages.push(pkg);
+      scanned.add(fullPath);
+    } else {
+      // Could be a grouping folder (like packages/integration/)
+      await scanPackageDirectory(fullPath, packages, `${prefix}/${name}`, scanned);
+    }
+  }
+}
+
+/**
+ * Walk the working directory for packages
+ *
+ * Uses the workspace globs declared at the repository root, or looks for
+ * common monorepo structures (packages/, apps/, libs/, services/, modules/)
+ * when there are none.
+ *
+ * @param {string} workingDir - Repository root
+ * @returns {Promise<{packages: Array<object>, scanned: Set<string>}>} Packages, and the directories to watch
+ */
+async function scanPackages(workingDir) {
+  const scanned = new Set([workingDir]);
+  const globs = await loadWorkspaceGlobs(workingDir);
+  if (globs.length > 0) {
+    return {
+      packages: linkDependencies(await findWorkspacePackages(workingDir, globs, scanned)),
+      scanned,
+    };
+  }
+
+  const packages = [];
+  for (const root of DEFAULT_PACKAGE_ROOTS) {
+    const rootPath = join(workingDir, root);
+    if ((await fs.stat(rootPath).catch(() => null))?.isDirectory()) {
+      await scanPackageDirectory(rootPath, packages, root, scanned);
+    }
+  }
+  return { packages: linkDependencies(packages), scanned };
+}
+
+/**
+ * Get the catalogue of a working directory, empty until it is built
+ * @param {string} workingDir - Working directory
+ * @returns {object} Catalogue state
+ */
+function getCatalog(workingDir) {
+  if (!catalogs.has(workingDir)) {
+    catalogs.set(workingDir, {
+      workingDir,
+      packages: [],
+      builtAt: null,
+      durationMs: 0,
+      documents: new Map(), // relative directory -> CLAUDE.md contents (null if none)
+      building: null,
+      watchers: [],
+      watching: false,
+      debounceTimer: null,
+    });
+  }
+  return catalogs.get(workingDir);
+}
+
+/**
+ * Handle a filesystem event in a watched directory
+ * @param {object} catalog - Catalogue the directory belongs to
+ * @param {string} dirPath - Watched directory
+ * @param {string|null} filename - Changed entry, if the platform reports it
+ */
+function onFilesystemChange(catalog, dirPath, filename) {
+  const relativePath = relative(catalog.workingDir, dirPath);
+
+  if (filename === "CLAUDE.md") {
+    // Only the document changed: drop it from the cache and note whether it exists
+    catalog.documents.delete(relativePath);
+    const pkg = catalog.packages.find((p) => p.path === relativePath);
+    if (pkg) {
+      exists(join(dirPath, "CLAUDE.md")).then((found) => {
+        pkg.hasClaudeMd = found;
+      });
+    }
+    return;
+  }
+
+  // In the working directory and packages, only manifests and package roots matter
+  const isPackage = catalog.packages.some((p) => p.path === relativePath);
+  if (
+    filename &&
+    (relativePath === "" || isPackage) &&
+    !getManifestFiles().includes(filename) &&
+    !(relativePath === "" && DEFAULT_PACKAGE_ROOTS.includes(filename))
+  ) {
+    return;
+  }
+
+  clearTimeout(catalog.debounceTimer);
+  catalog.debounceTimer = setTimeout(() => {
+    refreshPackageCatalog(catalog.workingDir).catch((err) =>
+      console.error("[Packages] Refresh failed:", err.message),
+    );
+  }, REFRESH_DEBOUNCE);
+  catalog.debounceTimer.unref();
+}
+
+/**
+ * Watch the scanned directories, replacing the catalogue's previous watchers
+ * @param {object} catalog - Catalogue to keep fresh
+ * @param {Set<string>} scanned - Directories to watch
+ * @returns {boolean} Whether every directory is watched
+ */
+function watchDirectories(catalog, scanned) {
+  for (const watcher of catalog.watchers) watcher.close();
+  catalog.watchers = [];
+
   try {
-    const entries = readdirSync(dirPath, { withFileTypes: true });
-
-    for (const entry of entries) {
-      if (!entry.isDirectory()) continue;
-      if (entry.name.startsWith(".") || entry.name === "node_modules") continue;
-
-      const fullPath = join(dirPath, entry.name);
-      const packageJsonPath = join(fullPath, "package.json");
-      const claudeMdPath = join(fullPath, "CLAUDE.md");
-
-      // Check if this is a package (has package.json) or a grouping folder
-      if (existsSync(packageJsonPath)) {
-        packages.push({
-          name: entry.name,
-          path: `${prefix}/${entry.name}`,
-          fullPath: fullPath,
-          hasClaudeMd: existsSync(claudeMdPath),
-        });
-      } else {
-        // Could be a grouping folder (like packages/integration/)
-        scanPackageDirectory(fullPath, packages, `${prefix}/${entry.name}`);
-      }
+    for (const dirPath of scanned) {
+      const watcher = watch(dirPath, { persistent: false }, (event, filename) =>
+        onFilesystemChange(catalog, dirPath, filename?.toString() || null),
+      );
+      // A watched directory that is deleted reports an error; the parent's watcher rebuilds
+      watcher.on("error", () => watcher.close());
+      catalog.watchers.push(watcher);
     }
+    return true;
   } catch (err) {
-    // Ignore permission errors, etc.
+    // e.g. out of inotify watches on a very large tree
+    console.error(`[Packages] Cannot watch ${catalog.workingDir}, polling instead:`, err.message);
+    for (const watcher of catalog.watchers) watcher.close();
+    catalog.watchers = [];
+    return false;
   }
 }
 
 /**
- * Load CLAUDE.md for a specific package
- * @param {string} packagePath - Relative path to package
- * @returns {string|null} Contents of package CLAUDE.md or null
+ * Rebuild the package catalogue of a working directory
+ *
+ * A rebuild already in progress is joined rather than started twice.
+ *
+ * @param {string} workingDir - Working directory (default CLAUDE_WORKING_DIR)
+ * @returns {Promise<object>} Catalogue summary (see getPackageCatalogInfo)
  */
-export function loadPackageClaudeMd(packagePath) {
-  const claudeMdPath = join(WORKING_DIR, packagePath, "CLAUDE.md");
-  if (existsSync(claudeMdPath)) {
+export function refreshPackageCatalog(workingDir = WORKING_DIR) {
+  const catalog = getCatalog(workingDir);
+  if (!catalog.building) {
+    catalog.building = (async () => {
+      const startTime = Date.now();
+      const { packages, scanned } = await scanPackages(workingDir);
+      catalog.packages = packages;
+      catalog.builtAt = new Date().toISOString();
+      catalog.durationMs = Date.now() - startTime;
+      catalog.documents = new Map();
+      if (watchEnabled) {
+        catalog.watching = watchDirectories(catalog, scanned);
+        if (!catalog.watching) startPolling();
+      }
+      return getPackageCatalogInfo(workingDir);
+    })().finally(() => {
+      catalog.building = null;
+    });
+  }
+  return catalog.building;
+}
+
+/**
+ * Rebuild the catalogues that are not watched every pollInterval seconds
+ */
+function startPolling() {
+  if (refreshTimer || pollInterval <= 0) return;
+  refreshTimer = setInterval(() => {
+    for (const catalog of catalogs.values()) {
+      if (catalog.watching) continue;
+      refreshPackageCatalog(catalog.workingDir).catch((err) =>
+        console.error("[Packages] Refresh failed:", err.message),
+      );
+    }
+  }, pollInterval * 1000);
+  refreshTimer.unref();
+}
+
+/**
+ * Build the package catalogues and keep them fresh
+ * @param {object} options - { directories: working directories to catalogue (default CLAUDE_WORKING_DIR), watch: watch the filesystem (default true), refreshInterval: seconds between rebuilds when not watching (0 = never), detectors: package detector types in order of precedence (default all) }
+ * @returns {Promise<object[]>} Summary of each catalogue
+ */
+export async function initPackageCatalog(options = {}) {
+  configurePackageDetectors(options.detectors || null);
+  watchEnabled = options.watch !== false;
+  pollInterval = options.refreshInterval ?? 300;
+
+  const directories = [...new Set(options.directories || [WORKING_DIR])];
+  const summaries = [];
+  for (const workingDir of directories) {
+    summaries.push(await refreshPackageCatalog(workingDir));
+  }
+  if (!watchEnabled) startPolling();
+  return summaries;
+}
+
+/**
+ * Describe the package catalogue of a working directory
+ * @param {string} workingDir - Working directory (default CLAUDE_WORKING_DIR)
+ * @returns {{packages: number, built_at: string|null, duration_ms: number, watching: boolean}}
+ */
+export function getPackageCatalogInfo(workingDir = WORKING_DIR) {
+  const catalog = getCatalog(workingDir);
+  return {
+    packages: catalog.packages.length,
+    built_at: catalog.builtAt,
+    duration_ms: catalog.durationMs,
+    watching: catalog.watching,
+  };
+}
+
+/**
+ * List the packages in the catalogue of a working directory
+ * @param {string} workingDir - Working directory (default CLAUDE_WORKING_DIR)
+ * @returns {Array<{name: string, directory: string, path: string, type: string, description: string, keywords: string[], hasClaudeMd: boolean, dependencies: string[], dependents: string[]}>}
+ */
+export function discoverPackages(workingDir = WORKING_DIR) {
+  return getCatalog(workingDir).packages;
+}
+
+/**
+ * Load a CLAUDE.md file, from the cache when it has not changed
+ * @param {string} workingDir - Working directory
+ * @param {string} relativePath - Directory relative to the working directory ("" for the root)
+ * @returns {Promise<string|null>} Contents, or null if there is none
+ */
+async function loadClaudeMd(workingDir, relativePath) {
+  const { documents } = getCatalog(workingDir);
+  if (!documents.has(relativePath)) {
+    let content = null;
     try {
-      return readFileSync(claudeMdPath, "utf8");
+      content = await fs.readFile(join(workingDir, relativePath, "CLAUDE.md"), "utf8");
     } catch (err) {
-      return null;
+      // No CLAUDE.md
     }
+    // Without watching, a changed file is only picked up by the next rebuild
+    documents.set(relativePath, content);
   }
-  return null;
+  return documents.get(relativePath);
 }
 
 /**
- * Extract package names mentioned in a question
- * Uses multiple strategies: exact matches, partial matches, and keyword detection
+ * Load the root CLAUDE.md file from the working directory
+ * @param {string} workingDir - Working directory (default CLAUDE_WORKING_DIR)
+ * @returns {Promise<string|null>} Contents of root CLAUDE.md or null
+ */
+export function loadRootClaudeMd(workingDir = WORKING_DIR) {
+  return loadClaudeMd(workingDir, "");
+}
+
+/**
+ * Load CLAUDE.md for a specific package
+ * @param {string} packagePath - Relative path to package
+ * @param {string} workingDir - Working directory (default CLAUDE_WORKING_DIR)
+ * @returns {Promise<string|null>} Contents of package CLAUDE.md or null
+ */
+export function loadPackageClaudeMd(packagePath, workingDir = WORKING_DIR) {
+  return loadClaudeMd(workingDir, packagePath);
+}
+
+// Package names too generic to identify a package on their own
+const GENERIC_NAMES = new Set([
+  "api",
+  "app",
+  "base",
+  "cli",
+  "client",
+  "common",
+  "config",
+  "core",
+  "docs",
+  "lib",
+  "main",
+  "sdk",
+  "server",
+  "shared",
+  "test",
+  "tests",
+  "tools",
+  "types",
+  "ui",
+  "utils",
+  "web",
+]);
+
+// Words too common in descriptions to count as a match
+const DESCRIPTION_STOP_WORDS = new Set([
+  "about",
+  "also",
+  "from",
+  "into",
+  "more",
+  "other",
+  "package",
+  "service",
+  "that",
+  "their",
+  "them",
+  "then",
+  "these",
+  "this",
+  "used",
+  "uses",
+  "using",
+  "when",
+  "with",
+  "your",
+]);
+
+/**
+ * Normalize text for phrase matching: lowercase words separated by single spaces
+ * @param {string} text - Text to normalize
+ * @returns {string}
+ */
+function normalize(text) {
+  return text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * Check whether a phrase appears in normalized text as whole words
+ * @param {string} text - Normalized text
+ * @param {string} phrase - Normalized phrase
+ * @returns {boolean}
+ */
+function containsPhrase(text, phrase) {
+  return phrase !== "" && ` ${text} `.includes(` ${phrase} `);
+}
+
+/**
+ * Score how strongly a question refers to a package by its name or path
+ * @param {object} pkg - Package from discoverPackages
+ * @param {string} questionLower - Lowercased question
+ * @param {string} questionText - Normalized question
+ * @param {string[]} questionWords - Words of the normalized question
+ * @returns {{score: number, reason: string|null}}
+ */
+function scorePackageName(pkg, questionLower, questionText, questionWords) {
+  // Scoped name or path as written, e.g. "@acme/message-router" or "packages/auth"
+  const literal = [pkg.name, pkg.path].find(
+    (value) => value.includes("/") && questionLower.includes(value.toLowerCase()),
+  );
+  if (literal) {
+    return { score: 1, reason: literal === pkg.name ? "name" : "path" };
+  }
+
+  // Unscoped name or directory as whole words, e.g. "message router"; a Go
+  // module path ("github.com/acme/billing/v2") counts by its last element
+  const shortName = pkg.name
+    .replace(/\/v\d+$/, "")
+    .split("/")
+    .pop();
+  const names = [...new Set([normalize(shortName), normalize(pkg.directory)])];
+  const named = names.find((name) => containsPhrase(questionText, name));
+  if (named) {
+    return { score: GENERIC_NAMES.has(named) ? 0.6 : 0.9, reason: "name" };
+  }
+
+  // Some of a compound name's parts, e.g. "message" for "message-router";
+  // a part of four or more letters also matches words it starts ("auth" in "authentication")
+  const parts = [...new Set(names.flatMap((name) => name.split(" ")))].filter(
+    (part) => part.length >= 3 && !GENERIC_NAMES.has(part),
+  );
+  let matched = 0;
+  for (const part of parts) {
+    if (questionWords.includes(part)) {
+      matched += 1;
+    } else if (part.length >= 4 && questionWords.some((word) => word.startsWith(part))) {
+      matched += 0.5;
+    }
+  }
+  if (matched > 0) {
+    return { score: 0.3 + (0.3 * matched) / parts.length, reason: "partial name" };
+  }
+
+  return { score: 0, reason: null };
+}
+
+/**
+ * Score how strongly a question refers to each package
+ *
+ * The name (package.json name, directory or path) gives the base score: 1
+ * for a scoped name or path as written, 0.9 for the name as whole words (0.6
+ * for generic names like "utils"), up to 0.6 for some of a compound name's
+ * parts. package.json keywords add 0.3 each (up to 0.6) and words shared
+ * with the description 0.1 each (up to 0.3). Scores are capped at 1.
+ *
  * @param {string} question - The user's question
  * @param {Array} packages - List of discovered packages
- * @returns {Array<string>} List of matched package paths
+ * @returns {Array<{path: string, name: string, confidence: number, reasons: string[]}>} Matches, most confident first
  */
-export function detectMentionedPackages(question, packages) {
-  const matched = new Set();
+export function scorePackages(question, packages) {
   const questionLower = question.toLowerCase();
-  const questionWords = questionLower.split(/[\s,.\-_/]+/).filter((w) => w.length > 2);
+  const questionText = normalize(question);
+  const questionWords = questionText.split(" ");
 
+  const matches = [];
   for (const pkg of packages) {
-    const pkgNameLower = pkg.name.toLowerCase();
-    const pkgPathLower = pkg.path.toLowerCase();
+    const reasons = [];
+    const name = scorePackageName(pkg, questionLower, questionText, questionWords);
+    if (name.reason) reasons.push(name.reason);
+
+    const keywords = pkg.keywords.filter((k) => containsPhrase(questionText, normalize(k)));
+    if (keywords.length > 0) reasons.push(`keywords: ${keywords.join(", ")}`);
 
-    // Exact name match (case insensitive)
-    if (questionLower.includes(pkgNameLower)) {
-      matched.add(pkg.path);
-      continue;
+    const descriptionWords = new Set(
+      normalize(pkg.description)
+        .split(" ")
+        .filter((word) => word.length >= 4 && !DESCRIPTION_STOP_WORDS.has(word)),
+    );
+    const shared = questionWords.filter((word) => descriptionWords.delete(word));
+    if (shared.length > 0) reasons.push(`description: ${shared.join(", ")}`);
+
+    const confidence = Math.min(
+      1,
+      name.score + Math.min(0.6, 0.3 * keywords.length) + Math.min(0.3, 0.1 * shared.length),
+    );
+    if (confidence > 0) {
+      matches.push({
+        path: pkg.path,
+        name: pkg.name,
+        confidence: Math.round(confidence * 100) / 100,
+        reasons,
+      });
     }
+  }
 
-    // Check if any word matches the package name
-    for (const word of questionWords) {
-      // Direct word match
-      if (word === pkgNameLower) {
-        matched.add(pkg.path);
-        break;
-      }
+  return matches.sort((a, b) => b.confidence - a.confidence);
+}
 
-      // Partial match for compound names (e.g., "message" matches "message-router")
-      if (pkgNameLower.includes(word) || word.includes(pkgNameLower)) {
-        // Require at least 4 chars for partial match to avoid false positives
-        if (word.length >= 4 || pkgNameLower.length >= 4) {
-          matched.add(pkg.path);
-          break;
-        }
-      }
+/**
+ * Extract package names mentioned in a question
+ * @param {string} question - The user's question
+ * @param {Array} packages - List of discovered packages
+ * @param {number} threshold - Minimum confidence (default PACKAGE_MATCH_THRESHOLD)
+ * @returns {Array<string>} List of matched package paths
+ */
+export function detectMentionedPackages(question, packages, threshold = MATCH_THRESHOLD) {
+  return scorePackages(question, packages)
+    .filter((match) => match.confidence >= threshold)
+    .map((match) => match.path);
+}
+
+/**
+ * Resolve package names given explicitly by a caller
+ * @param {string[]} names - package.json names, paths or directory names
+ * @param {Array} packages - List of discovered packages
+ * @returns {{resolved: Array<object>, unknown: string[]}}
+ */
+export function resolvePackages(names, packages) {
+  const resolved = [];
+  const unknown = [];
+  for (const name of names) {
+    const lower = name.toLowerCase().replace(/\/+$/, "");
+    const pkg =
+      packages.find((p) => p.name.toLowerCase() === lower || p.path.toLowerCase() === lower) ||
+      packages.find((p) => p.directory.toLowerCase() === lower);
+    if (pkg) {
+      if (!resolved.includes(pkg)) resolved.push(pkg);
+    } else {
+      unknown.push(name);
     }
+  }
+  return { resolved, unknown };
+}
 
-    // Check path segments (e.g., "sf integration" matches "integration/sf")
-    const pathSegments = pkgPathLower.split("/");
-    for (const segment of pathSegments) {
-      if (questionWords.includes(segment) && segment.length >= 3) {
-        matched.add(pkg.path);
-        break;
+/**
+ * Find the packages matched packages depend on, and the packages that depend on them
+ *
+ * Each direction is followed on its own: dependencies of dependencies, and
+ * dependents of dependents, up to `depth` levels.
+ *
+ * @param {string[]} paths - Paths of the matched packages
+ * @param {Array<object>} packages - All discovered packages
+ * @param {number} depth - Levels to follow (0 = none)
+ * @returns {Array<{path: string, name: string, relation: string, via: string, distance: number}>} Related packages, nearest first
+ */
+export function findRelatedPackages(paths, packages, depth) {
+  const byPath = new Map(packages.map((pkg) => [pkg.path, pkg]));
+  const seen = new Set(paths);
+  const related = [];
+
+  for (const [relation, field] of [
+    ["dependency", "dependencies"],
+    ["dependent", "dependents"],
+  ]) {
+    let frontier = paths.map((path) => ({ path, via: path }));
+    for (let distance = 1; distance <= depth && frontier.length > 0; distance++) {
+      const next = [];
+      for (const { path, via } of frontier) {
+        for (const relatedPath of byPath.get(path)?.[field] || []) {
+          if (seen.has(relatedPath)) continue;
+          seen.add(relatedPath);
+          related.push({
+            path: relatedPath,
+            name: byPath.get(relatedPath).name,
+            relation,
+            via,
+            distance,
+          });
+          next.push({ path: relatedPath, via });
+        }
       }
+      frontier = next;
     }
   }
 
-  return Array.from(matched);
+  return related.sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Summarize a CLAUDE.md: its title, first paragraph and section headings
+ * @param {string} claudeMd - CLAUDE.md contents
+ * @returns {string}
+ */
+function summarizeClaudeMd(claudeMd) {
+  const blocks = claudeMd.split(/\n\s*\n/).map((block) => block.trim());
+  const title = blocks.find((block) => /^# /.test(block));
+  const intro = blocks.find((block) => block && !/^(#|```|~~~)/.test(block));
+  const sections = blocks
+    .flatMap((block) => block.split("\n"))
+    .filter((line) => /^#{2,3} /.test(line))
+    .map((line) => line.replace(/^#+ /, ""));
+
+  return [
+    title?.split("\n")[0],
+    intro,
+    sections.length > 0 ? `Sections: ${sections.join(", ")}` : null,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
 }
 
 /**
  * Build context string from relevant packages
+ *
+ * The root CLAUDE.md (rootContext) and the matched packages (packagesContext)
+ * are also returned separately, so they can be budgeted as separate sources.
+ *
+ * Packages related to the matched ones through the workspace dependency
+ * graph follow them, with a summary of their CLAUDE.md (or all of it with
+ * PACKAGE_DEPENDENCY_DOCS=full).
+ *
  * @param {string} question - The user's question
- * @returns {{context: string, packages: Array<string>}} Context and matched packages
+ * @param {object} options - { packages: package names, paths or directories to include regardless of detection, depth: dependency levels to include (default PACKAGE_DEPENDENCY_DEPTH), workingDir: project working directory (default CLAUDE_WORKING_DIR) }
+ * @returns {Promise<{context: string, rootContext: string, packagesContext: string, packages: Array<string>, matches: Array<object>, related: Array<object>, totalPackages: number}>} Context and matched packages
  */
-export function buildPackageContext(question) {
+export async function buildPackageContext(question, options = {}) {
+  const { workingDir = WORKING_DIR } = options;
   const contextParts = [];
   const matchedPackages = [];
 
   // Always include root CLAUDE.md if it exists
-  const rootClaudeMd = loadRootClaudeMd();
-  if (rootClaudeMd) {
-    contextParts.push("# Project Overview (from root CLAUDE.md)\n\n" + rootClaudeMd);
-  }
+  const rootClaudeMd = await loadRootClaudeMd(workingDir);
+  const rootContext = rootClaudeMd
+    ? "# Project Overview (from root CLAUDE.md)\n\n" + rootClaudeMd
+    : "";
 
   // Discover packages
-  const packages = discoverPackages();
+  const packages = discoverPackages(workingDir);
 
   if (packages.length === 0) {
     return {
-      context: contextParts.join("\n\n---\n\n"),
+      context: rootContext,
+      rootContext,
+      packagesContext: "",
       packages: [],
+      matches: [],
+      related: [],
       totalPackages: 0,
     };
   }
 
-  // Detect mentioned packages
-  const mentionedPaths = detectMentionedPackages(question, packages);
+  // Packages named by the caller, then packages mentioned in the question
+  const explicit = resolvePackages(options.packages || [], packages).resolved.map((pkg) => ({
+    path: pkg.path,
+    name: pkg.name,
+    confidence: 1,
+    reasons: ["explicit"],
+  }));
+  const detected = scorePackages(question, packages).filter(
+    (match) => match.confidence >= MATCH_THRESHOLD && !explicit.some((e) => e.path === match.path),
+  );
+  const matches = [...explicit, ...detected];
 
-  // Load CLAUDE.md for each mentioned package
-  for (const pkgPath of mentionedPaths) {
-    const claudeMd = loadPackageClaudeMd(pkgPath);
+  // Load CLAUDE.md for each matched package
+  for (const match of matches) {
+    const claudeMd = await loadPackageClaudeMd(match.path, workingDir);
     if (claudeMd) {
-      contextParts.push(`# Package: ${pkgPath}\n\n${claudeMd}`);
-      matchedPackages.push(pkgPath);
-    } else {
-      // Even without CLAUDE.md, note that this package exists
-      matchedPackages.push(pkgPath);
+      const label =
+        match.name === basename(match.path) ? match.path : `${match.path} (${match.name})`;
+      contextParts.push(`# Package: ${label}\n\n${claudeMd}`);
+    }
+    // Even without CLAUDE.md, note that this package exists
+    matchedPackages.push(match.path);
+  }
+
+  // Then the packages they depend on and that depend on them
+  const related = findRelatedPackages(
+    matchedPackages,
+    packages,
+    Math.min(options.depth ?? DEPENDENCY_DEPTH, MAX_DEPENDENCY_DEPTH),
+  );
+  for (const rel of related) {
+    const claudeMd = await loadPackageClaudeMd(rel.path, workingDir);
+    const pkg = packages.find((p) => p.path === rel.path);
+    const doc = claudeMd
+      ? DEPENDENCY_DOCS === "full"
+        ? claudeMd
+        : summarizeClaudeMd(claudeMd)
+      : pkg.description;
+    if (doc) {
+      const label = rel.name === basename(rel.path) ? rel.path : `${rel.path} (${rel.name})`;
+      const relation = `${rel.distance > 1 ? "indirect " : ""}${rel.relation} of ${rel.via}`;
+      contextParts.push(`# Related Package: ${label}, ${relation}\n\n${doc}`);
     }
   }
 
@@ -196,16 +868,26 @@ export function buildPackageContext(question) {
   // provide a summary of available packages
   if (matchedPackages.length === 0 && packages.length > 0) {
     const packageList = packages
-      .map((p) => `- ${p.path}${p.hasClaudeMd ? " (has CLAUDE.md)" : ""}`)
+      .map(
+        (p) =>
+          `- ${p.path}${p.name !== p.directory ? ` (${p.name})` : ""}` +
+          `${p.type !== "node" ? ` [${p.type}]` : ""}` +
+          `${p.description ? ` - ${p.description}` : ""}${p.hasClaudeMd ? " (has CLAUDE.md)" : ""}`,
+      )
       .join("\n");
     contextParts.push(
       `# Available Packages\n\nThis monorepo contains ${packages.length} packages:\n\n${packageList}`,
     );
   }
 
+  const packagesContext = contextParts.join("\n\n---\n\n");
   return {
-    context: contextParts.join("\n\n---\n\n"),
+    context: [rootContext, packagesContext].filter(Boolean).join("\n\n---\n\n"),
+    rootContext,
+    packagesContext,
     packages: matchedPackages,
+    matches,
+    related,
     totalPackages: packages.length,
   };
 }
@@ -213,12 +895,13 @@ export function buildPackageContext(question) {
 /**
  * Get summary info about package detection for logging
  * @param {string} question - The question being asked
- * @returns {Object} Summary info
+ * @param {string} workingDir - Working directory (default CLAUDE_WORKING_DIR)
+ * @returns {Promise<Object>} Summary info
  */
-export function getPackageContextSummary(question) {
-  const packages = discoverPackages();
+export async function getPackageContextSummary(question, workingDir = WORKING_DIR) {
+  const packages = discoverPackages(workingDir);
   const mentionedPaths = detectMentionedPackages(question, packages);
-  const hasRootClaudeMd = !!loadRootClaudeMd();
+  const hasRootClaudeMd = !!(await loadRootClaudeMd(workingDir));
 
   return {
     totalPackages: packages.length,
@@ -0,0 +1,405 @@
+import { promises as fs } from "fs";
+import { join, basename } from "path";
+
+/**
+ * Package Detectors
+ *
+ * Recognise packages of different ecosystems in a monorepo by their
+ * manifest. Every detector implements:
+ *
+ *   type                      Ecosystem name, e.g. "node" or "rust"
+ *   manifests                 Manifest file names, in order of preference
+ *   read(dirPath, manifest)   { name, description, keywords, dependencies } or null
+ *   workspaceGlobs(rootPath)  Optional: package globs declared at the repository root
+ *   workspaceFiles            Optional: root files declaring them, watched for changes
+ *
+ * A directory is a package if one of its manifests is read successfully; the
+ * first detector (in PACKAGE_DETECTORS order) to recognise it wins.
+ * Dependencies are the package names it depends on, for the workspace
+ * dependency graph. Further detectors can be added with registerPackageDetector().
+ */
+
+/**
+ * Read a file as text
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string|null>} Contents, or null if missing
+ */
+async function readText(filePath) {
+  try {
+    return await fs.readFile(filePath, "utf8");
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<object|null>} Parsed JSON, or null if missing or invalid
+ */
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Parse the subset of TOML that manifests use for names and dependencies
+ *
+ * Reads [table] headers, and string, string array (over several lines too)
+ * and other values as raw text. Array-of-tables, dotted keys and multi-line
+ * strings are not interpreted.
+ *
+ * @param {string} text - TOML text
+ * @returns {object} Keys by table name ("" for the top level)
+ */
+export function parseToml(text) {
+  const tables = { "": {} };
+  let table = tables[""];
+  let pending = null; // { key, text } of an array still open
+
+  const parseValue = (raw) => {
+    const value = raw.trim();
+    const string = value.match(/^"((?:[^"\\]|\\.)*)"|^'([^']*)'/);
+    if (string) return string[1] ?? string[2];
+    if (value.startsWith("[")) {
+      return [...value.matchAll(/"((?:[^"\\]|\\.)*)"|'([^']*)'/g)].map((m) => m[1] ?? m[2]);
+    }
+    return value;
+  };
+
+  for (const rawLine of text.split("\n")) {
+    const line = rawLine.replace(/\s+#.*$/, "").trim();
+    if (pending) {
+      pending.text += ` ${line}`;
+      if (line.includes("]")) {
+        table[pending.key] = parseValue(pending.text);
+        pending = null;
+      }
+      continue;
+    }
+    if (!line || line.startsWith("#")) continue;
+
+    const header = line.match(/^\[([^[\]]+)\]$/);
+    if (header) {
+      const name = header[1].trim();
+      table = tables[name] = tables[name] || {};
+      continue;
+    }
+
+    const pair = line.match(/^("[^"]+"|[\w.-]+)\s*=\s*(.*)$/);
+    if (!pair) continue;
+    const key = pair[1].replace(/^"|"$/g, "");
+    if (pair[2].startsWith("[") && !pair[2].includes("]")) {
+      pending = { key, text: pair[2] };
+    } else {
+      table[key] = parseValue(pair[2]);
+    }
+  }
+  return tables;
+}
+
+/**
+ * Get the text of the first <tag> directly inside an XML fragment, outside nested elements
+ * @param {string} xml - XML fragment
+ * @param {string} tag - Element name
+ * @returns {string} Trimmed text, or ""
+ */
+function xmlChild(xml, tag) {
+  // Drop the elements whose children share names with the project's own
+  const own = xml.replace(
+    /<(parent|dependencies|dependencyManagement|build|profiles)>[\s\S]*?<\/\1>/g,
+    "",
+  );
+  return own.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`))?.[1].trim() || "";
+}
+
+/**
+ * Strip a PEP 508 requirement down to its normalized project name
+ * @param {string} requirement - e.g. "Requests[socks]>=2.0; python_version>'3'"
+ * @returns {string} e.g. "requests"
+ */
+function pythonName(requirement) {
+  const name = requirement.match(/^\s*([A-Za-z0-9][A-Za-z0-9._-]*)/)?.[1] || "";
+  return name.toLowerCase().replace(/[-_.]+/g, "-");
+}
+
+// Workspace globs from the root package.json ("workspaces") and pnpm-workspace.yaml ("packages:")
+async function nodeWorkspaceGlobs(rootPath) {
+  const globs = [];
+
+  // npm/yarn: "workspaces": [...] or "workspaces": { "packages": [...] }
+  const workspaces = (await readJson(join(rootPath, "package.json")))?.workspaces;
+  const declared = Array.isArray(workspaces) ? workspaces : workspaces?.packages;
+  if (Array.isArray(declared)) {
+    globs.push(...declared.filter((glob) => typeof glob === "string"));
+  }
+
+  // pnpm: a "packages:" list of quoted or bare globs
+  const yaml = await readText(join(rootPath, "pnpm-workspace.yaml"));
+  let inPackages = false;
+  for (const line of yaml?.split("\n") || []) {
+    if (/^\S/.test(line)) {
+      inPackages = /^packages\s*:/.test(line);
+      continue;
+    }
+    const item = inPackages && line.match(/^\s*-\s*["']?([^"'#]+?)["']?\s*(#.*)?$/);
+    if (item) globs.push(item[1]);
+  }
+
+  return globs;
+}
+
+const nodeDetector = {
+  type: "node",
+  manifests: ["package.json"],
+  async read(dirPath) {
+    const packageJson = (await readJson(join(dirPath, "package.json"))) || {};
+    return {
+      name: typeof packageJson.name === "string" ? packageJson.name : basename(dirPath),
+      description: typeof packageJson.description === "string" ? packageJson.description : "",
+      keywords: Array.isArray(packageJson.keywords)
+        ? packageJson.keywords.filter((k) => typeof k === "string")
+        : [],
+      // devDependencies are left out of the graph
+      dependencies: ["dependencies", "peerDependencies", "optionalDependencies"].flatMap((field) =>
+        packageJson[field] && typeof packageJson[field] === "object"
+          ? Object.keys(packageJson[field])
+          : [],
+      ),
+    };
+  },
+  workspaceGlobs: nodeWorkspaceGlobs,
+  workspaceFiles: ["package.json", "pnpm-workspace.yaml"],
+};
+
+const pythonDetector = {
+  type: "python",
+  manifests: ["pyproject.toml", "setup.cfg"],
+  async read(dirPath, manifest) {
+    const text = await readText(join(dirPath, manifest));
+    if (text === null) return null;
+
+    if (manifest === "setup.cfg") {
+      // INI: [metadata] name/description, [options] install_requires
+      const metadata = text.match(/^\[metadata\]([\s\S]*?)(?=^\[|$(?![\s\S]))/m)?.[1] || "";
+      const field = (key) => metadata.match(new RegExp(`^${key}\\s*=\\s*(.+)$`, "m"))?.[1].trim();
+      const requires =
+        text.match(/^install_requires\s*=\s*\n((?:[ \t]+\S.*\n?)*)/m)?.[1].split("\n") || [];
+      return {
+        name: field("name") || basename(dirPath),
+        description: field("description") || "",
+        keywords: (field("keywords") || "").split(/[\s,]+/).filter(Boolean),
+        dependencies: requires.map(pythonName).filter(Boolean),
+      };
+    }
+
+    // PEP 621 [project], or Poetry's [tool.poetry]
+    const toml = parseToml(text);
+    const project = toml.project || {};
+    const poetry = toml["tool.poetry"] || {};
+    if (!project.name && !poetry.name) return null; // e.g. a pyproject.toml holding only tool settings
+    return {
+      name: project.name || poetry.name,
+      description: project.description || poetry.description || "",
+      keywords: project.keywords || poetry.keywords || [],
+      dependencies: [
+        ...(Array.isArray(project.dependencies) ? project.dependencies : []),
+        ...Object.keys(toml["tool.poetry.dependencies"] || {}).filter((name) => name !== "python"),
+      ].map(pythonName),
+    };
+  },
+};
+
+const goDetector = {
+  type: "go",
+  manifests: ["go.mod"],
+  async read(dirPath) {
+    const text = await readText(join(dirPath, "go.mod"));
+    const module = text?.match(/^module\s+(\S+)/m)?.[1];
+    if (!module) return null;
+
+    // require lines, single or in a require ( ... ) block
+    const requires = [...text.matchAll(/^require\s+\(([\s\S]*?)^\)/gm)]
+      .flatMap((block) => block[1].split("\n"))
+      .concat([...text.matchAll(/^require\s+([^\s(]+)/gm)].map((m) => m[1]))
+      .map((line) => line.trim().split(/\s+/)[0])
+      .filter((path) => path && !path.startsWith("//"));
+    return { name: module, description: "", keywords: [], dependencies: requires };
+  },
+  async workspaceGlobs(rootPath) {
+    // go.work: use ./dir, or a use ( ... ) block
+    const text = await readText(join(rootPath, "go.work"));
+    if (!text) return [];
+    return [...text.matchAll(/^use\s+\(([\s\S]*?)^\)/gm)]
+      .flatMap((block) => block[1].split("\n"))
+      .concat([...text.matchAll(/^use\s+([^\s(]+)/gm)].map((m) => m[1]))
+      .map((line) => line.replace(/\/\/.*$/, "").trim())
+      .filter((dir) => dir && dir !== ".");
+  },
+  workspaceFiles: ["go.work"],
+};
+
+const rustDetector = {
+  type: "rust",
+  manifests: ["Cargo.toml"],
+  async read(dirPath) {
+    const text = await readText(join(dirPath, "Cargo.toml"));
+    if (text === null) return null;
+    const toml = parseToml(text);
+    const pkg = toml.package;
+    if (!pkg?.name) return null; // A virtual workspace manifest
+    return {
+      name: pkg.name,
+      description: typeof pkg.description === "string" ? pkg.description : "",
+      keywords: Array.isArray(pkg.keywords) ? pkg.keywords : [],
+      dependencies: Object.keys(toml.dependencies || {}),
+    };
+  },
+  async workspaceGlobs(rootPath) {
+    const text = await readText(join(rootPath, "Cargo.toml"));
+    const members = text ? parseToml(text).workspace?.members : null;
+    return Array.isArray(members) ? members : [];
+  },
+  workspaceFiles: ["Cargo.toml"],
+};
+
+const javaDetector = {
+  type: "java",
+  manifests: ["pom.xml", "build.gradle", "build.gradle.kts"],
+  async read(dirPath, manifest) {
+    const text = await readText(join(dirPath, manifest));
+    if (text === null) return null;
+
+    if (manifest === "pom.xml") {
+      const dependencies =
+        text
+          .replace(/<dependencyManagement>[\s\S]*?<\/dependencyManagement>/g, "")
+          .match(/<dependencies>([\s\S]*?)<\/dependencies>/)?.[1] || "";
+      return {
+        name: xmlChild(text, "artifactId") || basename(dirPath),
+        description: xmlChild(text, "description") || xmlChild(text, "name"),
+        keywords: [],
+        dependencies: [...dependencies.matchAll(/<artifactId>\s*([^<\s]+)\s*<\/artifactId>/g)].map(
+          (m) => m[1],
+        ),
+      };
+    }
+
+    // Gradle projects are named after their directory; project(":core") references link them
+    return {
+      name: basename(dirPath),
+      description: text.match(/^\s*description\s*=?\s*["']([^"']*)["']/m)?.[1] || "",
+      keywords: [],
+      dependencies: [...text.matchAll(/project\(\s*(?:path\s*[:=]\s*)?["']:?([^"']+)["']/g)].map(
+        (m) => m[1].split(":").pop(),
+      ),
+    };
+  },
+};
+
+const detectors = [nodeDetector, pythonDetector, goDetector, rustDetector, javaDetector];
+
+// Detectors in use, by type (all by default)
+let enabledTypes = null;
+
+/**
+ * Add a package detector, or replace the one of the same type
+ * @param {object} detector - { type, manifests, read(dirPath, manifest), workspaceGlobs?(rootPath), workspaceFiles? }
+ */
+export function registerPackageDetector(detector) {
+  if (
+    !detector?.type ||
+    !Array.isArray(detector.manifests) ||
+    typeof detector.read !== "function"
+  ) {
+    throw new Error("A package detector needs a type, manifests and a read() function");
+  }
+  const index = detectors.findIndex((d) => d.type === detector.type);
+  if (index === -1) {
+    detectors.push(detector);
+  } else {
+    detectors[index] = detector;
+  }
+}
+
+/**
+ * Choose the detectors in use, in order of precedence
+ * @param {string[]|null} types - Detector types, or null for all of them
+ */
+export function configurePackageDetectors(types) {
+  const unknown = (types || []).filter((type) => !detectors.some((d) => d.type === type));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown package detector '${unknown[0]}'. Expected one of: ${detectors.map((d) => d.type).join(", ")}`,
+    );
+  }
+  enabledTypes = types && types.length > 0 ? types : null;
+}
+
+/**
+ * Get the detectors in use, in order of precedence
+ * @returns {object[]}
+ */
+export function getPackageDetectors() {
+  return enabledTypes
+    ? enabledTypes.map((type) => detectors.find((d) => d.type === type))
+    : [...detectors];
+}
+
+/**
+ * Get every manifest and workspace file name the detectors in use look for
+ * @returns {string[]}
+ */
+export function getManifestFiles() {
+  return [
+    ...new Set(getPackageDetectors().flatMap((d) => [...d.manifests, ...(d.workspaceFiles || [])])),
+  ];
+}
+
+/**
+ * Recognise a directory as a package
+ * @param {string} dirPath - Absolute path of the directory
+ * @param {Set<string>} files - Names of the files in it
+ * @returns {Promise<object|null>} { type, manifest, name, description, keywords, dependencies }, or null if it is not a package
+ */
+export async function detectPackage(dirPath, files) {
+  for (const detector of getPackageDetectors()) {
+    for (const manifest of detector.manifests) {
+      if (!files.has(manifest)) continue;
+      try {
+        const info = await detector.read(dirPath, manifest);
+        if (info) {
+          return {
+            type: detector.type,
+            manifest,
+            name: info.name || basename(dirPath),
+            description: info.description || "",
+            keywords: info.keywords || [],
+            dependencies: info.dependencies || [],
+          };
+        }
+      } catch (err) {
+        console.error(`[Packages] Cannot read ${join(dirPath, manifest)}:`, err.message);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Collect the package globs declared at the repository root by every ecosystem
+ * @param {string} rootPath - Repository root
+ * @returns {Promise<string[]>} Globs, "!" prefixed ones excluding matches
+ */
+export async function loadDetectorWorkspaceGlobs(rootPath) {
+  const globs = [];
+  for (const detector of getPackageDetectors()) {
+    if (detector.workspaceGlobs) {
+      globs.push(...(await detector.workspaceGlobs(rootPath)));
+    }
+  }
+  return globs;
+}
@@ -0,0 +1,198 @@
+import { readFileSync, existsSync } from "fs";
+import { homedir } from "os";
+import { join } from "path";
+import { loadRegistry, askRegistryInstance } from "./registry.js";
+
+/**
+ * Pipelines
+ *
+ * A pipeline is a named list of stages, each sent to a registry instance.
+ * Every stage's answer becomes the context for the next stage's /ask call,
+ * and each stage's question is rendered from a prompt template.
+ *
+ * Pipelines are declared in ~/.claude/interclaude-pipelines.json (or
+ * INTERCLAUDE_PIPELINES), next to the instance registry:
+ *
+ *   {
+ *     "pipelines": {
+ *       "design-review": {
+ *         "description": "Architect designs, implementer plans, reviewer critiques",
+ *         "stages": [
+ *           { "name": "design", "instance": "architect", "prompt": "{{input}}" },
+ *           { "name": "review", "instance": "reviewer", "prompt": "Review this design: {{previous}}" }
+ *         ]
+ *       }
+ *     }
+ *   }
+ *
+ * Template variables: {{input}} (the run input), {{previous}} (the previous
+ * stage's answer) and {{stages.NAME}} (the answer of an earlier stage).
+ */
+
+const PIPELINES_PATH =
+  process.env.INTERCLAUDE_PIPELINES || join(homedir(), ".claude", "interclaude-pipelines.json");
+
+/**
+ * Load all pipeline definitions from disk
+ * @returns {object} Map of pipeline name to definition
+ */
+export function loadPipelines() {
+  if (!existsSync(PIPELINES_PATH)) {
+    return {};
+  }
+
+  try {
+    const config = JSON.parse(readFileSync(PIPELINES_PATH, "utf8"));
+    return config.pipelines || {};
+  } catch (err) {
+    console.error(`[Pipelines] Failed to load ${PIPELINES_PATH}:`, err.message);
+    return {};
+  }
+}
+
+/**
+ * Get the path of the pipelines config file
+ * @returns {string}
+ */
+export function getPipelinesPath() {
+  return PIPELINES_PATH;
+}
+
+/**
+ * Get a pipeline definition by name
+ * @param {string} name - Pipeline name
+ * @returns {object|null}
+ */
+export function getPipeline(name) {
+  const pipeline = loadPipelines()[name];
+  return pipeline ? { name, ...pipeline } : null;
+}
+
+/**
+ * Check a pipeline definition for problems before running it
+ * @param {object} pipeline - Pipeline definition
+ * @returns {string[]} List of problems (empty if valid)
+ */
+export function validatePipeline(pipeline) {
+  const problems = [];
+  const { instances } = loadRegistry();
+
+  if (!Array.isArray(pipeline.stages) || pipeline.stages.length === 0) {
+    return ["Pipeline has no stages"];
+  }
+
+  pipeline.stages.forEach((stage, i) => {
+    if (!stage || typeof stage !== "object") {
+      problems.push(`stage ${i + 1}: must be an object`);
+      return;
+    }
+    const label = stage.name || `stage ${i + 1}`;
+    if (!stage.instance) {
+      problems.push(`${label}: missing "instance"`);
+    } else if (!Object.hasOwn(instances, stage.instance)) {
+      problems.push(`${label}: instance '${stage.instance}' not found in registry`);
+    }
+    // Stages without a prompt receive {{input}}
+    if (
+      stage.prompt !== undefined &&
+      (typeof stage.prompt !== "string" || stage.prompt.trim() === "")
+    ) {
+      problems.push(`${label}: "prompt" must be a non-empty string`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Render a stage prompt template
+ * @param {string} template - Template with {{input}}, {{previous}} and {{stages.NAME}}
+ * @param {object} values - { input, previous, stages }
+ * @returns {string}
+ */
+export function renderPrompt(template, values) {
+  return template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, key) => {
+    if (key === "input") return values.input;
+    if (key === "previous") return values.previous ?? "";
+    if (key.startsWith("stages.")) return values.stages[key.substring(7)] ?? "";
+    return match;
+  });
+}
+
+/**
+ * Run a pipeline's stages in order
+ *
+ * Stops at the first failed stage; later stages are reported as skipped.
+ *
+ * @param {object} pipeline - Pipeline definition (from getPipeline)
+ * @param {string} input - The run input ({{input}})
+ * @param {object} options - { context, timeout, signal, onStage }
+ * @returns {Promise<object>} Full trace of the run
+ */
+export async function runPipeline(pipeline, input, options = {}) {
+  const startTime = Date.now();
+  const trace = [];
+  const stageAnswers = {};
+  let previous = null;
+  let failed = false;
+
+  for (let i = 0; i < pipeline.stages.length; i++) {
+    const stage = pipeline.stages[i];
+    const name = stage.name || `stage-${i + 1}`;
+
+    if (failed) {
+      trace.push({ name, instance: stage.instance, status: "skipped" });
+      continue;
+    }
+
+    const question = renderPrompt(stage.prompt || "{{input}}", {
+      input,
+      previous,
+      stages: stageAnswers,
+    });
+
+    // First stage receives the caller's context; later stages receive the previous answer
+    const context = i === 0 ? options.context : previous;
+
+    const result = await askRegistryInstance(
+      stage.instance,
+      {
+        question,
+        ...(context && { context }),
+        ...(stage.session_id && { session_id: stage.session_id }),
+      },
+      { timeout: stage.timeout_ms || options.timeout, signal: options.signal },
+    );
+
+    const entry = {
+      name,
+      instance: stage.instance,
+      status: result.success ? "done" : "failed",
+      question,
+      answer: result.answer || null,
+      session_id: result.session_id || null,
+      instance_name: result.instance_name || null,
+      duration_ms: result.duration_ms ?? null,
+      round_trip_ms: result.round_trip_ms,
+      ...(result.error && { error: result.error }),
+    };
+    trace.push(entry);
+    options.onStage?.(entry);
+
+    if (result.success) {
+      previous = result.answer;
+      stageAnswers[name] = result.answer;
+    } else {
+      failed = true;
+    }
+  }
+
+  return {
+    pipeline: pipeline.name,
+    input,
+    success: !failed,
+    stages: trace,
+    final_answer: failed ? null : previous,
+    duration_ms: Date.now() - startTime,
+  };
+}
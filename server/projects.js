@@ -0,0 +1,135 @@
+import { readFileSync, existsSync, statSync } from "fs";
+import { dirname, resolve } from "path";
+
+/**
+ * Projects
+ *
+ * One instance can answer about several repositories. Each project has its
+ * own working directory, allowed tools and package context, and a request
+ * picks one with its `project` field. Projects are declared in the JSON file
+ * named by CLAUDE_PROJECTS:
+ *
+ *   {
+ *     "default": "api",
+ *     "projects": {
+ *       "api": { "working_dir": "/srv/api", "description": "Public API", "allowed_tools": "Read,Grep,Glob" },
+ *       "web": { "working_dir": "../web", "package_context": false }
+ *     }
+ *   }
+ *
+ * Relative working directories are resolved against the file's directory.
+ * A project without allowed_tools uses CLAUDE_CODE_ALLOWED_TOOLS; either is
+ * narrowed per caller by the tool policy (see tool-policy.js). Unless the
+ * file names another default, requests without a project use the "default"
+ * project: CLAUDE_WORKING_DIR with CLAUDE_CODE_ALLOWED_TOOLS.
+ */
+
+const PROJECTS_PATH = process.env.CLAUDE_PROJECTS || "";
+const DEFAULT_PROJECT = "default";
+
+// Loaded once at startup, since each project's package catalogue is built then
+let projects = new Map();
+let defaultName = DEFAULT_PROJECT;
+
+/**
+ * Load the project definitions
+ *
+ * Throws on an invalid file, so a misconfigured instance fails at startup
+ * rather than answering about the wrong repository.
+ *
+ * @param {object} options - { workingDir: the default project's directory, packageContext: whether package context is enabled }
+ * @returns {object[]} Projects (see listProjects)
+ */
+export function loadProjects(options = {}) {
+  const loaded = new Map();
+  let config = {};
+
+  if (PROJECTS_PATH) {
+    if (!existsSync(PROJECTS_PATH)) {
+      throw new Error(`Projects file not found: ${PROJECTS_PATH}`);
+    }
+    try {
+      config = JSON.parse(readFileSync(PROJECTS_PATH, "utf8"));
+    } catch (err) {
+      throw new Error(`Failed to parse projects file ${PROJECTS_PATH}: ${err.message}`);
+    }
+
+    for (const [name, project] of Object.entries(config.projects || {})) {
+      if (!/^[\w.-]+$/.test(name)) {
+        throw new Error(`Invalid project name '${name}'. Use letters, digits, ".", "_" and "-".`);
+      }
+      if (typeof project?.working_dir !== "string" || !project.working_dir) {
+        throw new Error(`Project '${name}' needs a "working_dir"`);
+      }
+      const workingDir = resolve(dirname(resolve(PROJECTS_PATH)), project.working_dir);
+      if (!existsSync(workingDir) || !statSync(workingDir).isDirectory()) {
+        throw new Error(`Project '${name}': working directory not found: ${workingDir}`);
+      }
+      loaded.set(name, {
+        name,
+        workingDir,
+        description: typeof project.description === "string" ? project.description : "",
+        allowedTools: typeof project.allowed_tools === "string" ? project.allowed_tools : undefined,
+        packageContext: options.packageContext !== false && project.package_context !== false,
+      });
+    }
+  }
+
+  if (config.default !== undefined && !loaded.has(config.default)) {
+    throw new Error(`Default project '${config.default}' is not defined in ${PROJECTS_PATH}`);
+  }
+  if (config.default === undefined && !loaded.has(DEFAULT_PROJECT)) {
+    // The instance's own working directory
+    loaded.set(DEFAULT_PROJECT, {
+      name: DEFAULT_PROJECT,
+      workingDir: options.workingDir,
+      description: "",
+      allowedTools: undefined,
+      packageContext: options.packageContext !== false,
+    });
+  }
+
+  projects = loaded;
+  defaultName = config.default ?? DEFAULT_PROJECT;
+  return listProjects();
+}
+
+/**
+ * Get the path of the projects file
+ * @returns {string} Path, or "" when projects are not configured
+ */
+export function getProjectsPath() {
+  return PROJECTS_PATH;
+}
+
+/**
+ * List the projects, the default one first
+ * @returns {Array<{name: string, workingDir: string, description: string, allowedTools: string|undefined, packageContext: boolean, isDefault: boolean}>}
+ */
+export function listProjects() {
+  return [...projects.values()]
+    .map((project) => ({ ...project, isDefault: project.name === defaultName }))
+    .sort((a, b) => b.isDefault - a.isDefault);
+}
+
+/**
+ * Get a project by name
+ * @param {string} name - Project name (default: the default project)
+ * @returns {object|null} Project, or null if there is none by that name
+ */
+export function getProject(name) {
+  return projects.get(name ?? defaultName) || null;
+}
+
+/**
+ * Options that run Claude Code in a project
+ *
+ * The project's allowed tools are applied through the request's tool policy
+ * (see tool-policy.js).
+ *
+ * @param {object} project - Project
+ * @returns {{workingDir: string}}
+ */
+export function projectInvocation(project) {
+  return { workingDir: project.workingDir };
+}
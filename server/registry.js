@@ -0,0 +1,250 @@
+import { readFileSync, existsSync } from "fs";
+import { homedir } from "os";
+import { join } from "path";
+import { signRequest, isSigningEnabled } from "./instance-identity.js";
+import { createTlsFetch } from "./tls.js";
+
+/**
+ * Instance Registry
+ *
+ * Reads the shared instance registry (~/.claude/interclaude-registry.json, or
+ * INTERCLAUDE_REGISTRY) and talks to the instances listed in it over HTTP.
+ * An instance entry has a host, port, protocol ("http" or "https") and
+ * optionally an apiKey to send, and the publicKey that the instance signs its
+ * own requests with. https:// instances are verified against TLS_CA as well
+ * as the system CAs, and are shown TLS_CLIENT_CERT (default TLS_CERT) if they
+ * ask for a client certificate.
+ */
+
+const REGISTRY_PATH =
+  process.env.INTERCLAUDE_REGISTRY || join(homedir(), ".claude", "interclaude-registry.json");
+const REMOTE_ASK_TIMEOUT = parseInt(process.env.REMOTE_ASK_TIMEOUT || "180000", 10);
+const HEALTH_CHECK_TIMEOUT = 5000;
+
+const fetchInstance = createTlsFetch({
+  ca: process.env.TLS_CA,
+  cert: process.env.TLS_CLIENT_CERT || process.env.TLS_CERT,
+  key: process.env.TLS_CLIENT_KEY || process.env.TLS_KEY,
+});
+
+/**
+ * Load the registry from disk
+ * @returns {{instances: object, default: string|null}}
+ */
+export function loadRegistry() {
+  if (!existsSync(REGISTRY_PATH)) {
+    return { instances: {}, default: null };
+  }
+
+  try {
+    const registry = JSON.parse(readFileSync(REGISTRY_PATH, "utf8"));
+    return { default: null, ...registry, instances: registry.instances || {} };
+  } catch (err) {
+    return { instances: {}, default: null };
+  }
+}
+
+/**
+ * Get the path of the registry file
+ * @returns {string}
+ */
+export function getRegistryPath() {
+  return REGISTRY_PATH;
+}
+
+/**
+ * Get a registry instance by name
+ * @param {string} name - Instance name
+ * @returns {object|null} Instance definition with its name
+ */
+export function getRegistryInstance(name) {
+  const { instances } = loadRegistry();
+  // Own entries only, so a name such as "constructor" is not found on Object.prototype
+  const instance = Object.hasOwn(instances, name) ? instances[name] : null;
+  return instance ? { name, ...instance } : null;
+}
+
+/**
+ * Validate a requested timeout for calls to other instances
+ * @param {*} timeoutMs - Requested timeout (undefined means REMOTE_ASK_TIMEOUT)
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateRemoteTimeout(timeoutMs) {
+  if (timeoutMs === undefined) return null;
+  if (!Number.isInteger(timeoutMs) || timeoutMs <= 0 || timeoutMs > REMOTE_ASK_TIMEOUT) {
+    return `Invalid "timeout_ms" field. Must be a positive integer no greater than ${REMOTE_ASK_TIMEOUT} (REMOTE_ASK_TIMEOUT).`;
+  }
+  return null;
+}
+
+/**
+ * Build the base URL for a registry instance
+ * @param {object} instance - Instance definition
+ * @returns {string}
+ */
+export function getInstanceUrl(instance) {
+  return `${instance.protocol || "http"}://${instance.host}:${instance.port}`;
+}
+
+/**
+ * Build request headers for a registry instance
+ *
+ * Requests are signed when this instance has an identity; the instance's
+ * apiKey is then not sent, so it cannot be sniffed and replayed.
+ *
+ * @param {object} instance - Instance definition
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path, including any query string
+ * @param {string} [body] - Request body as sent
+ * @returns {object}
+ */
+function getInstanceHeaders(instance, method, path, body) {
+  return {
+    "Content-Type": "application/json",
+    ...(isSigningEnabled()
+      ? signRequest(instance.name, method, path, body)
+      : instance.apiKey && { "X-API-Key": instance.apiKey }),
+  };
+}
+
+/**
+ * Check whether a registry instance is online
+ * @param {object} instance - Instance definition with its name
+ * @returns {Promise<{online: boolean, health: object|null, error: string|null}>}
+ */
+export async function checkInstanceHealth(instance) {
+  try {
+    const response = await fetchInstance(`${getInstanceUrl(instance)}/health`, {
+      headers: getInstanceHeaders(instance, "GET", "/health"),
+      signal: AbortSignal.timeout(HEALTH_CHECK_TIMEOUT),
+    });
+    if (!response.ok) {
+      return { online: false, health: null, error: `HTTP ${response.status}` };
+    }
+    return { online: true, health: await response.json(), error: null };
+  } catch (err) {
+    return { online: false, health: null, error: err.message };
+  }
+}
+
+/**
+ * Get the names of all registry instances that are currently online
+ * @returns {Promise<string[]>}
+ */
+export async function getOnlineInstances() {
+  const { instances } = loadRegistry();
+  const names = Object.keys(instances);
+  const checks = await Promise.all(
+    names.map((name) => checkInstanceHealth({ name, ...instances[name] })),
+  );
+  return names.filter((name, i) => checks[i].online);
+}
+
+/**
+ * Call a JSON endpoint on a registry instance
+ * @param {string} name - Instance name from the registry
+ * @param {string} path - Request path, e.g. "/health"
+ * @param {object} options - { method, body, timeout }
+ * @returns {Promise<object>} Parsed response body
+ * @throws {Error} If the instance is unknown, unreachable or reports an error
+ */
+export async function requestRegistryInstance(name, path, options = {}) {
+  const instance = getRegistryInstance(name);
+  if (!instance) {
+    throw new Error(`Instance '${name}' not found in registry`);
+  }
+
+  const method = options.method || "GET";
+  const body = options.body ? JSON.stringify(options.body) : undefined;
+  // Sign the path as it goes over the wire, with any characters fetch escapes
+  const url = new URL(`${getInstanceUrl(instance)}${path}`);
+
+  let response;
+  try {
+    response = await fetchInstance(url, {
+      method,
+      headers: getInstanceHeaders(instance, method, url.pathname + url.search, body),
+      ...(body && { body }),
+      signal: AbortSignal.timeout(options.timeout || REMOTE_ASK_TIMEOUT),
+    });
+  } catch (err) {
+    throw new Error(err.cause?.message || err.message);
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data.success === false) {
+    throw new Error(data.error || `HTTP ${response.status}`);
+  }
+  return data;
+}
+
+/**
+ * Send a question to a registry instance's /ask endpoint
+ *
+ * Never throws - failures are reported in the returned object so callers
+ * fanning out to several instances can collect every outcome.
+ *
+ * @param {string} name - Instance name from the registry
+ * @param {object} body - /ask request body (question, context, session_id, ...)
+ * @param {object} options - { timeout, signal }
+ * @returns {Promise<object>} The /ask response plus instance and round_trip_ms
+ */
+export async function askRegistryInstance(name, body, options = {}) {
+  const startTime = Date.now();
+  const instance = getRegistryInstance(name);
+
+  if (!instance) {
+    return {
+      instance: name,
+      success: false,
+      error: `Instance '${name}' not found in registry`,
+      round_trip_ms: 0,
+    };
+  }
+
+  // Abort on timeout or when the caller's signal fires
+  const controller = new AbortController();
+  let timedOut = false;
+  const timeoutId = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, options.timeout || REMOTE_ASK_TIMEOUT);
+  const onAbort = () => controller.abort();
+  if (options.signal?.aborted) onAbort();
+  options.signal?.addEventListener("abort", onAbort, { once: true });
+
+  try {
+    const payload = JSON.stringify(body);
+    const response = await fetchInstance(`${getInstanceUrl(instance)}/ask`, {
+      method: "POST",
+      headers: getInstanceHeaders(instance, "POST", "/ask", payload),
+      body: payload,
+      signal: controller.signal,
+    });
+
+    let data;
+    try {
+      data = await response.json();
+    } catch {
+      data = { success: false, error: `Invalid response (HTTP ${response.status})` };
+    }
+
+    return {
+      ...data,
+      success: response.ok && data.success === true,
+      ...(!response.ok && !data.error && { error: `HTTP ${response.status}` }),
+      instance: name,
+      round_trip_ms: Date.now() - startTime,
+    };
+  } catch (err) {
+    return {
+      instance: name,
+      success: false,
+      error: timedOut ? `Request to ${name} timed out` : err.cause?.message || err.message,
+      round_trip_ms: Date.now() - startTime,
+    };
+  } finally {
+    clearTimeout(timeoutId);
+    options.signal?.removeEventListener("abort", onAbort);
+  }
+}
@@ -0,0 +1,116 @@
+import { invokeClaudeCode, getInstanceInfo } from "./claude-handler.js";
+import { describeToolPolicy } from "./tool-policy.js";
+import { runQueued } from "./job-queue.js";
+import { askRegistryInstance } from "./registry.js";
+
+/**
+ * Conversation Replay
+ *
+ * Re-asks a stored conversation's questions in order, in one fresh session,
+ * on this instance or a registry instance, and pairs every new answer with
+ * the stored one for comparison. Replays run without memory context, which
+ * would hand the stored answers to the instance being compared, and are not
+ * recorded to memory.
+ */
+
+/**
+ * Format exchanges as a transcript to replay into a fresh session
+ * @param {object[]} exchanges - Stored exchanges
+ * @returns {string}
+ */
+export function formatTranscript(exchanges) {
+  const turns = exchanges.map(
+    (e, i) => `### Exchange ${i + 1}\n\n**Question:** ${e.question}\n\n**Answer:** ${e.answer}`,
+  );
+  return `## Conversation So Far\n\n${turns.join("\n\n---\n\n")}`;
+}
+
+/**
+ * Ask one replayed question on this instance
+ * @param {string} question - The question
+ * @param {string|null} sessionId - Replay session to continue
+ * @param {object} options - { signal (caller's abort signal), toolPolicy }
+ * @returns {Promise<object>} { success, answer, session_id, duration_ms, error? }
+ */
+async function askLocal(question, sessionId, options) {
+  try {
+    const result = await runQueued(
+      (jobSignal) =>
+        invokeClaudeCode(question, undefined, sessionId, {
+          signal: jobSignal,
+          toolPolicy: options.toolPolicy,
+        }),
+      { signal: options.signal, metadata: { source: "replay" } },
+    );
+    return {
+      success: true,
+      answer: result.response,
+      session_id: result.sessionId,
+      duration_ms: result.duration,
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Replay a stored conversation
+ *
+ * Stops at the first failed exchange, since later questions would lose the
+ * session they build on; the rest are reported as skipped.
+ *
+ * @param {object} conversation - Stored conversation
+ * @param {object} options - { instance (registry name, default this instance), timeout, signal, toolPolicy (when replayed here) }
+ * @returns {Promise<object>} { conversation_id, instance, session_id, completed, exchanges, duration_ms, tool_policy }
+ */
+export async function replayConversation(conversation, options = {}) {
+  const startTime = Date.now();
+  const localName = getInstanceInfo().instanceName;
+  const target = options.instance && options.instance !== localName ? options.instance : null;
+
+  let sessionId = null;
+  let failed = false;
+  const exchanges = [];
+
+  for (const [index, exchange] of conversation.exchanges.entries()) {
+    const entry = { index, question: exchange.question, original_answer: exchange.answer };
+    if (failed) {
+      exchanges.push({ ...entry, success: false, skipped: true });
+      continue;
+    }
+
+    const result = target
+      ? await askRegistryInstance(
+          target,
+          {
+            question: exchange.question,
+            ...(sessionId && { session_id: sessionId }),
+            use_memory: false,
+            save_to_memory: false,
+          },
+          { timeout: options.timeout, signal: options.signal },
+        )
+      : await askLocal(exchange.question, sessionId, options);
+
+    sessionId = result.session_id || sessionId;
+    failed = !result.success;
+    exchanges.push({
+      ...entry,
+      success: result.success,
+      answer: result.answer || null,
+      duration_ms: result.duration_ms ?? null,
+      ...(result.error && { error: result.error }),
+    });
+  }
+
+  return {
+    conversation_id: conversation.id,
+    instance: target || localName,
+    // Other instances apply their own policy
+    tool_policy: !target && options.toolPolicy ? describeToolPolicy(options.toolPolicy) : null,
+    session_id: sessionId,
+    completed: !failed,
+    exchanges,
+    duration_ms: Date.now() - startTime,
+  };
+}
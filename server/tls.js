@@ -0,0 +1,153 @@
+import { readFileSync } from "fs";
+import { request } from "https";
+import { Readable } from "stream";
+import { rootCertificates } from "tls";
+
+/**
+ * TLS
+ *
+ * HTTPS for the server, and requests to https:// instances with a custom CA
+ * bundle or a client certificate (mTLS), which fetch() cannot be given.
+ * Shared by the server and the clients; each passes its own file paths.
+ */
+
+export const CLIENT_AUTH_MODES = ["none", "optional", "required"];
+
+/**
+ * Read a PEM file
+ * @param {string} path - File path
+ * @param {string} label - What the file is, for the error message
+ * @returns {Buffer}
+ */
+function readPem(path, label) {
+  try {
+    return readFileSync(path);
+  } catch (err) {
+    throw new Error(`Failed to read TLS ${label} ${path}: ${err.message}`);
+  }
+}
+
+/**
+ * Build the options for an HTTPS server
+ *
+ * With clientAuth "optional" a client certificate is requested and checked
+ * against clientCa, but connections without one are still accepted; with
+ * "required" they are refused during the handshake.
+ *
+ * @param {object} options - { cert, key, clientCa (paths), clientAuth }
+ * @returns {object|null} Options for https.createServer, or null to serve plain HTTP
+ */
+export function loadServerTlsOptions(options = {}) {
+  const { cert, key, clientCa, clientAuth = "none" } = options;
+  if (!CLIENT_AUTH_MODES.includes(clientAuth)) {
+    throw new Error(
+      `Invalid TLS client auth "${clientAuth}". Use one of: ${CLIENT_AUTH_MODES.join(", ")}`,
+    );
+  }
+  if (!cert && !key) {
+    if (clientAuth !== "none") {
+      throw new Error("TLS client auth needs a server certificate and key");
+    }
+    return null;
+  }
+  if (!cert || !key) {
+    throw new Error("TLS needs both a certificate and a key");
+  }
+  if (clientAuth !== "none" && !clientCa) {
+    throw new Error("TLS client auth needs a CA bundle to verify client certificates");
+  }
+
+  return {
+    cert: readPem(cert, "certificate"),
+    key: readPem(key, "key"),
+    ...(clientAuth !== "none" && {
+      ca: readPem(clientCa, "client CA bundle"),
+      requestCert: true,
+      rejectUnauthorized: clientAuth === "required",
+    }),
+  };
+}
+
+/**
+ * Get the common name of a request's verified client certificate
+ * @param {object} req - HTTP request
+ * @returns {string|null} Common name, or null without a verified certificate
+ */
+export function getClientCertificateName(req) {
+  if (!req.socket.authorized || typeof req.socket.getPeerCertificate !== "function") {
+    return null;
+  }
+  return req.socket.getPeerCertificate().subject?.CN || null;
+}
+
+/**
+ * Wrap a Node response in a fetch() Response
+ * @param {IncomingMessage} res - Node response
+ * @param {string} method - Request method
+ * @returns {Response}
+ */
+function toResponse(res, method) {
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(res.headers)) {
+    for (const item of [].concat(value)) headers.append(name, item);
+  }
+  const hasBody = method !== "HEAD" && ![204, 304].includes(res.statusCode);
+  if (!hasBody) res.resume();
+
+  return new Response(hasBody ? Readable.toWeb(res) : null, {
+    status: res.statusCode,
+    statusText: res.statusMessage,
+    headers,
+  });
+}
+
+/**
+ * Create a fetch() that trusts a CA bundle and presents a client certificate
+ *
+ * https:// requests go through Node's https module with the given files;
+ * everything else, and everything when no file is given, uses fetch().
+ * The files are read on first use. Supports method, headers, body and signal.
+ *
+ * @param {object} options - { ca, cert, key } file paths, each optional
+ * @returns {Function} fetch(url, init) returning a Response
+ */
+export function createTlsFetch(options = {}) {
+  const { ca, cert, key } = options;
+  if (!ca && !cert && !key) {
+    return (url, init) => fetch(url, init);
+  }
+  if (!cert !== !key) {
+    throw new Error("A TLS client certificate needs both a certificate and a key");
+  }
+
+  let tlsOptions = null;
+  return (url, init = {}) => {
+    const target = new URL(url);
+    if (target.protocol !== "https:") {
+      return fetch(url, init);
+    }
+
+    tlsOptions ??= {
+      // A CA bundle adds to the system CAs, as NODE_EXTRA_CA_CERTS does
+      ...(ca && { ca: [...rootCertificates, readPem(ca, "CA bundle")] }),
+      ...(cert && { cert: readPem(cert, "client certificate"), key: readPem(key, "client key") }),
+    };
+    const method = (init.method || "GET").toUpperCase();
+
+    return new Promise((resolve, reject) => {
+      const req = request(
+        target,
+        {
+          method,
+          headers: init.headers,
+          signal: init.signal,
+          ...tlsOptions,
+        },
+        (res) => resolve(toResponse(res, method)),
+      );
+      // Report timeouts and aborts as fetch() does
+      req.on("error", (err) => reject(init.signal?.aborted ? init.signal.reason : err));
+      req.end(init.body);
+    });
+  };
+}
@@ -0,0 +1,263 @@
+import { readFileSync, existsSync } from "fs";
+
+/**
+ * Tool Policies
+ *
+ * Which tools Claude Code may use, and in which permission mode, depends on
+ * who is asking. The instance's policy comes from CLAUDE_CODE_ALLOWED_TOOLS
+ * (a project's allowed_tools replaces it), CLAUDE_CODE_DISALLOWED_TOOLS and
+ * CLAUDE_CODE_PERMISSION_MODE. The JSON file named by CLAUDE_TOOL_POLICY
+ * narrows it per API key and per peer instance:
+ *
+ *   {
+ *     "default": { "permission_mode": "default" },
+ *     "keys": {
+ *       "ci-bot": { "allowed_tools": ["Read", "Grep", "Glob"], "permission_mode": "plan" }
+ *     },
+ *     "instances": {
+ *       "frontend-developer": { "disallowed_tools": ["Bash", "Write", "Edit"] }
+ *     }
+ *   }
+ *
+ * Callers without an entry, including requests when no key is configured,
+ * get "default". A request may narrow its policy further with allowed_tools,
+ * disallowed_tools and permission_mode, but never widen it.
+ *
+ * Claude Code approves tools by itself in acceptEdits (file edits) and
+ * bypassPermissions (everything) mode, whatever --allowedTools says. A policy
+ * with an allow-list therefore runs in "default" mode instead.
+ */
+
+// From most to least restrictive
+export const PERMISSION_MODES = ["plan", "default", "acceptEdits", "bypassPermissions"];
+// Modes in which --allowedTools does not limit the tools Claude Code runs
+const UNRESTRICTED_MODES = ["acceptEdits", "bypassPermissions"];
+
+const POLICY_PATH = process.env.CLAUDE_TOOL_POLICY || "";
+const FIELDS = ["allowed_tools", "disallowed_tools", "permission_mode"];
+
+const parseList = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Loaded at startup by loadToolPolicies
+let instancePolicy = null;
+let callerPolicies = { default: {}, keys: {}, instances: {} };
+
+/**
+ * Validate the tool fields of an /ask-style request, or of a policy file entry
+ * @param {object} settings - { allowed_tools, disallowed_tools, permission_mode }
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateToolRequest(settings) {
+  for (const field of ["allowed_tools", "disallowed_tools"]) {
+    const tools = settings[field];
+    if (
+      tools !== undefined &&
+      (!Array.isArray(tools) || tools.some((tool) => typeof tool !== "string" || !tool.trim()))
+    ) {
+      return `Invalid "${field}" field. Must be an array of tool names.`;
+    }
+  }
+  if (
+    settings.permission_mode !== undefined &&
+    !PERMISSION_MODES.includes(settings.permission_mode)
+  ) {
+    return `Invalid "permission_mode" field. Must be one of: ${PERMISSION_MODES.join(", ")}`;
+  }
+  return null;
+}
+
+/**
+ * Lower a policy's permission mode to "default" if it would bypass its allow-list
+ * @param {object} policy - Policy ({ allowedTools, permissionMode, ... })
+ * @returns {object}
+ */
+function enforceAllowList(policy) {
+  return policy.allowedTools && UNRESTRICTED_MODES.includes(policy.permissionMode)
+    ? { ...policy, permissionMode: "default" }
+    : policy;
+}
+
+/**
+ * Load the instance's tool policy and the per-caller policies
+ *
+ * Throws on an invalid configuration, so a misconfigured instance fails at
+ * startup rather than running Claude Code with more tools than intended.
+ *
+ * @returns {{permissionMode: string, keys: string[], instances: string[]}} Summary for logging
+ */
+export function loadToolPolicies() {
+  const permissionMode = process.env.CLAUDE_CODE_PERMISSION_MODE || "bypassPermissions";
+  if (!PERMISSION_MODES.includes(permissionMode)) {
+    throw new Error(
+      `Invalid CLAUDE_CODE_PERMISSION_MODE "${permissionMode}". Use one of: ${PERMISSION_MODES.join(", ")}`,
+    );
+  }
+  const allowed = parseList(process.env.CLAUDE_CODE_ALLOWED_TOOLS);
+
+  let config = {};
+  if (POLICY_PATH) {
+    if (!existsSync(POLICY_PATH)) {
+      throw new Error(`Tool policy file not found: ${POLICY_PATH}`);
+    }
+    try {
+      config = JSON.parse(readFileSync(POLICY_PATH, "utf8"));
+    } catch (err) {
+      throw new Error(`Failed to parse tool policy file ${POLICY_PATH}: ${err.message}`);
+    }
+  }
+
+  const check = (settings, where) => {
+    const unknown = Object.keys(settings || {}).filter((field) => !FIELDS.includes(field));
+    const error =
+      (unknown.length > 0 && `Unknown fields: ${unknown.join(", ")}`) ||
+      validateToolRequest(settings || {});
+    if (error) {
+      throw new Error(`Tool policy ${where}: ${error}`);
+    }
+    return settings || {};
+  };
+
+  const loaded = { default: check(config.default, '"default"'), keys: {}, instances: {} };
+  for (const section of ["keys", "instances"]) {
+    for (const [name, settings] of Object.entries(config[section] || {})) {
+      loaded[section][name] = check(settings, `${section} "${name}"`);
+    }
+  }
+
+  instancePolicy = enforceAllowList({
+    allowedTools: allowed.length > 0 ? allowed : null,
+    disallowedTools: parseList(process.env.CLAUDE_CODE_DISALLOWED_TOOLS),
+    permissionMode,
+  });
+  callerPolicies = loaded;
+
+  return {
+    permissionMode: instancePolicy.permissionMode,
+    keys: Object.keys(loaded.keys),
+    instances: Object.keys(loaded.instances),
+  };
+}
+
+/**
+ * Get the instance's own tool policy, for work no caller asked for
+ * @returns {object} Policy ({ allowedTools, disallowedTools, permissionMode, source })
+ */
+export function getInstanceToolPolicy() {
+  return { ...instancePolicy, source: "instance" };
+}
+
+/**
+ * Whether a tool list permits a tool; "Bash" permits "Bash(git log:*)" too
+ * @param {string[]|null} allowedTools - Allowed tools, or null for any
+ * @param {string} tool - Tool, optionally with a specifier
+ * @returns {boolean}
+ */
+function permits(allowedTools, tool) {
+  if (!allowedTools) return true;
+  return allowedTools.some(
+    (allowed) => allowed === tool || (!allowed.includes("(") && tool.startsWith(`${allowed}(`)),
+  );
+}
+
+/**
+ * Narrow a policy by a set of settings
+ * @param {object} policy - Policy to narrow
+ * @param {object} settings - { allowed_tools, disallowed_tools, permission_mode }
+ * @returns {{policy: object, widened: string[]}} Narrowed policy, and what the settings asked for beyond it
+ */
+function narrow(policy, settings) {
+  const widened = [];
+
+  let { allowedTools, permissionMode } = policy;
+  if (settings.allowed_tools) {
+    const tools = settings.allowed_tools.map((tool) => tool.trim());
+    widened.push(...tools.filter((tool) => !permits(allowedTools, tool)));
+    allowedTools = tools.filter((tool) => permits(allowedTools, tool));
+  }
+
+  if (settings.permission_mode) {
+    if (
+      PERMISSION_MODES.indexOf(settings.permission_mode) > PERMISSION_MODES.indexOf(permissionMode)
+    ) {
+      widened.push(`permission mode ${settings.permission_mode}`);
+    } else {
+      permissionMode = settings.permission_mode;
+    }
+  }
+
+  const disallowed = (settings.disallowed_tools || []).map((tool) => tool.trim());
+  return {
+    policy: {
+      ...policy,
+      allowedTools,
+      disallowedTools: [...new Set([...policy.disallowedTools, ...disallowed])],
+      permissionMode,
+    },
+    widened,
+  };
+}
+
+/**
+ * Work out the tool policy a request runs with
+ *
+ * The caller's configured entry narrows the instance's policy, silently
+ * dropping tools the instance does not allow; the request's own fields must
+ * stay within the result. Wherever an allow-list applies, the permission
+ * mode is at most "default".
+ *
+ * @param {object} options - { caller (req.apiKey), project, request (body, already validated) }
+ * @returns {{policy: object|null, error: string|null}} The effective policy, or why the request was refused
+ */
+export function resolveToolPolicy(options = {}) {
+  const { caller, project, request = {} } = options;
+
+  let policy = { ...instancePolicy };
+  if (project?.allowedTools) {
+    policy.allowedTools = parseList(project.allowedTools);
+  }
+
+  let source = "default";
+  let settings = callerPolicies.default;
+  if (caller?.instance && callerPolicies.instances[caller.instance]) {
+    source = `instance:${caller.instance}`;
+    settings = callerPolicies.instances[caller.instance];
+  } else if (caller && !caller.instance && callerPolicies.keys[caller.name]) {
+    source = `key:${caller.name}`;
+    settings = callerPolicies.keys[caller.name];
+  }
+  policy = enforceAllowList({ ...narrow(policy, settings).policy, source });
+
+  const { policy: requested, widened } = narrow(policy, request);
+  const enforced = enforceAllowList(requested);
+  if (enforced.permissionMode !== requested.permissionMode && request.permission_mode) {
+    widened.push(`permission mode ${request.permission_mode} with allowed_tools`);
+  }
+  if (widened.length > 0) {
+    return {
+      policy: null,
+      error: `Tool policy (${source}) does not allow: ${widened.join(", ")}`,
+    };
+  }
+  if (requested.allowedTools?.length === 0) {
+    return { policy: null, error: `Tool policy (${source}) leaves no allowed tools` };
+  }
+  return { policy: enforced, error: null };
+}
+
+/**
+ * Describe a policy for responses and logs
+ * @param {object} policy - Policy from resolveToolPolicy
+ * @returns {{allowed_tools: string[]|null, disallowed_tools: string[], permission_mode: string, source: string}}
+ */
+export function describeToolPolicy(policy) {
+  return {
+    allowed_tools: policy.allowedTools,
+    disallowed_tools: policy.disallowedTools,
+    permission_mode: policy.permissionMode,
+    source: policy.source,
+  };
+}
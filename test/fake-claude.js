@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * Fake Claude Code CLI for the feature tests
+ *
+ * Answers every prompt with "FAKE ANSWER to: <end of the prompt>" in the
+ * json or stream-json format the server asks for, so the server can be
+ * tested without Claude Code. Planning prompts from the orchestrator get a
+ * one-subtask plan for the local instance, and debate votes a plain-text vote
+ * for the last candidate that also names the first.
+ *
+ *   FAKE_CLAUDE_DELAY     Milliseconds before answering (default 50)
+ *   FAKE_CLAUDE_ARGS_LOG  File to append each invocation's arguments to, as JSON lines
+ */
+
+import { appendFileSync } from "fs";
+
+const args = process.argv.slice(2);
+if (args.includes("--version")) {
+  console.log("0.0.0 (fake)");
+  process.exit(0);
+}
+
+const option = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : null);
+const prompt = option("--print") || "";
+const sessionId = option("--resume") || `fake-${process.pid}-${Date.now()}`;
+const delay = parseInt(process.env.FAKE_CLAUDE_DELAY || "50", 10);
+
+if (process.env.FAKE_CLAUDE_ARGS_LOG) {
+  appendFileSync(
+    process.env.FAKE_CLAUDE_ARGS_LOG,
+    JSON.stringify({ cwd: process.cwd(), args }) + "\n",
+  );
+}
+
+const candidates = prompt.match(/strongest final answer among: ([^.]+)\./)?.[1].split(", ");
+
+const answer = candidates
+  ? `I vote for ${candidates.at(-1)}, though ${candidates[0]} came close.`
+  : prompt.includes("Reply with JSON only")
+    ? "```json\n" +
+      JSON.stringify({ subtasks: [{ task: "check", instance: "local", reason: "test" }] }) +
+      "\n```"
+    : `FAKE ANSWER to: ${prompt.slice(-80).replace(/\n/g, " ")}`;
+
+setTimeout(() => {
+  if (option("--output-format") === "stream-json") {
+    const send = (message) => process.stdout.write(JSON.stringify(message) + "\n");
+    send({ type: "system", subtype: "init", session_id: sessionId });
+    send({
+      type: "stream_event",
+      session_id: sessionId,
+      event: { type: "content_block_delta", index: 0, delta: { type: "text_delta", text: answer } },
+    });
+    send({
+      type: "result",
+      subtype: "success",
+      is_error: false,
+      result: answer,
+      session_id: sessionId,
+    });
+  } else {
+    console.log(JSON.stringify({ type: "result", result: answer, session_id: sessionId }));
+  }
+}, delay);
@@ -0,0 +1,8 @@
+module example.com/fixture/server
+
+go 1.22
+
+require (
+	example.com/fixture/store v0.0.0
+	github.com/google/uuid v1.6.0
+)
@@ -0,0 +1,3 @@
+module example.com/fixture/store
+
+go 1.22
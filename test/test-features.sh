@@ -0,0 +1,1058 @@
+#!/bin/bash
+# Test: Feature checks against instances started by this script
+#
+# Starts servers on local ports with the fake Claude CLI (test/fake-claude.js)
+# and temporary storage, so success paths can be checked without Claude Code
+# or a configured instance. Ports start at FEATURE_TEST_PORT (default 3950).
+
+set -e
+
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+ROOT="$(cd "${SCRIPT_DIR}/.." && pwd)"
+BASE_PORT="${FEATURE_TEST_PORT:-3950}"
+WORK="$(mktemp -d)"
+
+# Colors
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+NC='\033[0m'
+
+PASSED=0
+FAILED=0
+PIDS=()
+
+pass() {
+  echo -e "${GREEN}PASS${NC}: $1"
+  PASSED=$((PASSED + 1))
+}
+
+fail() {
+  echo -e "${RED}FAIL${NC}: $1"
+  FAILED=$((FAILED + 1))
+}
+
+cleanup() {
+  for pid in "${PIDS[@]}"; do
+    kill "$pid" 2>/dev/null || true
+  done
+  wait 2>/dev/null || true
+  rm -rf "$WORK"
+}
+trap cleanup EXIT
+
+# An empty env file, so a developer's .env does not leak into the instances
+touch "$WORK/empty.env"
+
+# Start an instance with the fake CLI, in its own directory under $WORK
+# Usage: start_instance NAME PORT [VAR=value ...]
+start_instance() {
+  local name="$1" port="$2"
+  shift 2
+  mkdir -p "$WORK/$name"
+  (
+    cd "$WORK/$name"
+    exec env INSTANCE_NAME="$name" HOST=127.0.0.1 PORT="$port" LOG_LEVEL=warn \
+      CLAUDE_CODE_PATH="${SCRIPT_DIR}/fake-claude.js" CLAUDE_WORKING_DIR="$WORK/$name" \
+      INTERCLAUDE_REGISTRY="$WORK/registry.json" INTERCLAUDE_PIPELINES="$WORK/pipelines.json" \
+      "$@" node "${ROOT}/server/index.js" --env "$WORK/empty.env"
+  ) >"$WORK/$name.log" 2>&1 &
+  PIDS+=($!)
+
+  for _ in $(seq 1 50); do
+    curl -s "http://127.0.0.1:${port}/health" >/dev/null 2>&1 && return 0
+    curl -sk "https://127.0.0.1:${port}/health" >/dev/null 2>&1 && return 0
+    sleep 0.2
+  done
+  echo "Instance $name did not start:"
+  cat "$WORK/$name.log"
+  exit 1
+}
+
+# Stop the most recently started instance
+stop_instance() {
+  local pid="${PIDS[${#PIDS[@]} - 1]}"
+  kill "$pid" 2>/dev/null || true
+  wait "$pid" 2>/dev/null || true
+  unset 'PIDS[${#PIDS[@]}-1]'
+}
+
+ALPHA="http://127.0.0.1:${BASE_PORT}"
+BETA="http://127.0.0.1:$((BASE_PORT + 1))"
+
+cat >"$WORK/registry.json" <<EOF
+{
+  "instances": {
+    "alpha": { "host": "127.0.0.1", "port": ${BASE_PORT}, "description": "First test instance" },
+    "beta": { "host": "127.0.0.1", "port": $((BASE_PORT + 1)), "description": "Second test instance" }
+  },
+  "default": "alpha"
+}
+EOF
+
+cat >"$WORK/pipelines.json" <<EOF
+{
+  "pipelines": {
+    "relay": {
+      "stages": [
+        { "name": "draft", "instance": "alpha", "prompt": "Draft: {{input}}" },
+        { "name": "review", "instance": "beta", "prompt": "Review: {{previous}}" }
+      ]
+    },
+    "broken": {
+      "stages": [{ "name": "draft", "instance": "alpha", "prompt": 42 }]
+    }
+  }
+}
+EOF
+
+echo "=== InterClaude Feature Tests ==="
+echo ""
+
+start_instance alpha "$BASE_PORT"
+start_instance beta "$((BASE_PORT + 1))"
+
+# Test 1: Broadcast collects an answer from every instance
+echo "--- Test 1: Broadcast ---"
+BROADCAST_RESPONSE=$(curl -s -X POST "${ALPHA}/broadcast" \
+  -H "Content-Type: application/json" \
+  -d '{"question": "Which instance is this?", "instances": ["alpha", "beta"]}')
+
+if echo "$BROADCAST_RESPONSE" | jq -e '.succeeded == 2 and ([.results[].answer | startswith("FAKE ANSWER")] | all)' >/dev/null; then
+  pass "Broadcast answered by alpha and beta"
+else
+  fail "Broadcast did not collect both answers: $BROADCAST_RESPONSE"
+fi
+
+UNKNOWN_BROADCAST=$(curl -s -X POST "${ALPHA}/broadcast" \
+  -H "Content-Type: application/json" \
+  -d '{"question": "Hello", "instances": ["no-such-instance", "constructor"]}')
+if echo "$UNKNOWN_BROADCAST" | jq -e '.success == false and .error == "Unknown instances: no-such-instance, constructor"' >/dev/null; then
+  pass "Broadcast rejects instances missing from the registry"
+else
+  fail "Broadcast did not reject unknown instances: $UNKNOWN_BROADCAST"
+fi
+
+for ENDPOINT in broadcast debate; do
+  for TIMEOUT in '"soon"' 0 999999999; do
+    TIMEOUT_STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X POST "${ALPHA}/${ENDPOINT}" \
+      -H "Content-Type: application/json" \
+      -d "{\"question\": \"Hello\", \"instances\": [\"alpha\", \"beta\"], \"timeout_ms\": ${TIMEOUT}}")
+    if [[ "$TIMEOUT_STATUS" != "400" ]]; then
+      fail "/${ENDPOINT} accepted timeout_ms ${TIMEOUT} (HTTP $TIMEOUT_STATUS)"
+      continue 2
+    fi
+  done
+  pass "/${ENDPOINT} rejects invalid timeout_ms values"
+done
+echo ""
+
+# Test 2: A pipeline passes each stage's answer to the next
+echo "--- Test 2: Pipeline Run ---"
+PIPELINE_RESPONSE=$(curl -s -X POST "${ALPHA}/pipelines/relay/run" \
+  -H "Content-Type: application/json" \
+  -d '{"input": "a rate limiter"}')
+
+if echo "$PIPELINE_RESPONSE" | jq -e '.success == true and ([.stages[].status] == ["done", "done"]) and (.stages[1].question | startswith("Review: FAKE ANSWER to: Draft: a rate limiter"))' >/dev/null; then
+  pass "Pipeline ran both stages, feeding the draft into the review"
+else
+  fail "Pipeline did not run as expected: $PIPELINE_RESPONSE"
+fi
+
+BROKEN_STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X POST "${ALPHA}/pipelines/broken/run" \
+  -H "Content-Type: application/json" \
+  -d '{"input": "a rate limiter"}')
+if [[ "$BROKEN_STATUS" == "400" ]]; then
+  pass "Pipeline with a non-string prompt is rejected"
+else
+  fail "Pipeline with a non-string prompt returned HTTP $BROKEN_STATUS"
+fi
+
+if curl -s -X POST "${ALPHA}/pipelines/no-such-pipeline/run" -H "Content-Type: application/json" \
+  -d '{"input": "Hello"}' | jq -e '.success == false and (.error | contains("not found"))' >/dev/null; then
+  pass "Running an unknown pipeline returns not found"
+else
+  fail "Running an unknown pipeline did not return not found"
+fi
+
+if curl -s "${ALPHA}/pipelines" | jq -e '.success == true and ([.pipelines[].name] | index("relay") != null)' >/dev/null; then
+  pass "Pipelines endpoint lists configured pipelines"
+else
+  fail "Pipelines endpoint did not list the relay pipeline"
+fi
+echo ""
+
+# Instance with memory enabled, for the memory tests
+GAMMA="http://127.0.0.1:$((BASE_PORT + 2))"
+start_instance gamma "$((BASE_PORT + 2))" MEMORY_ENABLED=true MEMORY_STORAGE_PATH="$WORK/gamma/memory"
+
+# Build a memory bundle of COUNT conversations, one per day from 2026-01-01,
+# the oldest about zebrafish
+# Usage: memory_bundle COUNT
+memory_bundle() {
+  echo '{"type":"interclaude-memory-bundle","version":1,"instance":"test","count":'"$1"'}'
+  for i in $(seq 1 "$1"); do
+    local day topic="caching layer number $i"
+    day=$(date -u -d "2026-01-01 + $((i - 1)) days" +%Y-%m-%d)
+    [[ $i -eq 1 ]] && topic="zebrafish habitat"
+    jq -cn --arg id "conv-$i" --arg at "${day}T12:00:00.000Z" --arg topic "$topic" \
+      '{type: "conversation", data: {id: $id, created: $at, updated: $at, keywords: ($topic | split(" ")), exchanges: [{timestamp: $at, question: "Tell me about the \($topic)", answer: "Notes on the \($topic)"}]}}'
+  done
+}
+
+# Test 3: Conversations older than the 50 most recent can still be loaded and searched
+echo "--- Test 3: Memory Beyond the Recent List ---"
+memory_bundle 60 >"$WORK/bundle.jsonl"
+IMPORT_RESPONSE=$(curl -s -X POST "${GAMMA}/memory/import" \
+  -H "Content-Type: application/x-ndjson" \
+  --data-binary @"$WORK/bundle.jsonl")
+
+if echo "$IMPORT_RESPONSE" | jq -e '.imported == 60' >/dev/null; then
+  pass "Imported 60 conversations"
+else
+  fail "Import did not store 60 conversations: $IMPORT_RESPONSE"
+fi
+
+EXPORTED_FILES=$(find "$WORK/gamma/memory" -name '*.md' -path '*/conversations/*' | wc -l)
+if [[ "$EXPORTED_FILES" -eq 60 ]]; then
+  pass "Imported conversations are exported as markdown"
+else
+  fail "Import wrote $EXPORTED_FILES markdown conversation files instead of 60"
+fi
+
+if curl -s "${GAMMA}/memory/conversation/conv-1" | jq -e '.conversation.exchanges[0].question == "Tell me about the zebrafish habitat"' >/dev/null; then
+  pass "Oldest conversation loads by ID"
+else
+  fail "Oldest conversation did not load"
+fi
+
+if curl -s "${GAMMA}/memory/search?q=zebrafish" | jq -e '.results[0].id == "conv-1"' >/dev/null; then
+  pass "Oldest conversation is found by search"
+else
+  fail "Search did not find the oldest conversation"
+fi
+echo ""
+
+# Test 4: Full-text similarity ranks conversations that never name a keyword
+# (the bundle has none), so only the BM25 scores can find them
+echo "--- Test 4: Similarity Ranking ---"
+{
+  echo '{"type":"interclaude-memory-bundle","version":1,"instance":"test","count":3}'
+  echo '{"type":"conversation","data":{"id":"bm25-once","created":"2026-05-03T12:00:00.000Z","updated":"2026-05-03T12:00:00.000Z","keywords":[],"exchanges":[{"timestamp":"2026-05-03T12:00:00.000Z","question":"How should the deploy script behave?","answer":"It builds the image, pushes it to the registry, waits for the health check, rolls the service forward and logs retries when something is slow."}]}}'
+  echo '{"type":"conversation","data":{"id":"bm25-often","created":"2026-05-01T12:00:00.000Z","updated":"2026-05-01T12:00:00.000Z","keywords":[],"exchanges":[{"timestamp":"2026-05-01T12:00:00.000Z","question":"Why so many retries?","answer":"The retries come from the client; cap retries with backoff."}]}}'
+  echo '{"type":"conversation","data":{"id":"bm25-never","created":"2026-05-02T12:00:00.000Z","updated":"2026-05-02T12:00:00.000Z","keywords":[],"exchanges":[{"timestamp":"2026-05-02T12:00:00.000Z","question":"Which font does the dashboard use?","answer":"A monospace font for the tables."}]}}'
+} >"$WORK/ranking.jsonl"
+
+# Check that a search for "retries" ranks by BM25 score
+# Usage: check_ranking BASE_URL DESCRIPTION
+check_ranking() {
+  local results
+  results=$(curl -s "$1/memory/search?q=retries")
+  if echo "$results" | jq -e '[.results[].id] == ["bm25-often", "bm25-once"] and ([.results[].scores.similarity > 0] | all)' >/dev/null; then
+    pass "$2"
+  else
+    fail "$2: $results"
+  fi
+}
+
+curl -s -X POST "${GAMMA}/memory/import" -H "Content-Type: application/x-ndjson" \
+  --data-binary @"$WORK/ranking.jsonl" >/dev/null
+check_ranking "$GAMMA" "BM25 ranks the conversation that mentions the term most first"
+
+# Embedding server that refuses connections: BM25 answers instead
+DELTA="http://127.0.0.1:$((BASE_PORT + 3))"
+start_instance delta "$((BASE_PORT + 3))" MEMORY_ENABLED=true MEMORY_STORAGE_PATH="$WORK/delta/memory" \
+  MEMORY_SIMILARITY=embedding MEMORY_EMBEDDING_URL="http://127.0.0.1:1/api/embeddings"
+curl -s -X POST "${DELTA}/memory/import" -H "Content-Type: application/x-ndjson" \
+  --data-binary @"$WORK/ranking.jsonl" >/dev/null
+check_ranking "$DELTA" "Search falls back to BM25 when the embedding server is unreachable"
+stop_instance
+echo ""
+
+# Test 5: Memory edits pin, retag, amend and delete stored conversations
+echo "--- Test 5: Memory Edits ---"
+EDIT_RESPONSE=$(curl -s -X PATCH "${GAMMA}/memory/conversation/conv-2" \
+  -H "Content-Type: application/json" \
+  -d '{"pinned": "always", "keywords": ["ferrets"]}')
+if echo "$EDIT_RESPONSE" | jq -e '.conversation.pinned == "always"' >/dev/null &&
+  curl -s "${GAMMA}/memory/search?q=ferrets" | jq -e '.results[0].id == "conv-2"' >/dev/null; then
+  pass "Pinned and retagged a conversation"
+else
+  fail "Pin and retag did not apply: $EDIT_RESPONSE"
+fi
+
+curl -s -X PATCH "${GAMMA}/memory/conversation/conv-2/exchanges/0" \
+  -H "Content-Type: application/json" \
+  -d '{"answer": "Corrected notes"}' >/dev/null
+if curl -s "${GAMMA}/memory/conversation/conv-2" | jq -e '.conversation.exchanges[0].answer == "Corrected notes"' >/dev/null; then
+  pass "Amended an exchange"
+else
+  fail "Exchange was not amended"
+fi
+
+DELETE_STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X DELETE "${GAMMA}/memory/conversation/conv-3")
+GONE_STATUS=$(curl -s -o /dev/null -w '%{http_code}' "${GAMMA}/memory/conversation/conv-3")
+if [[ "$DELETE_STATUS" == "200" && "$GONE_STATUS" == "404" ]]; then
+  pass "Deleted a conversation"
+else
+  fail "Delete returned HTTP $DELETE_STATUS, then the conversation returned HTTP $GONE_STATUS"
+fi
+
+REDELETE_STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X DELETE "${GAMMA}/memory/conversation/conv-3")
+if [[ "$REDELETE_STATUS" == "404" ]]; then
+  pass "Deleting an unknown conversation returns HTTP 404"
+else
+  fail "Deleting an unknown conversation returned HTTP $REDELETE_STATUS"
+fi
+echo ""
+
+# Test 6: Memory bundles round-trip, and hostile timestamps are refused
+echo "--- Test 6: Memory Import and Export ---"
+{
+  echo '{"type":"interclaude-memory-bundle","version":1,"instance":"test","count":2}'
+  echo '{"type":"conversation","data":{"id":"evil","created":"../../../escape","updated":"2026-01-01T00:00:00.000Z","exchanges":[{"question":"q","answer":"a"}]}}'
+  echo '{"type":"conversation","data":{"id":"evil-2","created":"2026-01-01T/../../../escape","updated":"2026-01-01T00:00:00.000Z","exchanges":[{"question":"q","answer":"a"}]}}'
+} >"$WORK/hostile.jsonl"
+HOSTILE_RESPONSE=$(curl -s -X POST "${GAMMA}/memory/import" \
+  -H "Content-Type: application/x-ndjson" \
+  --data-binary @"$WORK/hostile.jsonl")
+if echo "$HOSTILE_RESPONSE" | jq -e '.imported == 0 and .invalid == 2' >/dev/null && [[ ! -e "$WORK/escape" ]]; then
+  pass "Conversations with a non-ISO created timestamp are rejected"
+else
+  fail "Hostile timestamps were not rejected: $HOSTILE_RESPONSE"
+fi
+
+NOT_A_BUNDLE_STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X POST "${GAMMA}/memory/import" \
+  -H "Content-Type: application/x-ndjson" \
+  --data-binary 'not a bundle')
+if [[ "$NOT_A_BUNDLE_STATUS" == "400" ]]; then
+  pass "Memory import rejects an invalid bundle"
+else
+  fail "Memory import returned HTTP $NOT_A_BUNDLE_STATUS for an invalid bundle"
+fi
+
+curl -s "${GAMMA}/memory/export" >"$WORK/export.jsonl"
+EPSILON="http://127.0.0.1:$((BASE_PORT + 3))"
+start_instance epsilon "$((BASE_PORT + 3))" MEMORY_ENABLED=true MEMORY_STORAGE_PATH="$WORK/epsilon/memory"
+ROUND_TRIP_RESPONSE=$(curl -s -X POST "${EPSILON}/memory/import" \
+  -H "Content-Type: application/x-ndjson" \
+  --data-binary @"$WORK/export.jsonl")
+EXPORTED=$(head -n 1 "$WORK/export.jsonl" | jq '.count')
+if [[ "$EXPORTED" -gt 0 ]] && echo "$ROUND_TRIP_RESPONSE" | jq -e --argjson count "$EXPORTED" '.imported == $count and .invalid == 0' >/dev/null &&
+  curl -s "${EPSILON}/memory/conversation/conv-2" | jq -e '.conversation.pinned == "always" and .conversation.exchanges[0].answer == "Corrected notes"' >/dev/null; then
+  pass "Exported $EXPORTED conversations and imported them into another instance"
+else
+  fail "Round trip did not import the export: $ROUND_TRIP_RESPONSE"
+fi
+stop_instance
+echo ""
+
+# Instance with API keys (admin key "admin-secret") and memory, for the key tests
+ZETA="http://127.0.0.1:$((BASE_PORT + 3))"
+start_instance zeta "$((BASE_PORT + 3))" API_KEY=admin-secret API_KEYS_FILE="$WORK/zeta/api-keys.json" \
+  MEMORY_ENABLED=true MEMORY_STORAGE_PATH="$WORK/zeta/memory"
+curl -s -X POST "${ZETA}/memory/import" -H "X-API-Key: admin-secret" \
+  -H "Content-Type: application/x-ndjson" --data-binary @"$WORK/ranking.jsonl" >/dev/null
+
+# Test 7: Replaying a conversation needs only ask and memory:read
+echo "--- Test 7: Replay ---"
+READER_SECRET=$(curl -s -X POST "${ZETA}/keys" -H "X-API-Key: admin-secret" \
+  -H "Content-Type: application/json" \
+  -d '{"name": "reader", "scopes": ["ask", "memory:read"]}' | jq -r '.secret')
+REPLAY_RESPONSE=$(curl -s -X POST "${ZETA}/memory/conversation/bm25-often/replay" \
+  -H "X-API-Key: ${READER_SECRET}" \
+  -H "Content-Type: application/json" \
+  -d '{"instance": "alpha"}')
+
+if echo "$REPLAY_RESPONSE" | jq -e '.completed == true and .instance == "alpha" and .exchanges[0].answer == "FAKE ANSWER to: Why so many retries?" and (.exchanges[0].original_answer | startswith("The retries come from the client"))' >/dev/null; then
+  pass "Replayed a conversation on another instance with a read-only memory key"
+else
+  fail "Replay did not complete: $REPLAY_RESPONSE"
+fi
+echo ""
+
+# Instance serving the fixture workspaces as projects
+ETA="http://127.0.0.1:$((BASE_PORT + 4))"
+start_instance eta "$((BASE_PORT + 4))" CLAUDE_PROJECTS="${SCRIPT_DIR}/fixtures/workspaces/projects.json" \
+  FAKE_CLAUDE_ARGS_LOG="$WORK/eta-args.jsonl"
+
+# Test 8: Each ecosystem's workspace packages are detected and linked
+echo "--- Test 8: Package Detection ---"
+
+# Check that a project has a package of a type, depending on another package
+# Usage: check_package PROJECT NAME TYPE DEPENDENCY_PATH
+check_package() {
+  local packages
+  packages=$(curl -s "${ETA}/packages?project=$1")
+  if echo "$packages" | jq -e --arg name "$2" --arg type "$3" --arg dep "$4" \
+    '.packages | map(select(.name == $name))[0] | .type == $type and .dependencies == [$dep]' >/dev/null; then
+    pass "$1: $2 ($3) depends on $4"
+  else
+    fail "$1: $2 ($3) does not depend on $4: $packages"
+  fi
+}
+
+check_package cargo fixture-cli rust crates/core
+check_package go-work example.com/fixture/server go lib/store
+check_package python fixture-api python packages/models
+check_package pnpm @fixture/app node tools/ui
+echo ""
+
+# Test 9: A request's project picks the working directory and package context
+echo "--- Test 9: Project Selection ---"
+PROJECT_RESPONSE=$(curl -s -X POST "${ETA}/ask" \
+  -H "Content-Type: application/json" \
+  -d '{"question": "What does fixture-cli do?", "project": "cargo"}')
+PROJECT_CWD=$(tail -n 1 "$WORK/eta-args.jsonl" | jq -r '.cwd')
+
+if echo "$PROJECT_RESPONSE" | jq -e '.success == true and .project == "cargo" and (.packages_detected | index("crates/cli"))' >/dev/null &&
+  [[ "$PROJECT_CWD" == "${SCRIPT_DIR}/fixtures/workspaces/cargo" ]]; then
+  pass "Answered in the cargo project with its package context"
+else
+  fail "Project was not applied (ran in $PROJECT_CWD): $PROJECT_RESPONSE"
+fi
+
+UNKNOWN_PROJECT_STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X POST "${ETA}/ask" \
+  -H "Content-Type: application/json" \
+  -d '{"question": "Hello?", "project": "missing"}')
+if [[ "$UNKNOWN_PROJECT_STATUS" == "400" ]]; then
+  pass "Unknown project is rejected"
+else
+  fail "Unknown project returned HTTP $UNKNOWN_PROJECT_STATUS"
+fi
+
+if curl -s -X POST "${ETA}/ask" -H "Content-Type: application/json" \
+  -d '{"question": "Hello?", "project": "cargo", "packages": ["fixture-core"]}' |
+  jq -e '.success == true and (.packages_detected | index("crates/core"))' >/dev/null; then
+  pass "Explicit package is included without being mentioned"
+else
+  fail "Explicit package was not included"
+fi
+
+UNKNOWN_PACKAGE_STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X POST "${ETA}/ask" \
+  -H "Content-Type: application/json" \
+  -d '{"question": "Hello?", "project": "cargo", "packages": ["no-such-package"]}')
+if [[ "$UNKNOWN_PACKAGE_STATUS" == "400" ]]; then
+  pass "Unknown explicit package is rejected"
+else
+  fail "Unknown explicit package returned HTTP $UNKNOWN_PACKAGE_STATUS"
+fi
+
+DEPTH_RESPONSE=$(curl -s -X POST "${ETA}/ask" -H "Content-Type: application/json" \
+  -d '{"question": "Hello?", "project": "cargo", "packages": ["fixture-cli"], "package_depth": 1}')
+if echo "$DEPTH_RESPONSE" | jq -e '.related_packages | any(.path == "crates/core" and .relation == "dependency" and .distance == 1)' >/dev/null; then
+  pass "Package depth adds the dependencies of matched packages"
+else
+  fail "Package depth did not add crates/core: $DEPTH_RESPONSE"
+fi
+
+DEPTH_STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X POST "${ETA}/ask" \
+  -H "Content-Type: application/json" \
+  -d '{"question": "What depends on this package?", "package_depth": 99}')
+if [[ "$DEPTH_STATUS" == "400" ]]; then
+  pass "Out-of-range package_depth is rejected"
+else
+  fail "Out-of-range package_depth returned HTTP $DEPTH_STATUS"
+fi
+echo ""
+
+# Test 10: An API key can be created, used within its scopes, and revoked
+echo "--- Test 10: API Key Lifecycle ---"
+CREATE_RESPONSE=$(curl -s -X POST "${ZETA}/keys" -H "X-API-Key: admin-secret" \
+  -H "Content-Type: application/json" \
+  -d '{"name": "ci-bot", "scopes": ["ask"]}')
+CI_SECRET=$(echo "$CREATE_RESPONSE" | jq -r '.secret')
+CI_ID=$(echo "$CREATE_RESPONSE" | jq -r '.key.id')
+
+ASK_HEADERS=$(curl -s -D - -o "$WORK/key-ask.json" -X POST "${ZETA}/ask" \
+  -H "X-API-Key: ${CI_SECRET}" \
+  -H "Content-Type: application/json" \
+  -d '{"question": "Who is asking?"}')
+if grep -qi '^X-API-Key-Name: ci-bot' <<<"$ASK_HEADERS" && jq -e '.success == true' "$WORK/key-ask.json" >/dev/null; then
+  pass "Created key answers /ask as ci-bot"
+else
+  fail "Created key could not ask: $(cat "$WORK/key-ask.json")"
+fi
+
+SCOPE_STATUS=$(curl -s -o /dev/null -w '%{http_code}' "${ZETA}/memory/stats" -H "X-API-Key: ${CI_SECRET}")
+if [[ "$SCOPE_STATUS" == "403" ]]; then
+  pass "Key without memory:read is refused memory stats"
+else
+  fail "Key without memory:read got HTTP $SCOPE_STATUS for memory stats"
+fi
+
+# Jobs and orchestrations are visible to the key that created them, and to admins
+READER_JOB=$(curl -s -X POST "${ZETA}/jobs" -H "X-API-Key: ${READER_SECRET}" \
+  -H "Content-Type: application/json" \
+  -d '{"question": "Whose job is this?"}' | jq -r '.job.id')
+OTHER_JOB_STATUS=$(curl -s -o /dev/null -w '%{http_code}' "${ZETA}/jobs/${READER_JOB}" -H "X-API-Key: ${CI_SECRET}")
+OTHER_CANCEL_STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X DELETE "${ZETA}/jobs/${READER_JOB}" -H "X-API-Key: ${CI_SECRET}")
+OWN_JOB_STATUS=$(curl -s -o /dev/null -w '%{http_code}' "${ZETA}/jobs/${READER_JOB}" -H "X-API-Key: ${READER_SECRET}")
+ADMIN_JOB_STATUS=$(curl -s -o /dev/null -w '%{http_code}' "${ZETA}/jobs/${READER_JOB}" -H "X-API-Key: admin-secret")
+if [[ "$OTHER_JOB_STATUS $OTHER_CANCEL_STATUS $OWN_JOB_STATUS $ADMIN_JOB_STATUS" == "404 404 200 200" ]]; then
+  pass "Another key can neither see nor cancel a job"
+else
+  fail "Job access by other/cancel/own/admin returned HTTP $OTHER_JOB_STATUS $OTHER_CANCEL_STATUS $OWN_JOB_STATUS $ADMIN_JOB_STATUS"
+fi
+
+READER_ORCHESTRATION=$(curl -s -X POST "${ZETA}/orchestrate" -H "X-API-Key: ${READER_SECRET}" \
+  -H "Content-Type: application/json" \
+  -d '{"task": "Check the release"}' | jq -r '.id')
+OTHER_ORCHESTRATION_STATUS=$(curl -s -o /dev/null -w '%{http_code}' "${ZETA}/orchestrations/${READER_ORCHESTRATION}" \
+  -H "X-API-Key: ${CI_SECRET}")
+if [[ "$OTHER_ORCHESTRATION_STATUS" == "404" ]] &&
+  curl -s "${ZETA}/orchestrations" -H "X-API-Key: ${CI_SECRET}" | jq -e '.count == 0' >/dev/null &&
+  curl -s "${ZETA}/orchestrations" -H "X-API-Key: admin-secret" |
+  jq -e --arg id "$READER_ORCHESTRATION" '[.orchestrations[].id] == [$id]' >/dev/null; then
+  pass "Another key can neither see nor list an orchestration"
+else
+  fail "Another key's orchestration returned HTTP $OTHER_ORCHESTRATION_STATUS or was listed"
+fi
+
+UNKNOWN_SCOPE_STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X POST "${ZETA}/keys" -H "X-API-Key: admin-secret" \
+  -H "Content-Type: application/json" \
+  -d '{"name": "confused", "scopes": ["no-such-scope"]}')
+if [[ "$UNKNOWN_SCOPE_STATUS" == "400" ]]; then
+  pass "Key with an unknown scope is rejected"
+else
+  fail "Creating a key with an unknown scope returned HTTP $UNKNOWN_SCOPE_STATUS"
+fi
+
+REVOKE_STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X DELETE "${ZETA}/keys/${CI_ID}" -H "X-API-Key: admin-secret")
+REVOKED_STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X POST "${ZETA}/ask" \
+  -H "X-API-Key: ${CI_SECRET}" \
+  -H "Content-Type: application/json" \
+  -d '{"question": "Still there?"}')
+if [[ "$REVOKE_STATUS" == "200" && "$REVOKED_STATUS" == "401" ]] &&
+  curl -s "${ZETA}/keys" -H "X-API-Key: admin-secret" | jq -e '[.keys[].name] == ["reader"]' >/dev/null; then
+  pass "Revoked key is removed and refused"
+else
+  fail "Revoke returned HTTP $REVOKE_STATUS, then the key got HTTP $REVOKED_STATUS"
+fi
+
+# A hand-edited entry whose hash is not SHA-256 is ignored instead of failing every lookup
+cp "$WORK/zeta/api-keys.json" "$WORK/api-keys.backup.json"
+jq '.keys += [{id: "broken", name: "broken", prefix: "ick_brok", hash: "abcd", scopes: ["ask"]}]' \
+  "$WORK/api-keys.backup.json" >"$WORK/zeta/api-keys.json"
+BROKEN_HASH_STATUS=$(curl -s -o /dev/null -w '%{http_code}' "${ZETA}/memory/stats" -H "X-API-Key: ${READER_SECRET}")
+if [[ "$BROKEN_HASH_STATUS" == "200" ]]; then
+  pass "Stored key with a malformed hash is skipped"
+else
+  fail "Stored key with a malformed hash made lookups return HTTP $BROKEN_HASH_STATUS"
+fi
+cp "$WORK/api-keys.backup.json" "$WORK/zeta/api-keys.json"
+echo ""
+
+# Test 11: Requests signed by a trusted instance are accepted without an API key
+echo "--- Test 11: Signed Requests ---"
+THETA="http://127.0.0.1:$((BASE_PORT + 5))"
+start_instance theta "$((BASE_PORT + 5))" INSTANCE_SIGN_REQUESTS=true INSTANCE_KEY_PATH="$WORK/theta/instance-key.pem"
+THETA_PUBLIC_KEY=$(curl -s "${THETA}/health" | jq -r '.public_key')
+
+# Zeta (which needs API keys) becomes reachable, and theta a trusted peer
+jq --arg key "$THETA_PUBLIC_KEY" --argjson zeta "$((BASE_PORT + 3))" --argjson theta "$((BASE_PORT + 5))" \
+  '.instances.zeta = {host: "127.0.0.1", port: $zeta} | .instances.theta = {host: "127.0.0.1", port: $theta, publicKey: $key}' \
+  "$WORK/registry.json" >"$WORK/registry.json.tmp"
+mv "$WORK/registry.json.tmp" "$WORK/registry.json"
+
+SIGNED_BROADCAST=$(curl -s -X POST "${THETA}/broadcast" \
+  -H "Content-Type: application/json" \
+  -d '{"question": "Signed hello", "instances": ["zeta"]}')
+if echo "$SIGNED_BROADCAST" | jq -e '.succeeded == 1 and (.results[0].answer | startswith("FAKE ANSWER"))' >/dev/null; then
+  pass "Signed request from theta answered by zeta"
+else
+  fail "Signed request was refused: $SIGNED_BROADCAST"
+fi
+
+# Sign a request with theta's key, filling SIGNATURE_HEADERS with curl arguments
+# Usage: sign_as_theta TARGET METHOD PATH BODY_FILE
+sign_as_theta() {
+  SIGNATURE_HEADERS=()
+  while IFS= read -r header; do
+    SIGNATURE_HEADERS+=(-H "$header")
+  done < <(
+    INSTANCE_SIGN_REQUESTS=true INSTANCE_KEY_PATH="$WORK/theta/instance-key.pem" INSTANCE_NAME=theta \
+      node --input-type=module -e '
+        import { readFileSync } from "fs";
+        const { loadInstanceIdentity, signRequest } = await import(process.argv[1]);
+        const [target, method, path, file] = process.argv.slice(2);
+        loadInstanceIdentity();
+        const headers = signRequest(target, method, path, readFileSync(file));
+        for (const [name, value] of Object.entries(headers)) console.log(`${name}: ${value}`);
+      ' "${ROOT}/server/instance-identity.js" "$@"
+  )
+}
+
+# A signed text body (a memory bundle)
+{
+  echo '{"type":"interclaude-memory-bundle","version":1,"instance":"theta","count":1}'
+  echo '{"type":"conversation","data":{"id":"signed-1","created":"2026-06-01T12:00:00.000Z","updated":"2026-06-01T12:00:00.000Z","exchanges":[{"question":"Signed?","answer":"Yes"}]}}'
+} >"$WORK/signed.jsonl"
+sign_as_theta zeta POST /memory/import "$WORK/signed.jsonl"
+SIGNED_IMPORT=$(curl -s -X POST "${ZETA}/memory/import" "${SIGNATURE_HEADERS[@]}" \
+  -H "Content-Type: application/x-ndjson" \
+  --data-binary @"$WORK/signed.jsonl")
+if echo "$SIGNED_IMPORT" | jq -e '.imported == 1' >/dev/null; then
+  pass "Signed memory import accepted"
+else
+  fail "Signed memory import was refused: $SIGNED_IMPORT"
+fi
+
+# Alpha trusts theta too, but must refuse a request signed for zeta
+echo '{"question": "Replayed?"}' >"$WORK/replayed.json"
+sign_as_theta zeta POST /ask "$WORK/replayed.json"
+REPLAYED=$(curl -s -X POST "${ALPHA}/ask" "${SIGNATURE_HEADERS[@]}" \
+  -H "Content-Type: application/json" \
+  --data-binary @"$WORK/replayed.json")
+if echo "$REPLAYED" | jq -e '.success == false and (.error | contains("signed for instance '"'zeta'"'"))' >/dev/null; then
+  pass "Request signed for another instance is refused"
+else
+  fail "Request signed for zeta was accepted by alpha: $REPLAYED"
+fi
+
+FORGED_STATUS=$(curl -s -o /dev/null -w '%{http_code}' "${ZETA}/pipelines" \
+  -H "X-Instance-Name: forger" \
+  -H "X-Instance-Target: zeta" \
+  -H "X-Instance-Timestamp: $(date +%s)" \
+  -H "X-Instance-Nonce: forged-$$" \
+  -H "X-Instance-Signature: bm90LWEtc2lnbmF0dXJl")
+if [[ "$FORGED_STATUS" == "401" ]]; then
+  pass "Request signed by an untrusted instance is refused"
+else
+  fail "Forged instance signature returned HTTP $FORGED_STATUS"
+fi
+
+# Signed bodies are read before the signature is checked, so they are kept small
+head -c 2000000 /dev/zero | tr '\0' 'a' >"$WORK/oversized.jsonl"
+sign_as_theta zeta POST /memory/import "$WORK/oversized.jsonl"
+OVERSIZED_STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X POST "${ZETA}/memory/import" "${SIGNATURE_HEADERS[@]}" \
+  -H "Content-Type: application/x-ndjson" \
+  --data-binary @"$WORK/oversized.jsonl")
+UNAUTHENTICATED_STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X POST "${ZETA}/memory/import" \
+  -H "Content-Type: application/x-ndjson" \
+  --data-binary @"$WORK/oversized.jsonl")
+if [[ "$OVERSIZED_STATUS" == "413" && "$UNAUTHENTICATED_STATUS" == "401" ]]; then
+  pass "Signed imports are size-limited and unauthenticated ones are refused"
+else
+  fail "Oversized signed import returned HTTP $OVERSIZED_STATUS, unauthenticated import HTTP $UNAUTHENTICATED_STATUS"
+fi
+echo ""
+
+# Test 12: Only allowlisted pages may call from a browser, whatever the Host header says
+echo "--- Test 12: CORS ---"
+REBOUND_STATUS=$(curl -s -o /dev/null -w '%{http_code}' "${ALPHA}/health" \
+  -H "Host: rebound.example:${BASE_PORT}" \
+  -H "Origin: http://rebound.example:${BASE_PORT}")
+if [[ "$REBOUND_STATUS" == "403" ]]; then
+  pass "Origin matching the Host header is refused unless allowlisted"
+else
+  fail "Origin matching the Host header returned HTTP $REBOUND_STATUS"
+fi
+
+if curl -s -D - -o /dev/null "${ALPHA}/health" -H "Origin: http://localhost:3000" |
+  grep -qi '^Access-Control-Allow-Origin: http://localhost:3000'; then
+  pass "Allowlisted web UI origin is allowed"
+else
+  fail "Allowlisted web UI origin was not allowed"
+fi
+
+PI="http://127.0.0.1:$((BASE_PORT + 7))"
+start_instance pi "$((BASE_PORT + 7))" CORS_ORIGINS="http://*.team.internal"
+# Print the Access-Control-Allow-Origin a page from an origin gets from pi
+allowed_origin() {
+  curl -s -D - -o /dev/null -X OPTIONS "${PI}/ask" \
+    -H "Origin: $1" -H "Access-Control-Request-Method: POST" |
+    sed -n 's/^access-control-allow-origin: //Ip' | tr -d '\r'
+}
+if [[ "$(allowed_origin http://app.team.internal)" == "http://app.team.internal" &&
+  -z "$(allowed_origin http://a.b.team.internal)" ]]; then
+  pass "Wildcard origin matches a single host name label"
+else
+  fail "Wildcard origin matched more than one label, or missed app.team.internal"
+fi
+stop_instance
+echo ""
+
+# Test 13: Answers stream as Server-Sent Events
+echo "--- Test 13: Streaming ---"
+STREAM_RESPONSE=$(curl -s -N -X POST "${ALPHA}/ask/stream" \
+  -H "Content-Type: application/json" \
+  -d '{"question": "Stream this"}')
+STREAM_RESULT=$(echo "$STREAM_RESPONSE" | grep -A1 '^event: result' | sed -n 's/^data: //p')
+
+if echo "$STREAM_RESPONSE" | grep -q '^event: text' &&
+  echo "$STREAM_RESULT" | jq -e '.success == true and .answer == "FAKE ANSWER to: Stream this"' >/dev/null; then
+  pass "Streamed text events and a final result"
+else
+  fail "Stream did not deliver text and a result: $STREAM_RESPONSE"
+fi
+
+EMPTY_STREAM=$(curl -s -X POST "${ALPHA}/ask/stream" \
+  -H "Content-Type: application/json" \
+  -d '{"question": ""}')
+if echo "$EMPTY_STREAM" | jq -e '.success == false and (.error | contains("question"))' >/dev/null; then
+  pass "Streaming endpoint rejects an empty question before streaming"
+else
+  fail "Streaming endpoint did not reject an empty question: $EMPTY_STREAM"
+fi
+echo ""
+
+# Test 14: Jobs queue behind a single slot, and a cancelled job never runs
+echo "--- Test 14: Jobs ---"
+start_instance iota "$((BASE_PORT + 6))" MAX_CONCURRENT_REQUESTS=1 CLAUDE_CODE_TIMEOUT=30000 \
+  FAKE_CLAUDE_DELAY=1500 FAKE_CLAUDE_ARGS_LOG="$WORK/iota-args.jsonl"
+IOTA="http://127.0.0.1:$((BASE_PORT + 6))"
+
+FIRST_JOB=$(curl -s -X POST "${IOTA}/jobs" -H "Content-Type: application/json" \
+  -d '{"question": "Run this first"}' | jq -r '.job.id')
+SECOND_JOB=$(curl -s -X POST "${IOTA}/jobs" -H "Content-Type: application/json" \
+  -d '{"question": "Never run this"}' | jq -r '.job.id')
+
+if curl -s "${IOTA}/jobs/${SECOND_JOB}" | jq -e '.job.status == "queued" and .job.position == 1' >/dev/null; then
+  pass "Second job waits in the queue"
+else
+  fail "Second job is not queued behind the first"
+fi
+
+if curl -s -X DELETE "${IOTA}/jobs/${SECOND_JOB}" | jq -e '.job.status == "cancelled"' >/dev/null; then
+  pass "Queued job can be cancelled"
+else
+  fail "Queued job was not cancelled"
+fi
+
+FIRST_STATUS=""
+for _ in $(seq 1 50); do
+  FIRST_STATUS=$(curl -s "${IOTA}/jobs/${FIRST_JOB}")
+  echo "$FIRST_STATUS" | jq -e '.job.status == "done"' >/dev/null && break
+  sleep 0.2
+done
+if echo "$FIRST_STATUS" | jq -e '.job.result.answer | contains("Run this first")' >/dev/null; then
+  pass "Job finishes with its answer"
+else
+  fail "Job did not finish: $FIRST_STATUS"
+fi
+
+sleep 0.5
+if ! grep -q "Never run this" "$WORK/iota-args.jsonl"; then
+  pass "Cancelled job never started Claude Code"
+else
+  fail "Cancelled job still started Claude Code"
+fi
+
+LONG_TIMEOUT_STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X POST "${IOTA}/jobs" \
+  -H "Content-Type: application/json" \
+  -d '{"question": "Wait longer", "timeout_ms": 60000}')
+if [[ "$LONG_TIMEOUT_STATUS" == "400" ]]; then
+  pass "Job timeout above CLAUDE_CODE_TIMEOUT is rejected"
+else
+  fail "Job timeout above CLAUDE_CODE_TIMEOUT returned HTTP $LONG_TIMEOUT_STATUS"
+fi
+
+if curl -s "${IOTA}/jobs/does-not-exist" | jq -e '.success == false and .error == "Job not found"' >/dev/null; then
+  pass "Unknown job ID returns not found"
+else
+  fail "Unknown job ID did not return not found"
+fi
+
+if curl -s "${IOTA}/health" | jq -e '.queue.max_concurrent == 1 and .queue.cancelled == 1 and .queue.max_timeout_ms == 30000' >/dev/null; then
+  pass "Health endpoint reports queue metrics"
+else
+  fail "Health endpoint is missing queue metrics"
+fi
+stop_instance
+echo ""
+
+# Test 15: The orchestrator plans, runs the subtasks and integrates the answers
+echo "--- Test 15: Orchestration ---"
+# A registry entry named "local" must not be confused with the orchestrating instance
+jq --arg port "$((BASE_PORT + 1))" '.instances.local = { host: "127.0.0.1", port: ($port | tonumber) }' \
+  "$WORK/registry.json" >"$WORK/registry.tmp" && mv "$WORK/registry.tmp" "$WORK/registry.json"
+
+ORCHESTRATION=$(curl -s -X POST "${ALPHA}/orchestrate" \
+  -H "Content-Type: application/json" \
+  -d '{"task": "Check the build"}')
+if echo "$ORCHESTRATION" | jq -e '.success == true and .status == "done" and .subtasks[0].target == "local" and (.subtasks[0].answer | startswith("FAKE ANSWER")) and (.final_answer | startswith("FAKE ANSWER"))' >/dev/null; then
+  pass "Orchestration ran its subtask locally and integrated the answer"
+else
+  fail "Orchestration did not complete: $ORCHESTRATION"
+fi
+
+if echo "$ORCHESTRATION" | jq -e '[.specialists[].name] | index("local") == null' >/dev/null; then
+  pass "Registry instance named local is not offered as a specialist"
+else
+  fail "Registry instance named local was offered as a specialist"
+fi
+
+jq 'del(.instances.local)' "$WORK/registry.json" >"$WORK/registry.tmp" && mv "$WORK/registry.tmp" "$WORK/registry.json"
+
+ORCHESTRATION_ID=$(echo "$ORCHESTRATION" | jq -r '.id')
+if curl -s "${ALPHA}/orchestrations/${ORCHESTRATION_ID}" | jq -e '.success == true' >/dev/null &&
+  curl -s "${ALPHA}/orchestrations/00000000-0000-0000-0000-000000000000" |
+  jq -e '.success == false and .error == "Orchestration not found"' >/dev/null; then
+  pass "Orchestration record can be fetched, and unknown IDs return not found"
+else
+  fail "Orchestration record lookup did not behave as expected"
+fi
+
+if curl -s -X POST "${ALPHA}/orchestrate" -H "Content-Type: application/json" -d '{"task": ""}' |
+  jq -e '.success == false and (.error | contains("task"))' >/dev/null; then
+  pass "Orchestrator rejects an empty task"
+else
+  fail "Orchestrator did not reject an empty task"
+fi
+echo ""
+
+# Test 16: A debate ends in a judged recommendation or a vote
+echo "--- Test 16: Debate ---"
+JUDGED_DEBATE=$(curl -s -X POST "${ALPHA}/debate" \
+  -H "Content-Type: application/json" \
+  -d '{"question": "REST or GraphQL?", "instances": ["alpha", "beta"], "judge": "beta"}')
+if echo "$JUDGED_DEBATE" | jq -e '.success == true and .verdict.method == "judge" and (.verdict.recommendation | startswith("FAKE ANSWER"))' >/dev/null; then
+  pass "Judge wrote a recommendation after the critique round"
+else
+  fail "Judged debate did not complete: $JUDGED_DEBATE"
+fi
+
+# The fake CLI votes "I vote for beta, though alpha came close." - naming both
+VOTED_DEBATE=$(curl -s -X POST "${ALPHA}/debate" \
+  -H "Content-Type: application/json" \
+  -d '{"question": "REST or GraphQL?", "instances": ["alpha", "beta"], "rounds": 0}')
+if echo "$VOTED_DEBATE" | jq -e '.verdict.method == "vote" and ([.verdict.votes[].vote] == [null, null]) and .verdict.winner == null' >/dev/null; then
+  pass "Plain-text votes naming several participants count as abstentions"
+else
+  fail "Ambiguous plain-text votes were counted: $VOTED_DEBATE"
+fi
+
+if curl -s -X POST "${ALPHA}/debate" -H "Content-Type: application/json" \
+  -d '{"question": "Hello", "instances": ["alpha"]}' |
+  jq -e '.success == false and (.error | contains("at least two"))' >/dev/null; then
+  pass "Debate requires at least two participants"
+else
+  fail "Debate accepted fewer than two participants"
+fi
+echo ""
+
+# Test 17: Instances publish answers to a memory host's shared namespace
+echo "--- Test 17: Shared Memory ---"
+KAPPA="http://127.0.0.1:$((BASE_PORT + 7))"
+LAMBDA="http://127.0.0.1:$((BASE_PORT + 8))"
+start_instance kappa "$((BASE_PORT + 7))" API_KEY=host-secret MEMORY_ENABLED=true \
+  MEMORY_STORAGE_PATH="$WORK/kappa/memory" MEMORY_SHARED_PATH="$WORK/kappa/shared" MEMORY_SHARED_SERVE=true
+start_instance lambda "$((BASE_PORT + 8))" INSTANCE_SIGN_REQUESTS=true INSTANCE_KEY_PATH="$WORK/lambda/instance-key.pem" \
+  MEMORY_ENABLED=true MEMORY_STORAGE_PATH="$WORK/lambda/memory" MEMORY_SHARED_HOST=kappa MEMORY_SHARED_WRITE=team
+LAMBDA_PUBLIC_KEY=$(curl -s "${LAMBDA}/health" | jq -r '.public_key')
+jq --arg key "$LAMBDA_PUBLIC_KEY" --argjson kappa "$((BASE_PORT + 7))" --argjson lambda "$((BASE_PORT + 8))" \
+  '.instances.kappa = {host: "127.0.0.1", port: $kappa} | .instances.lambda = {host: "127.0.0.1", port: $lambda, publicKey: $key}' \
+  "$WORK/registry.json" >"$WORK/registry.json.tmp"
+mv "$WORK/registry.json.tmp" "$WORK/registry.json"
+
+curl -s -X POST "${LAMBDA}/ask" -H "Content-Type: application/json" \
+  -d '{"question": "How do we version the walrus service?"}' >/dev/null
+SHARED_CONTEXT=$(curl -s "${KAPPA}/memory/shared/team/context?q=walrus%20service" -H "X-API-Key: host-secret")
+if echo "$SHARED_CONTEXT" | jq -e '.count == 1 and .matches[0].origin == "lambda"' >/dev/null; then
+  pass "Signed answer published to the memory host under its instance"
+else
+  fail "Answer was not published to the shared namespace: $SHARED_CONTEXT"
+fi
+
+SPOOF_STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X POST "${KAPPA}/memory/shared/team/conversations" \
+  -H "Content-Type: application/json" -H "X-API-Key: host-secret" \
+  -d '{"question": "Spoofed?", "answer": "Yes", "instance": "lambda"}')
+if [[ "$SPOOF_STATUS" == "403" ]]; then
+  pass "API key cannot publish under an instance's name"
+else
+  fail "API key published under an instance's name (HTTP $SPOOF_STATUS)"
+fi
+
+BAD_NAMESPACE_STATUS=$(curl -s -o /dev/null -w '%{http_code}' \
+  "${KAPPA}/memory/shared/bad.namespace/context?q=test" -H "X-API-Key: host-secret")
+if [[ "$BAD_NAMESPACE_STATUS" == "400" ]]; then
+  pass "Shared memory endpoint rejects an invalid namespace"
+else
+  fail "Shared memory endpoint returned HTTP $BAD_NAMESPACE_STATUS for an invalid namespace"
+fi
+stop_instance
+stop_instance
+echo ""
+
+# Test 18: Compaction digests idle conversations and enforces retention limits
+echo "--- Test 18: Memory Compaction ---"
+MU="http://127.0.0.1:$((BASE_PORT + 7))"
+start_instance mu "$((BASE_PORT + 7))" MEMORY_ENABLED=true MEMORY_STORAGE_PATH="$WORK/mu/memory" \
+  MEMORY_RETENTION_MAX_CONVERSATIONS=5 MEMORY_DIGEST_AFTER_DAYS=30 MEMORY_DIGEST_MIN_EXCHANGES=1 \
+  MEMORY_DIGEST_MAX_PER_RUN=2
+# Two exchanges each, so the conversations are long enough to digest
+memory_bundle 8 | jq -c 'if .type == "conversation" then .data.exchanges += .data.exchanges else . end' \
+  >"$WORK/mu-bundle.jsonl"
+curl -s -X POST "${MU}/memory/import" -H "Content-Type: application/x-ndjson" \
+  --data-binary @"$WORK/mu-bundle.jsonl" >/dev/null
+
+COMPACT_RESPONSE=$(curl -s -X POST "${MU}/memory/compact")
+if echo "$COMPACT_RESPONSE" | jq -e '(.digested | length) == 2 and .deleted == 3 and .disk.after < .disk.before' >/dev/null &&
+  curl -s "${MU}/memory/stats" | jq -e '.totalConversations == 5' >/dev/null; then
+  pass "Compaction digested two conversations, pruned to five and reported the disk saved"
+else
+  fail "Compaction did not apply the limits: $COMPACT_RESPONSE"
+fi
+stop_instance
+echo ""
+
+# Test 19: A conversation can be branched from an earlier exchange
+echo "--- Test 19: Conversation Branching ---"
+BRANCH_RESPONSE=$(curl -s -X POST "${GAMMA}/memory/conversation/conv-2/branch" \
+  -H "Content-Type: application/json" \
+  -d '{"question": "What if we used otters instead?", "from_exchange": 0}')
+BRANCH_ID=$(echo "$BRANCH_RESPONSE" | jq -r '.conversation_id')
+if echo "$BRANCH_RESPONSE" | jq -e '.success == true and .branch_of.id == "conv-2" and (.answer | startswith("FAKE ANSWER"))' >/dev/null &&
+  curl -s "${GAMMA}/memory/conversation/conv-2" | jq -e --arg id "$BRANCH_ID" '[.branches[].id] | index($id) != null' >/dev/null &&
+  curl -s "${GAMMA}/memory/conversation/${BRANCH_ID}" | jq -e '.conversation.branchOf.id == "conv-2"' >/dev/null; then
+  pass "Branched a conversation and recorded its lineage"
+else
+  fail "Branch was not recorded: $BRANCH_RESPONSE"
+fi
+
+UNKNOWN_BRANCH_STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X POST "${GAMMA}/memory/conversation/does-not-exist/branch" \
+  -H "Content-Type: application/json" \
+  -d '{"question": "What if we did it differently?", "from_exchange": 0}')
+if [[ "$UNKNOWN_BRANCH_STATUS" == "404" ]]; then
+  pass "Branching an unknown conversation returns HTTP 404"
+else
+  fail "Branching an unknown conversation returned HTTP $UNKNOWN_BRANCH_STATUS"
+fi
+echo ""
+
+# Test 20: Context is held to the token budget and reported per source
+echo "--- Test 20: Context Budget ---"
+if curl -s -X POST "${ALPHA}/ask" -H "Content-Type: application/json" \
+  -d '{"question": "What language is this?", "context": "console.log(\"hello world\");"}' |
+  jq -e '.context_budget.sources | any(.source == "caller" and .tokens > 0 and .action == "full")' >/dev/null; then
+  pass "Context budget reports caller context tokens"
+else
+  fail "Context budget missing from response"
+fi
+
+NU="http://127.0.0.1:$((BASE_PORT + 7))"
+start_instance nu "$((BASE_PORT + 7))" CONTEXT_MAX_TOKENS=100
+LONG_CONTEXT=$(for i in $(seq 1 40); do printf 'Paragraph %s explains one more detail of the design.\n\n' "$i"; done)
+BUDGET_RESPONSE=$(jq -n --arg context "$LONG_CONTEXT" '{question: "Summarize the design", context: $context}' |
+  curl -s -X POST "${NU}/ask" -H "Content-Type: application/json" -d @-)
+if echo "$BUDGET_RESPONSE" | jq -e '.context_budget.sources[] | select(.source == "caller") | .action == "truncated" and .tokens <= 100 and .original_tokens > 100' >/dev/null; then
+  pass "Caller context over the budget is truncated to fit"
+else
+  fail "Caller context was not truncated: $BUDGET_RESPONSE"
+fi
+stop_instance
+echo ""
+
+# Test 21: A refresh picks up packages added since the catalogue was built
+echo "--- Test 21: Package Catalogue Refresh ---"
+XI="http://127.0.0.1:$((BASE_PORT + 7))"
+start_instance xi "$((BASE_PORT + 7))" PACKAGE_WATCH=false
+mkdir -p "$WORK/xi/packages/late-widget"
+echo '{"name": "late-widget", "description": "Added after startup"}' >"$WORK/xi/packages/late-widget/package.json"
+
+if curl -s "${XI}/packages" | jq -e '[.packages[].name] | index("late-widget") == null' >/dev/null &&
+  curl -s -X POST "${XI}/packages/refresh" | jq -e '.success == true and .catalog.built_at != null' >/dev/null &&
+  curl -s "${XI}/packages" | jq -e '[.packages[].name] | index("late-widget") != null' >/dev/null; then
+  pass "Package catalogue rebuilt on request"
+else
+  fail "Refresh did not pick up the new package"
+fi
+stop_instance
+echo ""
+
+# Test 22: A client certificate authenticates only instances in the registry
+echo "--- Test 22: TLS Client Certificates ---"
+OMICRON="https://127.0.0.1:$((BASE_PORT + 7))"
+mkdir -p "$WORK/pki"
+openssl req -x509 -newkey rsa:2048 -nodes -days 1 -subj "/CN=Test CA" \
+  -keyout "$WORK/pki/ca.key" -out "$WORK/pki/ca.pem" 2>/dev/null
+# Issue a certificate signed by the test CA
+# Usage: issue_certificate NAME COMMON_NAME [OPENSSL_EXTENSION]
+issue_certificate() {
+  openssl req -newkey rsa:2048 -nodes -subj "/CN=$2" \
+    -keyout "$WORK/pki/$1.key" -out "$WORK/pki/$1.csr" 2>/dev/null
+  openssl x509 -req -in "$WORK/pki/$1.csr" -CA "$WORK/pki/ca.pem" -CAkey "$WORK/pki/ca.key" \
+    -CAcreateserial -days 1 ${3:+-extfile <(echo "$3")} -out "$WORK/pki/$1.pem" 2>/dev/null
+}
+issue_certificate server omicron "subjectAltName=IP:127.0.0.1"
+issue_certificate beta beta
+issue_certificate constructor constructor
+
+start_instance omicron "$((BASE_PORT + 7))" API_KEY=omicron-secret \
+  TLS_CERT="$WORK/pki/server.pem" TLS_KEY="$WORK/pki/server.key" \
+  TLS_CA="$WORK/pki/ca.pem" TLS_CLIENT_AUTH=optional
+
+if curl -s "${ALPHA}/health" | jq -e '.tls == {"enabled": false, "client_auth": "none"}' >/dev/null &&
+  curl -s --cacert "$WORK/pki/ca.pem" "${OMICRON}/health" |
+  jq -e '.tls == {"enabled": true, "client_auth": "optional"}' >/dev/null; then
+  pass "Health reports the connection's TLS settings"
+else
+  fail "Health did not report TLS settings"
+fi
+
+# Fetch omicron's pipelines with a client certificate, printing the HTTP status
+pipelines_with_certificate() {
+  curl -s -o /dev/null -w '%{http_code}' --cacert "$WORK/pki/ca.pem" \
+    --cert "$WORK/pki/$1.pem" --key "$WORK/pki/$1.key" "${OMICRON}/pipelines"
+}
+PEER_STATUS=$(pipelines_with_certificate beta)
+CONSTRUCTOR_STATUS=$(pipelines_with_certificate constructor)
+if [[ "$PEER_STATUS" == "200" && "$CONSTRUCTOR_STATUS" == "401" ]]; then
+  pass "Only a registry instance's certificate authenticates"
+else
+  fail "Certificate for beta returned HTTP $PEER_STATUS, for constructor HTTP $CONSTRUCTOR_STATUS"
+fi
+stop_instance
+echo ""
+
+# Test 23: An allow-list is passed to Claude Code in a mode that enforces it
+echo "--- Test 23: Tool Policy ---"
+RHO="http://127.0.0.1:$((BASE_PORT + 7))"
+start_instance rho "$((BASE_PORT + 7))" CLAUDE_CODE_ALLOWED_TOOLS=Read,Grep \
+  CLAUDE_CODE_PERMISSION_MODE=bypassPermissions FAKE_CLAUDE_ARGS_LOG="$WORK/rho-args.jsonl"
+
+ALLOWED_RESPONSE=$(curl -s -X POST "${RHO}/ask" -H "Content-Type: application/json" \
+  -d '{"question": "Which tools?"}')
+if echo "$ALLOWED_RESPONSE" | jq -e '.tool_policy.permission_mode == "default"' >/dev/null &&
+  tail -n 1 "$WORK/rho-args.jsonl" | jq -e '.args |
+    index(["--allowedTools", "Read,Grep"]) != null and
+    index(["--permission-mode", "default"]) != null and
+    index(["--dangerously-skip-permissions"]) == null' >/dev/null; then
+  pass "Allowed tools run in default permission mode"
+else
+  fail "Allowed tools were not enforced: $(tail -n 1 "$WORK/rho-args.jsonl")"
+fi
+
+BYPASS_STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X POST "${RHO}/ask" \
+  -H "Content-Type: application/json" \
+  -d '{"question": "Which tools?", "permission_mode": "bypassPermissions"}')
+INVALID_MODE_STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X POST "${RHO}/ask" \
+  -H "Content-Type: application/json" \
+  -d '{"question": "Which tools?", "permission_mode": "no-such-mode"}')
+if [[ "$BYPASS_STATUS" == "403" && "$INVALID_MODE_STATUS" == "400" ]]; then
+  pass "Bypass mode with allowed tools and unknown modes are refused"
+else
+  fail "Bypass mode returned HTTP $BYPASS_STATUS, an unknown mode HTTP $INVALID_MODE_STATUS"
+fi
+
+PLAN_RESPONSE=$(curl -s -X POST "${RHO}/ask" -H "Content-Type: application/json" \
+  -d '{"question": "Which tools?", "permission_mode": "plan"}')
+if echo "$PLAN_RESPONSE" | jq -e '.tool_policy.permission_mode == "plan"' >/dev/null &&
+  tail -n 1 "$WORK/rho-args.jsonl" | jq -e '.args | index(["--permission-mode", "plan"]) != null' >/dev/null; then
+  pass "Request narrows the permission mode to plan"
+else
+  fail "Plan mode was not applied: $PLAN_RESPONSE"
+fi
+stop_instance
+echo ""
+
+echo "=== Test Summary ==="
+echo -e "Passed: ${GREEN}${PASSED}${NC}"
+echo -e "Failed: ${RED}${FAILED}${NC}"
+echo ""
+
+if [[ $FAILED -gt 0 ]]; then
+  exit 1
+fi
+
+exit 0
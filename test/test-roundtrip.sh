@@ -23,12 +23,12 @@ FAILED=0
 
 pass() {
   echo -e "${GREEN}PASS${NC}: $1"
-  ((PASSED++))
+  PASSED=$((PASSED + 1))
 }
 
 fail() {
   echo -e "${RED}FAIL${NC}: $1"
-  ((FAILED++))
+  FAILED=$((FAILED + 1))
 }
 
 warn() {
@@ -5,6 +5,8 @@ import { readFileSync, existsSync } from "fs";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import { homedir } from "os";
+import { Readable } from "stream";
+import { createTlsFetch } from "../server/tls.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -12,6 +14,16 @@ const __dirname = dirname(__filename);
 const PORT = parseInt(process.env.WEB_PORT || "3000", 10);
 const REGISTRY_PATH = join(homedir(), ".claude", "interclaude-registry.json");
 
+// https:// instances are reached through this server, verified against
+// INTERCLAUDE_CA as well as the system CAs, with INTERCLAUDE_CERT/KEY as the
+// client certificate
+const fetchInstance = createTlsFetch({
+  ca: process.env.INTERCLAUDE_CA,
+  cert: process.env.INTERCLAUDE_CERT,
+  key: process.env.INTERCLAUDE_KEY,
+});
+const FORWARDED_HEADERS = ["content-type", "x-api-key", "accept"];
+
 // Get version from package.json
 let version = "0.0.0";
 try {
@@ -31,8 +43,11 @@ app.get("/api/version", (req, res) => {
   res.json({ version });
 });
 
-// API endpoint for registry
-app.get("/api/registry", (req, res) => {
+/**
+ * Load the instance registry
+ * @returns {{instances: object, default: string|null}}
+ */
+function loadRegistry() {
   let registry = { instances: {}, default: null };
 
   if (existsSync(REGISTRY_PATH)) {
@@ -43,9 +58,66 @@ app.get("/api/registry", (req, res) => {
     }
   }
 
-  res.json(registry);
+  return registry;
+}
+
+// API endpoint for registry
+app.get("/api/registry", (req, res) => {
+  res.json(loadRegistry());
 });
 
+// Forward a request to an https:// instance, streaming the response back
+app.all(
+  "/api/instances/:name/*path",
+  express.raw({ type: () => true, limit: "10mb" }),
+  async (req, res) => {
+    const instance = loadRegistry().instances?.[req.params.name];
+    if (!instance || instance.protocol !== "https") {
+      return res.status(404).json({
+        success: false,
+        error: `No https instance '${req.params.name}' in the registry`,
+      });
+    }
+
+    const query = new URL(req.originalUrl, "http://localhost").search;
+    const url = `https://${instance.host}:${instance.port}/${req.params.path.join("/")}${query}`;
+    const headers = Object.fromEntries(
+      FORWARDED_HEADERS.filter((name) => req.headers[name]).map((name) => [
+        name,
+        req.headers[name],
+      ]),
+    );
+
+    // Stop the upstream request when the browser goes away
+    const controller = new AbortController();
+    res.on("close", () => controller.abort());
+
+    try {
+      const response = await fetchInstance(url, {
+        method: req.method,
+        headers,
+        ...(Buffer.isBuffer(req.body) && req.body.length > 0 && { body: req.body }),
+        signal: controller.signal,
+      });
+      res.status(response.status);
+      const contentType = response.headers.get("content-type");
+      if (contentType) res.setHeader("Content-Type", contentType);
+
+      if (response.body) {
+        Readable.fromWeb(response.body)
+          .on("error", () => res.end())
+          .pipe(res);
+      } else {
+        res.end();
+      }
+    } catch (err) {
+      if (!res.headersSent) {
+        res.status(502).json({ success: false, error: err.message });
+      }
+    }
+  },
+);
+
 // Start server
 app.listen(PORT, () => {
   console.log(`InterClaude Web UI running at http://localhost:${PORT}`);